@@ -0,0 +1,238 @@
+import { existsSync, readFileSync } from 'fs';
+
+const DEFAULT_CONFIG_FILE = 'metaexodus.config.json';
+const HOOK_EVENTS = ['beforeSync', 'beforeTable', 'afterTable', 'afterSync', 'onFailure'];
+const TABLE_STRATEGIES = ['replace', 'append', 'upsert', 'incremental', 'skip'];
+
+function validatePatternList(value, key, errors) {
+  if (value === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(value) || value.some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+    errors.push(`${key} must be an array of table names or glob patterns`);
+    return [];
+  }
+
+  return value.map(entry => entry.trim());
+}
+
+function validateSubsetRoots(subset, errors) {
+  if (subset === undefined || subset === null) {
+    return null;
+  }
+
+  const roots = subset.roots;
+  if (typeof roots !== 'object' || roots === null || Array.isArray(roots) || Object.keys(roots).length === 0) {
+    errors.push('subset.roots must map at least one root table to its options');
+    return null;
+  }
+
+  const normalized = {};
+  for (const [tableName, options] of Object.entries(roots)) {
+    const { limit = null, where = null } = options || {};
+
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+      errors.push(`subset.roots.${tableName}.limit must be a positive integer`);
+    }
+    if (where !== null && (typeof where !== 'object' || Array.isArray(where))) {
+      errors.push(`subset.roots.${tableName}.where must map column names to values`);
+    }
+
+    normalized[tableName] = { limit, where };
+  }
+
+  return { roots: normalized };
+}
+
+function validateVerify(verify, errors) {
+  if (verify === undefined || verify === null) {
+    return { checksums: {} };
+  }
+
+  const checksums = verify.checksums === undefined ? {} : verify.checksums;
+  if (typeof checksums !== 'object' || checksums === null || Array.isArray(checksums)) {
+    errors.push('verify.checksums must map table names to column lists');
+    return { checksums: {} };
+  }
+
+  const normalized = {};
+  for (const [tableName, columns] of Object.entries(checksums)) {
+    if (!Array.isArray(columns) || columns.length === 0 ||
+      columns.some(column => typeof column !== 'string' || column.trim() === '')) {
+      errors.push(`verify.checksums.${tableName} must be a non-empty array of column names`);
+      continue;
+    }
+    normalized[tableName] = columns.map(column => column.trim());
+  }
+
+  return { checksums: normalized };
+}
+
+function validateHooks(hooks, errors) {
+  if (hooks === undefined || hooks === null) {
+    return null;
+  }
+
+  if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+    errors.push('hooks must be an object with a directory and/or hook files per event');
+    return null;
+  }
+
+  const { directory = null, ...events } = hooks;
+  if (directory !== null && (typeof directory !== 'string' || directory.trim() === '')) {
+    errors.push('hooks.directory must be a path');
+  }
+
+  const normalized = { directory: typeof directory === 'string' ? directory.trim() || null : null };
+  for (const [event, files] of Object.entries(events)) {
+    if (!HOOK_EVENTS.includes(event)) {
+      errors.push(`hooks.${event} is not a hook event (use ${HOOK_EVENTS.join(', ')})`);
+      continue;
+    }
+
+    const list = typeof files === 'string' ? [files] : files;
+    if (!Array.isArray(list) || list.some(file => typeof file !== 'string' || file.trim() === '')) {
+      errors.push(`hooks.${event} must be a file path or an array of file paths`);
+      continue;
+    }
+    normalized[event] = list.map(file => file.trim());
+  }
+
+  return normalized;
+}
+
+function isColumnName(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+function validateStrategies(strategies, errors) {
+  if (strategies === undefined || strategies === null) {
+    return {};
+  }
+
+  if (typeof strategies !== 'object' || Array.isArray(strategies)) {
+    errors.push('strategies must map table names or glob patterns to a strategy');
+    return {};
+  }
+
+  const normalized = {};
+  for (const [pattern, value] of Object.entries(strategies)) {
+    const prefix = `strategies.${pattern}`;
+    const options = typeof value === 'string' ? { strategy: value } : value;
+
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      errors.push(`${prefix} must be a strategy name or an object with a strategy`);
+      continue;
+    }
+
+    const { strategy = 'replace', key = null, watermark = null, batchSize = null, where = null } = options;
+
+    if (!TABLE_STRATEGIES.includes(strategy)) {
+      errors.push(`${prefix}.strategy must be one of ${TABLE_STRATEGIES.join(', ')}`);
+    }
+
+    const keyColumns = typeof key === 'string' ? [key] : key;
+    if (keyColumns !== null && (!Array.isArray(keyColumns) || keyColumns.length === 0 ||
+      !keyColumns.every(isColumnName))) {
+      errors.push(`${prefix}.key must be a column name or an array of column names`);
+    } else if (keyColumns !== null && strategy !== 'upsert') {
+      errors.push(`${prefix}.key only applies to the upsert strategy`);
+    }
+
+    if (watermark !== null && !isColumnName(watermark)) {
+      errors.push(`${prefix}.watermark must be a column name`);
+    } else if (watermark === null && strategy === 'incremental') {
+      errors.push(`${prefix}.watermark is required by the incremental strategy`);
+    } else if (watermark !== null && strategy !== 'incremental') {
+      errors.push(`${prefix}.watermark only applies to the incremental strategy`);
+    }
+
+    if (batchSize !== null && (!Number.isInteger(batchSize) || batchSize < 1)) {
+      errors.push(`${prefix}.batchSize must be a positive integer`);
+    }
+    if (where !== null && (typeof where !== 'object' || Array.isArray(where))) {
+      errors.push(`${prefix}.where must map column names to values`);
+    }
+
+    normalized[pattern.trim()] = {
+      strategy,
+      key: Array.isArray(keyColumns) ? keyColumns.map(column => String(column).trim()) : null,
+      watermark: typeof watermark === 'string' ? watermark.trim() : null,
+      batchSize,
+      where
+    };
+  }
+
+  return normalized;
+}
+
+function parseSubsetRoots(value) {
+  const roots = {};
+
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const [tableName, limit, ...rest] = entry.split(':');
+    const parsedLimit = limit === undefined ? null : Number(limit);
+
+    if (!tableName || rest.length > 0 || (parsedLimit !== null && (!Number.isInteger(parsedLimit) || parsedLimit < 1))) {
+      return null;
+    }
+    roots[tableName] = { limit: parsedLimit, where: null };
+  }
+
+  return Object.keys(roots).length > 0 ? roots : null;
+}
+
+function normalizeSyncConfig(raw) {
+  const errors = [];
+
+  if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { config: null, errors: ['Config must be a JSON object'] };
+  }
+
+  const tables = raw.tables || {};
+  if (typeof tables !== 'object' || Array.isArray(tables)) {
+    errors.push('tables must be an object with include and/or exclude lists');
+  }
+
+  const config = {
+    ...raw,
+    tables: {
+      include: validatePatternList(tables.include, 'tables.include', errors),
+      exclude: validatePatternList(tables.exclude, 'tables.exclude', errors)
+    },
+    subset: validateSubsetRoots(raw.subset, errors),
+    verify: validateVerify(raw.verify, errors),
+    hooks: validateHooks(raw.hooks, errors),
+    strategies: validateStrategies(raw.strategies, errors)
+  };
+
+  return { config, errors };
+}
+
+function loadSyncConfig(configPath = null) {
+  const path = configPath || DEFAULT_CONFIG_FILE;
+
+  if (!existsSync(path)) {
+    if (configPath) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return { path: null, ...normalizeSyncConfig({}).config };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid config file ${path}: ${error.message}`);
+  }
+
+  const { config, errors } = normalizeSyncConfig(raw);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file ${path}: ${errors.join('; ')}`);
+  }
+
+  return { path, ...config };
+}
+
+export { DEFAULT_CONFIG_FILE, HOOK_EVENTS, TABLE_STRATEGIES, loadSyncConfig, normalizeSyncConfig, parseSubsetRoots };
@@ -0,0 +1,120 @@
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for recording sync progress so an interrupted run can be resumed
+ */
+class CheckpointService {
+  constructor() {
+    this.checkpoint = null;
+  }
+
+  /**
+   * Path of the checkpoint file
+   * @returns {string} Checkpoint file path
+   */
+  get checkpointPath() {
+    return join(process.env.SYNC_STATE_DIR || '.metaexodus', 'checkpoint.json');
+  }
+
+  /**
+   * Whether a run is currently being recorded
+   * @returns {boolean} True between start() and clear()/close()
+   */
+  isRecording() {
+    return this.checkpoint !== null;
+  }
+
+  /**
+   * Reads the checkpoint left by a previous run
+   * @returns {Object|null} Checkpoint or null when there is none
+   */
+  load() {
+    if (!existsSync(this.checkpointPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(readFileSync(this.checkpointPath, 'utf8'));
+    } catch (error) {
+      logger.warn(`Could not read checkpoint ${this.checkpointPath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Starts recording a run, optionally continuing a loaded checkpoint
+   * @param {Object} options - { mode: 'staging' | 'direct', schema, resumeFrom }
+   */
+  start({ mode, schema = null, resumeFrom = null }) {
+    this.checkpoint = resumeFrom
+      ? { ...resumeFrom, resumedAt: new Date().toISOString() }
+      : {
+        mode,
+        schema,
+        startedAt: new Date().toISOString(),
+        completedTables: {},
+        tablesInProgress: {}
+      };
+    this.write();
+  }
+
+  /**
+   * Records the last key and row counts reached in a table being loaded
+   * @param {string} tableName - Table being loaded
+   * @param {Object} progress - { after, extractedRows, insertedRows }
+   */
+  recordProgress(tableName, progress) {
+    if (!this.checkpoint) {
+      return;
+    }
+
+    this.checkpoint.tablesInProgress[tableName] = progress;
+    this.write();
+  }
+
+  /**
+   * Marks a table as fully loaded
+   * @param {string} tableName - Table name
+   * @param {number} insertedRows - Rows loaded into the table
+   */
+  markTableCompleted(tableName, insertedRows) {
+    if (!this.checkpoint) {
+      return;
+    }
+
+    this.checkpoint.completedTables[tableName] = insertedRows;
+    delete this.checkpoint.tablesInProgress[tableName];
+    this.write();
+  }
+
+  /**
+   * Stops recording and removes the checkpoint file
+   */
+  clear() {
+    this.checkpoint = null;
+    rmSync(this.checkpointPath, { force: true });
+  }
+
+  /**
+   * Stops recording but keeps the checkpoint file for a later --resume
+   */
+  close() {
+    this.checkpoint = null;
+  }
+
+  write() {
+    try {
+      this.checkpoint.updatedAt = new Date().toISOString();
+      mkdirSync(dirname(this.checkpointPath), { recursive: true });
+      writeFileSync(this.checkpointPath, JSON.stringify(this.checkpoint, null, 2));
+    } catch (error) {
+      logger.warn(`Could not write checkpoint: ${error.message}`);
+    }
+  }
+}
+
+const checkpointService = new CheckpointService();
+
+export { CheckpointService, checkpointService };
@@ -0,0 +1,134 @@
+import { dataService } from './data.js';
+
+/**
+ * Service for loading tables whose foreign keys form a cycle (a table
+ * referencing itself, or tables referencing each other)
+ */
+class CircularDependencyService {
+  /**
+   * Works out how each foreign key that points forward in the insertion order
+   * inside a cycle is kept from failing: a DEFERRABLE constraint is checked at
+   * commit, nullable columns are loaded as NULL and filled in afterwards
+   * @param {Object} connection - Local database connection
+   * @param {Array} cycles - Cycles from dataService.findDependencyCycles
+   * @param {Array} insertionOrder - Tables in the order they are loaded
+   * @param {Object} options - { canDefer: whether the load runs in one transaction }
+   * @returns {Promise<Object>} { deferredConstraints, twoPassColumns: Map of table to
+   *   { keyColumns, columns }, unresolved: foreign keys that may still fail }
+   */
+  async plan(connection, cycles, insertionOrder, options = {}) {
+    const { canDefer = false } = options;
+    const position = new Map(insertionOrder.map((tableName, index) => [tableName, index]));
+    const deferredConstraints = [];
+    const twoPassColumns = new Map();
+    const unresolved = [];
+
+    for (const cycle of cycles) {
+      for (const foreignKey of await this.getForeignKeys(connection, cycle)) {
+        // References to a table loaded earlier are satisfied already
+        if (!cycle.includes(foreignKey.referencedTable) ||
+          position.get(foreignKey.referencedTable) < position.get(foreignKey.tableName)) {
+          continue;
+        }
+
+        if (canDefer && foreignKey.deferrable) {
+          deferredConstraints.push(foreignKey.constraintName);
+          continue;
+        }
+
+        const keyColumns = foreignKey.nullable
+          ? await dataService.getPrimaryKeyColumns(connection, foreignKey.tableName)
+          : [];
+        if (keyColumns.length === 0) {
+          unresolved.push(foreignKey);
+          continue;
+        }
+
+        const entry = twoPassColumns.get(foreignKey.tableName) || { keyColumns, columns: [] };
+        entry.columns.push(...foreignKey.columns.filter(column => !entry.columns.includes(column)));
+        twoPassColumns.set(foreignKey.tableName, entry);
+      }
+    }
+
+    return { deferredConstraints, twoPassColumns, unresolved };
+  }
+
+  /**
+   * Gets the foreign keys declared on the given tables
+   * @param {Object} connection - Local database connection
+   * @param {Array} tableNames - Tables to inspect
+   * @returns {Promise<Array>} Foreign keys as { constraintName, tableName,
+   *   referencedTable, columns, deferrable, nullable }
+   */
+  async getForeignKeys(connection, tableNames) {
+    const query = `
+      SELECT
+        con.conname AS constraint_name,
+        rel.relname AS table_name,
+        ref.relname AS referenced_table,
+        con.condeferrable AS deferrable,
+        array_agg(att.attname::text ORDER BY key.ordinality) AS columns,
+        bool_and(NOT att.attnotnull) AS nullable
+      FROM pg_constraint con
+      JOIN pg_class rel ON rel.oid = con.conrelid
+      JOIN pg_class ref ON ref.oid = con.confrelid
+      JOIN pg_namespace nsp ON nsp.oid = rel.relnamespace
+      CROSS JOIN LATERAL unnest(con.conkey) WITH ORDINALITY AS key(attnum, ordinality)
+      JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = key.attnum
+      WHERE con.contype = 'f'
+      AND nsp.nspname = 'public'
+      AND rel.relname = ANY($1)
+      GROUP BY con.conname, rel.relname, ref.relname, con.condeferrable
+      ORDER BY rel.relname, con.conname;
+    `;
+
+    try {
+      const result = await connection.query(query, [tableNames]);
+      return result.rows.map(row => ({
+        constraintName: row.constraint_name,
+        tableName: row.table_name,
+        referencedTable: row.referenced_table,
+        columns: row.columns,
+        deferrable: row.deferrable,
+        nullable: row.nullable
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get foreign keys of ${tableNames.join(', ')}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Splits loaded rows into the rows to insert, with the second-pass columns
+   * set to NULL, and the key and column values to restore afterwards
+   * @param {Array} rows - Transformed rows
+   * @param {Object} twoPass - { keyColumns, columns } of the table
+   * @returns {Object} { rows, updates }
+   */
+  holdBackColumns(rows, { keyColumns, columns }) {
+    const updates = [];
+
+    const insertRows = rows.map(row => {
+      if (columns.every(column => row[column] === null || row[column] === undefined)) {
+        return row;
+      }
+
+      const update = {};
+      [...keyColumns, ...columns].forEach(column => {
+        update[column] = row[column];
+      });
+      updates.push(update);
+
+      const held = { ...row };
+      columns.forEach(column => {
+        held[column] = null;
+      });
+      return held;
+    });
+
+    return { rows: insertRows, updates };
+  }
+}
+
+const circularDependencyService = new CircularDependencyService();
+
+export { CircularDependencyService, circularDependencyService };
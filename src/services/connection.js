@@ -94,7 +94,7 @@ class ConnectionService {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
-  async createLocalPool() {
+  async createLocalPool(poolOptions = {}) {
     if (!this.isInitialized) {
       throw new Error('Connection service not initialized. Call initialize() first.');
     }
@@ -103,7 +103,7 @@ class ConnectionService {
       const localConfig = configManager.getLocalConfig();
       const connectionOptions = localConfig.getConnectionOptions();
 
-      this.localPool = new Pool(connectionOptions);
+      this.localPool = new Pool({ ...connectionOptions, ...poolOptions });
 
       const client = await this.localPool.connect();
       client.release();
@@ -1,9 +1,16 @@
+import { createHash } from 'crypto';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import pgUtils from 'pg/lib/utils.js';
+import { from as copyFrom } from 'pg-copy-streams';
 import { connectionService } from './connection.js';
 import { logger } from '../utils/logger.js';
 
 class DataService {
   constructor() {
     this.batchSize = parseInt(process.env.DB_BATCH_SIZE) || 1000;
+    // PostgreSQL accepts at most 65535 bind parameters per statement
+    this.maxParameters = 65535;
     this.isInitialized = false;
   }
 
@@ -119,6 +126,90 @@ class DataService {
     return sorted;
   }
 
+  findDependencyCycles(tableNames, dependencies) {
+    // Tarjan's strongly connected components: every component with more than
+    // one table, or a table referencing itself, is a cycle
+    const selected = new Set(tableNames);
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const cycles = [];
+
+    const connect = (tableName) => {
+      index.set(tableName, index.size);
+      lowLink.set(tableName, index.get(tableName));
+      stack.push(tableName);
+      onStack.add(tableName);
+
+      (dependencies[tableName] || []).filter(dep => selected.has(dep)).forEach(dep => {
+        if (!index.has(dep)) {
+          connect(dep);
+          lowLink.set(tableName, Math.min(lowLink.get(tableName), lowLink.get(dep)));
+        } else if (onStack.has(dep)) {
+          lowLink.set(tableName, Math.min(lowLink.get(tableName), index.get(dep)));
+        }
+      });
+
+      if (lowLink.get(tableName) !== index.get(tableName)) {
+        return;
+      }
+
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== tableName);
+
+      if (component.length > 1 || (dependencies[tableName] || []).includes(tableName)) {
+        cycles.push(component.sort((a, b) => tableNames.indexOf(a) - tableNames.indexOf(b)));
+      }
+    };
+
+    tableNames.forEach(tableName => {
+      if (!index.has(tableName)) {
+        connect(tableName);
+      }
+    });
+
+    return cycles;
+  }
+
+  groupTablesByCycle(insertionOrder, cycles) {
+    // Every table between the first and last member of a cycle is
+    // independent of it, so the whole cycle can take the last member's place
+    const cycleOf = new Map();
+    cycles.filter(cycle => cycle.length > 1).forEach(cycle => {
+      cycle.forEach(tableName => cycleOf.set(tableName, cycle));
+    });
+
+    const groups = [];
+    insertionOrder.forEach((tableName, position) => {
+      const cycle = cycleOf.get(tableName);
+      if (!cycle) {
+        groups.push([tableName]);
+      } else if (insertionOrder.slice(position + 1).every(name => !cycle.includes(name))) {
+        groups.push(insertionOrder.filter(name => cycle.includes(name)));
+      }
+    });
+
+    return groups;
+  }
+
+  combineStatements(statements) {
+    // Foreign keys are checked at the end of a statement, so tables of a
+    // cycle written by one statement (through data-modifying CTEs) never
+    // see each other half-written
+    if (statements.length === 1) {
+      return statements[0];
+    }
+
+    const ctes = statements.slice(0, -1).map((statement, index) => `step_${index} AS (${statement})`);
+    return `WITH ${ctes.join(', ')} ${statements[statements.length - 1]}`;
+  }
+
   async getTableRowCount(connection, tableName) {
     try {
       const query = `SELECT COUNT(*) as count FROM "${tableName}";`;
@@ -129,6 +220,97 @@ class DataService {
     }
   }
 
+  /**
+   * Reads one chunk of a table in key order, paging by key rather than offset
+   * so concurrent writes cannot shift rows between chunks
+   * @param {Object} connection - Database connection
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Key columns to order and page by
+   * @param {Object} options - { after: key to start past, upTo: last key to include, keys: only these keys,
+   *   missingFrom: only keys missing from this key table (see createKeyTable), limit }
+   * @returns {Promise<Object>} { rows, hasMore, lastKey: key to pass as after for the next chunk }
+   */
+  async extractTableDataByKey(connection, tableName, keyColumns, options = {}) {
+    const { after = null, upTo = null, keys = null, missingFrom = null, limit = this.batchSize } = options;
+    const table = this.qualifyTableName(tableName);
+    const key = `(${keyColumns.map(column => `"${column}"`).join(', ')})`;
+    const conditions = [];
+    const params = [];
+    const bound = values => `(${values.map(value => `$${params.push(value)}`).join(', ')})`;
+
+    if (after) {
+      conditions.push(`${key} > ${bound(after)}`);
+    }
+    if (upTo) {
+      conditions.push(`${key} <= ${bound(upTo)}`);
+    }
+    if (keys) {
+      conditions.push(keys.length > 0 ? `${key} IN (${keys.map(bound).join(', ')})` : 'FALSE');
+    }
+    if (missingFrom) {
+      const matches = keyColumns.map(column => `seen."${column}" = ${table}."${column}"`).join(' AND ');
+      conditions.push(`NOT EXISTS (SELECT 1 FROM ${missingFrom} AS seen WHERE ${matches})`);
+    }
+
+    try {
+      const result = await connection.query(
+        `SELECT * FROM ${table}` +
+          (conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '') +
+          ` ORDER BY ${keyColumns.map(column => `"${column}"`).join(', ')} LIMIT $${params.push(limit)}`,
+        params
+      );
+
+      const lastRow = result.rows[result.rows.length - 1];
+      return {
+        rows: result.rows,
+        hasMore: result.rows.length === limit,
+        lastKey: lastRow ? keyColumns.map(column => lastRow[column]) : after
+      };
+    } catch (error) {
+      throw new Error(`Failed to extract data from table ${tableName}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates an empty temp table with the key columns of a table, plus any
+   * columns whose values travel with the keys. Rows are added with
+   * appendToKeyTable; the rows of the table missing from it are read with
+   * extractTableDataByKey, and its values applied with updateColumnsFrom.
+   * @param {Object} connection - Database connection
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Key columns
+   * @param {Array} columns - Other columns to hold
+   * @returns {Promise<string>} Quoted name of the key table
+   */
+  async createKeyTable(connection, tableName, keyColumns, columns = []) {
+    const hash = createHash('md5').update(tableName).digest('hex');
+    const keyTable = `"metaexodus_keys_${hash.slice(0, 16)}"`;
+    const columnsList = [...keyColumns, ...columns].map(column => `"${column}"`).join(', ');
+
+    await connection.query(`DROP TABLE IF EXISTS pg_temp.${keyTable}`);
+    await connection.query(
+      `CREATE TEMP TABLE ${keyTable} AS SELECT ${columnsList} FROM ${this.qualifyTableName(tableName)} WITH NO DATA`
+    );
+    return keyTable;
+  }
+
+  async appendToKeyTable(connection, keyTable, rows) {
+    if (rows.length === 0) {
+      return 0;
+    }
+
+    // json_populate_recordset casts every value to the type of its column
+    const result = await connection.query(
+      `INSERT INTO ${keyTable} SELECT * FROM json_populate_recordset(NULL::${keyTable}, $1)`,
+      [JSON.stringify(rows)]
+    );
+    return result.rowCount || 0;
+  }
+
+  async dropKeyTable(connection, keyTable) {
+    await connection.query(`DROP TABLE IF EXISTS pg_temp.${keyTable}`);
+  }
+
   async extractTableData(connection, tableName, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Data service not initialized. Call initialize() first.');
@@ -321,7 +503,11 @@ class DataService {
     }
   }
 
-  async getTableColumns(connection, tableName) {
+  qualifyTableName(tableName, schema = null) {
+    return schema ? `"${schema}"."${tableName}"` : `"${tableName}"`;
+  }
+
+  async getTableColumns(connection, tableName, schema = null) {
     try {
       const query = `
         SELECT 
@@ -331,17 +517,94 @@ class DataService {
           column_default
         FROM information_schema.columns 
         WHERE table_name = $1 
-        AND table_schema = 'public'
+        AND table_schema = $2
         ORDER BY ordinal_position;
       `;
 
-      const result = await connection.query(query, [tableName]);
+      const result = await connection.query(query, [tableName, schema || 'public']);
       return result.rows;
     } catch (error) {
       throw new Error(`Failed to get columns for table ${tableName}: ${error.message}`);
     }
   }
 
+  async getPrimaryKeyColumns(connection, tableName) {
+    try {
+      const query = `
+        SELECT kcu.column_name
+        FROM information_schema.table_constraints tc
+        JOIN information_schema.key_column_usage kcu
+          ON tc.constraint_name = kcu.constraint_name
+          AND tc.table_schema = kcu.table_schema
+        WHERE tc.constraint_type = 'PRIMARY KEY'
+        AND tc.table_name = $1
+        AND tc.table_schema = 'public'
+        ORDER BY kcu.ordinal_position;
+      `;
+
+      const result = await connection.query(query, [tableName]);
+      return result.rows.map(row => row.column_name);
+    } catch (error) {
+      throw new Error(`Failed to get primary key for table ${tableName}: ${error.message}`);
+    }
+  }
+
+  async getOwnedSequences(connection, tableNames) {
+    try {
+      // deptype 'a' links a serial column's sequence, 'i' an identity column's
+      const query = `
+        SELECT
+          cls.relname AS table_name,
+          att.attname AS column_name,
+          seq.oid::regclass::text AS sequence_name
+        FROM pg_depend dep
+        JOIN pg_class seq ON seq.oid = dep.objid AND seq.relkind = 'S'
+        JOIN pg_class cls ON cls.oid = dep.refobjid
+        JOIN pg_namespace nsp ON nsp.oid = cls.relnamespace
+        JOIN pg_attribute att ON att.attrelid = dep.refobjid AND att.attnum = dep.refobjsubid
+        WHERE dep.classid = 'pg_class'::regclass
+        AND dep.deptype IN ('a', 'i')
+        AND nsp.nspname = 'public'
+        AND cls.relname = ANY($1)
+        ORDER BY cls.relname, att.attnum;
+      `;
+
+      const result = await connection.query(query, [tableNames]);
+      return result.rows.map(row => ({
+        tableName: row.table_name,
+        columnName: row.column_name,
+        sequenceName: row.sequence_name
+      }));
+    } catch (error) {
+      throw new Error(`Failed to get sequences: ${error.message}`);
+    }
+  }
+
+  async resetSequences(connection, tableNames) {
+    const sequences = await this.getOwnedSequences(connection, tableNames);
+    const results = [];
+
+    for (const { tableName, columnName, sequenceName } of sequences) {
+      try {
+        // An empty table returns no row and leaves its sequence alone
+        const result = await connection.query(
+          `SELECT setval($1, MAX("${columnName}")) AS value FROM "${tableName}" HAVING MAX("${columnName}") IS NOT NULL`,
+          [sequenceName]
+        );
+        results.push({
+          tableName,
+          columnName,
+          sequenceName,
+          value: result.rows.length > 0 ? result.rows[0].value : null
+        });
+      } catch (error) {
+        throw new Error(`Failed to reset sequence ${sequenceName}: ${error.message}`);
+      }
+    }
+
+    return results;
+  }
+
   async insertTableData(connection, tableName, data, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Data service not initialized. Call initialize() first.');
@@ -360,7 +623,9 @@ class DataService {
     const {
       clearFirst = false,
       onConflict = 'error',
-      batchSize = this.batchSize
+      conflictColumns = [],
+      batchSize = this.batchSize,
+      schema = null
     } = options;
 
     try {
@@ -372,7 +637,7 @@ class DataService {
         await this.clearTableData(connection, tableName);
       }
 
-      const columns = await this.getTableColumns(connection, tableName);
+      const columns = await this.getTableColumns(connection, tableName, schema);
       const columnNames = columns.map(col => col.column_name);
 
       for (let i = 0; i < data.length; i += batchSize) {
@@ -385,7 +650,9 @@ class DataService {
             tableName,
             batch,
             columnNames,
-            onConflict
+            onConflict,
+            conflictColumns,
+            schema
           );
           totalInserted += batchResult.insertedRows;
         } catch (error) {
@@ -415,7 +682,7 @@ class DataService {
     }
   }
 
-  async insertBatch(connection, tableName, batch, columnNames, onConflict) {
+  async insertBatch(connection, tableName, batch, columnNames, onConflict, conflictColumns = [], schema = null) {
     if (batch.length === 0) {
       return { insertedRows: 0 };
     }
@@ -427,6 +694,25 @@ class DataService {
       throw new Error(`No valid columns found for table ${tableName}`);
     }
 
+    // Wide tables get several statements per batch, each under the parameter limit
+    const rowsPerStatement = Math.floor(this.maxParameters / validColumns.length);
+    if (batch.length > rowsPerStatement) {
+      let insertedRows = 0;
+      for (let i = 0; i < batch.length; i += rowsPerStatement) {
+        const result = await this.insertBatch(
+          connection,
+          tableName,
+          batch.slice(i, i + rowsPerStatement),
+          columnNames,
+          onConflict,
+          conflictColumns,
+          schema
+        );
+        insertedRows += result.insertedRows;
+      }
+      return { insertedRows };
+    }
+
     const placeholders = batch.map((_, rowIndex) => {
       const rowPlaceholders = validColumns.map((_, colIndex) =>
         `$${rowIndex * validColumns.length + colIndex + 1}`
@@ -436,16 +722,9 @@ class DataService {
 
     const columnsList = validColumns.map(col => `"${col}"`).join(', ');
 
-    let query = `INSERT INTO "${tableName}" (${columnsList}) VALUES ${placeholders}`;
+    let query = `INSERT INTO ${this.qualifyTableName(tableName, schema)} (${columnsList}) VALUES ${placeholders}`;
 
-    if (onConflict === 'skip') {
-      query += ' ON CONFLICT DO NOTHING';
-    } else if (onConflict === 'update') {
-      const updateSet = validColumns
-        .map(col => `"${col}" = EXCLUDED."${col}"`)
-        .join(', ');
-      query += ` ON CONFLICT DO UPDATE SET ${updateSet}`;
-    }
+    query += this.buildConflictClause(validColumns, onConflict, conflictColumns);
 
     const values = [];
     batch.forEach(row => {
@@ -486,6 +765,219 @@ class DataService {
     }
   }
 
+  /**
+   * Sets columns of a table to the values held for its keys in a key table
+   * (see createKeyTable), in one statement
+   * @param {Object} connection - Database connection
+   * @param {string} tableName - Table name
+   * @param {string} keyTable - Quoted name of the key table
+   * @param {Object} options - { keyColumns, columns, schema }
+   * @returns {Promise<number>} Number of updated rows
+   */
+  async updateColumnsFrom(connection, tableName, keyTable, options = {}) {
+    const { keyColumns, columns, schema = null } = options;
+    const setList = columns.map(col => `"${col}" = v."${col}"`).join(', ');
+    const match = keyColumns.map(col => `t."${col}" = v."${col}"`).join(' AND ');
+
+    try {
+      const result = await connection.query(
+        `UPDATE ${this.qualifyTableName(tableName, schema)} AS t SET ${setList} FROM ${keyTable} AS v WHERE ${match}`
+      );
+      return result.rowCount || 0;
+    } catch (error) {
+      throw new Error(`Failed to update ${columns.join(', ')} of table ${tableName}: ${error.message}`);
+    }
+  }
+
+  buildConflictClause(columns, onConflict, conflictColumns = []) {
+    const conflictTarget = conflictColumns.length > 0
+      ? ` (${conflictColumns.map(col => `"${col}"`).join(', ')})`
+      : '';
+
+    if (onConflict === 'skip') {
+      return ` ON CONFLICT${conflictTarget} DO NOTHING`;
+    }
+
+    if (onConflict === 'update') {
+      const updateColumns = columns.filter(col => !conflictColumns.includes(col));
+
+      if (updateColumns.length === 0) {
+        return ` ON CONFLICT${conflictTarget} DO NOTHING`;
+      }
+
+      const updateSet = updateColumns
+        .map(col => `"${col}" = EXCLUDED."${col}"`)
+        .join(', ');
+      return ` ON CONFLICT${conflictTarget} DO UPDATE SET ${updateSet}`;
+    }
+
+    return '';
+  }
+
+  async copyTableData(connection, tableName, data, options = {}) {
+    if (!this.isInitialized) {
+      throw new Error('Data service not initialized. Call initialize() first.');
+    }
+
+    if (!data || data.length === 0) {
+      return {
+        tableName,
+        insertedRows: 0,
+        totalRows: 0,
+        success: true,
+        batches: 0
+      };
+    }
+
+    const {
+      clearFirst = false,
+      onConflict = 'error',
+      conflictColumns = [],
+      schema = null
+    } = options;
+
+    try {
+      if (clearFirst) {
+        await this.clearTableData(connection, tableName);
+      }
+
+      const columns = await this.getTableColumns(connection, tableName, schema);
+      const dataKeys = Object.keys(data[0]);
+      const validColumns = columns.map(col => col.column_name).filter(col => dataKeys.includes(col));
+
+      if (validColumns.length === 0) {
+        throw new Error(`No valid columns found for table ${tableName}`);
+      }
+
+      try {
+        const insertedRows = onConflict === 'error'
+          ? await this.copyRows(connection, this.qualifyTableName(tableName, schema), data, validColumns)
+          : await this.copyViaTempTable(connection, tableName, data, validColumns, onConflict, conflictColumns, schema);
+
+        return {
+          tableName,
+          insertedRows,
+          totalRows: data.length,
+          success: true,
+          batches: 1,
+          errors: []
+        };
+      } catch (error) {
+        if (error.message.includes('does not exist') || error.message.includes('permission')) {
+          throw error;
+        }
+
+        logger.debug(`COPY failed for table ${tableName}:`, {
+          error: error.message,
+          code: error.code,
+          rows: data.length,
+          columns: validColumns
+        });
+
+        return {
+          tableName,
+          insertedRows: 0,
+          totalRows: data.length,
+          success: false,
+          batches: 1,
+          errors: [{
+            batchNumber: 1,
+            batchSize: data.length,
+            error: `COPY failed: ${error.message}`,
+            timestamp: new Date().toISOString()
+          }]
+        };
+      }
+    } catch (error) {
+      throw new Error(`Failed to copy data into table ${tableName}: ${error.message}`);
+    }
+  }
+
+  async copyRows(connection, target, rows, columns) {
+    const columnsList = columns.map(col => `"${col}"`).join(', ');
+    const stream = connection.query(copyFrom(`COPY ${target} (${columnsList}) FROM STDIN WITH (FORMAT csv)`));
+
+    await pipeline(Readable.from(rows.map(row => this.formatCopyRow(row, columns))), stream);
+    return stream.rowCount;
+  }
+
+  async copyViaTempTable(connection, tableName, rows, columns, onConflict, conflictColumns = [], schema = null) {
+    // COPY has no ON CONFLICT, so load into a temp table and upsert from there.
+    // The name is hashed so long table names stay within PostgreSQL's 63 bytes
+    const hash = createHash('md5').update([schema, tableName].join('.')).digest('hex');
+    const tempTable = `"metaexodus_copy_${hash.slice(0, 16)}"`;
+    const columnsList = columns.map(col => `"${col}"`).join(', ');
+
+    await connection.query(`DROP TABLE IF EXISTS pg_temp.${tempTable}`);
+    await connection.query(
+      `CREATE TEMP TABLE ${tempTable} (LIKE ${this.qualifyTableName(tableName, schema)} INCLUDING DEFAULTS)`
+    );
+    await this.copyRows(connection, tempTable, rows, columns);
+
+    const result = await connection.query(
+      `INSERT INTO ${this.qualifyTableName(tableName, schema)} (${columnsList}) ` +
+      `SELECT ${columnsList} FROM ${tempTable}` +
+      this.buildConflictClause(columns, onConflict, conflictColumns)
+    );
+
+    // Only dropped on success: after a failure the transaction may be aborted,
+    // and the next call drops the leftover table first
+    await connection.query(`DROP TABLE ${tempTable}`);
+    return result.rowCount || 0;
+  }
+
+  formatCopyRow(row, columns) {
+    return `${columns.map(col => this.formatCopyValue(row[col])).join(',')}\n`;
+  }
+
+  formatCopyValue(value) {
+    // Unquoted empty fields are NULL in CSV COPY; empty strings become NULL
+    // here too, as in insertBatch
+    if (value === null || value === undefined || value === '') {
+      return '';
+    }
+
+    return `"${this.toCopyText(value).replace(/"/g, '""')}"`;
+  }
+
+  toCopyText(value) {
+    if (Buffer.isBuffer(value)) {
+      return `\\x${value.toString('hex')}`;
+    }
+
+    // The text pg sends for a Date bound to an INSERT, so timestamp without
+    // time zone columns store the same value whichever loader is used
+    if (value instanceof Date) {
+      return pgUtils.prepareValue(value);
+    }
+
+    if (Array.isArray(value)) {
+      return this.formatArrayLiteral(value);
+    }
+
+    if (typeof value === 'object') {
+      return JSON.stringify(value);
+    }
+
+    return String(value);
+  }
+
+  formatArrayLiteral(values) {
+    const elements = values.map(element => {
+      if (element === null || element === undefined) {
+        return 'NULL';
+      }
+
+      if (Array.isArray(element)) {
+        return this.formatArrayLiteral(element);
+      }
+
+      return `"${this.toCopyText(element).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    });
+
+    return `{${elements.join(',')}}`;
+  }
+
   async syncTableData(sourceConnection, targetConnection, tableName, options = {}) {
     if (!this.isInitialized) {
       throw new Error('Data service not initialized. Call initialize() first.');
@@ -225,6 +225,54 @@ class DataTransformationService {
     }
   }
 
+  /**
+   * Checks whether PostgreSQL can store a value in a column of the given type
+   * @param {any} value - Value to check
+   * @param {string} dataType - information_schema data_type of the column
+   * @returns {boolean} True when the value fits (or the type is not checked)
+   */
+  isValidForType(value, dataType) {
+    if (value === null || value === undefined || !dataType) {
+      return true;
+    }
+
+    const text = String(value).trim();
+    const isInteger = () => /^[-+]?\d+$/.test(text);
+    const isNumber = () => text !== '' && !isNaN(Number(text));
+    const isDate = () => value instanceof Date || !isNaN(Date.parse(text));
+    const isJson = () => {
+      if (typeof value === 'object') {
+        return true;
+      }
+      try {
+        JSON.parse(text);
+        return true;
+      } catch {
+        return false;
+      }
+    };
+
+    const checks = {
+      'integer': isInteger,
+      'bigint': isInteger,
+      'smallint': isInteger,
+      'numeric': isNumber,
+      'real': isNumber,
+      'double precision': isNumber,
+      'boolean': () => typeof value === 'boolean' ||
+        ['true', 'false', 't', 'f', '1', '0', 'yes', 'no', 'y', 'n', 'on', 'off'].includes(text.toLowerCase()),
+      'date': isDate,
+      'timestamp without time zone': isDate,
+      'timestamp with time zone': isDate,
+      'uuid': () => /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i.test(text),
+      'json': isJson,
+      'jsonb': isJson
+    };
+
+    const check = checks[dataType.toLowerCase()];
+    return check ? check() : true;
+  }
+
   /**
    * Validates transformed data against schema constraints
    * @param {Array} data - Transformed data
@@ -246,6 +294,19 @@ class DataTransformationService {
           });
         }
       });
+
+      schema.forEach(col => {
+        if (!this.isValidForType(row[col.column_name], col.data_type)) {
+          issues.push({
+            type: 'type_mismatch',
+            row: index,
+            column: col.column_name,
+            value: row[col.column_name],
+            dataType: col.data_type,
+            message: `Value '${row[col.column_name]}' is not a valid ${col.data_type} for column '${col.column_name}'`
+          });
+        }
+      });
     });
 
     return {
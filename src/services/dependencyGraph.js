@@ -0,0 +1,181 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, extname } from 'path';
+import { dataService } from './data.js';
+
+/**
+ * Service for exporting the table dependency graph MetaExodus loads by, as
+ * Graphviz DOT, Mermaid or JSON. Edges follow the foreign keys, from the
+ * referencing table to the table it references.
+ */
+class DependencyGraphService {
+  constructor() {
+    this.formats = { '.dot': 'dot', '.gv': 'dot', '.mmd': 'mermaid', '.mermaid': 'mermaid', '.md': 'mermaid', '.json': 'json' };
+  }
+
+  /**
+   * Picks the graph format from the file extension
+   * @param {string} outputPath - Output file path
+   * @returns {string} 'dot', 'mermaid' or 'json' (DOT for unknown extensions)
+   */
+  formatFor(outputPath) {
+    return this.formats[extname(outputPath).toLowerCase()] || 'dot';
+  }
+
+  /**
+   * Builds the graph of the selected tables and the tables they reference
+   * @param {Object} input - { selected: table names, excluded: Metabase tables left out, dependencies, cycles }
+   * @returns {Object} { nodes, edges, insertionOrder, cycles }
+   */
+  build({ selected, excluded = [], dependencies, cycles = [] }) {
+    const insertionOrder = dataService.sortTablesByDependencies(selected, dependencies);
+    const cycleOf = new Map();
+    cycles.forEach((cycle, index) => cycle.forEach(name => cycleOf.set(name, index)));
+
+    const nodes = new Map(insertionOrder.map((name, index) => [name, {
+      name,
+      status: 'selected',
+      position: index + 1,
+      cycle: cycleOf.has(name) ? cycleOf.get(name) : null
+    }]));
+    const edges = [];
+    const seen = new Set();
+
+    insertionOrder.forEach(name => {
+      (dependencies[name] || []).forEach(referenced => {
+        // A table referenced through several foreign keys gets one edge
+        const key = JSON.stringify([name, referenced]);
+        if (seen.has(key)) {
+          return;
+        }
+        seen.add(key);
+
+        if (!nodes.has(referenced)) {
+          nodes.set(referenced, {
+            name: referenced,
+            status: excluded.includes(referenced) ? 'excluded' : 'missing',
+            position: null,
+            cycle: null
+          });
+        }
+        edges.push({
+          from: name,
+          to: referenced,
+          cyclic: cycleOf.has(name) && cycleOf.get(name) === cycleOf.get(referenced)
+        });
+      });
+    });
+
+    return { nodes: [...nodes.values()], edges, insertionOrder, cycles };
+  }
+
+  /**
+   * Renders a graph from build
+   * @param {Object} graph - Graph
+   * @param {string} format - 'dot', 'mermaid' or 'json'
+   * @returns {string} Rendered graph
+   */
+  render(graph, format) {
+    const renderers = {
+      dot: () => this.toDot(graph),
+      mermaid: () => this.toMermaid(graph),
+      json: () => `${JSON.stringify(graph, null, 2)}\n`
+    };
+
+    if (!renderers[format]) {
+      throw new Error(`Unknown graph format "${format}" (expected dot, mermaid or json)`);
+    }
+    return renderers[format]();
+  }
+
+  /**
+   * Writes a rendered graph to a file. Mermaid written to a Markdown file is
+   * wrapped in a mermaid code block so the page renders it.
+   * @param {string} outputPath - Output file path
+   * @param {Object} graph - Graph
+   * @param {string} format - Format, picked from the extension when omitted
+   * @returns {string} Format that was written
+   */
+  write(outputPath, graph, format = this.formatFor(outputPath)) {
+    let rendered = this.render(graph, format);
+    if (format === 'mermaid' && extname(outputPath).toLowerCase() === '.md') {
+      rendered = `\`\`\`mermaid\n${rendered}\`\`\`\n`;
+    }
+    mkdirSync(dirname(outputPath), { recursive: true });
+    writeFileSync(outputPath, rendered);
+    return format;
+  }
+
+  toDot(graph) {
+    const quote = value => `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    const lines = ['digraph dependencies {', '  rankdir=RL;', '  node [shape=box];'];
+
+    graph.nodes.forEach(node => {
+      const attributes = [`label=${quote(this.label(node))}`];
+      if (node.status === 'missing') {
+        attributes.push('style=dashed', 'color=orange');
+      } else if (node.status === 'excluded') {
+        attributes.push('style=dashed', 'color=gray');
+      } else if (node.cycle !== null) {
+        attributes.push('color=red');
+      }
+      lines.push(`  ${quote(node.name)} [${attributes.join(', ')}];`);
+    });
+
+    graph.edges.forEach(edge => {
+      lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${edge.cyclic ? ' [color=red]' : ''};`);
+    });
+
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  toMermaid(graph) {
+    // Table names are not valid Mermaid ids, so nodes are numbered
+    const ids = new Map(graph.nodes.map((node, index) => [node.name, `n${index}`]));
+    const lines = ['flowchart RL'];
+    const classes = { cycle: [], missing: [], excluded: [] };
+
+    graph.nodes.forEach(node => {
+      lines.push(`  ${ids.get(node.name)}["${this.label(node).replace(/"/g, '#quot;')}"]`);
+      if (node.status !== 'selected') {
+        classes[node.status].push(ids.get(node.name));
+      } else if (node.cycle !== null) {
+        classes.cycle.push(ids.get(node.name));
+      }
+    });
+
+    graph.edges.forEach(edge => {
+      lines.push(`  ${ids.get(edge.from)} --> ${ids.get(edge.to)}`);
+    });
+
+    const cyclicEdges = graph.edges.flatMap((edge, index) => (edge.cyclic ? [index] : []));
+    if (cyclicEdges.length > 0) {
+      lines.push(`  linkStyle ${cyclicEdges.join(',')} stroke:#d00`);
+    }
+
+    lines.push(
+      '  classDef cycle stroke:#d00,stroke-width:2px',
+      '  classDef missing stroke:#e69500,stroke-dasharray:5 5',
+      '  classDef excluded stroke:#888,stroke-dasharray:5 5'
+    );
+    Object.entries(classes)
+      .filter(([, members]) => members.length > 0)
+      .forEach(([name, members]) => lines.push(`  class ${members.join(',')} ${name}`));
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  label(node) {
+    if (node.status === 'missing') {
+      return `${node.name} (not in Metabase)`;
+    }
+    if (node.status === 'excluded') {
+      return `${node.name} (excluded)`;
+    }
+    return `${node.position}. ${node.name}`;
+  }
+}
+
+const dependencyGraphService = new DependencyGraphService();
+
+export { DependencyGraphService, dependencyGraphService };
@@ -0,0 +1,269 @@
+import { closeSync, mkdirSync, openSync, writeSync } from 'fs';
+import { dirname } from 'path';
+
+import { dataService } from './data.js';
+import { dataTransformationService } from './dataTransformation.js';
+import { metabaseService } from './metabase.js';
+import { verificationService } from './verification.js';
+
+/**
+ * Service for comparing Metabase rows with local rows by primary key,
+ * without writing anything
+ */
+class DiffService {
+  constructor() {
+    // Key types every database orders alike. Text keys (and UUIDs, which some
+    // databases store as text) sort by collation, which may differ between
+    // the database behind Metabase and the local one
+    this.rangeKeyTypes = [
+      'type/Integer', 'type/BigInteger', 'type/Decimal', 'type/Float', 'type/Number',
+      'type/Date', 'type/DateTime', 'type/DateTimeWithTZ', 'type/DateTimeWithLocalTZ', 'type/Time'
+    ];
+  }
+
+  /**
+   * Diffs every table, optionally writing each difference to an NDJSON file
+   * @param {Object} connection - Local database connection
+   * @param {Array} tables - Metabase tables with their fields
+   * @param {Object} options - { enumMap, dumpPath, onTable: called with each table result }
+   * @returns {Promise<Object>} { results, added, removed, changed, differentTables, failedTables }
+   */
+  async diffTables(connection, tables, options = {}) {
+    const { enumMap = {}, dumpPath = null, onTable = null } = options;
+    let dump = null;
+    if (dumpPath) {
+      mkdirSync(dirname(dumpPath), { recursive: true });
+      dump = openSync(dumpPath, 'w');
+    }
+    const write = dump === null ? null : difference => writeSync(dump, `${JSON.stringify(difference)}\n`);
+
+    const results = [];
+    try {
+      for (const table of tables) {
+        let result;
+        try {
+          result = await this.diffTable(connection, table, { enumMap, write });
+        } catch (error) {
+          result = this.emptyResult(table.name, []);
+          result.error = error.message;
+        }
+        results.push(result);
+        if (onTable) {
+          onTable(result, results.length);
+        }
+      }
+    } finally {
+      if (dump !== null) {
+        closeSync(dump);
+      }
+    }
+
+    const total = key => results.reduce((sum, result) => sum + result[key], 0);
+    return {
+      results,
+      added: total('added'),
+      removed: total('removed'),
+      changed: total('changed'),
+      differentTables: results.filter(result => result.added + result.removed + result.changed > 0).length,
+      failedTables: results.filter(result => result.error).length
+    };
+  }
+
+  /**
+   * Diffs one table by primary key. Metabase rows arrive in key-ordered
+   * batches (transformed as a sync would write them). For numeric and date
+   * keys each batch is matched against the local rows in the same key range.
+   * Other keys may sort differently on each side, so each batch is matched
+   * against the local rows with its keys, and the keys are collected in a
+   * temp table to find the local rows Metabase does not have. Local rows are
+   * read in chunks, so neither side is held in memory as a whole.
+   * @param {Object} connection - Local database connection
+   * @param {Object} table - Metabase table with its fields
+   * @param {Object} options - { enumMap, write: called with each difference }
+   * @returns {Promise<Object>} { tableName, keyColumns, added, removed, changed, unchanged, error }
+   */
+  async diffTable(connection, table, options = {}) {
+    const { enumMap = {}, write = null } = options;
+    const keyColumns = await dataService.getPrimaryKeyColumns(connection, table.name);
+    const result = this.emptyResult(table.name, keyColumns);
+
+    if (keyColumns.length === 0) {
+      result.error = 'No primary key to match rows by';
+      return result;
+    }
+
+    const keyFields = metabaseService.findKeyFields(table.fields);
+    if (JSON.stringify(keyFields.map(field => field.name)) !== JSON.stringify(keyColumns)) {
+      result.error = `Metabase does not page this table by its primary key (${keyColumns.join(', ')})`;
+      return result;
+    }
+
+    const report = difference => {
+      if (difference.type === 'unchanged') {
+        result.unchanged++;
+        return;
+      }
+      result[difference.type]++;
+      if (write) {
+        write({ table: table.name, ...difference });
+      }
+    };
+
+    const extract = async compareBatch => {
+      const extractResult = await metabaseService.extractAllTableData(table.id, table.name, async batch => {
+        const remoteRows = await dataTransformationService.transformTableData(connection, table.name, batch.batchData, enumMap);
+        await compareBatch(remoteRows, batch.lastKey);
+      }, {
+        fields: table.fields,
+        retainData: false
+      });
+      if (!extractResult.success) {
+        throw new Error(`Could not read Metabase rows: ${extractResult.error}`);
+      }
+    };
+
+    if (keyFields.every(field => this.rangeKeyTypes.includes(field.base_type))) {
+      let after = null;
+      await extract(async (remoteRows, lastKey) => {
+        await this.compareRange(connection, table.name, keyColumns, remoteRows, { after, upTo: lastKey }, report);
+        after = lastKey;
+      });
+
+      // Local rows past the last Metabase row are gone upstream
+      await this.compareRange(connection, table.name, keyColumns, [], { after, upTo: null }, report);
+      return result;
+    }
+
+    const keyTable = await dataService.createKeyTable(connection, table.name, keyColumns);
+    try {
+      await extract(async remoteRows => {
+        await dataService.copyRows(connection, keyTable, remoteRows, keyColumns);
+        const keys = remoteRows.map(row => keyColumns.map(column => row[column]));
+        await this.compareRange(connection, table.name, keyColumns, remoteRows, { keys }, report);
+      });
+
+      // Local rows whose key never came from Metabase are gone upstream
+      await this.compareRange(connection, table.name, keyColumns, [], { missingFrom: keyTable }, report);
+    } finally {
+      await dataService.dropKeyTable(connection, keyTable);
+    }
+
+    return result;
+  }
+
+  emptyResult(tableName, keyColumns) {
+    return { tableName, keyColumns, added: 0, removed: 0, changed: 0, unchanged: 0, error: null };
+  }
+
+  /**
+   * Matches the Metabase rows of one key range with the local rows of the
+   * same range, reading the local rows in key-ordered chunks. The range can
+   * also be a list of keys, or the keys missing from a key table.
+   * @param {Object} connection - Local database connection
+   * @param {string} tableName - Table name
+   * @param {Array} keyColumns - Primary key columns
+   * @param {Array} remoteRows - Transformed Metabase rows of the range
+   * @param {Object} range - { after: key the range starts past (null for the first), upTo: last key (null for no end) },
+   *   { keys } or { missingFrom }
+   * @param {Function} report - Called with each difference, and { type: 'unchanged' } for matching rows
+   * @returns {Promise<void>}
+   */
+  async compareRange(connection, tableName, keyColumns, remoteRows, range, report) {
+    const unmatched = new Map(remoteRows.map(row => [this.rowKey(row, keyColumns), row]));
+    let after = range.after;
+    let hasMore = true;
+
+    while (hasMore) {
+      const chunk = await dataService.extractTableDataByKey(connection, tableName, keyColumns, { ...range, after });
+
+      chunk.rows.forEach(localRow => {
+        const key = this.rowKey(localRow, keyColumns);
+        const row = unmatched.get(key);
+        if (!row) {
+          report({ type: 'removed', key: this.pick(localRow, keyColumns), row: localRow });
+          return;
+        }
+
+        unmatched.delete(key);
+        const changes = this.compareRows(row, localRow);
+        if (Object.keys(changes).length === 0) {
+          report({ type: 'unchanged' });
+        } else {
+          report({ type: 'changed', key: this.pick(row, keyColumns), changes });
+        }
+      });
+
+      hasMore = chunk.hasMore;
+      after = chunk.lastKey;
+    }
+
+    unmatched.forEach(row => report({ type: 'added', key: this.pick(row, keyColumns), row }));
+  }
+
+  /**
+   * Lists the columns whose Metabase and local values differ
+   * @param {Object} remote - Metabase row
+   * @param {Object} local - Local row
+   * @returns {Object} { column: { metabase, local } }
+   */
+  compareRows(remote, local) {
+    const changes = {};
+
+    Object.keys(remote)
+      .filter(column => column in local)
+      .forEach(column => {
+        if (!this.valuesEqual(remote[column], local[column])) {
+          changes[column] = { metabase: remote[column], local: local[column] };
+        }
+      });
+
+    return changes;
+  }
+
+  /**
+   * Compares a Metabase value with a local one. JSON columns are compared by
+   * content, everything else like verification does (numbers and dates by value).
+   * @param {any} remote - Value from Metabase
+   * @param {any} local - Value from the local database
+   * @returns {boolean} Whether the values are equal
+   */
+  valuesEqual(remote, local) {
+    const isJson = value => typeof value === 'object' && value !== null && !(value instanceof Date);
+
+    if (isJson(remote) || isJson(local)) {
+      return this.toJson(remote) === this.toJson(local);
+    }
+
+    return verificationService.valuesMatch(remote ?? null, local ?? null);
+  }
+
+  toJson(value) {
+    if (typeof value === 'string') {
+      try {
+        return JSON.stringify(JSON.parse(value));
+      } catch {
+        return JSON.stringify(value);
+      }
+    }
+    return JSON.stringify(value);
+  }
+
+  rowKey(row, keyColumns) {
+    return JSON.stringify(keyColumns.map(column => {
+      const value = row[column];
+      return value === null || value === undefined ? null : String(value);
+    }));
+  }
+
+  pick(row, columns) {
+    const picked = {};
+    columns.forEach(column => {
+      picked[column] = row[column];
+    });
+    return picked;
+  }
+}
+
+const diffService = new DiffService();
+
+export { DiffService, diffService };
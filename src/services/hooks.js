@@ -0,0 +1,155 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'fs';
+import { basename, extname, join, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+import { HOOK_EVENTS } from '../config/sync.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for running user hooks (SQL scripts and JS modules) at fixed points
+ * of a sync
+ */
+class HookService {
+  constructor() {
+    this.extensions = ['.sql', '.js', '.mjs'];
+    this.hooks = new Map();
+  }
+
+  /**
+   * Collects the hook files of every event: first those found in the hooks
+   * directory (<dir>/<event>.sql or any file in <dir>/<event>/, by name),
+   * then those listed in the config
+   * @param {Object|null} config - { directory, beforeSync: [files], ... }
+   * @returns {Map} Hook files by event
+   */
+  load(config) {
+    this.hooks = new Map();
+    if (!config) {
+      return this.hooks;
+    }
+
+    const directoryHooks = config.directory ? this.scanDirectory(config.directory) : {};
+
+    for (const event of HOOK_EVENTS) {
+      const files = [...(directoryHooks[event] || []), ...(config[event] || [])];
+      files.forEach(file => this.checkFile(file));
+      if (files.length > 0) {
+        this.hooks.set(event, files);
+      }
+    }
+
+    return this.hooks;
+  }
+
+  /**
+   * Finds hook files in a hooks directory
+   * @param {string} directory - Hooks directory
+   * @returns {Object} Hook files by event
+   */
+  scanDirectory(directory) {
+    if (!existsSync(directory) || !statSync(directory).isDirectory()) {
+      throw new Error(`Hooks directory not found: ${directory}`);
+    }
+
+    const found = {};
+    for (const entry of readdirSync(directory).sort()) {
+      const path = join(directory, entry);
+      const extension = extname(entry);
+
+      if (statSync(path).isDirectory()) {
+        if (HOOK_EVENTS.includes(entry)) {
+          const files = readdirSync(path).sort()
+            .filter(file => this.extensions.includes(extname(file)))
+            .map(file => join(path, file));
+          found[entry] = [...(found[entry] || []), ...files];
+        }
+      } else if (this.extensions.includes(extension) && HOOK_EVENTS.includes(basename(entry, extension))) {
+        const event = basename(entry, extension);
+        found[event] = [path, ...(found[event] || [])];
+      }
+    }
+
+    return found;
+  }
+
+  checkFile(file) {
+    if (!this.extensions.includes(extname(file))) {
+      throw new Error(`Unsupported hook file ${file}: use .sql, .js or .mjs`);
+    }
+    if (!existsSync(file)) {
+      throw new Error(`Hook file not found: ${file}`);
+    }
+  }
+
+  /**
+   * Tells whether any hook is registered for an event
+   * @param {string} event - Hook event
+   * @returns {boolean} True when the event has hooks
+   */
+  has(event) {
+    return this.hooks.has(event);
+  }
+
+  /**
+   * Runs the hooks of an event in order. SQL hooks run on context.connection,
+   * with {{table}} replaced by the quoted name of the table being loaded; JS
+   * hooks have their default export called with the context.
+   * @param {string} event - Hook event
+   * @param {Object} context - { connection, table, schema, stats, config, error, ... }
+   * @returns {Promise<number>} Number of hooks run
+   */
+  async run(event, context) {
+    const files = this.hooks.get(event) || [];
+
+    for (const file of files) {
+      logger.debug(`Running ${event} hook ${file}`);
+      try {
+        if (extname(file) === '.sql') {
+          if (!context.connection) {
+            throw new Error('no local database connection is open');
+          }
+          await context.connection.query(this.renderSql(readFileSync(file, 'utf8'), context));
+        } else {
+          await this.runModule(file, { ...context, event });
+        }
+      } catch (error) {
+        throw new Error(`${event} hook ${file} failed: ${error.message}`);
+      }
+    }
+
+    return files.length;
+  }
+
+  /**
+   * Imports a JS hook and calls its default export
+   * @param {string} file - Module path
+   * @param {Object} context - Hook context
+   */
+  async runModule(file, context) {
+    const module = await import(pathToFileURL(resolve(file)).href);
+    if (typeof module.default !== 'function') {
+      throw new Error('the module must export a default function');
+    }
+
+    await module.default(context);
+  }
+
+  /**
+   * Fills the {{table}} placeholder of a SQL hook
+   * @param {string} sql - Hook SQL
+   * @param {Object} context - Hook context
+   * @returns {string} SQL to run
+   */
+  renderSql(sql, { table, schema }) {
+    if (!table) {
+      return sql;
+    }
+
+    const target = schema ? `"${schema}"."${table}"` : `"${table}"`;
+    return sql.replace(/\{\{\s*table\s*\}\}/g, target);
+  }
+}
+
+const hookService = new HookService();
+
+export { HookService, hookService };
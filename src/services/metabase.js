@@ -86,7 +86,9 @@ class MetabaseService {
             name: field.name,
             display_name: field.display_name,
             base_type: field.base_type,
-            semantic_type: field.semantic_type
+            semantic_type: field.semantic_type,
+            database_is_auto_increment: field.database_is_auto_increment,
+            position: field.position
           })) || []
         }))
       };
@@ -98,12 +100,91 @@ class MetabaseService {
     }
   }
 
+  async getTableFields(tableId) {
+    if (!this.isAuthenticated) {
+      throw new Error('Not authenticated. Call authenticate() first.');
+    }
+
+    try {
+      const response = await axios.get(`${this.baseURL}/api/table/${tableId}/query_metadata`, {
+        headers: {
+          'X-Metabase-Session': this.sessionToken
+        }
+      });
+
+      return {
+        success: true,
+        fields: (response.data.fields || []).map(field => ({
+          id: field.id,
+          name: field.name,
+          display_name: field.display_name,
+          base_type: field.base_type,
+          semantic_type: field.semantic_type,
+          database_is_auto_increment: field.database_is_auto_increment,
+          position: field.position
+        }))
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  findKeyFields(fields = []) {
+    const byPosition = (a, b) => (a.position ?? 0) - (b.position ?? 0);
+
+    const primaryKeys = fields.filter(field => field.semantic_type === 'type/PK');
+    if (primaryKeys.length > 0) {
+      return [...primaryKeys].sort(byPosition);
+    }
+
+    const autoIncrement = fields.find(field => field.database_is_auto_increment);
+    if (autoIncrement) {
+      return [autoIncrement];
+    }
+
+    const idField = fields.find(field => field.name === 'id');
+    return idField ? [idField] : [];
+  }
+
+  isOrderableField(field) {
+    return !['type/Structured', 'type/JSON', 'type/SerializedJSON', 'type/Dictionary', 'type/Array']
+      .includes(field.base_type);
+  }
+
+  fieldRef(field) {
+    return ['field', field.id, null];
+  }
+
+  // Lexicographic "row key > after" for a (possibly composite) key:
+  // (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+  buildKeysetFilter(keyFields, after) {
+    const clauses = keyFields.map((field, index) => {
+      const equalities = keyFields.slice(0, index).map((prev, prevIndex) =>
+        ['=', this.fieldRef(prev), after[prevIndex]]
+      );
+      const greater = ['>', this.fieldRef(field), after[index]];
+      return equalities.length > 0 ? ['and', ...equalities, greater] : greater;
+    });
+
+    return clauses.length === 1 ? clauses[0] : ['or', ...clauses];
+  }
+
   async queryTable(tableId, options = {}) {
     if (!this.isAuthenticated) {
       throw new Error('Not authenticated. Call authenticate() first.');
     }
 
-    const { limit = parseInt(process.env.DB_BATCH_SIZE) || 1000, offset = 0 } = options;
+    const {
+      limit = parseInt(process.env.DB_BATCH_SIZE) || 1000,
+      offset = 0,
+      keyFields = [],
+      after = null,
+      orderFields = [],
+      filter = null
+    } = options;
 
     try {
       const query = {
@@ -115,11 +196,30 @@ class MetabaseService {
         }
       };
 
-      if (offset > 0) {
-        query.query.page = {
-          page: Math.floor(offset / limit),
-          items: limit
-        };
+      if (filter) {
+        query.query.filter = filter;
+      }
+
+      if (keyFields.length > 0) {
+        query.query['order-by'] = keyFields.map(field => ['asc', this.fieldRef(field)]);
+
+        if (after) {
+          const keysetFilter = this.buildKeysetFilter(keyFields, after);
+          query.query.filter = filter ? ['and', filter, keysetFilter] : keysetFilter;
+        }
+      } else {
+        if (orderFields.length > 0) {
+          query.query['order-by'] = orderFields.map(field => ['asc', this.fieldRef(field)]);
+        }
+
+        if (offset > 0) {
+          // MBQL pages are 1-based and replace the limit clause
+          delete query.query.limit;
+          query.query.page = {
+            page: Math.floor(offset / limit) + 1,
+            items: limit
+          };
+        }
       }
 
       const response = await axios.post(`${this.baseURL}/api/dataset`, query, {
@@ -151,7 +251,8 @@ class MetabaseService {
           columns,
           rows,
           row_count: data.row_count || rows.length,
-          total_rows: data.data.rows_truncated ? 'unknown' : rows.length
+          total_rows: data.data.rows_truncated ? 'unknown' : rows.length,
+          truncated: Boolean(data.data.rows_truncated)
         }
       };
     } catch (error) {
@@ -163,7 +264,7 @@ class MetabaseService {
     }
   }
 
-  async getTableRowCount(tableId) {
+  async getTableRowCount(tableId, filter = null) {
     if (!this.isAuthenticated) {
       throw new Error('Not authenticated. Call authenticate() first.');
     }
@@ -178,6 +279,10 @@ class MetabaseService {
         }
       };
 
+      if (filter) {
+        query.query.filter = filter;
+      }
+
       const response = await axios.post(`${this.baseURL}/api/dataset`, query, {
         headers: {
           'X-Metabase-Session': this.sessionToken,
@@ -199,54 +304,152 @@ class MetabaseService {
     }
   }
 
-  async extractAllTableData(tableId, tableName, onBatch = null) {
+  async getTableAggregates(tableId, aggregations) {
     if (!this.isAuthenticated) {
       throw new Error('Not authenticated. Call authenticate() first.');
     }
 
     try {
-      const countResult = await this.getTableRowCount(tableId);
+      const query = {
+        database: this.databaseId,
+        type: 'query',
+        query: {
+          'source-table': tableId,
+          aggregation: aggregations
+        }
+      };
+
+      const response = await axios.post(`${this.baseURL}/api/dataset`, query, {
+        headers: {
+          'X-Metabase-Session': this.sessionToken,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      return {
+        success: true,
+        values: response.data.data.rows[0] || []
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || error.message
+      };
+    }
+  }
+
+  async extractAllTableData(tableId, tableName, onBatch = null, options = {}) {
+    if (!this.isAuthenticated) {
+      throw new Error('Not authenticated. Call authenticate() first.');
+    }
+
+    try {
+      const filter = options.filter || null;
+      const countResult = await this.getTableRowCount(tableId, filter);
       if (!countResult.success) {
         throw new Error(`Failed to get row count: ${countResult.error}`);
       }
 
+      let fields = options.fields;
+      if (!fields || fields.length === 0) {
+        const fieldsResult = await this.getTableFields(tableId);
+        if (!fieldsResult.success) {
+          throw new Error(`Failed to get table fields: ${fieldsResult.error}`);
+        }
+        fields = fieldsResult.fields;
+      }
+
       const totalRows = countResult.count;
-      const batchSize = parseInt(process.env.DB_BATCH_SIZE) || 1000;
+      const retainData = options.retainData !== false;
+      const keyFields = this.findKeyFields(fields);
+      const orderFields = fields.filter(field => this.isOrderableField(field));
+      const maxRows = options.maxRows || null;
+      const expectedRows = maxRows ? Math.min(totalRows, maxRows) : totalRows;
+      let batchSize = options.batchSize || parseInt(process.env.DB_BATCH_SIZE) || 1000;
+      if (maxRows) {
+        batchSize = Math.min(batchSize, maxRows);
+      }
+      const resumeFrom = options.resumeFrom || null;
       let allData = [];
-      let extractedRows = 0;
-
+      let extractedRows = resumeFrom ? resumeFrom.extractedRows || 0 : 0;
+      let batchNumber = 0;
+      let after = resumeFrom && keyFields.length > 0 ? resumeFrom.after || null : null;
+      let hasMore = true;
 
+      if (keyFields.length === 0) {
+        logger.warn(`No primary key found for ${tableName}; paging by offset ordered on all columns`);
+      }
 
-      for (let offset = 0; offset < totalRows; offset += batchSize) {
-        const batchResult = await this.queryTable(tableId, {
-          limit: batchSize,
-          offset
-        });
+      while (hasMore) {
+        const batchResult = keyFields.length > 0
+          ? await this.queryTable(tableId, { limit: batchSize, keyFields, after, filter })
+          : await this.queryTable(tableId, { limit: batchSize, offset: extractedRows, orderFields, filter });
 
         if (!batchResult.success) {
           throw new Error(`Batch extraction failed: ${batchResult.error}`);
         }
 
-        const batchData = batchResult.data.rows;
-        allData = allData.concat(batchData);
+        let batchData = batchResult.data.rows;
+
+        if (batchResult.data.truncated && batchData.length > 0 && batchData.length < batchSize) {
+          // Metabase clipped the result to its row cap; continue with batches
+          // no larger than what it is willing to return.
+          logger.warn(
+            `Metabase capped ${tableName} results at ${batchData.length} rows; reducing batch size from ${batchSize}`
+          );
+          batchSize = batchData.length;
+
+          if (keyFields.length === 0) {
+            // Offset pages must line up with the new page size, so drop this
+            // batch and fetch the same range again.
+            if (extractedRows % batchSize !== 0) {
+              throw new Error(
+                `Metabase result cap of ${batchSize} rows does not align with ${extractedRows} rows already extracted`
+              );
+            }
+            continue;
+          }
+        }
+
+        if (batchData.length === 0) {
+          break;
+        }
+
+        const fullBatch = batchData.length === batchSize;
+        if (maxRows && extractedRows + batchData.length > maxRows) {
+          batchData = batchData.slice(0, maxRows - extractedRows);
+        }
+
+        if (retainData) {
+          allData = allData.concat(batchData);
+        }
         extractedRows += batchData.length;
+        batchNumber++;
+
+        if (keyFields.length > 0) {
+          const lastRow = batchData[batchData.length - 1];
+          after = keyFields.map(field => lastRow[field.name]);
+        }
 
         if (onBatch && typeof onBatch === 'function') {
           await onBatch({
             tableName,
             batchData,
-            batchNumber: Math.floor(offset / batchSize) + 1,
+            batchNumber,
             totalExtracted: extractedRows,
             totalRows,
-            progress: (extractedRows / totalRows) * 100
+            lastKey: after,
+            progress: totalRows > 0 ? Math.min((extractedRows / totalRows) * 100, 100) : 100
           });
         }
 
+        hasMore = fullBatch && (!maxRows || extractedRows < maxRows);
+      }
 
-
-        if (batchData.length < batchSize) {
-          break;
-        }
+      if (extractedRows < expectedRows) {
+        throw new Error(
+          `Incomplete extraction: got ${extractedRows} of ${expectedRows} rows (batch size ${batchSize})`
+        );
       }
 
       return {
@@ -255,6 +458,8 @@ class MetabaseService {
         data: allData,
         totalRows,
         extractedRows,
+        batchCount: batchNumber,
+        keyFields: keyFields.map(field => field.name),
         columns: allData.length > 0 ? Object.keys(allData[0]) : []
       };
     } catch (error) {
@@ -0,0 +1,201 @@
+import { dataService } from './data.js';
+import { dataTransformationService } from './dataTransformation.js';
+import { metabaseService } from './metabase.js';
+import { schemaDiscoveryService } from './schemaDiscovery.js';
+
+/**
+ * Service for previewing what a sync would do to each table, from a sample of
+ * Metabase rows, without writing anything
+ */
+class PreviewService {
+  constructor() {
+    this.sampleSize = 100;
+    this.metabaseFamilies = [
+      ['number', ['type/Integer', 'type/BigInteger', 'type/Decimal', 'type/Float', 'type/Number']],
+      ['boolean', ['type/Boolean']],
+      ['temporal', ['type/Date', 'type/DateTime', 'type/DateTimeWithTZ', 'type/DateTimeWithLocalTZ', 'type/Time']],
+      ['text', ['type/Text', 'type/UUID', 'type/PostgresEnum']]
+    ];
+    this.localFamilies = [
+      ['number', ['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision']],
+      ['boolean', ['boolean']],
+      ['temporal', ['date', 'timestamp without time zone', 'timestamp with time zone', 'time without time zone']]
+    ];
+  }
+
+  /**
+   * Previews the sync of one table: the rows that would be deleted and
+   * inserted, the column differences between Metabase and the local table,
+   * the values the transformation would change in a sample, and the sampled
+   * values that would violate NOT NULL or the column type
+   * @param {Object} connection - Local database connection
+   * @param {Object} table - Metabase table with its fields
+   * @param {Object} options - { expectedRows, enumMap, filter: MBQL filter of the rows to sync,
+   *   keepLocalRows: whether the local rows are kept (by default when there is a filter), sampleSize }
+   * @returns {Promise<Object>} { tableName, deleteRows, insertRows, sampledRows, columns, transformations, issues }
+   */
+  async previewTable(connection, table, options = {}) {
+    const {
+      expectedRows = 0,
+      enumMap = {},
+      filter = null,
+      keepLocalRows = Boolean(filter),
+      sampleSize = this.sampleSize
+    } = options;
+    const preview = {
+      tableName: table.name,
+      deleteRows: 0,
+      insertRows: expectedRows,
+      sampledRows: 0,
+      columns: { missingLocally: [], localOnly: [], typeMismatches: [] },
+      transformations: [],
+      issues: []
+    };
+
+    const localColumns = await schemaDiscoveryService.discoverTableSchema(connection, table.name);
+    if (localColumns.length === 0) {
+      preview.issues.push('Table does not exist locally');
+      return preview;
+    }
+
+    // Incremental, append and upsert syncs keep the local rows
+    preview.deleteRows = keepLocalRows ? 0 : await dataService.getTableRowCount(connection, table.name);
+    preview.columns = this.compareColumns(table.fields || [], localColumns);
+    preview.issues.push(...this.describeColumnDifferences(preview.columns));
+
+    if (expectedRows === 0) {
+      return preview;
+    }
+
+    const sample = await metabaseService.queryTable(table.id, { limit: sampleSize, filter });
+    if (!sample.success) {
+      preview.issues.push(`Could not sample rows: ${sample.error}`);
+      return preview;
+    }
+
+    const rows = sample.data.rows;
+    const transformed = await dataTransformationService.transformTableData(connection, table.name, rows, enumMap);
+    preview.sampledRows = rows.length;
+    preview.transformations = this.diffRows(rows, transformed);
+
+    const validation = dataTransformationService.validateTransformedData(transformed, localColumns);
+    preview.issues.push(...this.summarizeValidation(validation.issues, rows.length));
+
+    return preview;
+  }
+
+  /**
+   * Compares the Metabase fields of a table with its local columns
+   * @param {Array} fields - Metabase fields
+   * @param {Array} localColumns - Local columns from information_schema
+   * @returns {Object} { missingLocally: field names, localOnly: [{ column, required }],
+   *   typeMismatches: [{ column, metabaseType, localType }] }
+   */
+  compareColumns(fields, localColumns) {
+    const local = new Map(localColumns.map(column => [column.column_name, column]));
+    const remote = new Set(fields.map(field => field.name));
+
+    const typeMismatches = fields
+      .filter(field => local.has(field.name))
+      .map(field => ({
+        column: field.name,
+        metabaseType: field.base_type,
+        localType: local.get(field.name).data_type
+      }))
+      .filter(({ metabaseType, localType }) => {
+        const localFamily = this.familyOf(this.localFamilies, localType);
+        const metabaseFamily = this.familyOf(this.metabaseFamilies, metabaseType);
+        return localFamily !== null && metabaseFamily !== null && localFamily !== metabaseFamily;
+      });
+
+    return {
+      missingLocally: fields.map(field => field.name).filter(name => !local.has(name)),
+      localOnly: localColumns
+        .filter(column => !remote.has(column.column_name))
+        .map(column => ({
+          column: column.column_name,
+          required: column.is_nullable === 'NO' && !column.column_default
+        })),
+      typeMismatches
+    };
+  }
+
+  familyOf(families, type) {
+    const family = families.find(([, types]) => types.includes(type));
+    return family ? family[0] : null;
+  }
+
+  /**
+   * Turns column differences into preview issues
+   * @param {Object} columns - Result of compareColumns
+   * @returns {Array} Issue messages
+   */
+  describeColumnDifferences({ missingLocally, localOnly, typeMismatches }) {
+    return [
+      ...missingLocally.map(column => `Metabase column ${column} has no local column - inserts will fail`),
+      ...localOnly
+        .filter(({ required }) => required)
+        .map(({ column }) => `Local column ${column} is NOT NULL without a default and not in Metabase - inserts will fail`),
+      ...typeMismatches.map(({ column, metabaseType, localType }) =>
+        `Column ${column} is ${metabaseType} in Metabase but ${localType} locally`
+      )
+    ];
+  }
+
+  /**
+   * Lists the values the transformation changed, with how many sampled rows
+   * had each change
+   * @param {Array} rows - Sampled rows
+   * @param {Array} transformed - Transformed rows
+   * @returns {Array} [{ column, from, to, rows }]
+   */
+  diffRows(rows, transformed) {
+    const changes = new Map();
+
+    rows.forEach((row, index) => {
+      Object.keys(row).forEach(column => {
+        const to = transformed[index][column];
+        if (row[column] === to) {
+          return;
+        }
+
+        const key = JSON.stringify([column, row[column], to]);
+        const change = changes.get(key) || { column, from: row[column], to, rows: 0 };
+        change.rows++;
+        changes.set(key, change);
+      });
+    });
+
+    return [...changes.values()];
+  }
+
+  /**
+   * Groups validation issues by column and kind. Invalid values differ from
+   * row to row, so only the first one is shown, as a sample.
+   * @param {Array} issues - Issues from validateTransformedData
+   * @param {number} sampledRows - Sample size
+   * @returns {Array} Issue messages
+   */
+  summarizeValidation(issues, sampledRows) {
+    const groups = new Map();
+
+    issues.forEach(issue => {
+      const key = `${issue.type}:${issue.column}`;
+      const group = groups.get(key) || { ...issue, rows: 0 };
+      group.rows++;
+      groups.set(key, group);
+    });
+
+    return [...groups.values()].map(({ type, column, dataType, value, rows }) => {
+      const count = `${rows} of ${sampledRows} sampled rows`;
+      if (type === 'type_mismatch') {
+        return `Column '${column}': ${count} are not a valid ${dataType} (sample value: '${value}')`;
+      }
+      return `Column '${column}': ${count} are null, but the column is required`;
+    });
+  }
+}
+
+const previewService = new PreviewService();
+
+export { PreviewService, previewService };
@@ -0,0 +1,247 @@
+import { mkdirSync, writeFileSync } from 'fs';
+import { dirname, extname } from 'path';
+
+/**
+ * Service for exporting sync results as JSON, JUnit XML or HTML reports
+ */
+class ReportService {
+  constructor() {
+    this.formats = { '.json': 'json', '.xml': 'junit', '.html': 'html', '.htm': 'html' };
+  }
+
+  /**
+   * Picks the report format from the file extension
+   * @param {string} reportPath - Report file path
+   * @returns {string} 'json', 'junit' or 'html' (JSON for unknown extensions)
+   */
+  formatFor(reportPath) {
+    return this.formats[extname(reportPath).toLowerCase()] || 'json';
+  }
+
+  /**
+   * Writes the report for a sync result
+   * @param {string} reportPath - Report file path
+   * @param {Object} result - Result of executeSync (or the stats of a failed run)
+   * @returns {string} Format that was written
+   */
+  write(reportPath, result) {
+    const format = this.formatFor(reportPath);
+    const report = this.buildReport(result);
+    const renderers = {
+      json: () => JSON.stringify(report, null, 2),
+      junit: () => this.toJUnit(report),
+      html: () => this.toHTML(report)
+    };
+
+    mkdirSync(dirname(reportPath), { recursive: true });
+    writeFileSync(reportPath, renderers[format]());
+    return format;
+  }
+
+  /**
+   * Normalizes a sync result into the structure shared by every format
+   * @param {Object} result - Sync result
+   * @returns {Object} Report
+   */
+  buildReport(result) {
+    const failures = new Map((result.failedTables || []).map(table => [table.name, table]));
+
+    return {
+      generatedAt: new Date().toISOString(),
+      success: Boolean(result.success),
+      partialSuccess: Boolean(result.partialSuccess),
+      error: result.error || null,
+      startedAt: result.startTime ? new Date(result.startTime).toISOString() : null,
+      finishedAt: result.endTime ? new Date(result.endTime).toISOString() : null,
+      duration: result.duration ?? null,
+      rolledBack: Boolean(result.rolledBack),
+      summary: {
+        totalTables: result.totalTables || 0,
+        successfulTables: result.successfulTables || 0,
+        failedTables: failures.size,
+        totalRows: result.totalRows || 0,
+        syncedRows: result.syncedRows || 0,
+        incrementalTables: result.incrementalTables || 0
+      },
+      tables: (result.tableResults || []).map(table => ({
+        ...table,
+        details: failures.get(table.name)?.details ?? null
+      })),
+      transformationStats: result.transformationStats || {},
+      sequences: result.sequences || [],
+      verification: result.verification || null
+    };
+  }
+
+  /**
+   * Renders a report as JUnit XML: one test case per table, plus one per
+   * verified table when verification ran
+   * @param {Object} report - Report from buildReport
+   * @returns {string} XML document
+   */
+  toJUnit(report) {
+    const syncCases = report.tables.map(table => this.junitCase(
+      'metaexodus.sync',
+      table.name,
+      table.duration,
+      table.status === 'failed' ? table.error : null
+    ));
+    // A run can fail outside any table (discovery, staging verification, ...)
+    if (report.error) {
+      syncCases.push(this.junitCase('metaexodus.sync', 'synchronization', 0, report.error));
+    }
+
+    const suites = [this.junitSuite('sync', report, syncCases)];
+
+    if (report.verification) {
+      const verifyCases = report.verification.results.map(result => {
+        const mismatches = result.error
+          ? [result.error]
+          : result.checks.filter(check => !check.match)
+            .map(check => `${check.check}: Metabase ${check.remote}, local ${check.local}`);
+        return this.junitCase(
+          'metaexodus.verify',
+          result.tableName,
+          0,
+          result.passed ? null : mismatches.join('; ')
+        );
+      });
+      suites.push(this.junitSuite('verify', report, verifyCases));
+    }
+
+    const tests = suites.reduce((sum, suite) => sum + suite.tests, 0);
+    const failures = suites.reduce((sum, suite) => sum + suite.failures, 0);
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="metaexodus" tests="${tests}" failures="${failures}" time="${report.duration ?? 0}">`,
+      ...suites.map(suite => suite.xml),
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+
+  junitCase(classname, name, duration, failure) {
+    const attributes = `classname="${classname}" name="${this.escape(name)}" time="${this.seconds(duration)}"`;
+    if (!failure) {
+      return { failed: false, xml: `    <testcase ${attributes}/>` };
+    }
+
+    return {
+      failed: true,
+      xml: [
+        `    <testcase ${attributes}>`,
+        `      <failure message="${this.escape(failure)}">${this.escape(failure)}</failure>`,
+        '    </testcase>'
+      ].join('\n')
+    };
+  }
+
+  junitSuite(name, report, cases) {
+    const failures = cases.filter(testCase => testCase.failed).length;
+
+    return {
+      tests: cases.length,
+      failures,
+      xml: [
+        `  <testsuite name="${name}" tests="${cases.length}" failures="${failures}" ` +
+          `timestamp="${report.startedAt || report.generatedAt}" time="${report.duration ?? 0}">`,
+        ...cases.map(testCase => testCase.xml),
+        '  </testsuite>'
+      ].join('\n')
+    };
+  }
+
+  /**
+   * Renders a report as a self-contained HTML page
+   * @param {Object} report - Report from buildReport
+   * @returns {string} HTML document
+   */
+  toHTML(report) {
+    const status = report.success ? (report.partialSuccess ? 'Partial success' : 'Success') : 'Failed';
+    const rows = (cells, tag = 'td') => `<tr>${cells.map(cell => `<${tag}>${this.escape(cell)}</${tag}>`).join('')}</tr>`;
+    const table = (headers, body) =>
+      `<table>\n<thead>${rows(headers, 'th')}</thead>\n<tbody>\n${body.map(cells => rows(cells)).join('\n')}\n</tbody>\n</table>`;
+
+    const sections = [
+      '<h1>MetaExodus sync report</h1>',
+      `<p class="status ${report.success ? 'ok' : 'failed'}">${status}</p>`,
+      report.error ? `<p class="error">${this.escape(report.error)}</p>` : '',
+      table(['Metric', 'Value'], [
+        ['Started', report.startedAt || '-'],
+        ['Finished', report.finishedAt || '-'],
+        ['Duration', `${report.duration ?? 0}s`],
+        ['Tables synchronized', `${report.summary.successfulTables}/${report.summary.totalTables}`],
+        ['Failed tables', report.summary.failedTables],
+        ['Rows synchronized', `${report.summary.syncedRows}/${report.summary.totalRows}`],
+        ['Rolled back', report.rolledBack ? 'yes' : 'no']
+      ]),
+      '<h2>Tables</h2>',
+      table(['Table', 'Status', 'Rows', 'Expected', 'Time', 'Error'], report.tables.map(t => [
+        t.name, t.status, t.loadedRows, t.expectedRows, `${this.seconds(t.duration)}s`, t.error || ''
+      ])),
+      '<h2>Transformations</h2>',
+      table(['Transformation', 'Count'], Object.entries(report.transformationStats)),
+      '<h2>Sequences</h2>',
+      table(['Sequence', 'Table', 'Column', 'Value'], report.sequences.map(sequence => [
+        sequence.sequenceName, sequence.tableName, sequence.columnName, sequence.value ?? 'unchanged (empty table)'
+      ]))
+    ];
+
+    if (report.verification) {
+      sections.push(
+        '<h2>Verification</h2>',
+        table(['Table', 'Check', 'Metabase', 'Local', 'Result'], report.verification.results.flatMap(result =>
+          result.error
+            ? [[result.tableName, 'error', '-', '-', result.error]]
+            : result.checks.map(check => [
+              result.tableName, check.check, check.remote, check.local, check.match ? 'match' : 'MISMATCH'
+            ])
+        ))
+      );
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>MetaExodus sync report</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.3rem 0.6rem; text-align: left; }
+th { background: #f3f3f3; }
+.status { font-size: 1.3rem; font-weight: bold; }
+.ok { color: #1a7f37; }
+.failed, .error { color: #cf222e; }
+</style>
+</head>
+<body>
+${sections.filter(Boolean).join('\n')}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Escapes text for use in XML and HTML
+   * @param {any} value - Value to escape
+   * @returns {string} Escaped text
+   */
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  seconds(milliseconds) {
+    return ((milliseconds || 0) / 1000).toFixed(3);
+  }
+}
+
+const reportService = new ReportService();
+
+export { ReportService, reportService };
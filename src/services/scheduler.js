@@ -0,0 +1,225 @@
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { logger } from '../utils/logger.js';
+import { nextCronRun, parseCron } from '../utils/schedule.js';
+
+/**
+ * Service for running syncs repeatedly, every interval or on a cron schedule,
+ * from one long-running process. A run that comes due while the previous one
+ * is still going is skipped, and the most recent runs are kept in a status file.
+ */
+class SchedulerService {
+  constructor() {
+    this.maxRuns = 20;
+    // Longest delay setTimeout accepts; Node fires longer timers after 1 ms
+    this.maxTimerDelay = 2 ** 31 - 1;
+    this.timer = null;
+    this.task = null;
+    this.schedule = null;
+    this.running = null;
+    this.current = null;
+    this.nextRunAt = null;
+    this.runs = [];
+  }
+
+  /**
+   * Path of the status file
+   * @returns {string} Absolute or cwd-relative path
+   */
+  get statusPath() {
+    return join(process.env.SYNC_STATE_DIR || '.metaexodus', 'status.json');
+  }
+
+  /**
+   * Starts running a task on a schedule. The first run starts right away.
+   * @param {Function} task - Async function running one sync and returning its result
+   * @param {Object} options - { interval: milliseconds } or { cron: cron expression }
+   */
+  start(task, { interval = null, cron = null } = {}) {
+    if (!interval && !cron) {
+      throw new Error('A schedule needs an interval or a cron expression');
+    }
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+    }
+    this.task = task;
+    this.schedule = cron ? { cron: parseCron(cron) } : { interval };
+    this.runs = this.loadRuns();
+
+    logger.info(`Scheduled syncs ${this.describeSchedule()} (status in ${this.statusPath})`);
+    this.tick();
+  }
+
+  /**
+   * Stops scheduling runs. A run in progress is left to finish.
+   * @returns {Promise<void>} Resolves when no run is in progress
+   */
+  async stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const wasScheduled = this.task !== null;
+    this.task = null;
+    this.nextRunAt = null;
+
+    if (this.running) {
+      await this.running;
+    }
+    if (wasScheduled) {
+      this.writeStatus();
+    }
+  }
+
+  /**
+   * Schedules the next tick, then runs the task unless it is still running
+   */
+  tick() {
+    this.scheduleNext();
+
+    if (this.running) {
+      logger.warn(`Skipping the sync due at ${new Date().toISOString()}: the previous one is still running`);
+      this.recordRun({ startedAt: new Date().toISOString(), status: 'skipped' });
+      return;
+    }
+
+    this.running = this.runTask().finally(() => {
+      this.running = null;
+      this.writeStatus();
+    });
+  }
+
+  /**
+   * Sets the timer for the next tick. Ticks follow the schedule regardless of
+   * how long runs take, which is what makes overlapping runs detectable.
+   */
+  scheduleNext() {
+    const next = this.schedule.cron
+      ? nextCronRun(this.schedule.cron)
+      : new Date(Date.now() + this.schedule.interval);
+
+    if (!next) {
+      logger.warn(`Cron expression ${this.schedule.cron.expression} never matches again - no more syncs scheduled`);
+      this.nextRunAt = null;
+      return;
+    }
+
+    this.nextRunAt = next.toISOString();
+    this.armTimer();
+  }
+
+  /**
+   * Sets a timer for nextRunAt. Runs more than about 24.8 days away are
+   * reached through several timers, each re-checking whether the run is due.
+   */
+  armTimer() {
+    const delay = Date.parse(this.nextRunAt) - Date.now();
+    this.timer = setTimeout(() => {
+      if (Date.now() < Date.parse(this.nextRunAt)) {
+        this.armTimer();
+      } else {
+        this.tick();
+      }
+    }, Math.min(Math.max(delay, 0), this.maxTimerDelay));
+  }
+
+  /**
+   * Runs the task once and records its outcome. Errors are recorded, not thrown,
+   * so one failed sync does not stop the schedule.
+   * @returns {Promise<void>}
+   */
+  async runTask() {
+    const startedAt = Date.now();
+    this.current = { startedAt: new Date(startedAt).toISOString() };
+    this.writeStatus();
+
+    const run = { startedAt: this.current.startedAt };
+    try {
+      const result = await this.task();
+      run.status = result?.success === false ? 'failed' : 'succeeded';
+      run.syncedRows = result?.syncedRows ?? 0;
+      run.failedTables = (result?.failedTables || []).map(table => table.name);
+    } catch (error) {
+      logger.error('Scheduled sync failed', error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.duration = Math.round((Date.now() - startedAt) / 1000);
+    this.current = null;
+    this.recordRun(run);
+
+    if (this.nextRunAt) {
+      logger.info(`Next sync at ${this.nextRunAt}`);
+    }
+  }
+
+  /**
+   * Adds a run to the rolling list of recent runs and writes the status file
+   * @param {Object} run - Run summary
+   */
+  recordRun(run) {
+    this.runs = [run, ...this.runs].slice(0, this.maxRuns);
+    this.writeStatus();
+  }
+
+  /**
+   * Reads the recent runs of a previous process, so restarts keep the history
+   * @returns {Array} Recent runs, newest first
+   */
+  loadRuns() {
+    if (!existsSync(this.statusPath)) {
+      return [];
+    }
+
+    try {
+      const status = JSON.parse(readFileSync(this.statusPath, 'utf8'));
+      return Array.isArray(status.runs) ? status.runs.slice(0, this.maxRuns) : [];
+    } catch (error) {
+      logger.warn(`Could not read scheduler status from ${this.statusPath}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Builds the status written to the status file
+   * @returns {Object} { pid, schedule, running, current, nextRunAt, updatedAt, runs }
+   */
+  getStatus() {
+    return {
+      pid: process.pid,
+      schedule: this.schedule ? this.describeSchedule() : null,
+      running: this.current !== null,
+      current: this.current,
+      nextRunAt: this.nextRunAt,
+      updatedAt: new Date().toISOString(),
+      runs: this.runs
+    };
+  }
+
+  /**
+   * Writes the status file. Failing to write it never stops the schedule.
+   */
+  writeStatus() {
+    try {
+      mkdirSync(dirname(this.statusPath), { recursive: true });
+      writeFileSync(this.statusPath, JSON.stringify(this.getStatus(), null, 2));
+    } catch (error) {
+      logger.warn(`Could not write scheduler status to ${this.statusPath}: ${error.message}`);
+    }
+  }
+
+  describeSchedule() {
+    if (this.schedule.cron) {
+      return `on cron ${this.schedule.cron.expression}`;
+    }
+    return `every ${Math.round(this.schedule.interval / 1000)}s`;
+  }
+}
+
+const schedulerService = new SchedulerService();
+
+export { SchedulerService, schedulerService };
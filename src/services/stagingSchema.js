@@ -0,0 +1,250 @@
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for loading data into a shadow schema and swapping it into
+ * `public` once it has been verified
+ */
+class StagingSchemaService {
+  constructor() {
+    this.defaultSchema = 'metaexodus_staging';
+  }
+
+  /**
+   * (Re)creates the staging schema with an empty copy of every table. Fails
+   * when views read any of the tables, since publish replaces them.
+   * @param {Object} connection - Database connection
+   * @param {Array} tableNames - Tables to stage
+   * @param {Object} options - { schema, copyExisting: tables whose current rows are copied in }
+   * @returns {Promise<Object>} Preparation result
+   */
+  async prepare(connection, tableNames, options = {}) {
+    const { schema = this.defaultSchema, copyExisting = [] } = options;
+
+    try {
+      // Views are bound to the tables they read, which publish swaps out
+      const views = await connection.query(
+        `SELECT DISTINCT format('%I.%I', vn.nspname, v.relname) AS view, c.relname AS "tableName"
+         FROM pg_depend d
+         JOIN pg_rewrite r ON r.oid = d.objid
+         JOIN pg_class v ON v.oid = r.ev_class
+         JOIN pg_namespace vn ON vn.oid = v.relnamespace
+         JOIN pg_class c ON c.oid = d.refobjid
+         JOIN pg_namespace n ON n.oid = c.relnamespace
+         WHERE d.classid = 'pg_rewrite'::regclass AND d.refclassid = 'pg_class'::regclass
+           AND v.oid <> c.oid AND n.nspname = 'public' AND c.relname = ANY($1)`,
+        [tableNames]
+      );
+      if (views.rows.length > 0) {
+        const details = views.rows.map(({ view, tableName }) => `${view} (on ${tableName})`).join(', ');
+        throw new Error(`views read tables that publishing replaces: ${details}`);
+      }
+
+      await connection.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+      await connection.query(`CREATE SCHEMA "${schema}"`);
+
+      for (const tableName of tableNames) {
+        await connection.query(
+          `CREATE TABLE "${schema}"."${tableName}" (LIKE "public"."${tableName}" INCLUDING ALL)`
+        );
+
+        if (copyExisting.includes(tableName)) {
+          await connection.query(
+            `INSERT INTO "${schema}"."${tableName}" OVERRIDING SYSTEM VALUE SELECT * FROM "public"."${tableName}"`
+          );
+        }
+      }
+
+      return { schema, tables: tableNames.length };
+    } catch (error) {
+      throw new Error(`Failed to prepare staging schema ${schema}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Checks whether the staging schema exists
+   * @param {Object} connection - Database connection
+   * @param {string} schema - Staging schema
+   * @returns {Promise<boolean>} True when the schema exists
+   */
+  async exists(connection, schema = this.defaultSchema) {
+    const result = await connection.query(
+      'SELECT 1 FROM information_schema.schemata WHERE schema_name = $1',
+      [schema]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Compares staged row counts with the counts that were loaded
+   * @param {Object} connection - Database connection
+   * @param {Object} expectedCounts - Map of table name to expected row count
+   * @param {string} schema - Staging schema
+   * @returns {Promise<Object>} Verification result with any mismatches
+   */
+  async verify(connection, expectedCounts, schema = this.defaultSchema) {
+    const mismatches = [];
+
+    for (const [tableName, expected] of Object.entries(expectedCounts)) {
+      const result = await connection.query(`SELECT COUNT(*) AS count FROM "${schema}"."${tableName}"`);
+      const actual = parseInt(result.rows[0].count);
+
+      if (actual !== expected) {
+        mismatches.push({ tableName, expected, actual });
+      }
+    }
+
+    return {
+      valid: mismatches.length === 0,
+      mismatches,
+      verifiedTables: Object.keys(expectedCounts).length
+    };
+  }
+
+  /**
+   * Swaps the staged tables into public in a single transaction. The public
+   * tables move to a retired schema and are dropped, and the staged tables
+   * take their place. What the staged copies lack is carried over from the
+   * old tables: foreign keys (those of other tables pointing at them too),
+   * triggers, table grants and the ownership of serial sequences. Foreign
+   * keys are checked as they are added, so rows that break one roll the swap
+   * back. Queries against public wait for the swap to commit, then see the
+   * new tables.
+   * @param {Object} connection - Database connection
+   * @param {Array} tableNames - Tables to publish
+   * @param {string} schema - Staging schema
+   * @returns {Promise<Object>} { publishedTables, duration }
+   */
+  async publish(connection, tableNames, schema = this.defaultSchema) {
+    const startTime = Date.now();
+    const retired = `${schema}_retired`;
+
+    await connection.query('BEGIN');
+    try {
+      const { foreignKeys, triggers, grants, sequences } = await this.describeTables(connection, tableNames);
+
+      // Other tables' keys would keep the old tables alive, and owned
+      // sequences would be dropped with them
+      for (const { tableName, name } of foreignKeys.filter(foreignKey => !foreignKey.onPublished)) {
+        await connection.query(`ALTER TABLE ${tableName} DROP CONSTRAINT "${name}"`);
+      }
+      for (const { sequence } of sequences) {
+        await connection.query(`ALTER SEQUENCE ${sequence} OWNED BY NONE`);
+      }
+
+      await connection.query(`CREATE SCHEMA "${retired}"`);
+      for (const tableName of tableNames) {
+        await connection.query(`ALTER TABLE "public"."${tableName}" SET SCHEMA "${retired}"`);
+        await connection.query(`ALTER TABLE "${schema}"."${tableName}" SET SCHEMA "public"`);
+      }
+
+      for (const { sequence, tableName, columnName } of sequences) {
+        await connection.query(`ALTER SEQUENCE ${sequence} OWNED BY "public"."${tableName}"."${columnName}"`);
+      }
+      for (const { tableName, name, definition } of foreignKeys) {
+        await connection.query(`ALTER TABLE ${tableName} ADD CONSTRAINT "${name}" ${definition}`);
+      }
+      for (const { definition } of triggers) {
+        await connection.query(definition);
+      }
+      for (const { tableName, privilege, grantee, grantable } of grants) {
+        await connection.query(
+          `GRANT ${privilege} ON "public"."${tableName}" TO ${grantee}${grantable ? ' WITH GRANT OPTION' : ''}`
+        );
+      }
+
+      // Fails, rolling the swap back, if anything else still depends on the old tables
+      if (tableNames.length > 0) {
+        await connection.query(`DROP TABLE ${tableNames.map(tableName => `"${retired}"."${tableName}"`).join(', ')}`);
+      }
+      await connection.query(`DROP SCHEMA "${retired}"`);
+
+      await connection.query('COMMIT');
+    } catch (error) {
+      await connection.query('ROLLBACK');
+      throw new Error(`Failed to swap staging schema ${schema} into public: ${error.message}`);
+    }
+
+    return {
+      publishedTables: tableNames.length,
+      duration: Date.now() - startTime
+    };
+  }
+
+  /**
+   * Reads what publish carries over from the public tables to the staged ones
+   * @param {Object} connection - Database connection
+   * @param {Array} tableNames - Tables to publish
+   * @returns {Promise<Object>} { foreignKeys, triggers, grants, sequences }
+   */
+  async describeTables(connection, tableNames) {
+    const foreignKeys = await connection.query(
+      `SELECT con.conrelid::regclass::text AS "tableName", con.conname AS name,
+        pg_get_constraintdef(con.oid) AS definition, child.relnamespace = ns.oid AND child.relname = ANY($1) AS "onPublished"
+       FROM pg_constraint con
+       JOIN pg_class child ON child.oid = con.conrelid
+       JOIN pg_class parent ON parent.oid = con.confrelid
+       JOIN pg_namespace ns ON ns.nspname = 'public'
+       WHERE con.contype = 'f'
+         AND ((child.relnamespace = ns.oid AND child.relname = ANY($1))
+           OR (parent.relnamespace = ns.oid AND parent.relname = ANY($1)))`,
+      [tableNames]
+    );
+
+    const triggers = await connection.query(
+      `SELECT pg_get_triggerdef(t.oid) AS definition
+       FROM pg_trigger t
+       JOIN pg_class c ON c.oid = t.tgrelid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       WHERE NOT t.tgisinternal AND n.nspname = 'public' AND c.relname = ANY($1)`,
+      [tableNames]
+    );
+
+    const grants = await connection.query(
+      `SELECT c.relname AS "tableName", acl.privilege_type AS privilege, acl.is_grantable AS grantable,
+        CASE WHEN acl.grantee = 0 THEN 'PUBLIC' ELSE quote_ident(pg_get_userbyid(acl.grantee)) END AS grantee
+       FROM pg_class c
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       CROSS JOIN LATERAL aclexplode(c.relacl) acl
+       WHERE n.nspname = 'public' AND c.relname = ANY($1) AND acl.grantee <> c.relowner`,
+      [tableNames]
+    );
+
+    // Identity sequences belong to their table and come with the staged copy
+    const sequences = await connection.query(
+      `SELECT format('%I.%I', sn.nspname, s.relname) AS sequence, c.relname AS "tableName", a.attname AS "columnName"
+       FROM pg_depend d
+       JOIN pg_class s ON s.oid = d.objid AND s.relkind = 'S'
+       JOIN pg_namespace sn ON sn.oid = s.relnamespace
+       JOIN pg_class c ON c.oid = d.refobjid
+       JOIN pg_namespace n ON n.oid = c.relnamespace
+       JOIN pg_attribute a ON a.attrelid = c.oid AND a.attnum = d.refobjsubid
+       WHERE d.classid = 'pg_class'::regclass AND d.refclassid = 'pg_class'::regclass AND d.deptype = 'a'
+         AND n.nspname = 'public' AND c.relname = ANY($1)`,
+      [tableNames]
+    );
+
+    return {
+      foreignKeys: foreignKeys.rows,
+      triggers: triggers.rows,
+      grants: grants.rows,
+      sequences: sequences.rows
+    };
+  }
+
+  /**
+   * Drops the staging schema
+   * @param {Object} connection - Database connection
+   * @param {string} schema - Staging schema
+   */
+  async drop(connection, schema = this.defaultSchema) {
+    try {
+      await connection.query(`DROP SCHEMA IF EXISTS "${schema}" CASCADE`);
+    } catch (error) {
+      logger.warn(`Could not drop staging schema ${schema}: ${error.message}`);
+    }
+  }
+}
+
+const stagingSchemaService = new StagingSchemaService();
+
+export { StagingSchemaService, stagingSchemaService };
@@ -0,0 +1,226 @@
+import { logger } from '../utils/logger.js';
+import { metabaseService } from './metabase.js';
+import { schemaDiscoveryService } from './schemaDiscovery.js';
+
+/**
+ * Service for collecting a referentially consistent slice of the remote
+ * database: rows of chosen root tables plus every parent row they reference
+ */
+class SubsetService {
+  constructor() {
+    this.keyChunkSize = 200;
+  }
+
+  /**
+   * Collects the root rows and follows foreign keys until every referenced
+   * parent row is part of the subset
+   * @param {Object} connection - Local database connection (for foreign keys)
+   * @param {Array} tables - Metabase tables available to the sync
+   * @param {Object} roots - Map of root table name to { limit, where }
+   * @returns {Promise<Object>} { rows: Map of table name to rows, missingTables, missingRows }
+   */
+  async collect(connection, tables, roots) {
+    const tablesByName = new Map(tables.map(table => [table.name, table]));
+    const rows = new Map();
+    const missingTables = new Set();
+    const missingRows = [];
+    const queue = [];
+
+    for (const [tableName, options] of Object.entries(roots)) {
+      const table = tablesByName.get(tableName);
+      if (!table) {
+        throw new Error(`Subset root table ${tableName} is not available in Metabase`);
+      }
+
+      const rootRows = await this.extractRows(table, {
+        filter: this.buildWhereFilter(table, options.where),
+        maxRows: options.limit
+      });
+      this.addRows(rows, table, rootRows);
+      queue.push(tableName);
+      logger.debug(`Subset root ${tableName}: ${rootRows.length} rows`);
+    }
+
+    while (queue.length > 0) {
+      const tableName = queue.shift();
+
+      for (const foreignKey of await this.getForeignKeys(connection, tableName)) {
+        const parent = tablesByName.get(foreignKey.parentTable);
+        if (!parent) {
+          missingTables.add(foreignKey.parentTable);
+          continue;
+        }
+
+        const present = new Set((rows.get(parent.name) || []).map(row => String(row[foreignKey.parentColumn])));
+        const wanted = [...new Set(
+          rows.get(tableName)
+            .map(row => row[foreignKey.column])
+            .filter(value => value !== null && value !== undefined && !present.has(String(value)))
+        )];
+
+        if (wanted.length === 0) {
+          continue;
+        }
+
+        const parentRows = await this.fetchByValues(parent, foreignKey.parentColumn, wanted);
+        if (parentRows.length < wanted.length) {
+          missingRows.push({
+            table: tableName,
+            parent: parent.name,
+            column: foreignKey.column,
+            count: wanted.length - parentRows.length
+          });
+        }
+
+        if (this.addRows(rows, parent, parentRows) > 0 && !queue.includes(parent.name)) {
+          queue.push(parent.name);
+        }
+      }
+    }
+
+    return { rows, missingTables: [...missingTables], missingRows };
+  }
+
+  /**
+   * Gets the single-column foreign keys of a table. Composite foreign keys
+   * are reported and skipped.
+   * @param {Object} connection - Local database connection
+   * @param {string} tableName - Table name
+   * @returns {Promise<Array>} Foreign keys as { column, parentTable, parentColumn }
+   */
+  async getForeignKeys(connection, tableName) {
+    const constraints = new Map();
+
+    for (const row of await schemaDiscoveryService.discoverForeignKeys(connection, tableName)) {
+      const columns = constraints.get(row.constraint_name) || [];
+      columns.push(row);
+      constraints.set(row.constraint_name, columns);
+    }
+
+    const foreignKeys = [];
+    constraints.forEach((columns, constraintName) => {
+      if (new Set(columns.map(column => column.column_name)).size > 1) {
+        logger.warn(`Composite foreign key ${constraintName} on ${tableName} is not followed in subset mode`);
+        return;
+      }
+
+      foreignKeys.push({
+        column: columns[0].column_name,
+        parentTable: columns[0].foreign_table_name,
+        parentColumn: columns[0].foreign_column_name
+      });
+    });
+
+    return foreignKeys;
+  }
+
+  /**
+   * Builds an MBQL filter from a { column: value | [values] } map
+   * @param {Object} table - Metabase table
+   * @param {Object|null} where - Column conditions
+   * @returns {Array|null} MBQL filter clause
+   */
+  buildWhereFilter(table, where) {
+    if (!where || Object.keys(where).length === 0) {
+      return null;
+    }
+
+    const clauses = Object.entries(where).map(([column, value]) => {
+      const field = this.findField(table, column);
+
+      if (value === null) {
+        return ['is-null', metabaseService.fieldRef(field)];
+      }
+      return ['=', metabaseService.fieldRef(field), ...(Array.isArray(value) ? value : [value])];
+    });
+
+    return clauses.length === 1 ? clauses[0] : ['and', ...clauses];
+  }
+
+  /**
+   * Fetches the rows of a table whose column holds one of the given values
+   * @param {Object} table - Metabase table
+   * @param {string} column - Column to match
+   * @param {Array} values - Values to look up
+   * @returns {Promise<Array>} Matching rows
+   */
+  async fetchByValues(table, column, values) {
+    const field = this.findField(table, column);
+    const fetched = [];
+
+    for (let i = 0; i < values.length; i += this.keyChunkSize) {
+      const chunk = values.slice(i, i + this.keyChunkSize);
+      const chunkRows = await this.extractRows(table, {
+        filter: ['=', metabaseService.fieldRef(field), ...chunk]
+      });
+      fetched.push(...chunkRows);
+    }
+
+    return fetched;
+  }
+
+  /**
+   * Extracts rows from Metabase, failing on any extraction error
+   * @param {Object} table - Metabase table
+   * @param {Object} options - extractAllTableData options
+   * @returns {Promise<Array>} Extracted rows
+   */
+  async extractRows(table, options) {
+    const result = await metabaseService.extractAllTableData(table.id, table.name, null, {
+      fields: table.fields,
+      ...options
+    });
+
+    if (!result.success) {
+      throw new Error(`Failed to extract subset rows from ${table.name}: ${result.error}`);
+    }
+
+    return result.data;
+  }
+
+  /**
+   * Adds rows to the subset, skipping rows it already holds
+   * @param {Map} rows - Subset rows by table name
+   * @param {Object} table - Metabase table
+   * @param {Array} newRows - Rows to add
+   * @returns {number} Number of rows added
+   */
+  addRows(rows, table, newRows) {
+    const keyNames = metabaseService.findKeyFields(table.fields || []).map(field => field.name);
+    const rowKey = row => JSON.stringify(keyNames.length > 0 ? keyNames.map(name => row[name]) : row);
+
+    const tableRows = rows.get(table.name) || [];
+    const seen = new Set(tableRows.map(rowKey));
+    let added = 0;
+
+    for (const row of newRows) {
+      const key = rowKey(row);
+      if (!seen.has(key)) {
+        seen.add(key);
+        tableRows.push(row);
+        added++;
+      }
+    }
+
+    rows.set(table.name, tableRows);
+    return added;
+  }
+
+  /**
+   * Looks up a Metabase field by column name
+   * @param {Object} table - Metabase table
+   * @param {string} column - Column name
+   * @returns {Object} Field metadata
+   */
+  findField(table, column) {
+    const field = (table.fields || []).find(f => f.name === column);
+    if (!field) {
+      throw new Error(`Column ${column} not found in Metabase table ${table.name}`);
+    }
+    return field;
+  }
+}
+
+const subsetService = new SubsetService();
+
+export { SubsetService, subsetService };
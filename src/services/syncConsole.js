@@ -0,0 +1,127 @@
+import { logger } from '../utils/logger.js';
+import { verificationService } from './verification.js';
+
+/**
+ * Draws a running sync on the console from the orchestrator's events: a
+ * spinner per phase, a progress bar while tables load, and the summary once
+ * the sync ends. The CLI attaches it; code that runs the orchestrator itself
+ * can leave it out or attach its own listeners instead.
+ */
+class SyncConsoleService {
+  constructor() {
+    this.phases = {
+      connect: ['Connecting to the local database and Metabase', 'Connected to the local database and Metabase'],
+      discover: ['Discovering tables', 'Tables discovered'],
+      clear: ['Clearing existing data', 'Existing data cleared'],
+      commit: ['Committing the loaded data', 'Loaded data committed'],
+      sequences: ['Resetting sequences', 'Sequences reset'],
+      verify: ['Verifying tables against Metabase', 'Tables verified']
+    };
+    this.phase = null;
+    this.finishedTables = new Set();
+  }
+
+  /**
+   * Starts drawing the syncs of an orchestrator
+   * @param {EventEmitter} orchestrator - Sync orchestrator
+   * @returns {Function} Stops drawing
+   */
+  attach(orchestrator) {
+    const handlers = {
+      'sync:start': () => this.onSyncStart(),
+      'phase:start': payload => this.onPhaseStart(payload),
+      'phase:complete': payload => this.onPhaseComplete(payload),
+      'table:complete': payload => this.onTableFinished(payload),
+      'table:failed': payload => this.onTableFinished(payload),
+      'sync:complete': result => this.onSyncComplete(result),
+      'sync:failed': () => this.onSyncFailed()
+    };
+
+    Object.entries(handlers).forEach(([event, handler]) => orchestrator.on(event, handler));
+    return () => Object.entries(handlers).forEach(([event, handler]) => orchestrator.off(event, handler));
+  }
+
+  onSyncStart() {
+    this.phase = null;
+    this.finishedTables.clear();
+    logger.section('MetaExodus - Database Synchronization');
+  }
+
+  /**
+   * Shows a spinner for the phase, or a progress bar over the tables to load
+   * @param {Object} payload - { phase, tables (load phase only) }
+   */
+  onPhaseStart({ phase, tables }) {
+    this.phase = phase;
+    if (phase === 'load') {
+      logger.subsection('Synchronizing Data');
+      logger.createProgressBar(tables, 'Syncing tables');
+    } else {
+      logger.startSpinner(this.phases[phase]?.[0] || phase);
+    }
+  }
+
+  /**
+   * @param {Object} payload - { phase, duration }
+   */
+  onPhaseComplete({ phase, duration }) {
+    this.phase = null;
+    if (phase === 'load') {
+      logger.stopProgress();
+    } else {
+      logger.stopSpinner(true, `${this.phases[phase]?.[1] || phase} in ${duration}ms`);
+    }
+  }
+
+  /**
+   * Moves the progress bar. A table that fails its second pass after loading
+   * is only counted once.
+   * @param {Object} payload - { table, ... }
+   */
+  onTableFinished({ table }) {
+    this.finishedTables.add(table);
+    logger.updateProgress(this.finishedTables.size, table);
+  }
+
+  onSyncFailed() {
+    if (this.phase === 'load') {
+      logger.stopProgress();
+    } else if (this.phase) {
+      logger.stopSpinner(false, `${this.phases[this.phase]?.[0] || this.phase} failed`);
+    }
+    this.phase = null;
+  }
+
+  /**
+   * Prints the summary of a finished sync
+   * @param {Object} result - Sync result
+   */
+  onSyncComplete(result) {
+    const minutes = Math.floor(result.duration / 60);
+    const seconds = result.duration % 60;
+
+    logger.summary({
+      duration: `${minutes}m ${seconds}s`,
+      tablesSynchronized: `${result.successfulTables}/${result.totalTables}`,
+      totalRowsSynchronized: result.syncedRows,
+      sequencesReset: result.sequences.filter(sequence => sequence.value !== null).length,
+      ...(result.incrementalTables > 0 && { incrementalTables: result.incrementalTables }),
+      successRate: `${result.successRate}%`
+    });
+
+    if (result.verification && !result.verification.passed) {
+      logger.table(verificationService.describeFailures(result.verification));
+      logger.error('Local database does not match the remote database');
+    } else if (result.failedTables.length === 0) {
+      logger.success('Local database is now an exact replica of the remote database');
+      logger.success('Database synchronization completed successfully');
+    } else if (result.partialSuccess) {
+      logger.warn(`Database synchronization completed with ${result.failedTables.length} failed tables`);
+      logger.info(`${result.successfulTables} tables synchronized successfully`);
+    }
+  }
+}
+
+const syncConsoleService = new SyncConsoleService();
+
+export { SyncConsoleService, syncConsoleService };
@@ -0,0 +1,188 @@
+import { readFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Service for the sync history kept in the local database: one row per run in
+ * metaexodus_sync_runs and one row per table of the run in metaexodus_sync_tables
+ */
+class SyncHistoryService {
+  constructor() {
+    this.runsTable = 'metaexodus_sync_runs';
+    this.tablesTable = 'metaexodus_sync_tables';
+    this.version = null;
+  }
+
+  /**
+   * Version of MetaExodus from package.json
+   * @returns {string} Version
+   */
+  get toolVersion() {
+    if (this.version === null) {
+      try {
+        this.version = JSON.parse(readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', '..', 'package.json'), 'utf8')).version;
+      } catch {
+        this.version = 'unknown';
+      }
+    }
+    return this.version;
+  }
+
+  /**
+   * Creates the history tables if they do not exist yet
+   * @param {Object} connection - Local database connection
+   * @returns {Promise<void>}
+   */
+  async ensureTables(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ${this.runsTable} (
+        id bigserial PRIMARY KEY,
+        started_at timestamptz NOT NULL,
+        finished_at timestamptz,
+        status text NOT NULL,
+        mode text NOT NULL,
+        staging boolean NOT NULL DEFAULT false,
+        metabase_database_id integer,
+        tool_version text,
+        total_tables integer,
+        successful_tables integer,
+        failed_tables integer,
+        synced_rows bigint,
+        rolled_back boolean NOT NULL DEFAULT false,
+        error text
+      );
+      CREATE TABLE IF NOT EXISTS ${this.tablesTable} (
+        run_id bigint NOT NULL REFERENCES ${this.runsTable} (id) ON DELETE CASCADE,
+        table_name text NOT NULL,
+        status text NOT NULL,
+        expected_rows bigint,
+        loaded_rows bigint,
+        duration_ms integer,
+        error text
+      );
+      CREATE INDEX IF NOT EXISTS ${this.tablesTable}_run_id ON ${this.tablesTable} (run_id);
+    `);
+  }
+
+  /**
+   * Records the start of a run, creating the history tables on first use
+   * @param {Object} connection - Local database connection
+   * @param {Object} run - { startedAt, incremental, subset, staging, metabaseDatabaseId }
+   * @returns {Promise<number>} Id of the run
+   */
+  async startRun(connection, { startedAt, incremental = false, subset = false, staging = false, metabaseDatabaseId = null }) {
+    await this.ensureTables(connection);
+
+    let mode = 'full';
+    if (subset) {
+      mode = 'subset';
+    } else if (incremental) {
+      mode = 'incremental';
+    }
+
+    const result = await connection.query(
+      `INSERT INTO ${this.runsTable} (started_at, status, mode, staging, metabase_database_id, tool_version)
+       VALUES ($1, 'running', $2, $3, $4, $5)
+       RETURNING id`,
+      [new Date(startedAt), mode, staging, Number.isInteger(metabaseDatabaseId) ? metabaseDatabaseId : null, this.toolVersion]
+    );
+
+    return result.rows[0].id;
+  }
+
+  /**
+   * Records how a run ended, with a row per table it processed
+   * @param {Object} connection - Local database connection
+   * @param {number} runId - Id from startRun
+   * @param {Object} outcome - { status: 'succeeded' | 'partial' | 'failed', stats: sync statistics, error }
+   * @returns {Promise<void>}
+   */
+  async finishRun(connection, runId, { status, stats, error = null }) {
+    await connection.query(
+      `UPDATE ${this.runsTable}
+       SET finished_at = $2, status = $3, total_tables = $4, successful_tables = $5,
+           failed_tables = $6, synced_rows = $7, rolled_back = $8, error = $9
+       WHERE id = $1`,
+      [
+        runId,
+        new Date(stats.endTime || Date.now()),
+        status,
+        stats.totalTables,
+        stats.successfulTables,
+        stats.failedTables.length,
+        stats.syncedRows,
+        stats.rolledBack,
+        error
+      ]
+    );
+
+    const tables = stats.tableResults || [];
+    if (tables.length === 0) {
+      return;
+    }
+
+    const values = [];
+    const placeholders = tables.map((table, index) => {
+      const offset = index * 7;
+      values.push(runId, table.name, table.error ? 'failed' : table.status, table.expectedRows,
+        table.loadedRows, table.duration, table.error);
+      return `(${Array.from({ length: 7 }, (_, column) => `$${offset + column + 1}`).join(', ')})`;
+    });
+
+    await connection.query(
+      `INSERT INTO ${this.tablesTable} (run_id, table_name, status, expected_rows, loaded_rows, duration_ms, error)
+       VALUES ${placeholders.join(', ')}`,
+      values
+    );
+  }
+
+  /**
+   * Lists the most recent runs, newest first
+   * @param {Object} connection - Local database connection
+   * @param {number} limit - How many runs to list
+   * @returns {Promise<Array>} Runs, or an empty list when nothing was recorded yet
+   */
+  async listRuns(connection, limit = 20) {
+    if (!(await this.hasHistory(connection))) {
+      return [];
+    }
+
+    const result = await connection.query(
+      `SELECT * FROM ${this.runsTable} ORDER BY id DESC LIMIT $1`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Gets one run with its tables
+   * @param {Object} connection - Local database connection
+   * @param {number} runId - Run id
+   * @returns {Promise<Object|null>} { run, tables } or null when there is no such run
+   */
+  async getRun(connection, runId) {
+    if (!(await this.hasHistory(connection))) {
+      return null;
+    }
+
+    const runs = await connection.query(`SELECT * FROM ${this.runsTable} WHERE id = $1`, [runId]);
+    if (runs.rows.length === 0) {
+      return null;
+    }
+
+    const tables = await connection.query(
+      `SELECT * FROM ${this.tablesTable} WHERE run_id = $1 ORDER BY table_name`,
+      [runId]
+    );
+    return { run: runs.rows[0], tables: tables.rows };
+  }
+
+  async hasHistory(connection) {
+    const result = await connection.query('SELECT to_regclass($1) IS NOT NULL AS found', [this.runsTable]);
+    return result.rows[0].found;
+  }
+}
+
+const syncHistoryService = new SyncHistoryService();
+
+export { SyncHistoryService, syncHistoryService };
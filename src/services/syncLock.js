@@ -0,0 +1,131 @@
+import { hostname } from 'os';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Service for the PostgreSQL advisory lock that keeps two MetaExodus runs from
+ * writing into the same local database at once. The lock is keyed to the
+ * database name and held by the session, so it is also released when the
+ * connection closes or the process dies.
+ */
+class SyncLockService {
+  constructor() {
+    // First key of the two-key advisory lock, "MEXE" in ASCII, so other
+    // applications' advisory locks do not collide with ours
+    this.lockId = 0x4d455845;
+    this.pollInterval = 5000;
+    this.connection = null;
+  }
+
+  /**
+   * Takes the lock on the connection's database
+   * @param {Object} connection - Local database connection that will hold the lock
+   * @param {Object} options - { wait: keep trying while another run holds it, timeout: seconds to wait (none by default) }
+   * @returns {Promise<Object>} { acquired, holder: the run holding the lock when it was not acquired }
+   */
+  async acquire(connection, { wait = false, timeout = null } = {}) {
+    // Shows up in pg_stat_activity, so a run that finds the lock taken can say who holds it
+    await connection.query('SELECT set_config(\'application_name\', $1, false)', [this.applicationName()]);
+
+    const deadline = timeout ? Date.now() + timeout * 1000 : null;
+    let reported = null;
+
+    for (;;) {
+      if (await this.tryLock(connection)) {
+        this.connection = connection;
+        return { acquired: true, holder: null };
+      }
+
+      const holder = await this.findHolder(connection);
+      if (!wait || (deadline !== null && Date.now() >= deadline)) {
+        return { acquired: false, holder };
+      }
+
+      if (holder && holder.pid !== reported) {
+        logger.info(`Waiting for the sync lock held by ${this.describeHolder(holder)}`);
+        reported = holder.pid;
+      }
+      await this.sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Releases the lock, if this process holds it. Errors are only logged: the
+   * lock goes away with the connection anyway.
+   * @returns {Promise<void>}
+   */
+  async release() {
+    if (!this.connection) {
+      return;
+    }
+
+    const connection = this.connection;
+    this.connection = null;
+    try {
+      await connection.query('SELECT pg_advisory_unlock($1, hashtext(current_database()))', [this.lockId]);
+    } catch (error) {
+      logger.warn(`Could not release the sync lock: ${error.message}`);
+    }
+  }
+
+  async tryLock(connection) {
+    const result = await connection.query(
+      'SELECT pg_try_advisory_lock($1, hashtext(current_database())) AS locked',
+      [this.lockId]
+    );
+    return result.rows[0].locked === true;
+  }
+
+  /**
+   * Looks up the session holding the lock
+   * @param {Object} connection - Local database connection
+   * @returns {Promise<Object|null>} { pid, usename, application_name, client_addr, client_hostname, backend_start } or null
+   */
+  async findHolder(connection) {
+    const result = await connection.query(`
+      SELECT a.pid, a.usename, a.application_name, a.client_addr, a.client_hostname, a.backend_start
+      FROM pg_locks l
+      JOIN pg_stat_activity a ON a.pid = l.pid
+      WHERE l.locktype = 'advisory'
+        AND l.granted
+        AND l.database = (SELECT oid FROM pg_database WHERE datname = current_database())
+        AND l.classid = $1
+        AND l.objid = hashtext(current_database())::oid
+        AND l.objsubid = 2
+      LIMIT 1
+    `, [this.lockId]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Describes the session holding the lock for error and progress messages
+   * @param {Object} holder - Row from findHolder
+   * @returns {string} Description
+   */
+  describeHolder(holder) {
+    const parts = [holder.application_name || 'an unnamed session', `backend pid ${holder.pid}`];
+    if (holder.usename) {
+      parts.push(`user ${holder.usename}`);
+    }
+    if (holder.client_hostname || holder.client_addr) {
+      parts.push(`from ${holder.client_hostname || holder.client_addr}`);
+    }
+    if (holder.backend_start) {
+      parts.push(`connected since ${new Date(holder.backend_start).toISOString()}`);
+    }
+    return parts.join(', ');
+  }
+
+  applicationName() {
+    const user = process.env.USER || process.env.USERNAME || 'unknown';
+    return `metaexodus ${user}@${hostname()} pid ${process.pid}`;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+const syncLockService = new SyncLockService();
+
+export { SyncLockService, syncLockService };
@@ -1,32 +1,90 @@
+import {EventEmitter} from 'events';
+
+import {getWatermarkColumns} from '../utils/env.js';
 import {logger} from '../utils/logger.js';
+import {findExcludedParents, globToRegExp, selectTables} from '../utils/tableSelection.js';
+import {checkpointService} from './checkpoint.js';
+import {circularDependencyService} from './circularDependencies.js';
 import {connectionService} from './connection.js';
 import {dataService} from './data.js';
 import {dataTransformationService} from './dataTransformation.js';
+import {dependencyGraphService} from './dependencyGraph.js';
+import {diffService} from './diff.js';
+import {hookService} from './hooks.js';
 import {metabaseService} from './metabase.js';
+import {previewService} from './preview.js';
+import {reportService} from './report.js';
 import {schemaDiscoveryService} from './schemaDiscovery.js';
+import {stagingSchemaService} from './stagingSchema.js';
+import {subsetService} from './subset.js';
+import {syncHistoryService} from './syncHistory.js';
+import {syncLockService} from './syncLock.js';
+import {syncStateService} from './syncState.js';
+import {verificationService} from './verification.js';
 
 /**
- * Orchestrates the complete database synchronization process
+ * Orchestrates the complete database synchronization process.
+ *
+ * Emits events while executeSync runs, so callers can follow a sync from code.
+ * A sync only logs; the spinners, progress bar and summary of the CLI are
+ * drawn by syncConsoleService, which listens to these events:
+ * - sync:start { startTime }
+ * - phase:start { phase } and phase:complete { phase, duration }, for the
+ *   connect, discover, clear, load, commit, sequences and verify phases. The
+ *   load phase also starts with the number of tables to load: { phase, tables }
+ * - table:start { table, expectedRows }
+ * - batch:inserted { table, rows }
+ * - table:complete { table, status: 'synced' | 'resumed', loadedRows, expectedRows, duration }
+ * - table:failed { table, error, details, duration }
+ * - sync:complete { ...result } and sync:failed { error, phase, stats }
  */
-class SyncOrchestratorService {
+class SyncOrchestratorService extends EventEmitter {
 	constructor() {
+		super();
+
 		this.syncConfig = {
 			batchSize: parseInt(process.env.DB_BATCH_SIZE) || 1000,
 			onConflict: 'error',
+			loader: 'copy',
 			enableRollback: true,
 			continueOnError: false,
 			enableTransformation: true,
+			incremental: false,
+			useStagingSchema: false,
+			stagingSchema: 'metaexodus_staging',
+			resume: false,
+			concurrency: parseInt(process.env.SYNC_CONCURRENCY) || 1,
+			includeTables: [],
+			excludeTables: [],
+			subset: null,
+			verifyAfterSync: false,
+			checksums: {},
+			reportPath: null,
+			diffDumpPath: null,
+			hooks: null,
+			waitForLock: false,
+			lockTimeout: null,
+			recordHistory: true,
+			tableStrategies: {},
+			// Read from SYNC_WATERMARKS when the run connects unless configured
+			watermarks: null,
 		};
 
-		this.syncStats = {
-			startTime: null,
-			endTime: null,
-			totalTables: 0,
-			successfulTables: 0,
-			failedTables: [],
-			totalRows: 0,
-			syncedRows: 0,
-		};
+		this.syncStats = this.createSyncStats();
+
+		this.pendingWatermarks = new Map();
+		this.localConnection = null;
+		this.inTransaction = false;
+		this.targetSchema = null;
+		this.loadedRowCounts = new Map();
+		this.resumeCheckpoint = null;
+		this.dependencyCycles = [];
+		this.cyclePlan = null;
+		this.cycleHoldTables = new Map();
+		this.currentPhase = null;
+		this.historyRunId = null;
+		this.syncing = false;
+		this.abortRequested = false;
 	}
 
 	/**
@@ -35,47 +93,426 @@ class SyncOrchestratorService {
 	 * @returns {Promise<Object>} Synchronization result
 	 */
 	async executeSync(credentials) {
+		this.resetSyncStats();
+		this.syncing = true;
+		this.abortRequested = false;
 		this.syncStats.startTime = Date.now();
-		logger.section('MetaExodus - Database Synchronization');
+		this.notify('sync:start', {startTime: this.syncStats.startTime});
 
 		try {
-			await this.authenticateAndConnect(credentials);
+			hookService.load(this.syncConfig.hooks);
+
+			await this.runPhase('connect', () => this.authenticateAndConnect(credentials));
+
+			await this.recordRunStart();
+
+			const {tables, dependencies, enumMap} = await this.runPhase('discover', () => this.discoverAndAnalyze());
 
-			const {tables, dependencies, enumMap} = await this.discoverAndAnalyze();
+			await this.planCircularDependencies(tables, dependencies);
 
-			await this.clearExistingData(tables, dependencies);
+			this.startCheckpoint();
 
-			await this.synchronizeData(tables, dependencies, enumMap);
+			await this.runHooks('beforeSync', await this.getLocalConnection());
+
+			if (this.syncConfig.useStagingSchema) {
+				await this.runPhase('load', () => this.loadViaStagingSchema(tables, dependencies, enumMap), {
+					tables: tables.length,
+				});
+			} else {
+				if (this.syncConfig.enableRollback) {
+					await this.beginTransaction();
+				}
+
+				await this.runPhase('clear', () => this.clearExistingData(tables, dependencies));
+
+				await this.runPhase('load', () => this.synchronizeData(tables, dependencies, enumMap), {
+					tables: tables.length,
+				});
+
+				await this.runPhase('commit', () => this.commitTransaction());
+			}
+
+			await this.runPhase('sequences', () => this.resetSequences(tables));
+
+			if (this.syncConfig.verifyAfterSync) {
+				await this.runPhase('verify', () => this.verifyAfterSync(tables));
+			}
 
-			return await this.finalizeSynchronization();
+			await this.runHooks('afterSync', await this.getLocalConnection());
+
+			const result = await this.finalizeSynchronization();
+			await this.recordRunEnd(result);
+			this.writeReport(result);
+			this.notify('sync:complete', result);
+			return result;
 		} catch (error) {
-			logger.error('Synchronization failure', error);
+			if (error.aborted) {
+				logger.warn('Synchronization interrupted');
+			} else {
+				logger.error('Synchronization failure', error);
+			}
 			await this.handleSyncFailure();
+			await this.runFailureHooks(error);
+			await this.recordRunEnd({success: false, aborted: error.aborted, error: error.message});
+			this.writeReport({
+				success: false,
+				error: error.message,
+				...this.syncStats,
+				duration: Math.round((this.syncStats.endTime - this.syncStats.startTime) / 1000),
+				transformationStats: dataTransformationService.getTransformationStats(),
+			});
+			this.notify('sync:failed', {error, phase: this.currentPhase, stats: this.getSyncStats()});
 			throw error;
 		} finally {
+			this.syncing = false;
 			await this.cleanup();
 		}
 	}
 
 	/**
-	 * Phase 1: Authenticate with Metabase and connect to local database
+	 * Asks a running sync to stop. The batch being written is finished, then
+	 * the sync fails as if that batch had failed: the transaction is rolled
+	 * back or the checkpoint is kept, and connections are closed.
+	 * @returns {boolean} Whether a sync is running and will stop on its own
+	 */
+	requestAbort() {
+		this.abortRequested = this.syncing;
+		return this.syncing;
+	}
+
+	/**
+	 * Throws when an abort was requested, at points where stopping is safe
+	 */
+	checkAborted() {
+		if (this.abortRequested) {
+			const error = new Error('Synchronization interrupted');
+			error.aborted = true;
+			throw error;
+		}
+	}
+
+	/**
+	 * Creates empty sync statistics
+	 * @returns {Object} Sync statistics
+	 */
+	createSyncStats() {
+		return {
+			startTime: null,
+			endTime: null,
+			totalTables: 0,
+			successfulTables: 0,
+			failedTables: [],
+			totalRows: 0,
+			syncedRows: 0,
+			incrementalTables: 0,
+			rolledBack: false,
+			tableResults: [],
+			sequences: [],
+			verification: null,
+		};
+	}
+
+	/**
+	 * Starts a run from empty statistics, so a long-running process (such as
+	 * --watch) does not carry counts over from its previous syncs
+	 */
+	resetSyncStats() {
+		this.syncStats = this.createSyncStats();
+		this.loadedRowCounts.clear();
+		this.pendingWatermarks.clear();
+		this.dependencyCycles = [];
+		dataTransformationService.resetStats();
+	}
+
+	/**
+	 * Records the start of the run in the local history table. The history
+	 * never gets in the way of a sync: failing to write it only logs a warning.
+	 */
+	async recordRunStart() {
+		if (!this.syncConfig.recordHistory) {
+			return;
+		}
+
+		try {
+			this.historyRunId = await syncHistoryService.startRun(await this.getLocalConnection(), {
+				startedAt: this.syncStats.startTime,
+				incremental: this.syncConfig.incremental,
+				subset: Boolean(this.syncConfig.subset),
+				staging: this.syncConfig.useStagingSchema,
+				metabaseDatabaseId: metabaseService.databaseId,
+			});
+		} catch (error) {
+			logger.warn(`Could not record the sync in the history table: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Records how the run ended in the local history table, after the sync
+	 * transaction was committed or rolled back
+	 * @param {Object} result - { success, partialSuccess, aborted, error }
+	 */
+	async recordRunEnd(result) {
+		if (this.historyRunId === null) {
+			return;
+		}
+
+		const runId = this.historyRunId;
+		this.historyRunId = null;
+		let status = result.aborted ? 'interrupted' : 'failed';
+		if (result.success) {
+			status = result.partialSuccess ? 'partial' : 'succeeded';
+		}
+
+		try {
+			await syncHistoryService.finishRun(await this.getLocalConnection(), runId, {
+				status,
+				stats: this.syncStats,
+				error: result.error || null,
+			});
+		} catch (error) {
+			logger.warn(`Could not record the sync result in the history table: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Runs one phase of the sync between phase:start and phase:complete events
+	 * @param {string} phase - Phase name
+	 * @param {Function} step - Async phase body
+	 * @param {Object} details - Extra phase:start payload
+	 * @returns {Promise<any>} Result of the step
+	 */
+	async runPhase(phase, step, details = {}) {
+		this.checkAborted();
+		const startedAt = Date.now();
+		this.currentPhase = phase;
+		this.notify('phase:start', {phase, ...details});
+
+		const result = await step();
+
+		this.notify('phase:complete', {phase, duration: Date.now() - startedAt});
+		return result;
+	}
+
+	/**
+	 * Emits a sync event. A failing listener is reported without failing the sync.
+	 * @param {string} event - Event name
+	 * @param {Object} payload - Event payload
+	 */
+	notify(event, payload) {
+		try {
+			this.emit(event, payload);
+		} catch (error) {
+			logger.warn(`Listener for ${event} failed: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Phase 1: Connect to the local database, take the sync lock and authenticate with Metabase
 	 * @param {Object} credentials - Database credentials
+	 * @param {Object} options - { lock: false for commands that only read the local database }
 	 */
-	async authenticateAndConnect(credentials) {
-		logger.startSpinner('Authenticating with Metabase');
+	async authenticateAndConnect(credentials, {lock = true} = {}) {
+		if (this.syncConfig.watermarks === null) {
+			this.syncConfig.watermarks = getWatermarkColumns();
+		}
+
+		await connectionService.initialize();
+		await dataService.initialize();
+		const localConnection = await this.getLocalConnection();
+		logger.info('Local database connected');
+
+		await syncStateService.load(localConnection);
+
+		if (lock) {
+			await this.acquireSyncLock(localConnection);
+		}
+
 		const authResult = await metabaseService.authenticate(credentials.username, credentials.password);
 
 		if (!authResult.success) {
-			logger.stopSpinner(false, 'Authentication failed');
 			throw new Error(`Failed to authenticate with Metabase: ${authResult.error}`);
 		}
-		logger.stopSpinner(true, 'Metabase authentication successful');
+		logger.info('Metabase authentication successful');
+	}
 
-		logger.startSpinner('Connecting to local database');
-		await connectionService.initialize();
-		await dataService.initialize();
-		await connectionService.connectLocal();
-		logger.stopSpinner(true, 'Local database connected');
+	/**
+	 * Takes the advisory lock that keeps other MetaExodus runs out of the local
+	 * database until this one finishes. Fails fast when another run holds it,
+	 * unless waitForLock is set.
+	 * @param {Object} localConnection - Local database client that holds the lock
+	 */
+	async acquireSyncLock(localConnection) {
+		const {acquired, holder} = await syncLockService.acquire(localConnection, {
+			wait: this.syncConfig.waitForLock,
+			timeout: this.syncConfig.lockTimeout,
+		});
+
+		if (!acquired) {
+			const heldBy = holder ? ` (held by ${syncLockService.describeHolder(holder)})` : '';
+			throw new Error(
+				this.syncConfig.waitForLock
+					? `Gave up waiting for another MetaExodus run on this database after ${this.syncConfig.lockTimeout}s${heldBy}`
+					: `Another MetaExodus run is using this database${heldBy}. Use --wait-lock to wait for it to finish`,
+			);
+		}
+	}
+
+	/**
+	 * Returns the single local client used for the whole run, connecting on first use
+	 * @returns {Promise<Object>} Local database client
+	 */
+	async getLocalConnection() {
+		if (!this.localConnection) {
+			this.localConnection = await connectionService.connectLocal();
+		}
+		return this.localConnection;
+	}
+
+	/**
+	 * Opens the transaction that wraps the clear and load phases, so a failed
+	 * sync can be rolled back to the data that was there before it started
+	 */
+	async beginTransaction() {
+		const localConnection = await this.getLocalConnection();
+		await localConnection.query('BEGIN');
+		this.inTransaction = true;
+
+		const deferredConstraints = this.cyclePlan?.deferredConstraints || [];
+		if (deferredConstraints.length > 0) {
+			await localConnection.query(`SET CONSTRAINTS ${deferredConstraints.map(name => `"${name}"`).join(', ')} DEFERRED`);
+		}
+	}
+
+	/**
+	 * Commits the sync transaction, if one is open
+	 */
+	async commitTransaction() {
+		if (!this.inTransaction) {
+			return;
+		}
+
+		const localConnection = await this.getLocalConnection();
+		await localConnection.query('COMMIT');
+		this.inTransaction = false;
+	}
+
+	/**
+	 * Runs a step inside a SAVEPOINT when the sync transaction is open, so a
+	 * failing statement only undoes that step instead of aborting the whole
+	 * transaction
+	 * @param {Object} connection - Database connection
+	 * @param {Function} step - Async step to run
+	 * @returns {Promise<any>} Result of the step
+	 */
+	async runInSavepoint(connection, step) {
+		if (!this.inTransaction) {
+			return step();
+		}
+
+		await connection.query('SAVEPOINT metaexodus_step');
+		try {
+			const result = await step();
+			await connection.query('RELEASE SAVEPOINT metaexodus_step');
+			return result;
+		} catch (error) {
+			await connection.query('ROLLBACK TO SAVEPOINT metaexodus_step');
+			await connection.query('RELEASE SAVEPOINT metaexodus_step');
+			throw error;
+		}
+	}
+
+	/**
+	 * Starts writing a checkpoint when table progress survives a crash (a
+	 * staging schema load, or a load without a wrapping transaction), and picks
+	 * up the previous checkpoint when resuming
+	 */
+	startCheckpoint() {
+		const mode = this.syncConfig.useStagingSchema ? 'staging' : 'direct';
+		const schema = this.syncConfig.useStagingSchema ? this.syncConfig.stagingSchema : null;
+		this.resumeCheckpoint = null;
+
+		if (this.syncConfig.subset) {
+			if (this.syncConfig.resume) {
+				logger.warn('Subset syncs cannot be resumed - collecting the subset again');
+			}
+			checkpointService.clear();
+			return;
+		}
+
+		if (!this.syncConfig.useStagingSchema && this.syncConfig.enableRollback) {
+			if (this.syncConfig.resume) {
+				logger.warn('Nothing to resume: a transactional sync is rolled back in full when it fails');
+			}
+			checkpointService.clear();
+			return;
+		}
+
+		if (this.syncConfig.resume) {
+			const previous = checkpointService.load();
+
+			if (!previous) {
+				logger.warn('No checkpoint found - running a full sync');
+			} else if (previous.mode !== mode || previous.schema !== schema) {
+				logger.warn(`Checkpoint was written by a ${previous.mode} sync - running a full sync`);
+			} else {
+				this.resumeCheckpoint = previous;
+				if (this.cyclePlan?.twoPassColumns.size > 0) {
+					const tableNames = [...this.cyclePlan.twoPassColumns.keys()].join(', ');
+					logger.warn(`Circular foreign keys of ${tableNames} loaded before the interruption may be left NULL`);
+				}
+				const completed = Object.keys(previous.completedTables).length;
+				const inProgress = Object.keys(previous.tablesInProgress);
+				const current = inProgress.length > 0 ? `, continuing ${inProgress.join(', ')}` : '';
+				logger.info(`Resuming from checkpoint: ${completed} tables already synchronized${current}`);
+			}
+		}
+
+		checkpointService.start({mode, schema, resumeFrom: this.resumeCheckpoint});
+	}
+
+	/**
+	 * Names of the tables a resumed run must not clear
+	 * @returns {Set<string>} Completed tables and the tables in progress
+	 */
+	getResumedTableNames() {
+		if (!this.resumeCheckpoint) {
+			return new Set();
+		}
+
+		return new Set([
+			...Object.keys(this.resumeCheckpoint.completedTables),
+			...Object.keys(this.resumeCheckpoint.tablesInProgress),
+		]);
+	}
+
+	/**
+	 * Gets a partially loaded table ready to continue from its checkpoint
+	 * @param {Object} connection - Database connection
+	 * @param {Object} table - Table information
+	 * @param {Object} progress - Checkpointed progress ({after, extractedRows, insertedRows})
+	 * @returns {Promise<Object|null>} Progress to resume from, or null to reload the table
+	 */
+	async prepareResumedTable(connection, table, progress) {
+		const target = dataService.qualifyTableName(table.name, this.targetSchema);
+		const keyFields = metabaseService.findKeyFields(table.fields || []);
+		const keepsRows = this.keepsLocalRows(table);
+
+		if (!progress.after || keyFields.length === 0) {
+			// Without a key to continue from, reload the whole table (upserts and appends are idempotent)
+			if (!keepsRows) {
+				await connection.query(`DELETE FROM ${target}`);
+			}
+			return null;
+		}
+
+		if (!keepsRows) {
+			// Drop rows of a batch inserted after the last checkpoint was written
+			const columns = keyFields.map(field => `"${field.name}"`).join(', ');
+			const params = keyFields.map((_, index) => `$${index + 1}`).join(', ');
+			await connection.query(`DELETE FROM ${target} WHERE (${columns}) > (${params})`, progress.after);
+		}
+
+		return progress;
 	}
 
 	/**
@@ -83,28 +520,108 @@ class SyncOrchestratorService {
 	 * @returns {Promise<Object>} Discovery results
 	 */
 	async discoverAndAnalyze() {
-		logger.startSpinner('Discovering tables in Metabase');
 		const tablesResult = await metabaseService.getTables();
 
 		if (!tablesResult.success) {
-			logger.stopSpinner(false, 'Failed to retrieve tables');
 			throw new Error(`Failed to retrieve tables: ${tablesResult.error}`);
 		}
 
-		const tables = tablesResult.tables;
+		const {selected: tables, excluded, unmatched} = selectTables(tablesResult.tables, {
+			include: this.syncConfig.includeTables,
+			exclude: this.syncConfig.excludeTables,
+		});
 		this.syncStats.totalTables = tables.length;
-		logger.stopSpinner(true, `Found ${tables.length} tables to synchronize`);
 
-		logger.startSpinner('Analyzing table dependencies');
-		const localConnection = await connectionService.connectLocal();
+		if (excluded.length > 0) {
+			logger.info(`Found ${tablesResult.tables.length} tables, ${tables.length} selected to synchronize`);
+		} else {
+			logger.info(`Found ${tables.length} tables to synchronize`);
+		}
+		unmatched.forEach(pattern => logger.warn(`Table pattern "${pattern}" did not match any table`));
+
+		if (tables.length === 0) {
+			throw new Error('No tables selected for synchronization');
+		}
+
+		const localConnection = await this.getLocalConnection();
 		const dependencies = await dataService.getTableDependencies(localConnection);
-		logger.stopSpinner(true, 'Table dependencies analyzed');
 
-		logger.startSpinner('Discovering database schema');
+		this.warnAboutExcludedParents(tables, excluded, dependencies);
+
+		this.dependencyCycles = dataService.findDependencyCycles(
+			tables.map(t => t.name),
+			dependencies,
+		);
+		this.dependencyCycles.forEach(cycle => {
+			logger.warn(
+				cycle.length === 1
+					? `Circular foreign key: ${cycle[0]} references itself`
+					: `Circular foreign keys between ${cycle.join(', ')}`,
+			);
+		});
+
 		const enumMap = await schemaDiscoveryService.discoverEnumValues(localConnection);
-		logger.stopSpinner(true, `Discovered ${Object.keys(enumMap).length} enum types`);
+		logger.info(`Discovered ${Object.keys(enumMap).length} enum types`);
+
+		return {tables, excluded, dependencies, enumMap};
+	}
+
+	/**
+	 * Warns when a selected table references a table that was left out, since
+	 * its foreign keys can then only point at whatever rows are already local
+	 * @param {Array} tables - Selected tables
+	 * @param {Array} excluded - Tables left out of the sync
+	 * @param {Object} dependencies - Table dependencies
+	 */
+	warnAboutExcludedParents(tables, excluded, dependencies) {
+		const missingParents = findExcludedParents(
+			tables.map(t => t.name),
+			excluded.map(t => t.name),
+			dependencies,
+		);
 
-		return {tables, dependencies, enumMap};
+		missingParents.forEach(({table, parent}) => {
+			logger.warn(`${table} references excluded table ${parent} - its foreign keys may fail to load`);
+		});
+	}
+
+	/**
+	 * Decides how the foreign keys of each dependency cycle are kept from
+	 * failing during the load. A staging load needs no plan: the staged tables
+	 * get their foreign keys only once all of them are swapped into public.
+	 * @param {Array} tables - Tables to synchronize
+	 * @param {Object} dependencies - Table dependencies
+	 */
+	async planCircularDependencies(tables, dependencies) {
+		this.cyclePlan = null;
+		if (this.dependencyCycles.length === 0 || this.syncConfig.useStagingSchema) {
+			return;
+		}
+
+		const localConnection = await this.getLocalConnection();
+		const insertionOrder = dataService.sortTablesByDependencies(
+			tables.map(t => t.name),
+			dependencies,
+		);
+		this.cyclePlan = await circularDependencyService.plan(localConnection, this.dependencyCycles, insertionOrder, {
+			canDefer: this.syncConfig.enableRollback,
+		});
+
+		this.cyclePlan.deferredConstraints.forEach(name => {
+			logger.info(`Deferring circular foreign key ${name} until commit`);
+		});
+		for (const [tableName, {keyColumns, columns}] of this.cyclePlan.twoPassColumns) {
+			logger.info(`Loading ${columns.join(', ')} of ${tableName} in a second pass`);
+			this.cycleHoldTables.set(
+				tableName,
+				await dataService.createKeyTable(localConnection, tableName, keyColumns, columns),
+			);
+		}
+		this.cyclePlan.unresolved.forEach(({constraintName, tableName}) => {
+			logger.warn(
+				`Circular foreign key ${constraintName} is neither DEFERRABLE nor nullable - loading ${tableName} may fail`,
+			);
+		});
 	}
 
 	/**
@@ -113,22 +630,35 @@ class SyncOrchestratorService {
 	 * @param {Object} dependencies - Table dependencies
 	 */
 	async clearExistingData(tables, dependencies) {
-		logger.startSpinner('Clearing existing data from tables');
-		const localConnection = await connectionService.connectLocal();
+		const localConnection = await this.getLocalConnection();
 		const tableNames = tables.map(t => t.name);
-		const clearingOrder = dataService.sortTablesByDependencies(tableNames, dependencies).reverse();
+		const clearingOrder = dataService
+			.groupTablesByCycle(dataService.sortTablesByDependencies(tableNames, dependencies), this.dependencyCycles)
+			.reverse();
+		const keptTables = new Set(tables.filter(table => this.keepsLocalRows(table)).map(table => table.name));
+		const resumedTables = this.getResumedTableNames();
 
 		let clearedTables = 0;
-		for (const tableName of clearingOrder) {
+		for (const group of clearingOrder) {
+			const toClear = group
+				.filter(tableName => !keptTables.has(tableName) && !resumedTables.has(tableName))
+				.reverse();
+			if (toClear.length === 0) {
+				continue;
+			}
+
+			// Tables of a cycle reference each other, so they are cleared by one statement
+			const statement = dataService.combineStatements(toClear.map(tableName => `DELETE FROM "${tableName}"`));
 			try {
-				await localConnection.query(`DELETE FROM "${tableName}"`);
-				clearedTables++;
+				await this.runInSavepoint(localConnection, () => localConnection.query(statement));
+				clearedTables += toClear.length;
 			} catch (deleteError) {
-				logger.warn(`Could not clear table ${tableName}: ${deleteError.message}`);
+				logger.warn(`Could not clear table ${toClear.join(', ')}: ${deleteError.message}`);
 			}
 		}
 
-		logger.stopSpinner(true, `Cleared data from ${clearedTables}/${tables.length} tables`);
+		const keptNote = keptTables.size > 0 ? ` (${keptTables.size} kept by their sync strategy)` : '';
+		logger.info(`Cleared data from ${clearedTables}/${tables.length} tables${keptNote}`);
 	}
 
 	/**
@@ -138,11 +668,161 @@ class SyncOrchestratorService {
 	 * @param {Object} enumMap - Enum type mappings
 	 */
 	async synchronizeData(tables, dependencies, enumMap) {
+		if (this.syncConfig.subset) {
+			return this.synchronizeSubset(tables, dependencies, enumMap);
+		}
+
 		// Analyze table sizes
 		const tableCounts = await this.analyzeTableSizes(tables);
 
 		// Synchronize data in dependency order
 		await this.performDataSync(tables, dependencies, enumMap, tableCounts);
+
+		return tableCounts;
+	}
+
+	/**
+	 * Phase 4 in subset mode: collects the rows of the subset roots plus every
+	 * parent row they reference, then loads them in dependency order. Tables
+	 * outside the subset are left empty by the clear phase.
+	 * @param {Array} tables - List of tables
+	 * @param {Object} dependencies - Table dependencies
+	 * @param {Object} enumMap - Enum type mappings
+	 * @returns {Promise<Object>} Subset row counts
+	 */
+	async synchronizeSubset(tables, dependencies, enumMap) {
+		const localConnection = await this.getLocalConnection();
+		const {rows, missingTables, missingRows} = await subsetService.collect(
+			localConnection,
+			tables,
+			this.syncConfig.subset,
+		);
+		const tableCounts = {};
+		tables.forEach(table => {
+			tableCounts[table.name] = (rows.get(table.name) || []).length;
+		});
+		this.syncStats.totalRows = Object.values(tableCounts).reduce((sum, count) => sum + count, 0);
+		logger.info(`Collected ${this.syncStats.totalRows.toLocaleString()} rows from ${rows.size} tables`);
+
+		missingTables.forEach(name => {
+			logger.warn(`Referenced table ${name} is not part of the sync - rows pointing at it may fail to load`);
+		});
+		missingRows.forEach(({table, parent, column, count}) => {
+			logger.warn(`${count} ${table}.${column} values have no matching row in ${parent}`);
+		});
+
+		const insertionOrder = dataService.sortTablesByDependencies([...rows.keys()], dependencies);
+		const insertOptions = {
+			onConflict: this.syncConfig.onConflict,
+			batchSize: this.syncConfig.batchSize,
+			schema: this.targetSchema,
+		};
+		this.syncStats.successfulTables += tables.length - rows.size;
+		tables
+			.filter(table => !rows.has(table.name))
+			.forEach(table => this.recordTableResult({name: table.name, status: 'synced', expectedRows: 0, startedAt: Date.now()}));
+
+		for (const tableName of insertionOrder) {
+			const tableRows = rows.get(tableName);
+			const startedAt = Date.now();
+			let status = 'synced';
+			this.notify('table:start', {table: tableName, expectedRows: tableRows.length});
+
+			try {
+				await this.runInSavepoint(localConnection, async () => {
+					await this.runHooks('beforeTable', localConnection, {table: tableName});
+					const insertedRows = await this.loadBatch(localConnection, tableName, tableRows, enumMap, insertOptions);
+					await this.runHooks('afterTable', localConnection, {table: tableName, rows: insertedRows});
+					this.loadedRowCounts.set(tableName, insertedRows);
+					this.syncStats.syncedRows += insertedRows;
+				});
+				this.syncStats.successfulTables++;
+			} catch (error) {
+				if (error.aborted) {
+					throw error;
+				}
+				this.syncStats.failedTables.push({
+					name: tableName,
+					error: error.message,
+					details: error.details || 'Unknown error',
+				});
+				status = 'failed';
+			}
+
+			this.recordTableResult({name: tableName, status, expectedRows: tableRows.length, startedAt});
+		}
+
+		await this.restoreCircularColumns();
+		await this.handleFailedTables();
+
+		return tableCounts;
+	}
+
+	/**
+	 * Phases 3-4 with a staging schema: loads every table into the staging
+	 * schema, verifies the staged row counts, then swaps the staged tables into
+	 * public in one transaction. Local data stays fully readable while the
+	 * (long) load from Metabase runs.
+	 * @param {Array} tables - List of tables
+	 * @param {Object} dependencies - Table dependencies
+	 * @param {Object} enumMap - Enum type mappings
+	 */
+	async loadViaStagingSchema(tables, dependencies, enumMap) {
+		const schema = this.syncConfig.stagingSchema;
+		const localConnection = await this.getLocalConnection();
+		// Skipped tables are left alone in public, so they are neither staged nor published
+		const tableNames = tables.filter(table => this.getTableStrategy(table).strategy !== 'skip').map(t => t.name);
+		const keptTables = tables
+			.filter(table => tableNames.includes(table.name) && this.keepsLocalRows(table))
+			.map(t => t.name);
+
+		if (this.resumeCheckpoint && !(await stagingSchemaService.exists(localConnection, schema))) {
+			logger.warn(`Staging schema ${schema} is gone - running a full sync`);
+			this.resumeCheckpoint = null;
+			checkpointService.start({mode: 'staging', schema});
+		}
+
+		if (this.resumeCheckpoint) {
+			logger.info(`Continuing with the data already staged in ${schema}`);
+		} else {
+			await stagingSchemaService.prepare(localConnection, tableNames, {schema, copyExisting: keptTables});
+			logger.info(`Staging schema ${schema} ready`);
+		}
+		this.targetSchema = schema;
+
+		await this.synchronizeData(tables, dependencies, enumMap);
+
+		const failedTables = new Set(this.syncStats.failedTables.map(({name}) => name));
+		const publishTables = tableNames.filter(name => !failedTables.has(name));
+
+		// Kept tables, incrementally synced ones included, may hold local rows
+		// Metabase no longer has, so their count cannot be checked
+		const expectedCounts = {};
+		publishTables
+			.filter(name => !keptTables.includes(name))
+			.forEach(name => {
+				expectedCounts[name] = this.loadedRowCounts.get(name) || 0;
+			});
+
+		const verification = await stagingSchemaService.verify(localConnection, expectedCounts, schema);
+		if (!verification.valid) {
+			await stagingSchemaService.drop(localConnection, schema);
+			checkpointService.clear();
+			const details = verification.mismatches
+				.map(({tableName, expected, actual}) => `${tableName} (expected ${expected}, staged ${actual})`)
+				.join(', ');
+			throw new Error(`Staging verification failed: ${details}`);
+		}
+		logger.info(`Verified ${verification.verifiedTables} staged tables`);
+
+		// Last point where an interrupted sync leaves public untouched
+		this.checkAborted();
+
+		const published = await stagingSchemaService.publish(localConnection, publishTables, schema);
+		logger.info(`Swapped ${published.publishedTables} tables into public in ${published.duration}ms`);
+
+		await stagingSchemaService.drop(localConnection, schema);
+		this.targetSchema = null;
 	}
 
 	/**
@@ -150,115 +830,498 @@ class SyncOrchestratorService {
 	 * @param {Array} tables - List of tables
 	 * @returns {Promise<Object>} Table row counts
 	 */
-	async analyzeTableSizes(tables) {
-		logger.subsection('Analyzing Table Sizes');
-		const tableCounts = {};
+	async analyzeTableSizes(tables) {
+		const tableCounts = {};
+
+		for (const table of tables) {
+			const {strategy, where} = this.getTableStrategy(table);
+			if (strategy === 'skip') {
+				tableCounts[table.name] = 0;
+			} else {
+				const filter = subsetService.buildWhereFilter(table, where);
+				const countResult = await metabaseService.getTableRowCount(table.id, filter);
+				tableCounts[table.name] = countResult.success ? countResult.count : 0;
+			}
+		}
+
+		const totalRemoteRows = Object.values(tableCounts).reduce((sum, count) => sum + count, 0);
+		this.syncStats.totalRows = totalRemoteRows;
+
+		logger.info(`Found ${totalRemoteRows.toLocaleString()} total rows across ${tables.length} tables`);
+
+		// Show largest tables
+		const sortedBySize = Object.entries(tableCounts)
+			.sort(([, a], [, b]) => b - a)
+			.slice(0, 5);
+
+		if (sortedBySize.length > 0) {
+			logger.info('Largest tables:');
+			sortedBySize.forEach(([name, count]) => {
+				logger.info(`  ${name}: ${count.toLocaleString()} rows`);
+			});
+		}
+
+		return tableCounts;
+	}
+
+	/**
+	 * Performs the actual data synchronization
+	 * @param {Array} tables - List of tables
+	 * @param {Object} dependencies - Table dependencies
+	 * @param {Object} enumMap - Enum type mappings
+	 * @param {Object} tableCounts - Table row counts
+	 */
+	async performDataSync(tables, dependencies, enumMap, tableCounts) {
+		const localConnection = await this.getLocalConnection();
+		const tableNames = tables.map(t => t.name);
+		const insertionOrder = dataService.sortTablesByDependencies(tableNames, dependencies);
+		const sortedTables = insertionOrder.map(name => tables.find(t => t.name === name)).filter(Boolean);
+
+		const completedTables = this.resumeCheckpoint ? this.resumeCheckpoint.completedTables : {};
+		const concurrency = this.getConcurrency();
+		const pool = concurrency > 1 ? await connectionService.createLocalPool({max: concurrency}) : null;
+
+		if (pool) {
+			logger.info(`Synchronizing up to ${concurrency} independent tables at a time`);
+		}
+
+		await this.runInDependencyOrder(sortedTables, dependencies, concurrency, async table => {
+			const rowCount = tableCounts[table.name] || 0;
+			const startedAt = Date.now();
+			let status = 'synced';
+			this.notify('table:start', {table: table.name, expectedRows: rowCount});
+
+			if (table.name in completedTables) {
+				this.loadedRowCounts.set(table.name, completedTables[table.name]);
+				this.syncStats.successfulTables++;
+				status = 'resumed';
+			} else if (this.getTableStrategy(table).strategy === 'skip') {
+				this.syncStats.successfulTables++;
+				status = 'skipped';
+			} else if (rowCount === 0) {
+				checkpointService.markTableCompleted(table.name, 0);
+				this.syncStats.successfulTables++;
+			} else {
+				try {
+					if (pool) {
+						const connection = await pool.connect();
+						try {
+							await this.syncSingleTable(connection, table, enumMap);
+						} finally {
+							connection.release();
+						}
+					} else {
+						await this.runInSavepoint(localConnection, () => this.syncSingleTable(localConnection, table, enumMap));
+					}
+					this.syncStats.successfulTables++;
+				} catch (error) {
+					if (error.aborted) {
+						throw error;
+					}
+					this.syncStats.failedTables.push({
+						name: table.name,
+						error: error.message,
+						details: error.details || 'Unknown error',
+					});
+					status = 'failed';
+				}
+			}
+
+			this.recordTableResult({name: table.name, status, expectedRows: rowCount, startedAt});
+		});
+
+		await this.restoreCircularColumns();
+		await this.handleFailedTables();
+	}
+
+	/**
+	 * Second pass for circular foreign keys: fills in the columns that were
+	 * loaded as NULL from the values held back in temp tables, now that every
+	 * table they reference has its rows
+	 */
+	async restoreCircularColumns() {
+		if (this.cycleHoldTables.size === 0) {
+			return;
+		}
+
+		const localConnection = await this.getLocalConnection();
+		const failedTables = new Set(this.syncStats.failedTables.map(({name}) => name));
+
+		for (const [tableName, holdTable] of this.cycleHoldTables) {
+			if (failedTables.has(tableName)) {
+				await dataService.dropKeyTable(localConnection, holdTable);
+				continue;
+			}
+
+			const {keyColumns, columns} = this.cyclePlan.twoPassColumns.get(tableName);
+			try {
+				const updatedRows = await this.runInSavepoint(localConnection, () =>
+					dataService.updateColumnsFrom(localConnection, tableName, holdTable, {
+						keyColumns,
+						columns,
+						schema: this.targetSchema,
+					}),
+				);
+				logger.debug(`Restored ${columns.join(', ')} of ${updatedRows} ${tableName} rows`);
+			} catch (error) {
+				this.syncStats.successfulTables--;
+				this.syncStats.failedTables.push({name: tableName, error: error.message, details: 'Second pass failed'});
+				const tableResult = this.syncStats.tableResults.find(result => result.name === tableName);
+				if (tableResult) {
+					tableResult.status = 'failed';
+					tableResult.error = error.message;
+				}
+				this.notify('table:failed', {table: tableName, error: error.message, details: 'Second pass failed', duration: 0});
+			}
+			await dataService.dropKeyTable(localConnection, holdTable);
+		}
+
+		this.cycleHoldTables.clear();
+	}
+
+	/**
+	 * Records how loading a table went, for the sync report
+	 * @param {Object} result - { name, status: 'synced' | 'resumed' | 'skipped' | 'failed', expectedRows, startedAt }
+	 */
+	recordTableResult({name, status, expectedRows, startedAt}) {
+		const failure = this.syncStats.failedTables.find(table => table.name === name);
+		const tableResult = {
+			name,
+			status,
+			expectedRows,
+			loadedRows: this.loadedRowCounts.get(name) || 0,
+			duration: Date.now() - startedAt,
+			error: failure ? failure.error : null,
+		};
+
+		this.syncStats.tableResults.push(tableResult);
+
+		if (failure) {
+			this.notify('table:failed', {
+				table: name,
+				error: failure.error,
+				details: failure.details,
+				duration: tableResult.duration,
+			});
+		} else {
+			this.notify('table:complete', {
+				table: name,
+				status,
+				loadedRows: tableResult.loadedRows,
+				expectedRows,
+				duration: tableResult.duration,
+			});
+		}
+	}
+
+	/**
+	 * Rolls back or reports the tables that failed to load, depending on configuration
+	 */
+	async handleFailedTables() {
+		if (this.syncStats.failedTables.length === 0) {
+			return;
+		}
+
+		if (this.syncConfig.continueOnError) {
+			await this.handleSyncFailuresWithContinue();
+		} else {
+			await this.handleSyncFailures();
+		}
+	}
+
+	/**
+	 * Number of tables to load at the same time. Parallel loads use separate
+	 * connections, so they cannot share the single sync transaction: tables are
+	 * only loaded in parallel into a staging schema or without rollback. A
+	 * transaction per connection would not do either: they cannot commit or
+	 * roll back together, and would wait on the rows the clear phase deleted
+	 * in the sync transaction.
+	 * @returns {number} Effective concurrency
+	 */
+	getConcurrency() {
+		const concurrency = Math.max(parseInt(this.syncConfig.concurrency) || 1, 1);
+
+		if (concurrency > 1 && this.inTransaction) {
+			logger.warn('Parallel sync needs --staging or --ignore-errors - synchronizing one table at a time');
+			return 1;
+		}
+
+		return concurrency;
+	}
+
+	/**
+	 * Runs a task per table, starting a table only once every table it
+	 * references has finished, with at most `concurrency` tasks running. Tables
+	 * in a dependency cycle fall back to the given (insertion) order. When a
+	 * task throws (an aborted sync), no more tables are started and the error
+	 * is rethrown once the tasks still running have settled.
+	 * @param {Array} tables - Tables in insertion order
+	 * @param {Object} dependencies - Table dependencies
+	 * @param {number} concurrency - Maximum number of tables in flight
+	 * @param {Function} task - Async task run for each table; throws only to abort
+	 */
+	async runInDependencyOrder(tables, dependencies, concurrency, task) {
+		const tableNames = new Set(tables.map(t => t.name));
+		const pending = [...tables];
+		const finished = new Set();
+		const running = new Map();
+
+		const isReady = table =>
+			(dependencies[table.name] || []).every(
+				dep => dep === table.name || !tableNames.has(dep) || finished.has(dep),
+			);
+
+		while (pending.length > 0 || running.size > 0) {
+			while (pending.length > 0 && running.size < concurrency) {
+				let index = pending.findIndex(isReady);
+				if (index === -1) {
+					if (running.size > 0) {
+						break;
+					}
+					index = 0;
+				}
+
+				const [table] = pending.splice(index, 1);
+				running.set(
+					table.name,
+					task(table).finally(() => {
+						running.delete(table.name);
+						finished.add(table.name);
+					}),
+				);
+			}
+
+			try {
+				await Promise.race(running.values());
+			} catch (error) {
+				// Tables still loading must not outlive the pool they write through
+				await Promise.allSettled(running.values());
+				throw error;
+			}
+		}
+	}
+
+	/**
+	 * Looks up the configured sync strategy of a table, by exact name first
+	 * and then by the first matching glob pattern. Subset syncs ignore
+	 * strategies: they always replace the rows of every table.
+	 * @param {Object} table - Table information
+	 * @returns {Object} { strategy, key, watermark, batchSize, where }
+	 */
+	getTableStrategy(table) {
+		const strategies = this.syncConfig.tableStrategies || {};
+		const pattern =
+			table.name in strategies
+				? table.name
+				: Object.keys(strategies).find(candidate => globToRegExp(candidate).test(table.name));
+
+		if (pattern === undefined || this.syncConfig.subset) {
+			return {strategy: 'replace', key: null, watermark: null, batchSize: null, where: null};
+		}
+		return strategies[pattern];
+	}
+
+	/**
+	 * Whether the local rows of a table survive the sync instead of being
+	 * replaced by the Metabase rows
+	 * @param {Object} table - Table information
+	 * @returns {boolean} True for appended, upserted, skipped and incrementally synced tables
+	 */
+	keepsLocalRows(table) {
+		return (
+			['append', 'upsert', 'skip'].includes(this.getTableStrategy(table).strategy) ||
+			Boolean(this.getIncrementalPlan(table)?.since)
+		);
+	}
+
+	/**
+	 * Works out how a table with a watermark column, from SYNC_WATERMARKS or
+	 * an incremental strategy, is synced
+	 * @param {Object} table - Table information
+	 * @returns {Object|null} Watermark column, its Metabase field and the
+	 *   previous watermark to sync from (null for a full load), or null when
+	 *   the table has no watermark column
+	 */
+	getIncrementalPlan(table) {
+		const {strategy, watermark} = this.getTableStrategy(table);
+		const column = watermark || this.syncConfig.watermarks?.[table.name];
+		if (!column || this.syncConfig.subset) {
+			return null;
+		}
 
-		logger.createProgressBar(tables.length, 'Counting rows');
-		for (let i = 0; i < tables.length; i++) {
-			const table = tables[i];
-			const countResult = await metabaseService.getTableRowCount(table.id);
-			tableCounts[table.name] = countResult.success ? countResult.count : 0;
-			logger.updateProgress(i + 1);
+		const field = (table.fields || []).find(f => f.name === column);
+		if (!field) {
+			throw new Error(`Watermark column ${column} not found in Metabase table ${table.name}`);
 		}
-		logger.stopProgress();
 
-		const totalRemoteRows = Object.values(tableCounts).reduce((sum, count) => sum + count, 0);
-		this.syncStats.totalRows = totalRemoteRows;
+		// The incremental strategy makes a table incremental without --incremental
+		const incremental = this.syncConfig.incremental || strategy === 'incremental';
+		const previous = syncStateService.getWatermark(table.name);
+		const since = incremental && previous && previous.column === column ? previous : null;
 
-		logger.success(`Found ${totalRemoteRows.toLocaleString()} total rows across ${tables.length} tables`);
+		return {column, field, since};
+	}
 
-		// Show largest tables
-		const sortedBySize = Object.entries(tableCounts)
-			.sort(([, a], [, b]) => b - a)
-			.slice(0, 5);
+	/**
+	 * Compares two watermark values (numbers, or ISO dates/strings)
+	 * @param {any} value - Candidate value
+	 * @param {any} current - Current highest value
+	 * @returns {boolean} Whether value is greater than current
+	 */
+	isNewerWatermark(value, current) {
+		if (value === null || value === undefined) {
+			return false;
+		}
+		if (current === null || current === undefined) {
+			return true;
+		}
+		if (typeof value === 'number' && typeof current === 'number') {
+			return value > current;
+		}
 
-		if (sortedBySize.length > 0) {
-			logger.info('Largest tables:');
-			sortedBySize.forEach(([name, count]) => {
-				logger.info(`  ${name}: ${count.toLocaleString()} rows`);
-			});
+		const valueTime = Date.parse(value);
+		const currentTime = Date.parse(current);
+		if (!isNaN(valueTime) && !isNaN(currentTime)) {
+			return valueTime > currentTime;
 		}
 
-		return tableCounts;
+		return String(value) > String(current);
 	}
 
 	/**
-	 * Performs the actual data synchronization
-	 * @param {Array} tables - List of tables
-	 * @param {Object} dependencies - Table dependencies
+	 * Synchronizes a single table, transforming and inserting each extracted
+	 * batch as it arrives so memory use does not grow with the table size.
+	 * How the rows are written depends on the table's sync strategy: replaced
+	 * tables were cleared and take every row, appended tables keep the rows
+	 * they already have, upserted tables update them by key and incremental
+	 * tables only fetch rows past their watermark.
+	 * @param {Object} connection - Database connection
+	 * @param {Object} table - Table information
 	 * @param {Object} enumMap - Enum type mappings
-	 * @param {Object} tableCounts - Table row counts
 	 */
-	async performDataSync(tables, dependencies, enumMap, tableCounts) {
-		logger.subsection('Synchronizing Data');
+	async syncSingleTable(connection, table, enumMap) {
+		await this.runHooks('beforeTable', connection, {table: table.name});
 
-		const localConnection = await connectionService.connectLocal();
-		const tableNames = tables.map(t => t.name);
-		const insertionOrder = dataService.sortTablesByDependencies(tableNames, dependencies);
-		const sortedTables = insertionOrder.map(name => tables.find(t => t.name === name)).filter(Boolean);
+		const {strategy, key, batchSize, where} = this.getTableStrategy(table);
+		const plan = this.getIncrementalPlan(table);
+		const insertOptions = {
+			onConflict: this.syncConfig.onConflict,
+			batchSize: batchSize || this.syncConfig.batchSize,
+			schema: this.targetSchema,
+		};
+		let filter = subsetService.buildWhereFilter(table, where);
 
-		logger.createProgressBar(tables.length, 'Syncing tables');
+		if (plan?.since) {
+			const conflictColumns = await dataService.getPrimaryKeyColumns(connection, table.name);
+			if (conflictColumns.length === 0) {
+				throw new Error(`Incremental sync of ${table.name} requires a primary key on the local table`);
+			}
 
-		for (let i = 0; i < sortedTables.length; i++) {
-			const table = sortedTables[i];
-			const rowCount = tableCounts[table.name] || 0;
+			const watermarkFilter = ['>', metabaseService.fieldRef(plan.field), plan.since.value];
+			filter = filter ? ['and', filter, watermarkFilter] : watermarkFilter;
+			insertOptions.onConflict = 'update';
+			insertOptions.conflictColumns = conflictColumns;
+			this.syncStats.incrementalTables++;
+			logger.debug(`Syncing ${table.name} incrementally from ${plan.column} > ${plan.since.value}`);
+		} else if (strategy === 'upsert') {
+			const conflictColumns = key || (await dataService.getPrimaryKeyColumns(connection, table.name));
+			if (conflictColumns.length === 0) {
+				throw new Error(
+					`Upserting ${table.name} requires a key in its strategy or a primary key on the local table`,
+				);
+			}
 
-			logger.updateProgress(i + 1, `${table.name} (${rowCount.toLocaleString()} rows)`);
+			insertOptions.onConflict = 'update';
+			insertOptions.conflictColumns = conflictColumns;
+			logger.debug(`Upserting ${table.name} on ${conflictColumns.join(', ')}`);
+		} else if (strategy === 'append') {
+			// Rows already present (by any unique constraint) are left as they are
+			insertOptions.onConflict = 'skip';
+			logger.debug(`Appending new rows to ${table.name}`);
+		}
 
-			if (rowCount === 0) {
-				this.syncStats.successfulTables++;
-				continue;
-			}
+		let resumeFrom = null;
+		const checkpointed = this.resumeCheckpoint?.tablesInProgress[table.name];
+		if (checkpointed) {
+			resumeFrom = await this.prepareResumedTable(connection, table, checkpointed);
+		}
+
+		let insertedRows = resumeFrom ? resumeFrom.insertedRows || 0 : 0;
+		let insertError = null;
+		let watermark = plan?.since ? plan.since.value : null;
 
+		const onBatch = async ({batchData, lastKey, totalExtracted}) => {
 			try {
-				await this.syncSingleTable(localConnection, table, enumMap);
-				this.syncStats.successfulTables++;
+				insertedRows += await this.loadBatch(connection, table.name, batchData, enumMap, insertOptions);
 			} catch (error) {
-				this.syncStats.failedTables.push({
-					name: table.name,
-					error: error.message,
-					details: error.details || 'Unknown error',
+				insertError = error;
+				throw error;
+			}
+			checkpointService.recordProgress(table.name, {after: lastKey, extractedRows: totalExtracted, insertedRows});
+
+			if (plan) {
+				batchData.forEach(row => {
+					if (this.isNewerWatermark(row[plan.column], watermark)) {
+						watermark = row[plan.column];
+					}
 				});
 			}
+		};
+
+		const extractResult = await metabaseService.extractAllTableData(table.id, table.name, onBatch, {
+			fields: table.fields,
+			retainData: false,
+			filter,
+			resumeFrom,
+			batchSize,
+		});
+
+		if (insertError) {
+			throw insertError;
+		}
+
+		if (!extractResult.success || (extractResult.extractedRows === 0 && !filter)) {
+			throw new Error(`Data extraction failed: ${extractResult.error || 'No data returned'}`);
 		}
 
-		logger.stopProgress();
+		// Appending skips the rows the table already has, so it may insert fewer rows than it extracted
+		const mismatch =
+			strategy === 'append'
+				? insertedRows > extractResult.extractedRows
+				: insertedRows !== extractResult.extractedRows;
+		if (mismatch) {
+			throw new Error(`Row count mismatch: expected ${extractResult.extractedRows}, inserted ${insertedRows}`);
+		}
 
-		// Handle failures based on configuration
-		if (this.syncStats.failedTables.length > 0) {
-			if (this.syncConfig.continueOnError) {
-				await this.handleSyncFailuresWithContinue(tables, dependencies);
-			} else {
-				await this.handleSyncFailures(tables, dependencies);
-			}
+		if (plan && watermark !== null) {
+			this.pendingWatermarks.set(table.name, {column: plan.column, value: watermark});
 		}
+
+		await this.runHooks('afterTable', connection, {table: table.name, rows: insertedRows});
+
+		this.loadedRowCounts.set(table.name, insertedRows);
+		checkpointService.markTableCompleted(table.name, insertedRows);
+		this.syncStats.syncedRows += insertedRows;
 	}
 
 	/**
-	 * Synchronizes a single table
+	 * Transforms a batch of rows and writes it with the configured loader
 	 * @param {Object} connection - Database connection
-	 * @param {Object} table - Table information
+	 * @param {string} tableName - Table name
+	 * @param {Array} rows - Extracted rows
 	 * @param {Object} enumMap - Enum type mappings
+	 * @param {Object} insertOptions - Options for the loader
+	 * @returns {Promise<number>} Number of rows written
 	 */
-	async syncSingleTable(connection, table, enumMap) {
-		const extractResult = await metabaseService.extractAllTableData(table.id, table.name);
-
-		if (!extractResult.success || extractResult.data.length === 0) {
-			throw new Error(`Data extraction failed: ${extractResult.error || 'No data returned'}`);
-		}
+	async loadBatch(connection, tableName, rows, enumMap, insertOptions) {
+		this.checkAborted();
+		const transformedData = await dataTransformationService.transformTableData(connection, tableName, rows, enumMap);
+		const loadRows = await this.holdBackCircularColumns(tableName, transformedData);
 
-		const transformedData = await dataTransformationService.transformTableData(
-			connection,
-			table.name,
-			extractResult.data,
-			enumMap,
-		);
-
-		const insertResult = await dataService.insertTableData(connection, table.name, transformedData, {
-			onConflict: this.syncConfig.onConflict,
-			batchSize: this.syncConfig.batchSize,
-		});
+		const insertResult =
+			this.syncConfig.loader === 'insert'
+				? await dataService.insertTableData(connection, tableName, loadRows, insertOptions)
+				: await dataService.copyTableData(connection, tableName, loadRows, insertOptions);
 
 		if (!insertResult.success) {
 			const errorDetails =
@@ -268,40 +1331,74 @@ class SyncOrchestratorService {
 			throw new Error(`Data insertion failed: ${errorDetails}`);
 		}
 
-		if (insertResult.insertedRows !== extractResult.data.length) {
-			throw new Error(
-				`Row count mismatch: expected ${extractResult.data.length}, inserted ${insertResult.insertedRows}`,
-			);
+		this.notify('batch:inserted', {table: tableName, rows: insertResult.insertedRows});
+		return insertResult.insertedRows;
+	}
+
+	/**
+	 * Sets the second-pass circular foreign key columns of a batch to NULL,
+	 * writing their values to the table's temp table for restoreCircularColumns.
+	 * The temp tables live on the main local connection, also when the batch
+	 * itself is loaded on a pooled one.
+	 * @param {string} tableName - Table name
+	 * @param {Array} rows - Transformed rows
+	 * @returns {Promise<Array>} Rows to load
+	 */
+	async holdBackCircularColumns(tableName, rows) {
+		const twoPass = this.cyclePlan?.twoPassColumns.get(tableName);
+		if (!twoPass) {
+			return rows;
 		}
 
-		this.syncStats.syncedRows += insertResult.insertedRows;
+		const {rows: loadRows, updates} = circularDependencyService.holdBackColumns(rows, twoPass);
+		await dataService.appendToKeyTable(await this.getLocalConnection(), this.cycleHoldTables.get(tableName), updates);
+
+		return loadRows;
+	}
+
+	/**
+	 * Stores the watermarks reached by successfully synchronized tables in the
+	 * local database
+	 */
+	async saveWatermarks() {
+		if (this.pendingWatermarks.size === 0) {
+			return;
+		}
+
+		this.pendingWatermarks.forEach(({column, value}, tableName) => {
+			syncStateService.setWatermark(tableName, column, value);
+		});
+
+		try {
+			await syncStateService.save(await this.getLocalConnection());
+		} catch (error) {
+			logger.warn(`Could not save watermarks: ${error.message}`);
+		}
+		this.pendingWatermarks.clear();
 	}
 
 	/**
 	 * Handles synchronization failures with rollback
-	 * @param {Array} tables - List of tables
-	 * @param {Object} dependencies - Table dependencies
 	 */
-	async handleSyncFailures(tables, dependencies) {
+	async handleSyncFailures() {
 		logger.error(`SYNC FAILED: ${this.syncStats.failedTables.length} tables failed to sync. Rolling back...`);
 
 		this.syncStats.failedTables.forEach(({name, error, details}) => {
 			logger.error(`  - ${name}: ${error} (${details})`);
 		});
 
-		if (this.syncConfig.enableRollback) {
-			await this.performRollback(tables, dependencies);
+		if (this.syncConfig.enableRollback && (this.inTransaction || this.targetSchema)) {
+			await this.performRollback();
+			throw new Error('Database synchronization FAILED - no changes applied');
 		}
 
-		throw new Error('Database synchronization FAILED - no changes applied');
+		throw new Error('Database synchronization FAILED');
 	}
 
 	/**
 	 * Handles synchronization failures with continue on error mode
-	 * @param {Array} tables - List of tables
-	 * @param {Object} dependencies - Table dependencies
 	 */
-	async handleSyncFailuresWithContinue(tables, dependencies) {
+	async handleSyncFailuresWithContinue() {
 		logger.warn(
 			`SYNC COMPLETED WITH ERRORS: ${this.syncStats.failedTables.length} tables failed to sync, but continuing...`,
 		);
@@ -317,26 +1414,306 @@ class SyncOrchestratorService {
 	}
 
 	/**
-	 * Performs rollback by clearing all tables
-	 * @param {Array} tables - List of tables
-	 * @param {Object} dependencies - Table dependencies
+	 * Rolls back the sync transaction (or abandons the staging load), leaving
+	 * the local data as it was before the sync started
 	 */
-	async performRollback(tables, dependencies) {
-		logger.startSpinner('Rolling back changes');
+	async performRollback() {
+		if (!this.inTransaction && !this.targetSchema) {
+			return;
+		}
 
-		const localConnection = await connectionService.connectLocal();
-		const tableNames = tables.map(t => t.name);
-		const clearingOrder = dataService.sortTablesByDependencies(tableNames, dependencies).reverse();
+		try {
+			if (this.inTransaction) {
+				const localConnection = await this.getLocalConnection();
+				await localConnection.query('ROLLBACK');
+			}
+			// A staging load never touched public; the staged data is kept so
+			// the run can be resumed
+			this.syncStats.rolledBack = true;
+			logger.info('Rollback completed - local data is unchanged');
+		} catch (rollbackError) {
+			logger.error(`Could not roll back: ${rollbackError.message}`);
+		} finally {
+			this.inTransaction = false;
+			this.targetSchema = null;
+		}
+	}
 
-		for (const tableName of clearingOrder) {
-			try {
-				await localConnection.query(`DELETE FROM "${tableName}"`);
-			} catch (rollbackError) {
-				logger.warn(`Could not rollback table ${tableName}: ${rollbackError.message}`);
+	/**
+	 * Moves the sequences behind serial and identity columns to the highest
+	 * loaded key, so the next local INSERT does not collide with a synced row.
+	 * Runs after the commit because setval is not rolled back with a transaction.
+	 * @param {Array} tables - Synchronized tables
+	 */
+	async resetSequences(tables) {
+		const failedTables = new Set(this.syncStats.failedTables.map(({name}) => name));
+		const tableNames = tables.map(t => t.name).filter(name => !failedTables.has(name));
+		if (tableNames.length === 0) {
+			return;
+		}
+
+		try {
+			const localConnection = await this.getLocalConnection();
+			this.syncStats.sequences = await dataService.resetSequences(localConnection, tableNames);
+			const reset = this.syncStats.sequences.filter(sequence => sequence.value !== null).length;
+			logger.info(`Reset ${reset} sequences to the highest loaded keys`);
+		} catch (error) {
+			logger.warn(error.message);
+		}
+	}
+
+	/**
+	 * Verifies the freshly loaded tables against Metabase. Skipped in subset
+	 * mode, where the local tables intentionally hold fewer rows.
+	 * @param {Array} tables - Synchronized tables
+	 */
+	async verifyAfterSync(tables) {
+		if (this.syncConfig.subset) {
+			logger.warn('Skipping verification: subset syncs do not copy every row');
+			return;
+		}
+
+		const failedTables = new Set(this.syncStats.failedTables.map(({name}) => name));
+		const loadedTables = tables.filter(table => !failedTables.has(table.name));
+		this.syncStats.verification = await this.verifyLocalData(loadedTables);
+	}
+
+	/**
+	 * Compares local row counts and checksums with Metabase and reports
+	 * mismatches. Tables whose strategy keeps local rows Metabase may not have,
+	 * or only copies some of the rows, are left out, and so are tables synced
+	 * incrementally: rows deleted in Metabase stay in them.
+	 * @param {Array} tables - Tables to verify
+	 * @returns {Promise<Object>} Verification report
+	 */
+	async verifyLocalData(tables) {
+		const verifiable = tables.filter(table => !this.keepsLocalRows(table) && !this.getTableStrategy(table).where);
+		if (verifiable.length < tables.length) {
+			logger.info(
+				`Not verifying ${tables.length - verifiable.length} tables that are synced incrementally or whose sync strategy keeps or filters rows`,
+			);
+		}
+
+		const localConnection = await this.getLocalConnection();
+		const verification = await verificationService.verifyTables(localConnection, verifiable, {
+			checksums: this.syncConfig.checksums,
+		});
+
+		if (verification.passed) {
+			logger.info(`Verified ${verification.verifiedTables} tables`);
+		} else {
+			logger.warn(`Verification failed for ${verification.failedTables} of ${verification.verifiedTables} tables`);
+		}
+
+		return verification;
+	}
+
+	/**
+	 * Verifies the local database against Metabase without synchronizing
+	 * @param {Object} credentials - Database credentials
+	 * @returns {Promise<Object>} Verification result
+	 */
+	async performVerification(credentials) {
+		logger.section('MetaExodus - Verification');
+
+		try {
+			await this.authenticateAndConnect(credentials, {lock: false});
+
+			const {tables} = await this.discoverAndAnalyze();
+			const verification = await this.verifyLocalData(tables);
+
+			if (verification.passed) {
+				logger.success('Local database matches Metabase');
+			} else {
+				logger.table(verificationService.describeFailures(verification));
+			}
+
+			return {success: verification.passed, ...verification};
+		} catch (error) {
+			logger.error('Verification failed', error);
+			return {success: false, error: error.message};
+		} finally {
+			await this.cleanup();
+		}
+	}
+
+	/**
+	 * Compares Metabase rows with local rows by primary key without writing
+	 * anything, optionally dumping every difference to an NDJSON file
+	 * @param {Object} credentials - Database credentials
+	 * @returns {Promise<Object>} Diff result
+	 */
+	async performDiff(credentials) {
+		logger.section('MetaExodus - Data Diff');
+
+		try {
+			await this.authenticateAndConnect(credentials, {lock: false});
+
+			const {tables, enumMap} = await this.discoverAndAnalyze();
+			const localConnection = await this.getLocalConnection();
+			const dumpPath = this.syncConfig.diffDumpPath;
+
+			logger.subsection('Comparing Rows');
+			logger.createProgressBar(tables.length, 'Comparing tables');
+			const diff = await diffService.diffTables(localConnection, tables, {
+				enumMap,
+				dumpPath,
+				onTable: (result, done) => logger.updateProgress(done, result.tableName),
+			});
+			logger.stopProgress();
+
+			logger.table(
+				diff.results.map(result => ({
+					Table: result.tableName,
+					Added: result.error ? '-' : result.added.toLocaleString(),
+					Removed: result.error ? '-' : result.removed.toLocaleString(),
+					Changed: result.error ? '-' : result.changed.toLocaleString(),
+					Unchanged: result.error ? '-' : result.unchanged.toLocaleString(),
+				})),
+			);
+			diff.results
+				.filter(result => result.error)
+				.forEach(result => logger.warn(`Could not diff ${result.tableName}: ${result.error}`));
+
+			if (dumpPath) {
+				logger.info(`Wrote ${(diff.added + diff.removed + diff.changed).toLocaleString()} differences to ${dumpPath}`);
+			}
+			if (diff.differentTables > 0) {
+				logger.info(
+					`${diff.added} added, ${diff.removed} removed and ${diff.changed} changed rows in ${diff.differentTables} tables`,
+				);
+			} else if (diff.failedTables === 0) {
+				logger.success('Local rows match Metabase');
+			}
+			logger.info('This was a diff - no changes were made to the database');
+
+			return {success: diff.failedTables === 0, ...diff};
+		} catch (error) {
+			logger.error('Diff failed', error);
+			return {success: false, error: error.message};
+		} finally {
+			await this.cleanup();
+		}
+	}
+
+	/**
+	 * Exports the dependency graph of the selected tables with their insertion
+	 * order, marking dependency cycles and referenced tables that are excluded
+	 * or missing from Metabase. Nothing is written to the database. When the
+	 * graph is printed, logging goes to stderr so stdout holds only the graph.
+	 * @param {Object} credentials - Database credentials
+	 * @param {Object} options - { format: 'dot', 'mermaid' or 'json', outputPath: file to write instead of printing }
+	 * @returns {Promise<Object>} { success, graph }
+	 */
+	async inspectDependencies(credentials, {format = null, outputPath = null} = {}) {
+		logger.useStderr(!outputPath);
+		logger.section('MetaExodus - Table Dependencies');
+
+		try {
+			await this.authenticateAndConnect(credentials, {lock: false});
+
+			const {tables, excluded, dependencies} = await this.discoverAndAnalyze();
+			const graph = dependencyGraphService.build({
+				selected: tables.map(t => t.name),
+				excluded: excluded.map(t => t.name),
+				dependencies,
+				cycles: this.dependencyCycles,
+			});
+
+			const missing = graph.nodes.filter(node => node.status === 'missing');
+			missing.forEach(node => logger.warn(`${node.name} is referenced by a selected table but is not in Metabase`));
+			logger.info(
+				`${graph.insertionOrder.length} tables, ${graph.edges.length} foreign key references, ` +
+					`${graph.cycles.length} cycles, ${missing.length} tables missing from Metabase`,
+			);
+
+			if (outputPath) {
+				const written = dependencyGraphService.write(outputPath, graph, format || undefined);
+				logger.success(`Wrote the dependency graph to ${outputPath} (${written})`);
+			} else {
+				process.stdout.write(dependencyGraphService.render(graph, format || 'dot'));
+			}
+
+			return {success: true, graph};
+		} catch (error) {
+			logger.error('Could not inspect table dependencies', error);
+			return {success: false, error: error.message};
+		} finally {
+			await this.cleanup();
+			logger.useStderr(false);
+		}
+	}
+
+	/**
+	 * Shows the syncs recorded in the local history table. Only reads the
+	 * local database, so it needs neither Metabase nor the sync lock.
+	 * @param {Object} options - { runId: show the tables of this run, limit: how many runs to list }
+	 * @returns {Promise<Object>} { success, runs } or { success, run, tables }
+	 */
+	async showHistory({runId = null, limit = 20} = {}) {
+		logger.section('MetaExodus - Sync History');
+
+		try {
+			await connectionService.initialize();
+			const localConnection = await this.getLocalConnection();
+
+			if (runId !== null) {
+				const entry = await syncHistoryService.getRun(localConnection, runId);
+				if (!entry) {
+					logger.warn(`No sync run ${runId} in the history`);
+					return {success: false, error: `No sync run ${runId}`};
+				}
+
+				logger.table([this.describeHistoryRun(entry.run)]);
+				logger.subsection('Tables');
+				logger.table(
+					entry.tables.map(table => ({
+						Table: table.table_name,
+						Status: table.status,
+						Expected: Number(table.expected_rows).toLocaleString(),
+						Loaded: Number(table.loaded_rows).toLocaleString(),
+						Duration: `${(table.duration_ms / 1000).toFixed(1)}s`,
+						Error: table.error || '',
+					})),
+				);
+				return {success: true, ...entry};
 			}
+
+			const runs = await syncHistoryService.listRuns(localConnection, limit);
+			if (runs.length === 0) {
+				logger.info('No syncs recorded yet');
+			} else {
+				logger.table(runs.map(run => this.describeHistoryRun(run)));
+				logger.info('Run history <id> to see the tables of a run');
+			}
+			return {success: true, runs};
+		} catch (error) {
+			logger.error('Could not read the sync history', error);
+			return {success: false, error: error.message};
+		} finally {
+			await this.cleanup();
 		}
+	}
 
-		logger.stopSpinner(true, 'Rollback completed');
+	/**
+	 * Formats a history run for logger.table
+	 * @param {Object} run - Row of metaexodus_sync_runs
+	 * @returns {Object} Table row
+	 */
+	describeHistoryRun(run) {
+		const finished = run.finished_at ? new Date(run.finished_at) : null;
+		return {
+			Run: String(run.id),
+			Started: new Date(run.started_at).toISOString(),
+			Duration: finished ? `${Math.round((finished - new Date(run.started_at)) / 1000)}s` : '-',
+			Status: run.rolled_back ? `${run.status} (rolled back)` : run.status,
+			Mode: run.staging ? `${run.mode} (staging)` : run.mode,
+			Tables: finished ? `${run.successful_tables}/${run.total_tables}` : '-',
+			Rows: finished ? Number(run.synced_rows).toLocaleString() : '-',
+			Database: run.metabase_database_id === null ? '-' : String(run.metabase_database_id),
+			Version: run.tool_version || '-',
+			Error: run.error || '',
+		};
 	}
 
 	/**
@@ -345,32 +1722,25 @@ class SyncOrchestratorService {
 	 */
 	async finalizeSynchronization() {
 		this.syncStats.endTime = Date.now();
+		await this.saveWatermarks();
+
+		if (this.syncStats.failedTables.length === 0) {
+			checkpointService.clear();
+		} else if (checkpointService.isRecording()) {
+			checkpointService.close();
+			logger.info('Run again with --resume to retry the failed tables');
+		}
+
 		const duration = Math.round((this.syncStats.endTime - this.syncStats.startTime) / 1000);
-		const minutes = Math.floor(duration / 60);
-		const seconds = duration % 60;
 
 		const successRate =
 			this.syncStats.totalTables > 0
 				? Math.round((this.syncStats.successfulTables / this.syncStats.totalTables) * 100)
 				: 0;
-
-		logger.summary({
-			duration: `${minutes}m ${seconds}s`,
-			tablesSynchronized: `${this.syncStats.successfulTables}/${this.syncStats.totalTables}`,
-			totalRowsSynchronized: this.syncStats.syncedRows,
-			successRate: `${successRate}%`,
-		});
-
-		if (this.syncStats.failedTables.length === 0) {
-			logger.success('Local database is now an exact replica of the remote database');
-			logger.success('Database synchronization completed successfully');
-		} else if (this.syncConfig.continueOnError) {
-			logger.warn(`Database synchronization completed with ${this.syncStats.failedTables.length} failed tables`);
-			logger.info(`${this.syncStats.successfulTables} tables synchronized successfully`);
-		}
+		const verificationFailed = this.syncStats.verification !== null && !this.syncStats.verification.passed;
 
 		return {
-			success: this.syncStats.failedTables.length === 0 || this.syncConfig.continueOnError,
+			success: !verificationFailed && (this.syncStats.failedTables.length === 0 || this.syncConfig.continueOnError),
 			partialSuccess: this.syncStats.failedTables.length > 0 && this.syncConfig.continueOnError,
 			...this.syncStats,
 			duration,
@@ -379,12 +1749,72 @@ class SyncOrchestratorService {
 		};
 	}
 
+	/**
+	 * Writes the sync report when one was requested. A report that cannot be
+	 * written does not fail the sync.
+	 * @param {Object} result - Sync result
+	 */
+	writeReport(result) {
+		const reportPath = this.syncConfig.reportPath;
+		if (!reportPath) {
+			return;
+		}
+
+		try {
+			const format = reportService.write(reportPath, result);
+			logger.info(`Wrote ${format} sync report to ${reportPath}`);
+		} catch (error) {
+			logger.warn(`Could not write sync report ${reportPath}: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Runs the user hooks of a sync event with the orchestrator context
+	 * @param {string} event - Hook event
+	 * @param {Object} connection - Connection the hooks run on
+	 * @param {Object} context - Event context ({ table, rows } or { error })
+	 */
+	async runHooks(event, connection, context = {}) {
+		if (!hookService.has(event)) {
+			return;
+		}
+
+		await hookService.run(event, {
+			connection,
+			table: null,
+			schema: this.targetSchema,
+			stats: this.getSyncStats(),
+			config: this.syncConfig,
+			logger,
+			...context,
+		});
+	}
+
+	/**
+	 * Runs the onFailure hooks after a failed sync has been rolled back. A
+	 * failing hook is reported without hiding the original error.
+	 * @param {Error} error - Error that failed the sync
+	 */
+	async runFailureHooks(error) {
+		try {
+			await this.runHooks('onFailure', this.localConnection, {error});
+		} catch (hookError) {
+			logger.warn(hookError.message);
+		}
+	}
+
 	/**
 	 * Handles sync failure cleanup
 	 */
 	async handleSyncFailure() {
 		this.syncStats.endTime = Date.now();
+		await this.performRollback();
 		logger.error('Database synchronization FAILED');
+
+		if (checkpointService.isRecording()) {
+			checkpointService.close();
+			logger.info('Progress was checkpointed - run again with --resume to continue');
+		}
 	}
 
 	/**
@@ -399,7 +1829,7 @@ class SyncOrchestratorService {
 		logger.section('MetaExodus - Dry Run Analysis');
 
 		try {
-			await this.authenticateAndConnect(credentials);
+			await this.authenticateAndConnect(credentials, {lock: false});
 
 			const {tables, enumMap} = await this.discoverAndAnalyze();
 
@@ -412,18 +1842,41 @@ class SyncOrchestratorService {
 			}
 
 			this.syncStats.endTime = Date.now();
-			const summary = this.generateDryRunSummary(dryRunResult, tableCounts);
+			const summary = this.generateDryRunSummary(dryRunResult);
 
 			logger.section('Dry Run Summary');
 			logger.table([
 				{Metric: 'Total Tables', Value: tables.length.toString()},
 				{Metric: 'Tables with Data', Value: dryRunResult.tablesWithData.toString()},
+				{Metric: 'Total Rows to Delete', Value: dryRunResult.totalRowsToDelete.toLocaleString()},
 				{Metric: 'Total Rows to Copy', Value: dryRunResult.totalRowsToSync.toLocaleString()},
 				{Metric: 'Estimated Duration', Value: summary.estimatedDuration},
-				{Metric: 'Schema Changes', Value: dryRunResult.schemaChanges.toString()},
+				{Metric: 'Schema Differences', Value: dryRunResult.schemaChanges.toString()},
 				{Metric: 'Data Transformations', Value: dryRunResult.dataTransformations.toString()},
 			]);
 
+			logger.subsection('Planned Changes');
+			logger.table(
+				dryRunResult.tables.map(preview => ({
+					Table: preview.tableName,
+					Delete: preview.deleteRows.toLocaleString(),
+					Insert: preview.insertRows.toLocaleString(),
+					Sampled: preview.sampledRows.toString(),
+					Transformed: preview.transformations.reduce((sum, change) => sum + change.rows, 0).toString(),
+					Issues: preview.issues.length.toString(),
+				})),
+			);
+
+			const transformations = dryRunResult.tables.flatMap(preview =>
+				preview.transformations.map(change => ({table: preview.tableName, ...change})),
+			);
+			if (transformations.length > 0) {
+				logger.subsection('Sampled Transformations');
+				transformations.forEach(({table, column, from, to, rows}) => {
+					logger.info(`${table}.${column}: '${from}' -> ${to === null ? 'NULL' : `'${to}'`} (${rows} rows)`);
+				});
+			}
+
 			if (dryRunResult.potentialIssues.length > 0) {
 				logger.subsection('Potential Issues');
 				dryRunResult.potentialIssues.forEach(issue => {
@@ -444,7 +1897,8 @@ class SyncOrchestratorService {
 	}
 
 	/**
-	 * Analyzes planned changes without making them
+	 * Analyzes planned changes without making them: previews every table from
+	 * a sample of its Metabase rows
 	 * @param {Array} tables - Tables to analyze
 	 * @param {Object} tableCounts - Table row counts
 	 * @param {Object} enumMap - Enum mappings
@@ -453,73 +1907,56 @@ class SyncOrchestratorService {
 	async analyzePlannedChanges(tables, tableCounts, enumMap) {
 		try {
 			logger.subsection('Analyzing Planned Changes');
+			const localConnection = await this.getLocalConnection();
+			const previews = [];
 			const potentialIssues = [];
-			let tablesWithData = 0;
-			let totalRowsToSync = 0;
-			let schemaChanges = 0;
-			let dataTransformations = 0;
-
-			const localConnection = await connectionService.connectLocal();
 
 			logger.createProgressBar(tables.length, 'Analyzing tables');
 			for (let i = 0; i < tables.length; i++) {
 				const table = tables[i];
-				const rowCount = tableCounts[table.name] || 0;
-
+				let rowCount = tableCounts[table.name] || 0;
 				logger.updateProgress(i + 1, `${table.name} (${rowCount.toLocaleString()} rows)`);
 
-				if (rowCount > 0) {
-					tablesWithData++;
-					totalRowsToSync += rowCount;
-
-					try {
-						const sampleResult = await metabaseService.extractTableData(table.id, table.name, {limit: 10});
-
-						if (sampleResult.success && sampleResult.data.length > 0) {
-							const transformResult = await dataTransformationService.transformTableData(
-								localConnection,
-								table.name,
-								sampleResult.data,
-								{enumMap, validateOnly: true},
-							);
-
-							if (!transformResult.success) {
-								potentialIssues.push({
-									table: table.name,
-									issue: 'Data transformation issues detected',
-									details: transformResult.issues.map(i => i.message).join(', '),
-								});
-							} else if (transformResult.issues.length > 0) {
-								dataTransformations++;
-								potentialIssues.push({
-									table: table.name,
-									issue: `${transformResult.issues.length} data transformation(s) needed`,
-									details: transformResult.issues.map(i => i.message).join(', '),
-								});
-							}
-						}
+				try {
+					const {strategy, where} = this.getTableStrategy(table);
+					if (strategy === 'skip') {
+						continue;
+					}
 
-						const schemaInfo = await schemaDiscoveryService.getTableSchemaInfo(localConnection, table.name);
-						if (schemaInfo.enumColumns && schemaInfo.enumColumns.length > 0) {
-							schemaChanges++;
-						}
-					} catch (error) {
-						potentialIssues.push({
-							table: table.name,
-							issue: 'Analysis error',
-							details: error.message,
-						});
+					const plan = this.getIncrementalPlan(table);
+					let filter = subsetService.buildWhereFilter(table, where);
+					if (plan?.since) {
+						const watermarkFilter = ['>', metabaseService.fieldRef(plan.field), plan.since.value];
+						filter = filter ? ['and', filter, watermarkFilter] : watermarkFilter;
+						const countResult = await metabaseService.getTableRowCount(table.id, filter);
+						rowCount = countResult.success ? countResult.count : rowCount;
 					}
+
+					const preview = await previewService.previewTable(localConnection, table, {
+						expectedRows: rowCount,
+						enumMap,
+						filter,
+						keepLocalRows: this.keepsLocalRows(table),
+					});
+					previews.push(preview);
+					preview.issues.forEach(issue => potentialIssues.push({table: table.name, issue}));
+				} catch (error) {
+					potentialIssues.push({table: table.name, issue: `Analysis error: ${error.message}`});
 				}
 			}
 			logger.stopProgress();
 
 			return {
 				success: true,
-				tablesWithData,
-				totalRowsToSync,
-				schemaChanges,
-				dataTransformations,
+				tables: previews,
+				tablesWithData: previews.filter(preview => preview.insertRows > 0).length,
+				totalRowsToSync: previews.reduce((sum, preview) => sum + preview.insertRows, 0),
+				totalRowsToDelete: previews.reduce((sum, preview) => sum + preview.deleteRows, 0),
+				schemaChanges: previews.filter(
+					({columns}) =>
+						columns.missingLocally.length + columns.localOnly.length + columns.typeMismatches.length > 0,
+				).length,
+				dataTransformations: previews.filter(preview => preview.transformations.length > 0).length,
 				potentialIssues,
 			};
 		} catch (error) {
@@ -531,10 +1968,9 @@ class SyncOrchestratorService {
 	/**
 	 * Generates a dry-run summary
 	 * @param {Object} analysisResult - Analysis result
-	 * @param {Object} _tableCounts - Table counts
 	 * @returns {Object} Dry-run summary
 	 */
-	generateDryRunSummary(analysisResult, _tableCounts) {
+	generateDryRunSummary(analysisResult) {
 		const endTime = Date.now();
 		const duration = this.syncStats.startTime ? endTime - this.syncStats.startTime : 0;
 		const durationMinutes = Math.floor(duration / 60000);
@@ -558,6 +1994,16 @@ class SyncOrchestratorService {
 	 * Cleanup resources
 	 */
 	async cleanup() {
+		await syncLockService.release();
+
+		this.localConnection = null;
+		this.inTransaction = false;
+		this.targetSchema = null;
+		this.resumeCheckpoint = null;
+		this.cyclePlan = null;
+		this.cycleHoldTables.clear();
+		this.currentPhase = null;
+
 		try {
 			await connectionService.closeConnections();
 			await metabaseService.logout();
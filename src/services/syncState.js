@@ -0,0 +1,106 @@
+/**
+ * Service for the per-table watermarks of incremental syncs. They are kept in
+ * the metaexodus_watermarks table of the local database, next to the rows they
+ * describe, so a dropped, restored or different local database never starts
+ * from another database's watermarks.
+ */
+class SyncStateService {
+  constructor() {
+    this.watermarksTable = 'metaexodus_watermarks';
+    this.watermarks = {};
+    this.pending = new Map();
+  }
+
+  /**
+   * Creates the watermarks table if it does not exist yet
+   * @param {Object} connection - Local database connection
+   * @returns {Promise<void>}
+   */
+  async ensureTable(connection) {
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS ${this.watermarksTable} (
+        table_name text PRIMARY KEY,
+        column_name text NOT NULL,
+        value jsonb NOT NULL,
+        updated_at timestamptz NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * Reads the stored watermarks. Nothing is created, so read-only commands
+   * can load them too; a database without the table has no watermarks.
+   * @param {Object} connection - Local database connection
+   * @returns {Promise<Object>} Map of table name to { column, value, updatedAt }
+   */
+  async load(connection) {
+    this.watermarks = {};
+    this.pending.clear();
+
+    const exists = await connection.query('SELECT to_regclass($1) IS NOT NULL AS exists', [this.watermarksTable]);
+    if (!exists.rows[0].exists) {
+      return this.watermarks;
+    }
+
+    const result = await connection.query(
+      `SELECT table_name, column_name, value, updated_at FROM ${this.watermarksTable}`
+    );
+    result.rows.forEach(row => {
+      this.watermarks[row.table_name] = {
+        column: row.column_name,
+        value: row.value,
+        updatedAt: new Date(row.updated_at).toISOString()
+      };
+    });
+
+    return this.watermarks;
+  }
+
+  /**
+   * Gets the last synced watermark for a table, as of the last load()
+   * @param {string} tableName - Name of the table
+   * @returns {Object|null} Watermark entry ({ column, value, updatedAt }) or null
+   */
+  getWatermark(tableName) {
+    return this.watermarks[tableName] || null;
+  }
+
+  /**
+   * Records the watermark reached for a table (call save() to persist)
+   * @param {string} tableName - Name of the table
+   * @param {string} column - Watermark column
+   * @param {any} value - Highest value synced
+   */
+  setWatermark(tableName, column, value) {
+    const entry = { column, value, updatedAt: new Date().toISOString() };
+    this.watermarks[tableName] = entry;
+    this.pending.set(tableName, entry);
+  }
+
+  /**
+   * Writes the watermarks recorded since the last load or save
+   * @param {Object} connection - Local database connection
+   * @returns {Promise<void>}
+   */
+  async save(connection) {
+    if (this.pending.size === 0) {
+      return;
+    }
+
+    await this.ensureTable(connection);
+    for (const [tableName, { column, value, updatedAt }] of this.pending) {
+      await connection.query(
+        `INSERT INTO ${this.watermarksTable} (table_name, column_name, value, updated_at)
+         VALUES ($1, $2, $3::jsonb, $4)
+         ON CONFLICT (table_name) DO UPDATE
+         SET column_name = EXCLUDED.column_name, value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+        [tableName, column, JSON.stringify(value), updatedAt]
+      );
+    }
+    this.pending.clear();
+  }
+}
+
+const syncStateService = new SyncStateService();
+
+export { SyncStateService, syncStateService };
@@ -0,0 +1,208 @@
+import { metabaseService } from './metabase.js';
+
+/**
+ * Service for checking the local database against Metabase after a sync
+ */
+class VerificationService {
+  constructor() {
+    this.numericTypes = ['type/Integer', 'type/BigInteger', 'type/Decimal', 'type/Float', 'type/Number'];
+  }
+
+  /**
+   * Compares row counts, and aggregate fingerprints for opted-in tables,
+   * between Metabase and the local database. Whole tables are compared, so
+   * callers leave out tables that are meant to differ, such as incrementally
+   * synced ones.
+   * @param {Object} connection - Local database connection
+   * @param {Array} tables - Metabase tables to verify
+   * @param {Object} options - { checksums: map of table name to columns to fingerprint }
+   * @returns {Promise<Object>} Verification report
+   */
+  async verifyTables(connection, tables, options = {}) {
+    const { checksums = {} } = options;
+    const results = [];
+
+    for (const table of tables) {
+      results.push(await this.verifyTable(connection, table, checksums[table.name] || []));
+    }
+
+    const failedTables = results.filter(result => !result.passed).length;
+
+    return {
+      passed: failedTables === 0,
+      verifiedTables: results.length,
+      failedTables,
+      results
+    };
+  }
+
+  /**
+   * Lists the failed checks of a verification report, one row per check
+   * @param {Object} verification - Report from verifyTables
+   * @returns {Array} Rows of { Table, Check, Metabase, Local }
+   */
+  describeFailures(verification) {
+    return verification.results
+      .filter(result => !result.passed)
+      .flatMap(result =>
+        result.error
+          ? [{ Table: result.tableName, Check: 'error', Metabase: '-', Local: result.error }]
+          : result.checks
+            .filter(check => !check.match)
+            .map(check => ({
+              Table: result.tableName,
+              Check: check.check,
+              Metabase: String(check.remote),
+              Local: String(check.local)
+            }))
+      );
+  }
+
+  /**
+   * Verifies a single table
+   * @param {Object} connection - Local database connection
+   * @param {Object} table - Metabase table
+   * @param {Array} checksumColumns - Columns to fingerprint
+   * @returns {Promise<Object>} Table result with one entry per check
+   */
+  async verifyTable(connection, table, checksumColumns = []) {
+    const result = {
+      tableName: table.name,
+      remoteCount: null,
+      localCount: null,
+      checks: [],
+      passed: false,
+      error: null
+    };
+
+    try {
+      const remote = await metabaseService.getTableRowCount(table.id);
+      if (!remote.success) {
+        throw new Error(`Could not count Metabase rows: ${remote.error}`);
+      }
+
+      const local = await connection.query(`SELECT COUNT(*) AS count FROM "${table.name}"`);
+      result.remoteCount = remote.count;
+      result.localCount = parseInt(local.rows[0].count);
+      result.checks.push({
+        check: 'count',
+        remote: result.remoteCount,
+        local: result.localCount,
+        match: result.remoteCount === result.localCount
+      });
+
+      if (checksumColumns.length > 0) {
+        result.checks.push(...await this.compareAggregates(connection, table, checksumColumns));
+      }
+
+      result.passed = result.checks.every(check => check.match);
+    } catch (error) {
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  /**
+   * Compares sum (numeric columns only), min and max of the given columns
+   * @param {Object} connection - Local database connection
+   * @param {Object} table - Metabase table
+   * @param {Array} columns - Columns to fingerprint
+   * @returns {Promise<Array>} One check per aggregate
+   */
+  async compareAggregates(connection, table, columns) {
+    const aggregates = this.planAggregates(table, columns);
+
+    const remote = await metabaseService.getTableAggregates(
+      table.id,
+      aggregates.map(({ aggregate, field }) => [aggregate, metabaseService.fieldRef(field)])
+    );
+    if (!remote.success) {
+      throw new Error(`Could not aggregate Metabase rows: ${remote.error}`);
+    }
+
+    const selectList = aggregates
+      .map(({ aggregate, column }, index) => `${aggregate.toUpperCase()}("${column}") AS a${index}`)
+      .join(', ');
+    const local = await connection.query(`SELECT ${selectList} FROM "${table.name}"`);
+
+    return aggregates.map(({ aggregate, column }, index) => {
+      const remoteValue = remote.values[index] ?? null;
+      const localValue = local.rows[0][`a${index}`] ?? null;
+
+      return {
+        check: `${aggregate}(${column})`,
+        remote: remoteValue,
+        local: localValue,
+        match: this.valuesMatch(remoteValue, localValue)
+      };
+    });
+  }
+
+  /**
+   * Lists the aggregates to compute for each column
+   * @param {Object} table - Metabase table
+   * @param {Array} columns - Columns to fingerprint
+   * @returns {Array} Aggregates as { column, field, aggregate }
+   */
+  planAggregates(table, columns) {
+    return columns.flatMap(column => {
+      const field = (table.fields || []).find(f => f.name === column);
+      if (!field) {
+        throw new Error(`Checksum column ${column} not found in Metabase table ${table.name}`);
+      }
+
+      const aggregates = this.numericTypes.includes(field.base_type) ? ['sum', 'min', 'max'] : ['min', 'max'];
+      return aggregates.map(aggregate => ({ column, field, aggregate }));
+    });
+  }
+
+  /**
+   * Compares a Metabase value with a local value. Numbers (which PostgreSQL
+   * returns as strings for bigint/numeric) and dates are compared by value.
+   * @param {any} remote - Value from Metabase
+   * @param {any} local - Value from the local database
+   * @returns {boolean} Whether the values match
+   */
+  valuesMatch(remote, local) {
+    if (remote === null || local === null) {
+      return remote === local;
+    }
+
+    const remoteValue = this.normalizeValue(remote);
+    const localValue = this.normalizeValue(local);
+
+    if (typeof remoteValue === 'number' && typeof localValue === 'number') {
+      const scale = Math.max(1, Math.abs(remoteValue), Math.abs(localValue));
+      return Math.abs(remoteValue - localValue) <= scale * 1e-9;
+    }
+
+    return remoteValue === localValue;
+  }
+
+  /**
+   * Turns a value into a comparable number (numbers, dates) or string
+   * @param {any} value - Value to normalize
+   * @returns {number|string} Normalized value
+   */
+  normalizeValue(value) {
+    if (value instanceof Date) {
+      return value.getTime();
+    }
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const text = String(value);
+    if (text.trim() !== '' && !isNaN(Number(text))) {
+      return Number(text);
+    }
+
+    const time = Date.parse(text);
+    return isNaN(time) ? text : time;
+  }
+}
+
+const verificationService = new VerificationService();
+
+export { VerificationService, verificationService };
@@ -17,7 +17,9 @@ const OPTIONAL_ENV_VARS = {
   DB_LOCAL_SSL: 'false',
   DB_CONNECTION_TIMEOUT: '30000',
   DB_BATCH_SIZE: '1000',
-  SYNC_LOG_LEVEL: 'info'
+  SYNC_LOG_LEVEL: 'info',
+  SYNC_STATE_DIR: '.metaexodus',
+  SYNC_CONCURRENCY: '1'
 };
 
 function validateRequiredEnvVars() {
@@ -67,12 +69,48 @@ function validateEnvVarFormats() {
     errors.push('SYNC_LOG_LEVEL must be one of: error, warn, info, debug');
   }
 
+  const concurrency = process.env.SYNC_CONCURRENCY;
+  if (concurrency && (isNaN(concurrency) || parseInt(concurrency) < 1)) {
+    errors.push('SYNC_CONCURRENCY must be a positive number');
+  }
+
+  const watermarks = process.env.SYNC_WATERMARKS;
+  if (watermarks && parseWatermarkColumns(watermarks) === null) {
+    errors.push('SYNC_WATERMARKS must be a comma-separated list of table:column pairs');
+  }
+
   return {
     success: errors.length === 0,
     errors
   };
 }
 
+function parseWatermarkColumns(value) {
+  const watermarks = {};
+
+  if (!value || value.trim() === '') {
+    return watermarks;
+  }
+
+  for (const entry of value.split(',')) {
+    const [table, column, ...rest] = entry.trim().split(':');
+    if (!table || !column || rest.length > 0) {
+      return null;
+    }
+    watermarks[table.trim()] = column.trim();
+  }
+
+  return watermarks;
+}
+
+function getWatermarkColumns() {
+  const watermarks = parseWatermarkColumns(process.env.SYNC_WATERMARKS);
+  if (watermarks === null) {
+    throw new Error('SYNC_WATERMARKS must be a comma-separated list of table:column pairs');
+  }
+  return watermarks;
+}
+
 function setDefaultEnvVars() {
   for (const [key, defaultValue] of Object.entries(OPTIONAL_ENV_VARS)) {
     if (!process.env[key]) {
@@ -105,7 +143,12 @@ DB_REMOTE_PASSWORD=your_metabase_password
 DB_LOCAL_SSL=false
 DB_CONNECTION_TIMEOUT=30000
 DB_BATCH_SIZE=1000
-SYNC_LOG_LEVEL=info`;
+SYNC_LOG_LEVEL=info
+SYNC_STATE_DIR=.metaexodus
+SYNC_CONCURRENCY=1
+
+# Incremental sync watermarks (table:column pairs, used with --incremental)
+# SYNC_WATERMARKS=orders:updated_at,events:id`;
 
   try {
     writeFileSync(templatePath, templateContent);
@@ -142,6 +185,8 @@ export {
   validateEnvironment,
   setDefaultEnvVars,
   createEnvTemplate,
+  parseWatermarkColumns,
+  getWatermarkColumns,
   REQUIRED_ENV_VARS,
   OPTIONAL_ENV_VARS
 };
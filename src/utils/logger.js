@@ -7,6 +7,9 @@ const { gray, red, yellow, blue, green, cyan, bold } = chalk;
 
 class Logger {
   constructor() {
+    this.consoleTransport = new _transports.Console();
+    this.stderrTransport = null;
+    this.stderr = false;
     this.winston = createLogger({
       level: process.env.LOG_LEVEL || 'info',
       format: _format.combine(
@@ -19,7 +22,7 @@ class Logger {
         })
       ),
       transports: [
-        new _transports.Console()
+        this.consoleTransport
       ]
     });
     
@@ -58,7 +61,28 @@ class Logger {
   }
 
   success(message) {
-    console.log(green('✓ ' + message));
+    this.print(green('✓ ' + message));
+  }
+
+  /**
+   * Sends all log output to stderr, or back to stdout, so a command can
+   * write its result to stdout on its own
+   * @param {boolean} enabled - Whether to log to stderr
+   */
+  useStderr(enabled = true) {
+    if (enabled && !this.stderrTransport) {
+      this.stderrTransport = new _transports.Stream({ stream: process.stderr });
+    }
+    this.stderr = enabled;
+    this.winston.clear().add(enabled ? this.stderrTransport : this.consoleTransport);
+  }
+
+  print(...args) {
+    if (this.stderr) {
+      console.error(...args);
+    } else {
+      console.log(...args);
+    }
   }
 
   startSpinner(text, id = 'default') {
@@ -122,14 +146,14 @@ class Logger {
 
   section(title) {
     const line = '═'.repeat(60);
-    console.log(blue.bold('\n' + line));
-    console.log(blue.bold(title.toUpperCase()));
-    console.log(blue.bold(line + '\n'));
+    this.print(blue.bold('\n' + line));
+    this.print(blue.bold(title.toUpperCase()));
+    this.print(blue.bold(line + '\n'));
   }
 
   subsection(title) {
-    console.log(yellow.bold('\n' + title));
-    console.log(yellow('─'.repeat(title.length)));
+    this.print(yellow.bold('\n' + title));
+    this.print(yellow('─'.repeat(title.length)));
   }
 
   table(data, headers = null) {
@@ -146,14 +170,14 @@ class Logger {
     
     const separator = maxWidths.map(width => '─'.repeat(width)).join('─┼─');
     
-    console.log(headerRow);
-    console.log(separator);
+    this.print(headerRow);
+    this.print(separator);
     
     data.forEach(row => {
       const dataRow = keys.map((key, i) => 
         String(row[key] || '').padEnd(maxWidths[i])
       ).join(' | ');
-      console.log(dataRow);
+      this.print(dataRow);
     });
   }
 
@@ -166,7 +190,7 @@ class Logger {
     }));
     
     this.table(summaryData);
-    console.log();
+    this.print();
   }
 
   cleanup() {
@@ -179,9 +203,4 @@ class Logger {
 
 const logger = new Logger();
 
-process.on('SIGINT', () => {
-  logger.cleanup();
-  process.exit(0);
-});
-
 export { Logger, logger };
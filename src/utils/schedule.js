@@ -0,0 +1,126 @@
+const INTERVAL_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseInterval(value) {
+  const match = /^(\d+)\s*([smhd]?)$/.exec(String(value ?? '').trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+
+  return Number(match[1]) * INTERVAL_UNITS[match[2] || 'm'];
+}
+
+function parseCronField(value, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of value.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: ${part}`);
+    }
+
+    const [, range, start, end, step] = match;
+    const from = range === '*' ? min : Number(start);
+    const to = range === '*' ? max : end !== undefined ? Number(end) : step ? max : from;
+    const increment = step ? Number(step) : 1;
+
+    if (from < min || to > max || from > to || increment === 0) {
+      throw new Error(`Invalid cron ${name}: ${part} (allowed ${min}-${max})`);
+    }
+
+    for (let current = from; current <= to; current += increment) {
+      values.add(current);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const source = CRON_ALIASES[String(expression ?? '').trim()] || String(expression ?? '').trim();
+  const fields = source.split(/\s+/);
+
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression must have 5 fields (minute hour day month weekday): ${expression}`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+    parseCronField(field, CRON_FIELDS[index])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*'
+  };
+}
+
+function matchesCronDay(schedule, date) {
+  const dayMatches = schedule.days.has(date.getDate());
+  const weekdayMatches = schedule.weekdays.has(date.getDay());
+
+  // Like cron, a restricted day of month and day of week match either one
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return dayMatches && weekdayMatches;
+  }
+  return dayMatches || weekdayMatches;
+}
+
+function nextCronRun(schedule, from = new Date()) {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  // Skips whole months, days and hours that cannot match; gives up on
+  // expressions that never match, such as 0 0 30 2 *
+  const limit = from.getFullYear() + 5;
+  while (date.getFullYear() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesCronDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+export { parseInterval, parseCron, parseCronField, nextCronRun };
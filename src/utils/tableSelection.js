@@ -0,0 +1,75 @@
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => {
+      if (char === '*') {
+        return '.*';
+      }
+      if (char === '?') {
+        return '.';
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+
+  return new RegExp(`^${source}$`);
+}
+
+function matchesAny(tableName, patterns) {
+  return patterns.some(pattern => globToRegExp(pattern).test(tableName));
+}
+
+function parseTableList(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+function selectTables(tables, { include = [], exclude = [] } = {}) {
+  const selected = [];
+  const excluded = [];
+
+  for (const table of tables) {
+    const included = include.length === 0 || matchesAny(table.name, include);
+
+    if (included && !matchesAny(table.name, exclude)) {
+      selected.push(table);
+    } else {
+      excluded.push(table);
+    }
+  }
+
+  const unmatched = [...include, ...exclude].filter(
+    pattern => !tables.some(table => globToRegExp(pattern).test(table.name))
+  );
+
+  return { selected, excluded, unmatched };
+}
+
+function findExcludedParents(selectedNames, excludedNames, dependencies) {
+  const excludedSet = new Set(excludedNames);
+  const missing = [];
+
+  for (const tableName of selectedNames) {
+    for (const parent of dependencies[tableName] || []) {
+      if (excludedSet.has(parent)) {
+        missing.push({ table: tableName, parent });
+      }
+    }
+  }
+
+  return missing;
+}
+
+export {
+  globToRegExp,
+  matchesAny,
+  parseTableList,
+  selectTables,
+  findExcludedParents
+};
@@ -3,8 +3,18 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
+import {loadSyncConfig, parseSubsetRoots} from './src/config/sync.js';
+import {schedulerService} from './src/services/scheduler.js';
+import {syncConsoleService} from './src/services/syncConsole.js';
 import {syncOrchestratorService} from './src/services/syncOrchestrator.js';
 import {logger} from './src/utils/logger.js';
+import {parseCron, parseInterval} from './src/utils/schedule.js';
+import {parseTableList} from './src/utils/tableSelection.js';
+
+// Exit code of a run stopped with Ctrl-C, the code shells use for SIGINT
+const INTERRUPTED_EXIT_CODE = 130;
+
+let scheduled = false;
 
 /**
  * Displays usage information
@@ -15,16 +25,54 @@ MetaExodus - Database Synchronization Tool
 
 Usage:
   node sync-all.js [options]
+  node sync-all.js verify [options]
+  node sync-all.js diff [options]
+  node sync-all.js history [run id] [--limit <n>]
+  node sync-all.js inspect deps [--format <dot|mermaid|json>] [--output <path>]
+
+Commands:
+  verify                  Compare local row counts and checksums with Metabase without syncing
+  diff                    List rows added, removed or changed in Metabase since the local copy
+  history                 List past syncs recorded in the local database, or the tables of one run
+  inspect deps            Export the table dependency graph and insertion order
 
 Options:
   --dry-run, -d           Perform a dry run analysis without making changes
   --ignore-errors, -i     Continue synchronization and ignore insertion errors for individual tables
+  --staging               Load into a staging schema and swap it into public at the end
+  --resume                Continue an interrupted --staging or --ignore-errors sync from its checkpoint
+  --incremental           Only fetch rows past each table's stored watermark (see SYNC_WATERMARKS)
+  --concurrency <n>       Load up to n independent tables at once (with --staging or --ignore-errors)
+  --loader <copy|insert>  Load rows with COPY (default) or multi-row INSERT statements
+  --tables <list>         Only sync these tables (comma-separated names or glob patterns)
+  --exclude <list>        Skip these tables (comma-separated names or glob patterns)
+  --subset <roots>        Only sync rows of root tables (table[:limit],...) plus the rows they reference
+  --verify                Verify the local tables against Metabase after the sync
+  --report <path>         Write a sync report (.json, .xml for JUnit, or .html)
+  --dump <path>           With diff, write every differing row to an NDJSON file
+  --config <path>         Read options from this file (default: metaexodus.config.json if present)
+  --limit <n>             With history, list this many runs (default 20)
+  --format <format>       With inspect deps, render as dot (default), mermaid or json
+  --output <path>         With inspect deps, write the graph to a file (format from .dot, .mmd, .md or .json)
+  --no-history            Do not record this sync in the local history tables
+  --wait-lock [seconds]   Wait for another sync on the same local database to finish instead of failing
+  --watch [interval]      Keep running and sync every interval (30s, 15m, 1h, 1d; default 1h)
+  --schedule "<cron>"     Keep running and sync on a cron schedule (minute hour day month weekday)
   --help, -h              Show this help message
 
 Examples:
   node sync-all.js                    # Perform full synchronization
   node sync-all.js --dry-run          # Analyze what would be synchronized
   node sync-all.js --ignore-errors    # Continue sync even if some tables fail
+  node sync-all.js --incremental      # Upsert only rows changed since the last sync
+  node sync-all.js --staging          # Keep local data readable while the sync runs
+  node sync-all.js --staging --resume # Continue a staging sync that was interrupted
+  node sync-all.js verify             # Check the local database against Metabase
+  node sync-all.js diff               # See what changed upstream before syncing
+  node sync-all.js history 42         # See what run 42 loaded into each table
+  node sync-all.js inspect deps --output deps.dot # Graph the foreign keys the load order follows
+  node sync-all.js --watch 15m        # Sync every 15 minutes, skipping runs that would overlap
+  node sync-all.js --schedule "0 6 * * 1-5" # Sync at 06:00 on weekdays
   yarn sync                           # Using yarn script
   yarn sync --ignore-errors           # Using yarn script with error tolerance
 `);
@@ -36,12 +84,48 @@ Examples:
 function parseArguments() {
 	const args = process.argv.slice(2);
 	const options = {
+		command: null,
 		dryRun: false,
 		ignoreErrors: false,
+		incremental: false,
+		staging: false,
+		resume: false,
+		concurrency: null,
+		loader: null,
+		tables: null,
+		exclude: null,
+		subset: null,
+		verify: false,
+		reportPath: null,
+		dumpPath: null,
+		configPath: null,
+		historyRunId: null,
+		historyLimit: 20,
+		graphFormat: null,
+		graphOutputPath: null,
+		recordHistory: true,
+		waitLock: false,
+		lockTimeout: null,
+		watch: null,
+		schedule: null,
 		showHelp: false,
 	};
 
-	for (const arg of args) {
+	if (['verify', 'diff', 'history', 'inspect'].includes(args[0])) {
+		options.command = args.shift();
+	}
+
+	if (options.command === 'inspect' && args.shift() !== 'deps') {
+		logger.warn('inspect needs a subject: deps');
+		options.showHelp = true;
+	}
+
+	if (options.command === 'history' && /^\d+$/.test(args[0] || '')) {
+		options.historyRunId = parseInt(args.shift());
+	}
+
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
 		switch (arg) {
 			case '--dry-run':
 			case '-d':
@@ -51,6 +135,112 @@ function parseArguments() {
 			case '-i':
 				options.ignoreErrors = true;
 				break;
+			case '--incremental':
+				options.incremental = true;
+				break;
+			case '--staging':
+				options.staging = true;
+				break;
+			case '--resume':
+				options.resume = true;
+				break;
+			case '--concurrency':
+				options.concurrency = parseInt(args[++i]);
+				if (!(options.concurrency >= 1)) {
+					logger.warn('--concurrency needs a positive number');
+					options.showHelp = true;
+				}
+				break;
+			case '--loader':
+				options.loader = args[++i];
+				if (!['copy', 'insert'].includes(options.loader)) {
+					logger.warn('--loader must be copy or insert');
+					options.showHelp = true;
+				}
+				break;
+			case '--tables':
+				options.tables = parseTableList(args[++i]);
+				break;
+			case '--exclude':
+				options.exclude = parseTableList(args[++i]);
+				break;
+			case '--subset':
+				options.subset = parseSubsetRoots(args[++i]);
+				if (!options.subset) {
+					logger.warn('--subset needs a list of root tables, for example users:1000,orders');
+					options.showHelp = true;
+				}
+				break;
+			case '--verify':
+				options.verify = true;
+				break;
+			case '--report':
+				options.reportPath = args[++i];
+				if (!options.reportPath) {
+					logger.warn('--report needs a file path');
+					options.showHelp = true;
+				}
+				break;
+			case '--dump':
+				options.dumpPath = args[++i];
+				if (!options.dumpPath) {
+					logger.warn('--dump needs a file path');
+					options.showHelp = true;
+				}
+				break;
+			case '--config':
+				options.configPath = args[++i];
+				break;
+			case '--limit':
+				options.historyLimit = parseInt(args[++i]);
+				if (!(options.historyLimit >= 1)) {
+					logger.warn('--limit needs a positive number');
+					options.showHelp = true;
+				}
+				break;
+			case '--format':
+				options.graphFormat = args[++i];
+				if (!['dot', 'mermaid', 'json'].includes(options.graphFormat)) {
+					logger.warn('--format needs dot, mermaid or json');
+					options.showHelp = true;
+				}
+				break;
+			case '--output':
+				options.graphOutputPath = args[++i];
+				if (!options.graphOutputPath) {
+					logger.warn('--output needs a file path');
+					options.showHelp = true;
+				}
+				break;
+			case '--no-history':
+				options.recordHistory = false;
+				break;
+			case '--wait-lock':
+				options.waitLock = true;
+				if (args[i + 1] && !args[i + 1].startsWith('-')) {
+					options.lockTimeout = parseInt(args[++i]);
+					if (!(options.lockTimeout >= 1)) {
+						logger.warn('--wait-lock takes an optional number of seconds');
+						options.showHelp = true;
+					}
+				}
+				break;
+			case '--watch':
+				options.watch = parseInterval(args[i + 1] && !args[i + 1].startsWith('-') ? args[++i] : '1h');
+				if (!options.watch) {
+					logger.warn('--watch needs an interval such as 30s, 15m, 1h or 1d');
+					options.showHelp = true;
+				}
+				break;
+			case '--schedule':
+				options.schedule = args[++i];
+				try {
+					parseCron(options.schedule);
+				} catch (error) {
+					logger.warn(`--schedule needs a cron expression: ${error.message}`);
+					options.showHelp = true;
+				}
+				break;
 			case '--help':
 			case '-h':
 				options.showHelp = true;
@@ -62,14 +252,79 @@ function parseArguments() {
 		}
 	}
 
+	if (options.watch && options.schedule) {
+		logger.warn('Use either --watch or --schedule, not both');
+		options.showHelp = true;
+	}
+
+	if ((options.watch || options.schedule) && (options.command || options.dryRun)) {
+		logger.warn('--watch and --schedule only apply to syncs');
+		options.showHelp = true;
+	}
+
 	return options;
 }
 
+/**
+ * Keeps syncing on a schedule until the process is stopped. Every run
+ * re-authenticates with Metabase and reconnects, so expired sessions do not
+ * break later runs.
+ * @param {Object} credentials - Metabase credentials
+ * @param {Object} options - Parsed command line options
+ */
+function runScheduled(credentials, options) {
+	scheduled = true;
+	schedulerService.start(() => syncOrchestratorService.executeSync(credentials), {
+		interval: options.watch,
+		cron: options.schedule,
+	});
+
+	process.once('SIGTERM', async () => {
+		logger.info('Stopping scheduled syncs, waiting for the current one to finish...');
+		await schedulerService.stop();
+		process.exit(0);
+	});
+}
+
+/**
+ * Handles Ctrl-C. The first one lets a running sync finish the batch it is
+ * writing, roll back (or keep its checkpoint), close its connections and log
+ * out of Metabase; the second one exits immediately.
+ */
+function handleInterrupts() {
+	let interrupted = false;
+
+	process.on('SIGINT', async () => {
+		logger.cleanup();
+
+		if (interrupted) {
+			logger.warn('Interrupted again - exiting immediately');
+			process.exit(INTERRUPTED_EXIT_CODE);
+		}
+		interrupted = true;
+
+		const syncing = syncOrchestratorService.requestAbort();
+		if (syncing) {
+			logger.warn('Interrupted - stopping after the current batch. Press Ctrl-C again to exit immediately');
+		}
+
+		if (scheduled) {
+			await schedulerService.stop();
+			process.exit(INTERRUPTED_EXIT_CODE);
+		} else if (!syncing) {
+			// Nothing is being written, so there is nothing to wait for
+			process.exit(INTERRUPTED_EXIT_CODE);
+		}
+		// Otherwise main() exits once the sync has stopped
+	});
+}
+
 /**
  * Main synchronization entry point
  */
 async function main() {
 	try {
+		handleInterrupts();
 		const options = parseArguments();
 
 		if (options.showHelp) {
@@ -77,6 +332,20 @@ async function main() {
 			process.exit(0);
 		}
 
+		// A printed dependency graph owns stdout, so everything else is logged to stderr
+		if (options.command === 'inspect' && !options.graphOutputPath) {
+			logger.useStderr();
+		}
+
+		// History only reads the local database, so it needs no Metabase credentials
+		if (options.command === 'history') {
+			const result = await syncOrchestratorService.showHistory({
+				runId: options.historyRunId,
+				limit: options.historyLimit,
+			});
+			process.exit(result.success ? 0 : 1);
+		}
+
 		const credentials = {
 			username: process.env.DB_REMOTE_USERNAME,
 			password: process.env.DB_REMOTE_PASSWORD,
@@ -86,7 +355,46 @@ async function main() {
 			throw new Error('Missing required environment variables: DB_REMOTE_USERNAME, DB_REMOTE_PASSWORD');
 		}
 
-		if (options.dryRun) {
+		// --tables replaces the configured include list; --exclude adds to the excluded tables
+		const config = loadSyncConfig(options.configPath);
+		if (config.path) {
+			logger.info(`Using config file ${config.path}`);
+		}
+		if (config.path || options.tables || options.exclude) {
+			syncOrchestratorService.configure({
+				includeTables: options.tables || config.tables.include,
+				excludeTables: [...config.tables.exclude, ...(options.exclude || [])],
+				checksums: config.verify.checksums,
+				hooks: config.hooks,
+				tableStrategies: config.strategies,
+			});
+		}
+
+		const subset = options.subset || config.subset?.roots;
+		if (subset) {
+			syncOrchestratorService.configure({subset});
+		}
+
+		if (options.waitLock) {
+			syncOrchestratorService.configure({waitForLock: true, lockTimeout: options.lockTimeout});
+		}
+
+		if (options.command === 'verify') {
+			const result = await syncOrchestratorService.performVerification(credentials);
+			process.exit(result.success ? 0 : 1);
+		} else if (options.command === 'diff') {
+			if (options.dumpPath) {
+				syncOrchestratorService.configure({diffDumpPath: options.dumpPath});
+			}
+			const result = await syncOrchestratorService.performDiff(credentials);
+			process.exit(result.success ? 0 : 1);
+		} else if (options.command === 'inspect') {
+			const result = await syncOrchestratorService.inspectDependencies(credentials, {
+				format: options.graphFormat,
+				outputPath: options.graphOutputPath,
+			});
+			process.exit(result.success ? 0 : 1);
+		} else if (options.dryRun) {
 			const result = await syncOrchestratorService.performDryRun(credentials);
 			if (!result.success) {
 				process.exit(1);
@@ -101,13 +409,55 @@ async function main() {
 				});
 			}
 
-			await syncOrchestratorService.executeSync(credentials);
-			process.exit(0);
+			if (options.incremental) {
+				syncOrchestratorService.configure({incremental: true});
+			}
+
+			if (options.staging) {
+				syncOrchestratorService.configure({useStagingSchema: true});
+			}
+
+			if (options.resume) {
+				syncOrchestratorService.configure({resume: true});
+			}
+
+			if (options.concurrency) {
+				syncOrchestratorService.configure({concurrency: options.concurrency});
+			}
+
+			if (options.loader) {
+				syncOrchestratorService.configure({loader: options.loader});
+			}
+
+			if (options.verify) {
+				syncOrchestratorService.configure({verifyAfterSync: true});
+			}
+
+			if (options.reportPath) {
+				syncOrchestratorService.configure({reportPath: options.reportPath});
+			}
+
+			if (!options.recordHistory) {
+				syncOrchestratorService.configure({recordHistory: false});
+			}
+
+			syncConsoleService.attach(syncOrchestratorService);
+
+			if (options.watch || options.schedule) {
+				runScheduled(credentials, options);
+				return;
+			}
+
+			const result = await syncOrchestratorService.executeSync(credentials);
+			process.exit(result.success ? 0 : 1);
 		}
 	} catch (error) {
+		if (error.aborted) {
+			process.exit(INTERRUPTED_EXIT_CODE);
+		}
 		logger.error('Fatal error', error);
 		process.exit(1);
 	}
 }
 
-main();
+await main();
@@ -0,0 +1,171 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { loadSyncConfig, normalizeSyncConfig, parseSubsetRoots } from '../../src/config/sync.js';
+
+describe('Sync Configuration', () => {
+  let configDir;
+
+  const writeConfig = content => {
+    const path = join(configDir, 'metaexodus.config.json');
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content));
+    return path;
+  };
+
+  beforeEach(() => {
+    configDir = mkdtempSync(join(tmpdir(), 'metaexodus-config-'));
+  });
+
+  afterEach(() => {
+    rmSync(configDir, { recursive: true, force: true });
+  });
+
+  test('should return defaults when there is no config file', () => {
+    const config = loadSyncConfig();
+
+    expect(config.path).toBeNull();
+    expect(config.tables).toEqual({ include: [], exclude: [] });
+    expect(config.subset).toBeNull();
+    expect(config.verify).toEqual({ checksums: {} });
+    expect(config.hooks).toBeNull();
+    expect(config.strategies).toEqual({});
+  });
+
+  test('should load table selection from a config file', () => {
+    const path = writeConfig({ tables: { include: ['users', 'order*'], exclude: [' audit_* '] } });
+
+    const config = loadSyncConfig(path);
+
+    expect(config.path).toBe(path);
+    expect(config.tables).toEqual({ include: ['users', 'order*'], exclude: ['audit_*'] });
+  });
+
+  test('should fail when an explicit config file is missing', () => {
+    expect(() => loadSyncConfig(join(configDir, 'missing.json')))
+      .toThrow(`Config file not found: ${join(configDir, 'missing.json')}`);
+  });
+
+  test('should fail on invalid JSON', () => {
+    const path = writeConfig('{ tables: ');
+
+    expect(() => loadSyncConfig(path)).toThrow(`Invalid config file ${path}`);
+  });
+
+  test('should reject malformed table lists', () => {
+    const { errors } = normalizeSyncConfig({ tables: { include: 'users', exclude: [''] } });
+
+    expect(errors).toEqual([
+      'tables.include must be an array of table names or glob patterns',
+      'tables.exclude must be an array of table names or glob patterns'
+    ]);
+  });
+
+  test('should load subset roots', () => {
+    const path = writeConfig({ subset: { roots: { orders: { limit: 100, where: { status: 'paid' } }, users: {} } } });
+
+    expect(loadSyncConfig(path).subset).toEqual({
+      roots: {
+        orders: { limit: 100, where: { status: 'paid' } },
+        users: { limit: null, where: null }
+      }
+    });
+  });
+
+  test('should reject malformed subset roots', () => {
+    expect(normalizeSyncConfig({ subset: { roots: {} } }).errors)
+      .toEqual(['subset.roots must map at least one root table to its options']);
+    expect(normalizeSyncConfig({ subset: { roots: { orders: { limit: 0, where: [] } } } }).errors).toEqual([
+      'subset.roots.orders.limit must be a positive integer',
+      'subset.roots.orders.where must map column names to values'
+    ]);
+  });
+
+  test('should parse subset roots from the command line', () => {
+    expect(parseSubsetRoots('orders:100, users')).toEqual({
+      orders: { limit: 100, where: null },
+      users: { limit: null, where: null }
+    });
+    expect(parseSubsetRoots('orders:many')).toBeNull();
+    expect(parseSubsetRoots('')).toBeNull();
+  });
+
+  test('should load checksum columns for verification', () => {
+    const path = writeConfig({ verify: { checksums: { orders: ['total', ' created_at '] } } });
+
+    expect(loadSyncConfig(path).verify).toEqual({ checksums: { orders: ['total', 'created_at'] } });
+  });
+
+  test('should reject malformed checksum columns', () => {
+    expect(normalizeSyncConfig({ verify: { checksums: [] } }).errors)
+      .toEqual(['verify.checksums must map table names to column lists']);
+    expect(normalizeSyncConfig({ verify: { checksums: { orders: [] } } }).errors)
+      .toEqual(['verify.checksums.orders must be a non-empty array of column names']);
+  });
+
+  test('should load hook files per event', () => {
+    const path = writeConfig({
+      hooks: { directory: 'hooks', beforeSync: 'sql/disable-triggers.sql', afterSync: ['sql/refresh.sql', 'scrub.js'] }
+    });
+
+    expect(loadSyncConfig(path).hooks).toEqual({
+      directory: 'hooks',
+      beforeSync: ['sql/disable-triggers.sql'],
+      afterSync: ['sql/refresh.sql', 'scrub.js']
+    });
+  });
+
+  test('should reject unknown hook events and malformed hook files', () => {
+    expect(normalizeSyncConfig({ hooks: { afterLoad: 'a.sql', beforeTable: [1] } }).errors).toEqual([
+      'hooks.afterLoad is not a hook event (use beforeSync, beforeTable, afterTable, afterSync, onFailure)',
+      'hooks.beforeTable must be a file path or an array of file paths'
+    ]);
+    expect(normalizeSyncConfig({ hooks: ['a.sql'] }).errors)
+      .toEqual(['hooks must be an object with a directory and/or hook files per event']);
+  });
+
+  test('should load table strategies', () => {
+    const path = writeConfig({
+      strategies: {
+        audit_log: 'append',
+        users: { strategy: 'upsert', key: 'email', batchSize: 500 },
+        'events_*': { strategy: 'incremental', watermark: 'id', where: { type: ['click', 'view'] } },
+        orders: { where: { status: 'paid' } }
+      }
+    });
+
+    expect(loadSyncConfig(path).strategies).toEqual({
+      audit_log: { strategy: 'append', key: null, watermark: null, batchSize: null, where: null },
+      users: { strategy: 'upsert', key: ['email'], watermark: null, batchSize: 500, where: null },
+      'events_*': { strategy: 'incremental', key: null, watermark: 'id', batchSize: null, where: { type: ['click', 'view'] } },
+      orders: { strategy: 'replace', key: null, watermark: null, batchSize: null, where: { status: 'paid' } }
+    });
+  });
+
+  test('should reject malformed table strategies', () => {
+    expect(normalizeSyncConfig({ strategies: ['users'] }).errors)
+      .toEqual(['strategies must map table names or glob patterns to a strategy']);
+    expect(normalizeSyncConfig({
+      strategies: {
+        users: { strategy: 'merge' },
+        orders: { strategy: 'append', key: ['id'], watermark: 'updated_at' },
+        events: { strategy: 'incremental', batchSize: 0, where: 'type = 1' },
+        invoices: { strategy: 'upsert', key: [] },
+        sessions: 42
+      }
+    }).errors).toEqual([
+      'strategies.users.strategy must be one of replace, append, upsert, incremental, skip',
+      'strategies.orders.key only applies to the upsert strategy',
+      'strategies.orders.watermark only applies to the incremental strategy',
+      'strategies.events.watermark is required by the incremental strategy',
+      'strategies.events.batchSize must be a positive integer',
+      'strategies.events.where must map column names to values',
+      'strategies.invoices.key must be a column name or an array of column names',
+      'strategies.sessions must be a strategy name or an object with a strategy'
+    ]);
+  });
+
+  test('should reject a config that is not an object', () => {
+    expect(normalizeSyncConfig([]).errors).toEqual(['Config must be a JSON object']);
+  });
+});
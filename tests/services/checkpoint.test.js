@@ -0,0 +1,86 @@
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { CheckpointService, checkpointService } from '../../src/services/checkpoint.js';
+
+describe('Checkpoint Service', () => {
+  let originalEnv;
+  let stateDir;
+
+  const readCheckpoint = () => JSON.parse(readFileSync(join(stateDir, 'checkpoint.json'), 'utf8'));
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    stateDir = mkdtempSync(join(tmpdir(), 'metaexodus-checkpoint-'));
+    process.env.SYNC_STATE_DIR = stateDir;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+    rmSync(stateDir, { recursive: true, force: true });
+  });
+
+  test('should return null when there is no checkpoint', () => {
+    expect(new CheckpointService().load()).toBeNull();
+  });
+
+  test('should record progress and completed tables', () => {
+    const service = new CheckpointService();
+    service.start({ mode: 'staging', schema: 'metaexodus_staging' });
+
+    service.recordProgress('orders', { after: [10], extractedRows: 10, insertedRows: 10 });
+    service.recordProgress('users', { after: [3], extractedRows: 3, insertedRows: 3 });
+    expect(readCheckpoint().tablesInProgress).toEqual({
+      orders: { after: [10], extractedRows: 10, insertedRows: 10 },
+      users: { after: [3], extractedRows: 3, insertedRows: 3 }
+    });
+
+    service.markTableCompleted('orders', 12);
+    const saved = readCheckpoint();
+    expect(saved.mode).toBe('staging');
+    expect(saved.completedTables).toEqual({ orders: 12 });
+    expect(saved.tablesInProgress).toEqual({ users: { after: [3], extractedRows: 3, insertedRows: 3 } });
+  });
+
+  test('should continue a loaded checkpoint', () => {
+    const service = new CheckpointService();
+    service.start({ mode: 'direct', resumeFrom: { mode: 'direct', completedTables: { users: 3 }, tablesInProgress: {} } });
+    service.markTableCompleted('orders', 4);
+
+    expect(readCheckpoint().completedTables).toEqual({ users: 3, orders: 4 });
+    expect(new CheckpointService().load().resumedAt).toBeDefined();
+  });
+
+  test('should ignore progress when not recording', () => {
+    const service = new CheckpointService();
+
+    service.recordProgress('orders', { after: [1] });
+    service.markTableCompleted('orders', 1);
+
+    expect(service.isRecording()).toBe(false);
+    expect(existsSync(join(stateDir, 'checkpoint.json'))).toBe(false);
+  });
+
+  test('should keep the file on close and delete it on clear', () => {
+    const service = new CheckpointService();
+    service.start({ mode: 'direct' });
+
+    service.close();
+    expect(service.isRecording()).toBe(false);
+    expect(existsSync(join(stateDir, 'checkpoint.json'))).toBe(true);
+
+    service.clear();
+    expect(existsSync(join(stateDir, 'checkpoint.json'))).toBe(false);
+  });
+
+  test('should ignore an unreadable checkpoint', () => {
+    writeFileSync(join(stateDir, 'checkpoint.json'), 'oops');
+
+    expect(new CheckpointService().load()).toBeNull();
+  });
+
+  test('should export a singleton instance', () => {
+    expect(checkpointService).toBeInstanceOf(CheckpointService);
+  });
+});
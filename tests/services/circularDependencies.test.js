@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+
+const mockDataService = {
+  getPrimaryKeyColumns: jest.fn()
+};
+
+jest.unstable_mockModule('../../src/services/data.js', () => ({
+  dataService: mockDataService
+}));
+
+const { CircularDependencyService, circularDependencyService } = await import('../../src/services/circularDependencies.js');
+
+const foreignKeyRow = (overrides) => ({
+  constraint_name: 'employees_manager_fk',
+  table_name: 'employees',
+  referenced_table: 'employees',
+  deferrable: false,
+  columns: ['manager_id'],
+  nullable: true,
+  ...overrides
+});
+
+describe('Circular Dependency Service', () => {
+  let service;
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new CircularDependencyService();
+    connection = { query: jest.fn() };
+    mockDataService.getPrimaryKeyColumns.mockResolvedValue(['id']);
+  });
+
+  describe('getForeignKeys', () => {
+    test('should map constraint rows', async () => {
+      connection.query.mockResolvedValue({ rows: [foreignKeyRow()] });
+
+      const foreignKeys = await service.getForeignKeys(connection, ['employees']);
+
+      expect(foreignKeys).toEqual([{
+        constraintName: 'employees_manager_fk',
+        tableName: 'employees',
+        referencedTable: 'employees',
+        columns: ['manager_id'],
+        deferrable: false,
+        nullable: true
+      }]);
+      expect(connection.query).toHaveBeenCalledWith(expect.stringContaining('pg_constraint'), [['employees']]);
+    });
+
+    test('should wrap query errors', async () => {
+      connection.query.mockRejectedValue(new Error('permission denied'));
+
+      await expect(service.getForeignKeys(connection, ['a', 'b']))
+        .rejects.toThrow('Failed to get foreign keys of a, b: permission denied');
+    });
+  });
+
+  describe('plan', () => {
+    test('should load nullable self-references in a second pass', async () => {
+      connection.query.mockResolvedValue({ rows: [foreignKeyRow()] });
+
+      const plan = await service.plan(connection, [['employees']], ['employees']);
+
+      expect(plan.deferredConstraints).toEqual([]);
+      expect(plan.twoPassColumns.get('employees')).toEqual({ keyColumns: ['id'], columns: ['manager_id'] });
+      expect(plan.unresolved).toEqual([]);
+    });
+
+    test('should only break foreign keys pointing at tables loaded later', async () => {
+      connection.query.mockResolvedValue({
+        rows: [
+          foreignKeyRow({ constraint_name: 'orders_invoice_fk', table_name: 'orders', referenced_table: 'invoices', columns: ['invoice_id'] }),
+          foreignKeyRow({ constraint_name: 'invoices_order_fk', table_name: 'invoices', referenced_table: 'orders', columns: ['order_id'] }),
+          foreignKeyRow({ constraint_name: 'orders_user_fk', table_name: 'orders', referenced_table: 'users', columns: ['user_id'] })
+        ]
+      });
+
+      const plan = await service.plan(connection, [['orders', 'invoices']], ['users', 'orders', 'invoices']);
+
+      expect([...plan.twoPassColumns.keys()]).toEqual(['orders']);
+      expect(plan.twoPassColumns.get('orders').columns).toEqual(['invoice_id']);
+    });
+
+    test('should defer deferrable constraints when the load runs in one transaction', async () => {
+      connection.query.mockResolvedValue({ rows: [foreignKeyRow({ deferrable: true })] });
+
+      const deferred = await service.plan(connection, [['employees']], ['employees'], { canDefer: true });
+      const twoPass = await service.plan(connection, [['employees']], ['employees'], { canDefer: false });
+
+      expect(deferred.deferredConstraints).toEqual(['employees_manager_fk']);
+      expect(deferred.twoPassColumns.size).toBe(0);
+      expect(twoPass.twoPassColumns.has('employees')).toBe(true);
+    });
+
+    test('should report foreign keys that can neither be deferred nor nulled', async () => {
+      connection.query.mockResolvedValue({ rows: [foreignKeyRow({ nullable: false })] });
+
+      const plan = await service.plan(connection, [['employees']], ['employees']);
+
+      expect(plan.unresolved.map(foreignKey => foreignKey.constraintName)).toEqual(['employees_manager_fk']);
+      expect(mockDataService.getPrimaryKeyColumns).not.toHaveBeenCalled();
+    });
+
+    test('should need a primary key to update rows in the second pass', async () => {
+      connection.query.mockResolvedValue({ rows: [foreignKeyRow()] });
+      mockDataService.getPrimaryKeyColumns.mockResolvedValue([]);
+
+      const plan = await service.plan(connection, [['employees']], ['employees']);
+
+      expect(plan.unresolved).toHaveLength(1);
+      expect(plan.twoPassColumns.size).toBe(0);
+    });
+  });
+
+  describe('holdBackColumns', () => {
+    test('should null the columns and keep their values with the row key', () => {
+      const rows = [
+        { id: 1, name: 'Ada', manager_id: null },
+        { id: 2, name: 'Bob', manager_id: 1 }
+      ];
+
+      const result = service.holdBackColumns(rows, { keyColumns: ['id'], columns: ['manager_id'] });
+
+      expect(result.rows).toEqual([
+        { id: 1, name: 'Ada', manager_id: null },
+        { id: 2, name: 'Bob', manager_id: null }
+      ]);
+      expect(result.updates).toEqual([{ id: 2, manager_id: 1 }]);
+      expect(rows[1].manager_id).toBe(1);
+    });
+  });
+
+  describe('circularDependencyService singleton', () => {
+    test('should be an instance of CircularDependencyService', () => {
+      expect(circularDependencyService).toBeInstanceOf(CircularDependencyService);
+    });
+  });
+});
@@ -135,6 +135,15 @@ describe('Connection Service', () => {
       expect(mockPool.connect).toHaveBeenCalled();
     });
 
+    test('should apply pool options on top of the connection options', async () => {
+      const service = new ConnectionService();
+      await service.initialize();
+
+      await service.createLocalPool({ max: 4 });
+
+      expect(Pool).toHaveBeenLastCalledWith(expect.objectContaining({ host: 'localhost', max: 4 }));
+    });
+
     test('should not have remote connection pool functionality', () => {
       const service = new ConnectionService();
       
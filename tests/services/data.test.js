@@ -1,7 +1,28 @@
 import { jest } from '@jest/globals';
-
-import { DataService, dataService } from '../../src/services/data.js';
-import { connectionService } from '../../src/services/connection.js';
+import pgUtils from 'pg/lib/utils.js';
+import { Writable } from 'stream';
+
+class MockCopyStream extends Writable {
+  constructor(sql) {
+    super();
+    this.sql = sql;
+    this.lines = [];
+    this.rowCount = 0;
+  }
+
+  _write(chunk, encoding, callback) {
+    this.lines.push(chunk.toString());
+    this.rowCount++;
+    callback();
+  }
+}
+
+jest.unstable_mockModule('pg-copy-streams', () => ({
+  from: jest.fn(sql => new MockCopyStream(sql))
+}));
+
+const { DataService, dataService } = await import('../../src/services/data.js');
+const { connectionService } = await import('../../src/services/connection.js');
 
 describe('Data Service', () => {
   let originalEnv;
@@ -128,6 +149,47 @@ describe('Data Service', () => {
       expect(sorted).toContain('table_b');
     });
 
+    test('should find dependency cycles', () => {
+      const service = new DataService();
+      const tableNames = ['employees', 'users', 'orders', 'invoices', 'payments'];
+      const dependencies = {
+        employees: ['employees'],
+        orders: ['users', 'invoices'],
+        invoices: ['orders'],
+        payments: ['invoices']
+      };
+
+      expect(service.findDependencyCycles(tableNames, dependencies)).toEqual([
+        ['employees'],
+        ['orders', 'invoices']
+      ]);
+    });
+
+    test('should ignore cycles through tables outside the selection', () => {
+      const service = new DataService();
+
+      expect(service.findDependencyCycles(['orders'], { orders: ['invoices'], invoices: ['orders'] })).toEqual([]);
+    });
+
+    test('should group the tables of a cycle at the position of its last member', () => {
+      const service = new DataService();
+
+      const groups = service.groupTablesByCycle(
+        ['users', 'orders', 'products', 'invoices', 'payments'],
+        [['orders', 'invoices'], ['users']]
+      );
+
+      expect(groups).toEqual([['users'], ['products'], ['orders', 'invoices'], ['payments']]);
+    });
+
+    test('should combine statements into one with data-modifying CTEs', () => {
+      const service = new DataService();
+
+      expect(service.combineStatements(['DELETE FROM "a"'])).toBe('DELETE FROM "a"');
+      expect(service.combineStatements(['DELETE FROM "a"', 'DELETE FROM "b"', 'DELETE FROM "c"']))
+        .toBe('WITH step_0 AS (DELETE FROM "a"), step_1 AS (DELETE FROM "b") DELETE FROM "c"');
+    });
+
     test('should get table row count', async () => {
       const service = new DataService();
       await service.initialize();
@@ -176,6 +238,92 @@ describe('Data Service', () => {
       });
     });
 
+    test('should page through a key range in key order', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn().mockResolvedValue({ rows: [{ org: 1, id: 7 }, { org: 2, id: 3 }] })
+      };
+
+      const result = await service.extractTableDataByKey(mockConnection, 'members', ['org', 'id'], {
+        after: [1, 5],
+        upTo: [4, 0],
+        limit: 2
+      });
+
+      expect(mockConnection.query).toHaveBeenCalledWith(
+        'SELECT * FROM "members" WHERE ("org", "id") > ($1, $2) AND ("org", "id") <= ($3, $4) ' +
+          'ORDER BY "org", "id" LIMIT $5',
+        [1, 5, 4, 0, 2]
+      );
+      expect(result).toEqual({ rows: [{ org: 1, id: 7 }, { org: 2, id: 3 }], hasMore: true, lastKey: [2, 3] });
+    });
+
+    test('should read from the start of an unbounded key range', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const result = await service.extractTableDataByKey(mockConnection, 'users', ['id'], { limit: 100 });
+
+      expect(mockConnection.query).toHaveBeenCalledWith('SELECT * FROM "users" ORDER BY "id" LIMIT $1', [100]);
+      expect(result).toEqual({ rows: [], hasMore: false, lastKey: null });
+    });
+
+    test('should read only the rows with the given keys', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rows: [{ code: 'b' }] }) };
+
+      await service.extractTableDataByKey(mockConnection, 'codes', ['code'], { keys: [['b'], ['A']], limit: 10 });
+      await service.extractTableDataByKey(mockConnection, 'codes', ['code'], { keys: [], limit: 10 });
+
+      expect(mockConnection.query.mock.calls).toEqual([
+        ['SELECT * FROM "codes" WHERE ("code") IN (($1), ($2)) ORDER BY "code" LIMIT $3', ['b', 'A', 10]],
+        ['SELECT * FROM "codes" WHERE FALSE ORDER BY "code" LIMIT $1', [10]]
+      ]);
+    });
+
+    test('should read only the rows whose key is missing from a key table', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      await service.extractTableDataByKey(mockConnection, 'members', ['org', 'id'], {
+        after: ['x', 1],
+        missingFrom: '"metaexodus_keys_1"',
+        limit: 10
+      });
+
+      expect(mockConnection.query).toHaveBeenCalledWith(
+        'SELECT * FROM "members" WHERE ("org", "id") > ($1, $2) AND NOT EXISTS (SELECT 1 FROM "metaexodus_keys_1" AS seen ' +
+          'WHERE seen."org" = "members"."org" AND seen."id" = "members"."id") ORDER BY "org", "id" LIMIT $3',
+        ['x', 1, 10]
+      );
+    });
+
+    test('should create a key table holding other columns too', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const keyTable = await service.createKeyTable(mockConnection, 'employees', ['id'], ['manager_id']);
+
+      expect(mockConnection.query).toHaveBeenLastCalledWith(
+        `CREATE TEMP TABLE ${keyTable} AS SELECT "id", "manager_id" FROM "employees" WITH NO DATA`
+      );
+    });
+
+    test('should create and drop a temp table of key columns', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+      const keyTable = await service.createKeyTable(mockConnection, 'members', ['org', 'id']);
+      await service.dropKeyTable(mockConnection, keyTable);
+
+      expect(keyTable).toMatch(/^"metaexodus_keys_[0-9a-f]{16}"$/);
+      expect(mockConnection.query.mock.calls.map(([query]) => query)).toEqual([
+        `DROP TABLE IF EXISTS pg_temp.${keyTable}`,
+        `CREATE TEMP TABLE ${keyTable} AS SELECT "org", "id" FROM "members" WITH NO DATA`,
+        `DROP TABLE IF EXISTS pg_temp.${keyTable}`
+      ]);
+    });
+
     test('should handle empty table extraction', async () => {
       const service = new DataService();
       await service.initialize();
@@ -555,6 +703,168 @@ describe('Data Service', () => {
       );
     });
 
+    test('should target the conflict columns on upsert', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      const mockConnection = {
+        query: jest.fn().mockResolvedValue({ rowCount: 1 })
+      };
+
+      await service.insertBatch(mockConnection, 'users', [{ id: 1, name: 'User 1' }], ['id', 'name'], 'update', ['id']);
+
+      const [query] = mockConnection.query.mock.calls[0];
+      expect(query).toContain('ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name"');
+      expect(query).not.toContain('"id" = EXCLUDED."id"');
+    });
+
+    test('should split a batch that exceeds the bind parameter limit', async () => {
+      const service = new DataService();
+      await service.initialize();
+      service.maxParameters = 4;
+
+      const mockConnection = {
+        query: jest.fn(async (query, values) => ({ rowCount: values.length / 2 }))
+      };
+      const batch = [1, 2, 3, 4, 5].map(id => ({ id, name: `User ${id}` }));
+
+      const result = await service.insertBatch(mockConnection, 'users', batch, ['id', 'name'], 'error');
+
+      expect(result.insertedRows).toBe(5);
+      expect(mockConnection.query.mock.calls.map(([, values]) => values)).toEqual([
+        [1, 'User 1', 2, 'User 2'],
+        [3, 'User 3', 4, 'User 4'],
+        [5, 'User 5']
+      ]);
+    });
+
+    test('should insert into a schema-qualified table', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      const mockConnection = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ column_name: 'id' }] })
+          .mockResolvedValueOnce({ rowCount: 1 })
+      };
+
+      await service.insertTableData(mockConnection, 'users', [{ id: 1 }], { schema: 'metaexodus_staging' });
+
+      expect(mockConnection.query.mock.calls[0][1]).toEqual(['users', 'metaexodus_staging']);
+      expect(mockConnection.query.mock.calls[1][0]).toContain('INSERT INTO "metaexodus_staging"."users"');
+    });
+
+    test('should get primary key columns', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      const mockConnection = {
+        query: jest.fn().mockResolvedValue({
+          rows: [{ column_name: 'order_id' }, { column_name: 'line' }]
+        })
+      };
+
+      const columns = await service.getPrimaryKeyColumns(mockConnection, 'order_lines');
+
+      expect(columns).toEqual(['order_id', 'line']);
+      expect(mockConnection.query).toHaveBeenCalledWith(expect.stringContaining('PRIMARY KEY'), ['order_lines']);
+    });
+
+    test('should get the sequences owned by serial and identity columns', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn().mockResolvedValue({
+          rows: [{ table_name: 'users', column_name: 'id', sequence_name: 'users_id_seq' }]
+        })
+      };
+
+      const sequences = await service.getOwnedSequences(mockConnection, ['users', 'tags']);
+
+      expect(sequences).toEqual([{ tableName: 'users', columnName: 'id', sequenceName: 'users_id_seq' }]);
+      expect(mockConnection.query).toHaveBeenCalledWith(expect.stringContaining('pg_depend'), [['users', 'tags']]);
+    });
+
+    test('should set each sequence to the highest loaded value', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn()
+          .mockResolvedValueOnce({
+            rows: [
+              { table_name: 'users', column_name: 'id', sequence_name: 'users_id_seq' },
+              { table_name: 'tags', column_name: 'id', sequence_name: 'tags_id_seq' }
+            ]
+          })
+          .mockResolvedValueOnce({ rows: [{ value: '42' }] })
+          .mockResolvedValueOnce({ rows: [] })
+      };
+
+      const results = await service.resetSequences(mockConnection, ['users', 'tags']);
+
+      expect(results).toEqual([
+        { tableName: 'users', columnName: 'id', sequenceName: 'users_id_seq', value: '42' },
+        { tableName: 'tags', columnName: 'id', sequenceName: 'tags_id_seq', value: null }
+      ]);
+      expect(mockConnection.query).toHaveBeenCalledWith(
+        'SELECT setval($1, MAX("id")) AS value FROM "users" HAVING MAX("id") IS NOT NULL',
+        ['users_id_seq']
+      );
+    });
+
+    test('should report sequences that cannot be reset', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn()
+          .mockResolvedValueOnce({ rows: [{ table_name: 'users', column_name: 'id', sequence_name: 'users_id_seq' }] })
+          .mockRejectedValueOnce(new Error('must be owner of sequence users_id_seq'))
+      };
+
+      await expect(service.resetSequences(mockConnection, ['users']))
+        .rejects.toThrow('Failed to reset sequence users_id_seq: must be owner of sequence users_id_seq');
+    });
+
+    test('should update columns by primary key from a key table', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn().mockResolvedValue({ rowCount: 3 })
+      };
+
+      const updatedRows = await service.updateColumnsFrom(mockConnection, 'employees', '"metaexodus_keys_1"', {
+        keyColumns: ['id'],
+        columns: ['manager_id']
+      });
+
+      expect(updatedRows).toBe(3);
+      expect(mockConnection.query).toHaveBeenCalledWith(
+        'UPDATE "employees" AS t SET "manager_id" = v."manager_id" FROM "metaexodus_keys_1" AS v WHERE t."id" = v."id"'
+      );
+    });
+
+    test('should report failed column updates', async () => {
+      const service = new DataService();
+      const mockConnection = {
+        query: jest.fn().mockRejectedValue(new Error('violates foreign key constraint'))
+      };
+
+      await expect(service.updateColumnsFrom(mockConnection, 'employees', '"metaexodus_keys_1"', {
+        keyColumns: ['id'],
+        columns: ['manager_id']
+      })).rejects.toThrow('Failed to update manager_id of table employees: violates foreign key constraint');
+    });
+
+    test('should add rows to a key table, casting them to its columns', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rowCount: 2 }) };
+      const rows = [{ id: 1, manager_id: 3 }, { id: 2, manager_id: 3 }];
+
+      await expect(service.appendToKeyTable(mockConnection, '"metaexodus_keys_1"', rows)).resolves.toBe(2);
+      await expect(service.appendToKeyTable(mockConnection, '"metaexodus_keys_1"', [])).resolves.toBe(0);
+
+      expect(mockConnection.query.mock.calls).toEqual([[
+        'INSERT INTO "metaexodus_keys_1" SELECT * FROM json_populate_recordset(NULL::"metaexodus_keys_1", $1)',
+        [JSON.stringify(rows)]
+      ]]);
+    });
+
     test('should handle batch with no valid columns', async () => {
       const service = new DataService();
       await service.initialize();
@@ -567,6 +877,146 @@ describe('Data Service', () => {
         .rejects.toThrow('No valid columns found for table users');
     });
 
+    test('should load rows with COPY', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      let copyStream;
+      const mockConnection = {
+        query: jest.fn(query => {
+          if (typeof query !== 'string') {
+            copyStream = query;
+            return query;
+          }
+          return Promise.resolve({ rows: [{ column_name: 'id' }, { column_name: 'name' }] });
+        })
+      };
+
+      const result = await service.copyTableData(
+        mockConnection,
+        'users',
+        [{ id: 1, name: 'Ann' }, { id: 2, name: null }],
+        { schema: 'metaexodus_staging' }
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.insertedRows).toBe(2);
+      expect(copyStream.sql).toBe('COPY "metaexodus_staging"."users" ("id", "name") FROM STDIN WITH (FORMAT csv)');
+      expect(copyStream.lines).toEqual(['"1","Ann"\n', '"2",\n']);
+    });
+
+    test('should send a Date as the same text through COPY and INSERT', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      let copyStream;
+      const mockConnection = {
+        query: jest.fn(query => {
+          if (typeof query !== 'string') {
+            copyStream = query;
+            return query;
+          }
+          return Promise.resolve({ rows: [{ column_name: 'id' }, { column_name: 'created_at' }], rowCount: 1 });
+        })
+      };
+      const row = { id: 1, created_at: new Date('2024-01-02T03:04:05Z') };
+
+      await service.insertTableData(mockConnection, 'events', [row]);
+      const [, insertValues] = mockConnection.query.mock.calls.find(([sql]) => sql.startsWith('INSERT'));
+      await service.copyTableData(mockConnection, 'events', [row]);
+
+      // pg turns bound values into text with prepareValue before sending them,
+      // in local time with its offset, which timestamp without time zone keeps
+      const insertedText = pgUtils.prepareValue(insertValues[1]);
+      expect(insertValues[1]).toBe(row.created_at);
+      expect(copyStream.lines).toEqual([`"1","${insertedText}"\n`]);
+    });
+
+    test('should upsert COPY loads through a temp table', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      const mockConnection = {
+        query: jest.fn(query => {
+          if (typeof query !== 'string') {
+            return query;
+          }
+          return Promise.resolve(query.includes('information_schema')
+            ? { rows: [{ column_name: 'id' }, { column_name: 'name' }] }
+            : { rowCount: 1 });
+        })
+      };
+
+      const result = await service.copyTableData(mockConnection, 'users', [{ id: 1, name: 'Ann' }], {
+        onConflict: 'update',
+        conflictColumns: ['id']
+      });
+
+      const queries = mockConnection.query.mock.calls
+        .map(([query]) => query)
+        .filter(query => typeof query === 'string' && !query.includes('information_schema'));
+      expect(result.insertedRows).toBe(1);
+      expect(queries).toEqual([
+        'DROP TABLE IF EXISTS pg_temp."metaexodus_copy_e4b8cec3290527f7"',
+        'CREATE TEMP TABLE "metaexodus_copy_e4b8cec3290527f7" (LIKE "users" INCLUDING DEFAULTS)',
+        'INSERT INTO "users" ("id", "name") SELECT "id", "name" FROM "metaexodus_copy_e4b8cec3290527f7" ' +
+          'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name"',
+        'DROP TABLE "metaexodus_copy_e4b8cec3290527f7"'
+      ]);
+    });
+
+    test('should keep temp table names short for long table names', async () => {
+      const service = new DataService();
+      const mockConnection = { query: jest.fn().mockResolvedValue({ rowCount: 0 }) };
+      jest.spyOn(service, 'copyRows').mockResolvedValue(0);
+      const tableName = 'a'.repeat(63);
+
+      await service.copyViaTempTable(mockConnection, tableName, [], ['id'], 'skip', [], 'staging');
+      await service.copyViaTempTable(mockConnection, tableName, [], ['id'], 'skip');
+
+      const created = mockConnection.query.mock.calls
+        .map(([query]) => query.match(/^CREATE TEMP TABLE "([^"]+)"/))
+        .filter(Boolean)
+        .map(match => match[1]);
+      expect(created).toHaveLength(2);
+      expect(created[0]).not.toBe(created[1]);
+      created.forEach(name => expect(name.length).toBeLessThanOrEqual(63));
+    });
+
+    test('should report COPY failures', async () => {
+      const service = new DataService();
+      await service.initialize();
+
+      const mockConnection = {
+        query: jest.fn(query => {
+          if (typeof query !== 'string') {
+            throw new Error('invalid input syntax for type integer');
+          }
+          return Promise.resolve({ rows: [{ column_name: 'id' }] });
+        })
+      };
+
+      const result = await service.copyTableData(mockConnection, 'users', [{ id: 'x' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0].error).toBe('COPY failed: invalid input syntax for type integer');
+    });
+
+    test('should format values for CSV COPY', () => {
+      const service = new DataService();
+
+      expect(service.formatCopyValue(null)).toBe('');
+      expect(service.formatCopyValue('')).toBe('');
+      expect(service.formatCopyValue('say "hi", then\nleave')).toBe('"say ""hi"", then\nleave"');
+      expect(service.formatCopyValue(false)).toBe('"false"');
+      expect(service.formatCopyValue(12.5)).toBe('"12.5"');
+      expect(service.formatCopyValue(new Date('2024-01-02T03:04:05Z'))).toMatch(/^"2024-01-0[12]T\d\d:\d\d:05\.000[+-]\d\d:\d\d"$/);
+      expect(service.formatCopyValue(Buffer.from([0xde, 0xad]))).toBe('"\\xdead"');
+      expect(service.formatCopyValue({ a: '"b"' })).toBe('"{""a"":""\\""b\\""""}"');
+      expect(service.formatCopyValue(['a"b', null, 'c\\d'])).toBe('"{""a\\""b"",NULL,""c\\\\d""}"');
+      expect(service.formatCopyValue([[1, 2], [3, 4]])).toBe('"{{""1"",""2""},{""3"",""4""}}"');
+    });
+
     test('should synchronize table data', async () => {
       const service = new DataService();
       await service.initialize();
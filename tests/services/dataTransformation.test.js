@@ -208,6 +208,48 @@ describe('DataTransformationService', () => {
       expect(result.valid).toBe(true);
       expect(result.issues).toHaveLength(0);
     });
+
+    test('should report values that do not fit the column type', () => {
+      const data = [{ id: 'abc', active: true }];
+      const schema = [
+        { column_name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: null },
+        { column_name: 'active', data_type: 'boolean', is_nullable: 'YES', column_default: null }
+      ];
+
+      const result = service.validateTransformedData(data, schema);
+
+      expect(result.valid).toBe(false);
+      expect(result.issues).toEqual([{
+        type: 'type_mismatch',
+        row: 0,
+        column: 'id',
+        value: 'abc',
+        dataType: 'integer',
+        message: 'Value \'abc\' is not a valid integer for column \'id\''
+      }]);
+    });
+  });
+
+  describe('isValidForType', () => {
+    test('should accept values PostgreSQL can cast to the column type', () => {
+      expect(service.isValidForType('42', 'integer')).toBe(true);
+      expect(service.isValidForType(12.5, 'numeric')).toBe(true);
+      expect(service.isValidForType('t', 'boolean')).toBe(true);
+      expect(service.isValidForType('2024-01-01T10:00:00Z', 'timestamp with time zone')).toBe(true);
+      expect(service.isValidForType('0b6a5f3e-8f7d-4c1a-9e2b-5d4c3b2a1f00', 'uuid')).toBe(true);
+      expect(service.isValidForType('{"a":1}', 'jsonb')).toBe(true);
+      expect(service.isValidForType(null, 'integer')).toBe(true);
+      expect(service.isValidForType('anything', 'text')).toBe(true);
+    });
+
+    test('should reject values that do not fit the column type', () => {
+      expect(service.isValidForType('12.5', 'integer')).toBe(false);
+      expect(service.isValidForType('abc', 'numeric')).toBe(false);
+      expect(service.isValidForType('maybe', 'boolean')).toBe(false);
+      expect(service.isValidForType('not a date', 'date')).toBe(false);
+      expect(service.isValidForType('1234', 'uuid')).toBe(false);
+      expect(service.isValidForType('{broken', 'json')).toBe(false);
+    });
   });
 
   describe('statistics', () => {
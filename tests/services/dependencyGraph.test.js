@@ -0,0 +1,151 @@
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { DependencyGraphService, dependencyGraphService } from '../../src/services/dependencyGraph.js';
+
+describe('Dependency Graph Service', () => {
+  let service;
+
+  // users <- orders <-> invoices, orders -> audit_log (missing), orders -> regions (excluded)
+  const input = {
+    selected: ['invoices', 'orders', 'users', 'categories'],
+    excluded: ['regions'],
+    dependencies: {
+      orders: ['users', 'users', 'invoices', 'regions', 'audit_log'],
+      invoices: ['orders'],
+      categories: ['categories']
+    },
+    cycles: [['invoices', 'orders'], ['categories']]
+  };
+
+  beforeEach(() => {
+    service = new DependencyGraphService();
+  });
+
+  describe('build', () => {
+    test('should number tables by insertion order and mark excluded and missing parents', () => {
+      const graph = service.build(input);
+
+      expect(graph.insertionOrder).toEqual(['users', 'orders', 'invoices', 'categories']);
+      expect(graph.nodes).toEqual([
+        { name: 'users', status: 'selected', position: 1, cycle: null },
+        { name: 'orders', status: 'selected', position: 2, cycle: 0 },
+        { name: 'invoices', status: 'selected', position: 3, cycle: 0 },
+        { name: 'categories', status: 'selected', position: 4, cycle: 1 },
+        { name: 'regions', status: 'excluded', position: null, cycle: null },
+        { name: 'audit_log', status: 'missing', position: null, cycle: null }
+      ]);
+    });
+
+    test('should add one edge per referenced table and flag the edges of cycles', () => {
+      const { edges } = service.build(input);
+
+      expect(edges).toHaveLength(6);
+      expect(edges).toEqual(expect.arrayContaining([
+        { from: 'orders', to: 'users', cyclic: false },
+        { from: 'orders', to: 'invoices', cyclic: true },
+        { from: 'invoices', to: 'orders', cyclic: true },
+        { from: 'orders', to: 'audit_log', cyclic: false },
+        { from: 'categories', to: 'categories', cyclic: true }
+      ]));
+    });
+  });
+
+  describe('render', () => {
+    const graph = {
+      nodes: [
+        { name: 'users', status: 'selected', position: 1, cycle: null },
+        { name: 'orders', status: 'selected', position: 2, cycle: 0 },
+        { name: 'audit "log"', status: 'missing', position: null, cycle: null }
+      ],
+      edges: [
+        { from: 'orders', to: 'users', cyclic: false },
+        { from: 'orders', to: 'orders', cyclic: true },
+        { from: 'orders', to: 'audit "log"', cyclic: false }
+      ],
+      insertionOrder: ['users', 'orders'],
+      cycles: [['orders']]
+    };
+
+    test('should render Graphviz DOT', () => {
+      expect(service.render(graph, 'dot')).toBe([
+        'digraph dependencies {',
+        '  rankdir=RL;',
+        '  node [shape=box];',
+        '  "users" [label="1. users"];',
+        '  "orders" [label="2. orders", color=red];',
+        '  "audit \\"log\\"" [label="audit \\"log\\" (not in Metabase)", style=dashed, color=orange];',
+        '  "orders" -> "users";',
+        '  "orders" -> "orders" [color=red];',
+        '  "orders" -> "audit \\"log\\"";',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    test('should render Mermaid with numbered node ids', () => {
+      const mermaid = service.render(graph, 'mermaid');
+
+      expect(mermaid.split('\n')).toEqual([
+        'flowchart RL',
+        '  n0["1. users"]',
+        '  n1["2. orders"]',
+        '  n2["audit #quot;log#quot; (not in Metabase)"]',
+        '  n1 --> n0',
+        '  n1 --> n1',
+        '  n1 --> n2',
+        '  linkStyle 1 stroke:#d00',
+        '  classDef cycle stroke:#d00,stroke-width:2px',
+        '  classDef missing stroke:#e69500,stroke-dasharray:5 5',
+        '  classDef excluded stroke:#888,stroke-dasharray:5 5',
+        '  class n1 cycle',
+        '  class n2 missing',
+        ''
+      ]);
+    });
+
+    test('should render JSON', () => {
+      expect(JSON.parse(service.render(graph, 'json'))).toEqual(graph);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => service.render(graph, 'svg')).toThrow('Unknown graph format "svg" (expected dot, mermaid or json)');
+    });
+  });
+
+  describe('write', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'metaexodus-graph-'));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should pick the format from the extension', () => {
+      const graph = service.build(input);
+      const outputPath = join(dir, 'graphs', 'deps.mmd');
+
+      expect(service.write(outputPath, graph)).toBe('mermaid');
+      expect(readFileSync(outputPath, 'utf8')).toMatch(/^flowchart RL\n/);
+      expect(service.write(join(dir, 'deps.txt'), graph)).toBe('dot');
+      expect(service.write(join(dir, 'deps.txt'), graph, 'json')).toBe('json');
+    });
+
+    test('should wrap Mermaid in a code block for Markdown files', () => {
+      const outputPath = join(dir, 'deps.md');
+
+      expect(service.write(outputPath, service.build(input))).toBe('mermaid');
+      expect(readFileSync(outputPath, 'utf8')).toMatch(/^```mermaid\nflowchart RL\n[\s\S]*\n```\n$/);
+    });
+  });
+
+  describe('dependencyGraphService singleton', () => {
+    test('should be an instance of DependencyGraphService', () => {
+      expect(dependencyGraphService).toBeInstanceOf(DependencyGraphService);
+    });
+  });
+});
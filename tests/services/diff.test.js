@@ -0,0 +1,254 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+const mockDataService = {
+  getPrimaryKeyColumns: jest.fn(),
+  extractTableDataByKey: jest.fn(),
+  createKeyTable: jest.fn(),
+  dropKeyTable: jest.fn(),
+  copyRows: jest.fn()
+};
+
+const mockMetabaseService = {
+  findKeyFields: jest.fn(),
+  extractAllTableData: jest.fn()
+};
+
+const mockDataTransformationService = {
+  transformTableData: jest.fn()
+};
+
+jest.unstable_mockModule('../../src/services/data.js', () => ({
+  dataService: mockDataService
+}));
+
+jest.unstable_mockModule('../../src/services/metabase.js', () => ({
+  metabaseService: mockMetabaseService
+}));
+
+jest.unstable_mockModule('../../src/services/dataTransformation.js', () => ({
+  dataTransformationService: mockDataTransformationService
+}));
+
+const { DiffService, diffService } = await import('../../src/services/diff.js');
+
+const users = {
+  id: 1,
+  name: 'users',
+  fields: [{ id: 10, name: 'id', base_type: 'type/Integer' }, { id: 11, name: 'name', base_type: 'type/Text' }]
+};
+const codes = {
+  id: 3,
+  name: 'codes',
+  fields: [{ id: 30, name: 'code', base_type: 'type/Text' }, { id: 31, name: 'label', base_type: 'type/Text' }]
+};
+
+const remoteRows = batches => async (tableId, tableName, onBatch) => {
+  for (const batchData of batches) {
+    await onBatch({ tableName, batchData, lastKey: [batchData[batchData.length - 1].id] });
+  }
+  return { success: true, extractedRows: batches.flat().length };
+};
+
+// Serves local rows in id order, two per chunk, within the requested key range
+const localRows = rows => async (conn, tableName, keyColumns, { after, upTo }) => {
+  const inRange = rows.filter(row => (!after || Number(row.id) > after[0]) && (!upTo || Number(row.id) <= upTo[0]));
+  const chunk = inRange.slice(0, 2);
+  return {
+    rows: chunk,
+    hasMore: chunk.length === 2,
+    lastKey: chunk.length > 0 ? [Number(chunk[chunk.length - 1].id)] : after
+  };
+};
+
+describe('Diff Service', () => {
+  let service;
+  let connection;
+  let dumpDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new DiffService();
+    connection = { query: jest.fn() };
+    dumpDir = mkdtempSync(join(tmpdir(), 'metaexodus-diff-'));
+
+    mockDataService.getPrimaryKeyColumns.mockResolvedValue(['id']);
+    mockDataService.extractTableDataByKey.mockImplementation(localRows([
+      { id: '1', name: 'Ada' },
+      { id: '2', name: 'Bob' },
+      { id: '3', name: 'Cy' }
+    ]));
+    mockMetabaseService.findKeyFields.mockImplementation(fields => fields.filter(field => field.name === 'id'));
+    mockMetabaseService.extractAllTableData.mockImplementation(remoteRows([
+      [{ id: 1, name: 'Ada' }, { id: 2, name: 'Bobby' }],
+      [{ id: 4, name: 'Dee' }]
+    ]));
+    mockDataTransformationService.transformTableData.mockImplementation(async (conn, name, rows) => rows);
+  });
+
+  afterEach(() => {
+    rmSync(dumpDir, { recursive: true, force: true });
+  });
+
+  describe('diffTable', () => {
+    test('should count added, removed, changed and unchanged rows by primary key', async () => {
+      const result = await service.diffTable(connection, users);
+
+      expect(result).toEqual({
+        tableName: 'users',
+        keyColumns: ['id'],
+        added: 1,
+        removed: 1,
+        changed: 1,
+        unchanged: 1,
+        error: null
+      });
+    });
+
+    test('should read the local rows in the key range of each Metabase batch', async () => {
+      await service.diffTable(connection, users);
+
+      expect(mockDataService.extractTableDataByKey.mock.calls.map(([, , keyColumns, range]) => [keyColumns, range])).toEqual([
+        [['id'], { after: null, upTo: [2] }],
+        [['id'], { after: [2], upTo: [2] }],
+        [['id'], { after: [2], upTo: [4] }],
+        [['id'], { after: [4], upTo: null }]
+      ]);
+    });
+
+    test('should report every local row as removed when Metabase has none', async () => {
+      mockMetabaseService.extractAllTableData.mockImplementation(remoteRows([]));
+
+      const result = await service.diffTable(connection, users);
+
+      expect(result.removed).toBe(3);
+      expect(mockDataService.extractTableDataByKey).toHaveBeenCalledTimes(2);
+    });
+
+    test('should compare the rows a sync would write', async () => {
+      const enumMap = { user_role: ['ADMIN'] };
+      mockDataTransformationService.transformTableData.mockImplementation(async (conn, name, rows) =>
+        rows.map(row => ({ ...row, name: row.name === 'Bobby' ? 'Bob' : row.name }))
+      );
+
+      const result = await service.diffTable(connection, users, { enumMap });
+
+      expect(result.changed).toBe(0);
+      expect(result.unchanged).toBe(2);
+      expect(mockDataTransformationService.transformTableData).toHaveBeenCalledWith(
+        connection, 'users', expect.any(Array), enumMap
+      );
+    });
+
+    test('should match text keys by lookup, whatever order each side sorts them in', async () => {
+      // Metabase sorts case-insensitively, the local database byte-wise
+      const local = [{ code: 'B', label: 'Bee' }, { code: 'C', label: 'Sea' }, { code: 'a', label: 'Ay' }];
+      mockDataService.getPrimaryKeyColumns.mockResolvedValue(['code']);
+      mockDataService.createKeyTable.mockResolvedValue('"metaexodus_keys_1"');
+      mockMetabaseService.findKeyFields.mockImplementation(fields => fields.filter(field => field.name === 'code'));
+      mockMetabaseService.extractAllTableData.mockImplementation(async (tableId, tableName, onBatch) => {
+        await onBatch({ tableName, batchData: [{ code: 'a', label: 'Ay' }, { code: 'B', label: 'Bea' }], lastKey: ['B'] });
+        await onBatch({ tableName, batchData: [{ code: 'd', label: 'Dee' }], lastKey: ['d'] });
+        return { success: true, extractedRows: 3 };
+      });
+      const seen = [];
+      mockDataService.copyRows.mockImplementation(async (conn, target, rows) => seen.push(...rows.map(row => row.code)));
+      mockDataService.extractTableDataByKey.mockImplementation(async (conn, tableName, keyColumns, { keys, missingFrom }) => {
+        const rows = keys
+          ? local.filter(row => keys.some(([code]) => code === row.code))
+          : local.filter(row => missingFrom && !seen.includes(row.code));
+        return { rows, hasMore: false, lastKey: null };
+      });
+
+      const result = await service.diffTable(connection, codes);
+
+      expect(result).toEqual(expect.objectContaining({ added: 1, removed: 1, changed: 1, unchanged: 1, error: null }));
+      expect(mockDataService.copyRows).toHaveBeenCalledWith(
+        connection, '"metaexodus_keys_1"', [{ code: 'a', label: 'Ay' }, { code: 'B', label: 'Bea' }], ['code']
+      );
+      expect(mockDataService.extractTableDataByKey.mock.calls.map(([, , , range]) => range)).toEqual([
+        { keys: [['a'], ['B']], after: undefined },
+        { keys: [['d']], after: undefined },
+        { missingFrom: '"metaexodus_keys_1"', after: undefined }
+      ]);
+      expect(mockDataService.dropKeyTable).toHaveBeenCalledWith(connection, '"metaexodus_keys_1"');
+    });
+
+    test('should drop the key table when Metabase cannot be read', async () => {
+      mockDataService.getPrimaryKeyColumns.mockResolvedValue(['code']);
+      mockDataService.createKeyTable.mockResolvedValue('"metaexodus_keys_1"');
+      mockMetabaseService.findKeyFields.mockImplementation(fields => fields.filter(field => field.name === 'code'));
+      mockMetabaseService.extractAllTableData.mockResolvedValue({ success: false, error: 'Forbidden' });
+
+      await expect(service.diffTable(connection, codes)).rejects.toThrow('Could not read Metabase rows: Forbidden');
+      expect(mockDataService.dropKeyTable).toHaveBeenCalledWith(connection, '"metaexodus_keys_1"');
+    });
+
+    test('should need a primary key', async () => {
+      mockDataService.getPrimaryKeyColumns.mockResolvedValue([]);
+
+      const result = await service.diffTable(connection, users);
+
+      expect(result.error).toBe('No primary key to match rows by');
+      expect(mockMetabaseService.extractAllTableData).not.toHaveBeenCalled();
+    });
+
+    test('should need Metabase to page by the same key', async () => {
+      mockMetabaseService.findKeyFields.mockReturnValue([]);
+
+      const result = await service.diffTable(connection, users);
+
+      expect(result.error).toBe('Metabase does not page this table by its primary key (id)');
+      expect(mockMetabaseService.extractAllTableData).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('diffTables', () => {
+    test('should write every difference as NDJSON and total them', async () => {
+      const dumpPath = join(dumpDir, 'out', 'diff.ndjson');
+      const onTable = jest.fn();
+
+      const diff = await service.diffTables(connection, [users], { dumpPath, onTable });
+
+      expect(diff).toEqual(expect.objectContaining({ added: 1, removed: 1, changed: 1, differentTables: 1, failedTables: 0 }));
+      expect(onTable).toHaveBeenCalledWith(diff.results[0], 1);
+
+      const lines = readFileSync(dumpPath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([
+        { table: 'users', type: 'changed', key: { id: 2 }, changes: { name: { metabase: 'Bobby', local: 'Bob' } } },
+        { table: 'users', type: 'removed', key: { id: '3' }, row: { id: '3', name: 'Cy' } },
+        { table: 'users', type: 'added', key: { id: 4 }, row: { id: 4, name: 'Dee' } }
+      ]);
+    });
+
+    test('should record tables that cannot be read and carry on', async () => {
+      mockMetabaseService.extractAllTableData.mockResolvedValueOnce({ success: false, error: 'Forbidden' });
+      mockDataService.extractTableDataByKey.mockResolvedValue({ rows: [], hasMore: false, lastKey: null });
+
+      const diff = await service.diffTables(connection, [users, { id: 2, name: 'orders', fields: [{ id: 20, name: 'id', base_type: 'type/Integer' }] }]);
+
+      expect(diff.results[0].error).toBe('Could not read Metabase rows: Forbidden');
+      expect(diff.results[1].error).toBeNull();
+      expect(diff.failedTables).toBe(1);
+    });
+  });
+
+  describe('valuesEqual', () => {
+    test('should compare numbers, dates and JSON by value', () => {
+      expect(service.valuesEqual(12, '12.00')).toBe(true);
+      expect(service.valuesEqual('2024-01-01T00:00:00Z', new Date('2024-01-01T00:00:00Z'))).toBe(true);
+      expect(service.valuesEqual('{"a": 1}', { a: 1 })).toBe(true);
+      expect(service.valuesEqual({ a: 1 }, { a: 2 })).toBe(false);
+      expect(service.valuesEqual(undefined, null)).toBe(true);
+      expect(service.valuesEqual('Ada', 'Bob')).toBe(false);
+    });
+  });
+
+  describe('diffService singleton', () => {
+    test('should be an instance of DiffService', () => {
+      expect(diffService).toBeInstanceOf(DiffService);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { HookService, hookService } from '../../src/services/hooks.js';
+
+describe('Hook Service', () => {
+  let service;
+  let hookDir;
+  let connection;
+
+  const writeHook = (name, contents) => {
+    const path = join(hookDir, name);
+    mkdirSync(join(path, '..'), { recursive: true });
+    writeFileSync(path, contents);
+    return path;
+  };
+
+  beforeEach(() => {
+    service = new HookService();
+    hookDir = mkdtempSync(join(tmpdir(), 'metaexodus-hooks-'));
+    connection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  afterEach(() => {
+    rmSync(hookDir, { recursive: true, force: true });
+  });
+
+  describe('load', () => {
+    test('should have no hooks without a config', () => {
+      expect(service.load(null).size).toBe(0);
+      expect(service.has('beforeSync')).toBe(false);
+    });
+
+    test('should collect directory hooks by name, then configured hooks', () => {
+      const single = writeHook('afterSync.sql', 'REFRESH MATERIALIZED VIEW stats;');
+      const second = writeHook('afterSync/20-users.js', 'export default () => {};');
+      const first = writeHook('afterSync/10-scrub.sql', 'UPDATE users SET email = NULL;');
+      writeHook('afterSync/README.md', 'ignored');
+      writeHook('unrelated.sql', 'SELECT 1;');
+      const configured = writeHook('extra/beforeSync.sql', 'SELECT 1;');
+
+      const hooks = service.load({ directory: hookDir, beforeSync: [configured] });
+
+      expect(hooks.get('afterSync')).toEqual([single, first, second]);
+      expect(hooks.get('beforeSync')).toEqual([configured]);
+      expect([...hooks.keys()]).toEqual(['beforeSync', 'afterSync']);
+    });
+
+    test('should reject missing directories and files', () => {
+      expect(() => service.load({ directory: join(hookDir, 'missing') }))
+        .toThrow(`Hooks directory not found: ${join(hookDir, 'missing')}`);
+      expect(() => service.load({ afterSync: [join(hookDir, 'missing.sql')] }))
+        .toThrow(`Hook file not found: ${join(hookDir, 'missing.sql')}`);
+      expect(() => service.load({ afterSync: ['notes.txt'] }))
+        .toThrow('Unsupported hook file notes.txt: use .sql, .js or .mjs');
+    });
+  });
+
+  describe('run', () => {
+    test('should run SQL hooks with the table placeholder filled in', async () => {
+      const path = writeHook('afterTable.sql', 'ANALYZE {{table}}; ANALYZE {{ table }};');
+      service.load({ afterTable: [path] });
+
+      await expect(service.run('afterTable', { connection, table: 'users', schema: null })).resolves.toBe(1);
+      await service.run('afterTable', { connection, table: 'users', schema: 'staging' });
+
+      expect(connection.query).toHaveBeenNthCalledWith(1, 'ANALYZE "users"; ANALYZE "users";');
+      expect(connection.query).toHaveBeenNthCalledWith(2, 'ANALYZE "staging"."users"; ANALYZE "staging"."users";');
+    });
+
+    test('should call the default export of JS hooks with the context', async () => {
+      const path = writeHook('beforeSync.mjs', [
+        'export default async ({ event, connection, stats }) => {',
+        '  await connection.query(`SELECT \'${event}\', ${stats.totalTables}`);',
+        '};'
+      ].join('\n'));
+      service.load({ beforeSync: [path] });
+
+      await service.run('beforeSync', { connection, stats: { totalTables: 3 } });
+
+      expect(connection.query).toHaveBeenCalledWith('SELECT \'beforeSync\', 3');
+    });
+
+    test('should name the failing hook', async () => {
+      const sql = writeHook('onFailure.sql', 'SELECT broken;');
+      const module = writeHook('afterSync.mjs', 'export const notDefault = 1;');
+      connection.query.mockRejectedValue(new Error('column "broken" does not exist'));
+      service.load({ onFailure: [sql], afterSync: [module] });
+
+      await expect(service.run('onFailure', { connection }))
+        .rejects.toThrow(`onFailure hook ${sql} failed: column "broken" does not exist`);
+      await expect(service.run('onFailure', { connection: null }))
+        .rejects.toThrow(`onFailure hook ${sql} failed: no local database connection is open`);
+      await expect(service.run('afterSync', { connection }))
+        .rejects.toThrow(`afterSync hook ${module} failed: the module must export a default function`);
+    });
+
+    test('should do nothing for events without hooks', async () => {
+      await expect(service.run('beforeTable', { connection })).resolves.toBe(0);
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('hookService singleton', () => {
+    test('should be an instance of HookService', () => {
+      expect(hookService).toBeInstanceOf(HookService);
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import { jest } from '@jest/globals';
+
+const mockAxios = {
+  get: jest.fn(),
+  post: jest.fn(),
+  delete: jest.fn()
+};
+
+jest.unstable_mockModule('axios', () => ({
+  default: mockAxios
+}));
+
+const { MetabaseService, metabaseService } = await import('../../src/services/metabase.js');
+
+const datasetResponse = (cols, rows, extra = {}) => ({
+  data: {
+    row_count: rows.length,
+    data: {
+      cols: cols.map(name => ({ name, display_name: name, base_type: 'type/Integer' })),
+      rows,
+      ...extra
+    }
+  }
+});
+
+const countResponse = count => ({ data: { data: { rows: [[count]] } } });
+
+describe('Metabase Service', () => {
+  let service;
+  let originalEnv;
+
+  beforeEach(() => {
+    originalEnv = { ...process.env };
+    process.env.METABASE_BASE_URL = 'https://metabase.test';
+    process.env.METABASE_DATABASE_ID = '4';
+    process.env.DB_BATCH_SIZE = '2';
+
+    jest.clearAllMocks();
+
+    service = new MetabaseService();
+    service.sessionToken = 'token';
+    service.isAuthenticated = true;
+  });
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  describe('findKeyFields', () => {
+    test('should prefer primary key fields in position order', () => {
+      const fields = [
+        { id: 2, name: 'line', semantic_type: 'type/PK', position: 1 },
+        { id: 1, name: 'order_id', semantic_type: 'type/PK', position: 0 },
+        { id: 3, name: 'id', semantic_type: null, position: 2 }
+      ];
+
+      expect(service.findKeyFields(fields).map(f => f.name)).toEqual(['order_id', 'line']);
+    });
+
+    test('should fall back to an auto-increment field, then to id', () => {
+      expect(service.findKeyFields([
+        { id: 1, name: 'id' },
+        { id: 2, name: 'seq', database_is_auto_increment: true }
+      ]).map(f => f.name)).toEqual(['seq']);
+
+      expect(service.findKeyFields([{ id: 1, name: 'name' }, { id: 2, name: 'id' }]).map(f => f.name))
+        .toEqual(['id']);
+    });
+
+    test('should return an empty list when no stable key exists', () => {
+      expect(service.findKeyFields([{ id: 1, name: 'name' }])).toEqual([]);
+    });
+  });
+
+  describe('buildKeysetFilter', () => {
+    test('should build a simple filter for a single key', () => {
+      expect(service.buildKeysetFilter([{ id: 7 }], [42])).toEqual(['>', ['field', 7, null], 42]);
+    });
+
+    test('should build a lexicographic filter for composite keys', () => {
+      expect(service.buildKeysetFilter([{ id: 1 }, { id: 2 }], [10, 3])).toEqual([
+        'or',
+        ['>', ['field', 1, null], 10],
+        ['and', ['=', ['field', 1, null], 10], ['>', ['field', 2, null], 3]]
+      ]);
+    });
+  });
+
+  describe('queryTable', () => {
+    test('should order by and filter on the key fields', async () => {
+      mockAxios.post.mockResolvedValue(datasetResponse(['id'], [[3]]));
+
+      const result = await service.queryTable(9, { limit: 2, keyFields: [{ id: 1, name: 'id' }], after: [2] });
+
+      expect(result.success).toBe(true);
+      expect(result.data.rows).toEqual([{ id: 3 }]);
+      expect(mockAxios.post.mock.calls[0][1].query).toEqual({
+        'source-table': 9,
+        limit: 2,
+        'order-by': [['asc', ['field', 1, null]]],
+        filter: ['>', ['field', 1, null], 2]
+      });
+    });
+
+    test('should use 1-based pages when paging by offset', async () => {
+      mockAxios.post.mockResolvedValue(datasetResponse(['name'], []));
+
+      await service.queryTable(9, { limit: 100, offset: 200, orderFields: [{ id: 5, name: 'name' }] });
+
+      const { query } = mockAxios.post.mock.calls[0][1];
+      expect(query.page).toEqual({ page: 3, items: 100 });
+      expect(query.limit).toBeUndefined();
+      expect(query['order-by']).toEqual([['asc', ['field', 5, null]]]);
+    });
+  });
+
+  describe('getTableAggregates', () => {
+    test('should send the aggregations and return the single result row', async () => {
+      mockAxios.post.mockResolvedValue({ data: { data: { rows: [[42, 1, 9]] } } });
+      const aggregations = [['sum', ['field', 1, null]], ['min', ['field', 1, null]], ['max', ['field', 1, null]]];
+
+      const result = await service.getTableAggregates(9, aggregations);
+
+      expect(result).toEqual({ success: true, values: [42, 1, 9] });
+      expect(mockAxios.post.mock.calls[0][1].query).toEqual({
+        'source-table': 9,
+        aggregation: aggregations
+      });
+    });
+
+    test('should report request failures', async () => {
+      mockAxios.post.mockRejectedValue(new Error('timeout'));
+
+      const result = await service.getTableAggregates(9, [['count']]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('timeout');
+    });
+  });
+
+  describe('extractAllTableData', () => {
+    test('should page by primary key until a short batch is returned', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(3))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1], [2]]))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[3]]));
+
+      const onBatch = jest.fn();
+      const result = await service.extractAllTableData(9, 'users', onBatch, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(result.keyFields).toEqual(['id']);
+      expect(onBatch).toHaveBeenCalledTimes(2);
+      expect(mockAxios.post.mock.calls[1][1].query.filter).toBeUndefined();
+      expect(mockAxios.post.mock.calls[2][1].query.filter).toEqual(['>', ['field', 1, null], 2]);
+    });
+
+    test('should not accumulate rows when retainData is false', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(3))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1], [2]]))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[3]]));
+
+      const batches = [];
+      const result = await service.extractAllTableData(9, 'users', ({ batchData }) => batches.push(batchData), {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }],
+        retainData: false
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([]);
+      expect(result.extractedRows).toBe(3);
+      expect(batches).toEqual([[{ id: 1 }, { id: 2 }], [{ id: 3 }]]);
+    });
+
+    test('should continue after the key given in resumeFrom', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(3))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[3]]));
+
+      const onBatch = jest.fn();
+      const result = await service.extractAllTableData(9, 'users', onBatch, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }],
+        resumeFrom: { after: [2], extractedRows: 2 }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.extractedRows).toBe(3);
+      expect(mockAxios.post.mock.calls[1][1].query.filter).toEqual(['>', ['field', 1, null], 2]);
+      expect(onBatch).toHaveBeenCalledWith(expect.objectContaining({ lastKey: [3], totalExtracted: 3 }));
+    });
+
+    test('should stop after maxRows rows', async () => {
+      process.env.DB_BATCH_SIZE = '10';
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(50))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1], [2], [3]]));
+
+      const result = await service.extractAllTableData(9, 'users', null, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }],
+        maxRows: 3
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ id: 1 }, { id: 2 }, { id: 3 }]);
+      expect(mockAxios.post).toHaveBeenCalledTimes(2);
+      expect(mockAxios.post.mock.calls[1][1].query.limit).toBe(3);
+    });
+
+    test('should use the batch size given in the options', async () => {
+      process.env.DB_BATCH_SIZE = '10';
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(3))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1], [2]]))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[3]]));
+
+      const result = await service.extractAllTableData(9, 'users', null, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }],
+        batchSize: 2
+      });
+
+      expect(result.extractedRows).toBe(3);
+      expect(mockAxios.post.mock.calls[1][1].query.limit).toBe(2);
+      expect(mockAxios.post.mock.calls[2][1].query.limit).toBe(2);
+    });
+
+    test('should shrink the batch size when Metabase truncates results', async () => {
+      process.env.DB_BATCH_SIZE = '5';
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(5))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1], [2]], { rows_truncated: 2 }))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[3], [4]], { rows_truncated: 2 }))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[5]]));
+
+      const result = await service.extractAllTableData(9, 'events', null, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }]
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.extractedRows).toBe(5);
+      expect(mockAxios.post.mock.calls[2][1].query.limit).toBe(2);
+      expect(mockAxios.post.mock.calls[3][1].query.filter).toEqual(['>', ['field', 1, null], 4]);
+    });
+
+    test('should refetch the truncated page when paging by offset', async () => {
+      process.env.DB_BATCH_SIZE = '4';
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(3))
+        .mockResolvedValueOnce(datasetResponse(['name'], [['a'], ['b']], { rows_truncated: 2 }))
+        .mockResolvedValueOnce(datasetResponse(['name'], [['a'], ['b']], { rows_truncated: 2 }))
+        .mockResolvedValueOnce(datasetResponse(['name'], [['c']]));
+
+      const result = await service.extractAllTableData(9, 'tags', null, { fields: [{ id: 1, name: 'name' }] });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+      expect(mockAxios.post.mock.calls[3][1].query.page).toEqual({ page: 2, items: 2 });
+    });
+
+    test('should fail when fewer rows than counted are extracted', async () => {
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(10))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1]]));
+
+      const result = await service.extractAllTableData(9, 'users', null, {
+        fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }]
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Incomplete extraction: got 1 of 10 rows (batch size 2)');
+    });
+
+    test('should fetch field metadata when none is given', async () => {
+      mockAxios.get.mockResolvedValue({ data: { fields: [{ id: 1, name: 'id', semantic_type: 'type/PK' }] } });
+      mockAxios.post
+        .mockResolvedValueOnce(countResponse(1))
+        .mockResolvedValueOnce(datasetResponse(['id'], [[1]]));
+
+      const result = await service.extractAllTableData(9, 'users');
+
+      expect(result.success).toBe(true);
+      expect(mockAxios.get).toHaveBeenCalledWith(
+        'https://metabase.test/api/table/9/query_metadata',
+        expect.any(Object)
+      );
+    });
+
+    test('should report failures', async () => {
+      mockAxios.post.mockRejectedValue(new Error('Network down'));
+
+      const result = await service.extractAllTableData(9, 'users', null, { fields: [{ id: 1, name: 'id' }] });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('Network down');
+    });
+  });
+
+  describe('metabaseService singleton', () => {
+    test('should be an instance of MetabaseService', () => {
+      expect(metabaseService).toBeInstanceOf(MetabaseService);
+    });
+  });
+});
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+
+const mockDataService = {
+  getTableRowCount: jest.fn()
+};
+
+const mockMetabaseService = {
+  queryTable: jest.fn()
+};
+
+const mockSchemaDiscoveryService = {
+  discoverTableSchema: jest.fn()
+};
+
+jest.unstable_mockModule('../../src/services/data.js', () => ({
+  dataService: mockDataService
+}));
+
+jest.unstable_mockModule('../../src/services/metabase.js', () => ({
+  metabaseService: mockMetabaseService
+}));
+
+jest.unstable_mockModule('../../src/services/schemaDiscovery.js', () => ({
+  schemaDiscoveryService: mockSchemaDiscoveryService
+}));
+
+const { dataTransformationService } = await import('../../src/services/dataTransformation.js');
+const { PreviewService, previewService } = await import('../../src/services/preview.js');
+
+const users = {
+  id: 1,
+  name: 'users',
+  fields: [
+    { id: 10, name: 'id', base_type: 'type/Integer' },
+    { id: 11, name: 'role', base_type: 'type/Text' },
+    { id: 12, name: 'email', base_type: 'type/Text' }
+  ]
+};
+
+const localColumns = [
+  { column_name: 'id', data_type: 'integer', udt_name: 'int4', is_nullable: 'NO', column_default: null },
+  { column_name: 'role', data_type: 'USER-DEFINED', udt_name: 'user_role', is_nullable: 'YES', column_default: null },
+  { column_name: 'email', data_type: 'text', udt_name: 'text', is_nullable: 'NO', column_default: null }
+];
+
+describe('Preview Service', () => {
+  let service;
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new PreviewService();
+    connection = { query: jest.fn() };
+    mockSchemaDiscoveryService.discoverTableSchema.mockResolvedValue(localColumns);
+    mockDataService.getTableRowCount.mockResolvedValue(4);
+    mockMetabaseService.queryTable.mockResolvedValue({
+      success: true,
+      data: {
+        rows: [
+          { id: 1, role: 'admin', email: 'a@example.com' },
+          { id: 2, role: 'Member', email: null },
+          { id: 3, role: 'member', email: 'c@example.com' }
+        ]
+      }
+    });
+  });
+
+  describe('previewTable', () => {
+    test('should list deletes, inserts, sampled transformations and issues', async () => {
+      const preview = await service.previewTable(connection, users, {
+        expectedRows: 3,
+        enumMap: { user_role: ['ADMIN', 'MEMBER'] }
+      });
+
+      expect(preview.tableName).toBe('users');
+      expect(preview.deleteRows).toBe(4);
+      expect(preview.insertRows).toBe(3);
+      expect(preview.sampledRows).toBe(3);
+      expect(preview.transformations).toEqual([
+        { column: 'role', from: 'admin', to: 'ADMIN', rows: 1 },
+        { column: 'role', from: 'Member', to: 'MEMBER', rows: 1 },
+        { column: 'role', from: 'member', to: 'MEMBER', rows: 1 }
+      ]);
+      expect(preview.issues).toEqual(['Column \'email\': 1 of 3 sampled rows are null, but the column is required']);
+      expect(mockMetabaseService.queryTable).toHaveBeenCalledWith(1, { limit: 100, filter: null });
+    });
+
+    test('should keep local rows and sample only new rows of an incremental sync', async () => {
+      const filter = ['>', ['field', 10, null], 5];
+
+      const preview = await service.previewTable(connection, users, { expectedRows: 3, filter, sampleSize: 10 });
+
+      expect(preview.deleteRows).toBe(0);
+      expect(mockDataService.getTableRowCount).not.toHaveBeenCalled();
+      expect(mockMetabaseService.queryTable).toHaveBeenCalledWith(1, { limit: 10, filter });
+    });
+
+    test('should count the rows a filtered sync replaces', async () => {
+      const filter = ['=', ['field', 11, null], 'NL'];
+
+      const preview = await service.previewTable(connection, users, { expectedRows: 3, filter, keepLocalRows: false });
+
+      expect(preview.deleteRows).toBe(4);
+      expect(mockMetabaseService.queryTable).toHaveBeenCalledWith(1, { limit: 100, filter });
+    });
+
+    test('should not sample tables without rows to copy', async () => {
+      const preview = await service.previewTable(connection, users, { expectedRows: 0 });
+
+      expect(preview.sampledRows).toBe(0);
+      expect(preview.deleteRows).toBe(4);
+      expect(mockMetabaseService.queryTable).not.toHaveBeenCalled();
+    });
+
+    test('should report tables missing locally', async () => {
+      mockSchemaDiscoveryService.discoverTableSchema.mockResolvedValue([]);
+
+      const preview = await service.previewTable(connection, users, { expectedRows: 3 });
+
+      expect(preview.issues).toEqual(['Table does not exist locally']);
+      expect(mockMetabaseService.queryTable).not.toHaveBeenCalled();
+    });
+
+    test('should report sampling errors', async () => {
+      mockMetabaseService.queryTable.mockResolvedValue({ success: false, error: 'Forbidden' });
+
+      const preview = await service.previewTable(connection, users, { expectedRows: 3 });
+
+      expect(preview.issues).toEqual(['Could not sample rows: Forbidden']);
+    });
+  });
+
+  describe('compareColumns', () => {
+    test('should find missing, local-only and mistyped columns', () => {
+      const columns = service.compareColumns(
+        [
+          { name: 'id', base_type: 'type/Text' },
+          { name: 'nickname', base_type: 'type/Text' },
+          { name: 'created_at', base_type: 'type/DateTime' }
+        ],
+        [
+          { column_name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: null },
+          { column_name: 'created_at', data_type: 'timestamp with time zone', is_nullable: 'NO', column_default: null },
+          { column_name: 'tenant_id', data_type: 'integer', is_nullable: 'NO', column_default: null },
+          { column_name: 'notes', data_type: 'text', is_nullable: 'YES', column_default: null }
+        ]
+      );
+
+      expect(columns).toEqual({
+        missingLocally: ['nickname'],
+        localOnly: [{ column: 'tenant_id', required: true }, { column: 'notes', required: false }],
+        typeMismatches: [{ column: 'id', metabaseType: 'type/Text', localType: 'integer' }]
+      });
+      expect(service.describeColumnDifferences(columns)).toEqual([
+        'Metabase column nickname has no local column - inserts will fail',
+        'Local column tenant_id is NOT NULL without a default and not in Metabase - inserts will fail',
+        'Column id is type/Text in Metabase but integer locally'
+      ]);
+    });
+  });
+
+  describe('summarizeValidation', () => {
+    test('should count issues per column and kind and show one sample value', () => {
+      const issues = dataTransformationService.validateTransformedData(
+        [{ id: 'x', name: null }, { id: 'y', name: null }, { id: 3, name: 'c' }],
+        [
+          { column_name: 'id', data_type: 'integer', is_nullable: 'YES', column_default: null },
+          { column_name: 'name', data_type: 'text', is_nullable: 'NO', column_default: null }
+        ]
+      ).issues;
+
+      expect(service.summarizeValidation(issues, 3)).toEqual([
+        'Column \'name\': 2 of 3 sampled rows are null, but the column is required',
+        'Column \'id\': 2 of 3 sampled rows are not a valid integer (sample value: \'x\')'
+      ]);
+    });
+  });
+
+  describe('previewService singleton', () => {
+    test('should be an instance of PreviewService', () => {
+      expect(previewService).toBeInstanceOf(PreviewService);
+    });
+  });
+});
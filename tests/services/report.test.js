@@ -0,0 +1,135 @@
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { ReportService, reportService } from '../../src/services/report.js';
+
+const syncResult = {
+  success: true,
+  partialSuccess: true,
+  startTime: Date.parse('2024-05-01T10:00:00Z'),
+  endTime: Date.parse('2024-05-01T10:01:30Z'),
+  duration: 90,
+  totalTables: 2,
+  successfulTables: 1,
+  failedTables: [{ name: 'orders', error: 'Data insertion failed: <fk> violation', details: 'Unknown error' }],
+  totalRows: 30,
+  syncedRows: 10,
+  incrementalTables: 0,
+  rolledBack: false,
+  tableResults: [
+    { name: 'users', status: 'synced', expectedRows: 10, loadedRows: 10, duration: 1250, error: null },
+    { name: 'orders', status: 'failed', expectedRows: 20, loadedRows: 0, duration: 300, error: 'Data insertion failed: <fk> violation' }
+  ],
+  transformationStats: { totalTransformations: 4, enumTransformations: 1 },
+  sequences: [{ tableName: 'users', columnName: 'id', sequenceName: 'users_id_seq', value: '10' }],
+  verification: null
+};
+
+describe('Report Service', () => {
+  let service;
+  let reportDir;
+
+  beforeEach(() => {
+    service = new ReportService();
+    reportDir = mkdtempSync(join(tmpdir(), 'metaexodus-report-'));
+  });
+
+  afterEach(() => {
+    rmSync(reportDir, { recursive: true, force: true });
+  });
+
+  describe('formatFor', () => {
+    test('should pick the format from the file extension', () => {
+      expect(service.formatFor('report.json')).toBe('json');
+      expect(service.formatFor('results/junit.XML')).toBe('junit');
+      expect(service.formatFor('report.html')).toBe('html');
+      expect(service.formatFor('report.txt')).toBe('json');
+    });
+  });
+
+  describe('buildReport', () => {
+    test('should summarize the run and attach failure details to tables', () => {
+      const report = service.buildReport(syncResult);
+
+      expect(report.success).toBe(true);
+      expect(report.startedAt).toBe('2024-05-01T10:00:00.000Z');
+      expect(report.summary).toEqual({
+        totalTables: 2,
+        successfulTables: 1,
+        failedTables: 1,
+        totalRows: 30,
+        syncedRows: 10,
+        incrementalTables: 0
+      });
+      expect(report.tables[1]).toEqual(expect.objectContaining({ name: 'orders', status: 'failed', details: 'Unknown error' }));
+      expect(report.transformationStats).toEqual({ totalTransformations: 4, enumTransformations: 1 });
+    });
+  });
+
+  describe('write', () => {
+    test('should write a JSON report, creating missing directories', () => {
+      const path = join(reportDir, 'nested', 'sync.json');
+
+      expect(service.write(path, syncResult)).toBe('json');
+
+      const report = JSON.parse(readFileSync(path, 'utf8'));
+      expect(report.tables.map(table => table.name)).toEqual(['users', 'orders']);
+      expect(report.sequences).toEqual(syncResult.sequences);
+    });
+
+    test('should write one JUnit test case per table', () => {
+      const path = join(reportDir, 'sync.xml');
+
+      service.write(path, syncResult);
+
+      const xml = readFileSync(path, 'utf8');
+      expect(xml).toContain('<testsuites name="metaexodus" tests="2" failures="1" time="90">');
+      expect(xml).toContain('<testcase classname="metaexodus.sync" name="users" time="1.250"/>');
+      expect(xml).toContain(
+        '<failure message="Data insertion failed: &lt;fk&gt; violation">Data insertion failed: &lt;fk&gt; violation</failure>'
+      );
+    });
+
+    test('should add a failing test case for run-level errors and verification mismatches', () => {
+      const path = join(reportDir, 'sync.xml');
+
+      service.write(path, {
+        ...syncResult,
+        success: false,
+        error: 'Staging verification failed',
+        verification: {
+          passed: false,
+          failedTables: 1,
+          results: [{ tableName: 'users', passed: false, error: null, checks: [{ check: 'count', remote: 10, local: 9, match: false }] }]
+        }
+      });
+
+      const xml = readFileSync(path, 'utf8');
+      expect(xml).toContain('<testsuites name="metaexodus" tests="4" failures="3" time="90">');
+      expect(xml).toContain('name="synchronization" time="0.000">');
+      expect(xml).toContain('<failure message="count: Metabase 10, local 9">');
+    });
+
+    test('should write a self-contained HTML report', () => {
+      const path = join(reportDir, 'sync.html');
+
+      service.write(path, syncResult);
+
+      const html = readFileSync(path, 'utf8');
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<style>');
+      expect(html).not.toMatch(/<(script|link)\b/);
+      expect(html).toContain('<td>orders</td><td>failed</td><td>0</td><td>20</td><td>0.300s</td>');
+      expect(html).toContain('&lt;fk&gt;');
+      expect(html).toContain('<td>enumTransformations</td><td>1</td>');
+      expect(html).toContain('<td>users_id_seq</td><td>users</td><td>id</td><td>10</td>');
+    });
+  });
+
+  describe('reportService singleton', () => {
+    test('should be an instance of ReportService', () => {
+      expect(reportService).toBeInstanceOf(ReportService);
+    });
+  });
+});
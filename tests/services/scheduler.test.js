@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+import { SchedulerService, schedulerService } from '../../src/services/scheduler.js';
+import { logger } from '../../src/utils/logger.js';
+
+describe('Scheduler Service', () => {
+  let service;
+  let stateDir;
+  let originalStateDir;
+
+  const readStatus = () => JSON.parse(readFileSync(join(stateDir, 'status.json'), 'utf8'));
+
+  // Lets the promise chain of a run settle under fake timers
+  const settle = async () => {
+    for (let i = 0; i < 10; i++) {
+      await Promise.resolve();
+    }
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date(2024, 0, 10, 9, 7) });
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    originalStateDir = process.env.SYNC_STATE_DIR;
+    stateDir = mkdtempSync(join(tmpdir(), 'metaexodus-scheduler-'));
+    process.env.SYNC_STATE_DIR = stateDir;
+    service = new SchedulerService();
+  });
+
+  afterEach(async () => {
+    await service.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    rmSync(stateDir, { recursive: true, force: true });
+    if (originalStateDir === undefined) {
+      delete process.env.SYNC_STATE_DIR;
+    } else {
+      process.env.SYNC_STATE_DIR = originalStateDir;
+    }
+  });
+
+  test('should need an interval or a cron expression', () => {
+    expect(() => service.start(jest.fn(), {})).toThrow('A schedule needs an interval or a cron expression');
+  });
+
+  test('should run right away and then every interval', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 42, failedTables: [] });
+
+    service.start(task, { interval: 60 * 1000 });
+    await settle();
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(readStatus()).toEqual(expect.objectContaining({
+      schedule: 'every 60s',
+      running: false,
+      nextRunAt: new Date(2024, 0, 10, 9, 8).toISOString()
+    }));
+    expect(readStatus().runs[0]).toEqual(expect.objectContaining({ status: 'succeeded', syncedRows: 42, failedTables: [] }));
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(readStatus().runs).toHaveLength(2);
+  });
+
+  test('should run on a cron schedule', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 0, failedTables: [] });
+
+    service.start(task, { cron: '*/15 * * * *' });
+    await settle();
+
+    expect(readStatus().schedule).toBe('on cron */15 * * * *');
+    expect(readStatus().nextRunAt).toBe(new Date(2024, 0, 10, 9, 15).toISOString());
+
+    await jest.advanceTimersByTimeAsync(8 * 60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(readStatus().nextRunAt).toBe(new Date(2024, 0, 10, 9, 30).toISOString());
+  });
+
+  test('should wait for runs more than 25 days away', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 0, failedTables: [] });
+
+    service.start(task, { cron: '0 6 15 2 *' });
+    await settle();
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(readStatus().nextRunAt).toBe(new Date(2024, 1, 15, 6, 0).toISOString());
+
+    await jest.advanceTimersByTimeAsync(2 ** 31 - 1);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(readStatus().runs).toHaveLength(1);
+
+    await jest.advanceTimersToNextTimerAsync();
+
+    expect(task).toHaveBeenCalledTimes(2);
+    expect(Date.now()).toBe(new Date(2024, 1, 15, 6, 0).getTime());
+  });
+
+  test('should wait for intervals longer than a timer can', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 0, failedTables: [] });
+
+    service.start(task, { interval: 30 * 24 * 60 * 60 * 1000 });
+    await settle();
+    await jest.advanceTimersByTimeAsync(29 * 24 * 60 * 60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(24 * 60 * 60 * 1000);
+
+    expect(task).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip a run while the previous one is still going', async () => {
+    let finish;
+    const task = jest.fn(() => new Promise(resolve => {
+      finish = resolve;
+    }));
+
+    service.start(task, { interval: 1000 });
+    await settle();
+
+    expect(readStatus().running).toBe(true);
+    expect(readStatus().current).toEqual({ startedAt: new Date(2024, 0, 10, 9, 7).toISOString() });
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(readStatus().runs[0].status).toBe('skipped');
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('the previous one is still running'));
+
+    finish({ success: false, syncedRows: 3, failedTables: [{ name: 'orders' }] });
+    await settle();
+
+    expect(readStatus().running).toBe(false);
+    expect(readStatus().runs.map(run => run.status)).toEqual(['failed', 'skipped']);
+    expect(readStatus().runs[0].failedTables).toEqual(['orders']);
+  });
+
+  test('should record errors and keep the schedule going', async () => {
+    const task = jest.fn()
+      .mockRejectedValueOnce(new Error('Failed to authenticate with Metabase: timeout'))
+      .mockResolvedValue({ success: true, syncedRows: 1, failedTables: [] });
+
+    service.start(task, { interval: 1000 });
+    await settle();
+
+    expect(readStatus().runs[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      error: 'Failed to authenticate with Metabase: timeout'
+    }));
+
+    await jest.advanceTimersByTimeAsync(1000);
+
+    expect(readStatus().runs[0].status).toBe('succeeded');
+  });
+
+  test('should keep only the most recent runs, across restarts', async () => {
+    writeFileSync(join(stateDir, 'status.json'), JSON.stringify({
+      runs: Array.from({ length: 20 }, (_, index) => ({ status: 'succeeded', startedAt: `old-${index}` }))
+    }));
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 0, failedTables: [] });
+
+    service.start(task, { interval: 1000 });
+    await settle();
+
+    const { runs } = readStatus();
+    expect(runs).toHaveLength(20);
+    expect(runs[0].startedAt).toBe(new Date(2024, 0, 10, 9, 7).toISOString());
+    expect(runs[19].startedAt).toBe('old-18');
+  });
+
+  test('should stop scheduling runs', async () => {
+    const task = jest.fn().mockResolvedValue({ success: true, syncedRows: 0, failedTables: [] });
+
+    service.start(task, { interval: 1000 });
+    await settle();
+    await service.stop();
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(task).toHaveBeenCalledTimes(1);
+    expect(readStatus().nextRunAt).toBeNull();
+    expect(existsSync(join(stateDir, 'status.json'))).toBe(true);
+  });
+
+  describe('schedulerService singleton', () => {
+    test('should be an instance of SchedulerService', () => {
+      expect(schedulerService).toBeInstanceOf(SchedulerService);
+    });
+  });
+});
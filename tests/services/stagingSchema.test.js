@@ -0,0 +1,162 @@
+import { jest } from '@jest/globals';
+
+import { StagingSchemaService, stagingSchemaService } from '../../src/services/stagingSchema.js';
+
+describe('Staging Schema Service', () => {
+  let service;
+  let mockConnection;
+
+  beforeEach(() => {
+    service = new StagingSchemaService();
+    mockConnection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  const queries = () => mockConnection.query.mock.calls.map(([sql]) => sql);
+
+  describe('prepare', () => {
+    test('should recreate the schema with a copy of every table', async () => {
+      const result = await service.prepare(mockConnection, ['users', 'orders'], { copyExisting: ['orders'] });
+
+      expect(result).toEqual({ schema: 'metaexodus_staging', tables: 2 });
+      expect(queries().slice(1)).toEqual([
+        'DROP SCHEMA IF EXISTS "metaexodus_staging" CASCADE',
+        'CREATE SCHEMA "metaexodus_staging"',
+        'CREATE TABLE "metaexodus_staging"."users" (LIKE "public"."users" INCLUDING ALL)',
+        'CREATE TABLE "metaexodus_staging"."orders" (LIKE "public"."orders" INCLUDING ALL)',
+        'INSERT INTO "metaexodus_staging"."orders" OVERRIDING SYSTEM VALUE SELECT * FROM "public"."orders"'
+      ]);
+    });
+
+    test('should refuse to stage tables that views read', async () => {
+      mockConnection.query.mockResolvedValueOnce({ rows: [{ view: 'public.active_users', tableName: 'users' }] });
+
+      await expect(service.prepare(mockConnection, ['users', 'orders'])).rejects.toThrow(
+        'Failed to prepare staging schema metaexodus_staging: views read tables that publishing replaces: ' +
+          'public.active_users (on users)'
+      );
+      expect(mockConnection.query).toHaveBeenCalledWith(expect.stringContaining('pg_rewrite'), [['users', 'orders']]);
+      expect(mockConnection.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should report preparation errors', async () => {
+      mockConnection.query.mockRejectedValue(new Error('permission denied'));
+
+      await expect(service.prepare(mockConnection, ['users'], { schema: 'stage' }))
+        .rejects.toThrow('Failed to prepare staging schema stage: permission denied');
+    });
+  });
+
+  describe('exists', () => {
+    test('should check the schema catalog', async () => {
+      mockConnection.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+      await expect(service.exists(mockConnection)).resolves.toBe(true);
+      expect(mockConnection.query).toHaveBeenCalledWith(
+        expect.stringContaining('information_schema.schemata'),
+        ['metaexodus_staging']
+      );
+    });
+  });
+
+  describe('verify', () => {
+    test('should report tables whose staged count differs', async () => {
+      mockConnection.query
+        .mockResolvedValueOnce({ rows: [{ count: '3' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+      const result = await service.verify(mockConnection, { users: 3, orders: 2 });
+
+      expect(result.valid).toBe(false);
+      expect(result.mismatches).toEqual([{ tableName: 'orders', expected: 2, actual: 1 }]);
+      expect(result.verifiedTables).toBe(2);
+    });
+  });
+
+  describe('publish', () => {
+    const described = {
+      foreignKeys: [
+        { tableName: 'orders', name: 'orders_user_id_fkey', definition: 'FOREIGN KEY (user_id) REFERENCES users(id)', onPublished: true },
+        { tableName: 'reviews', name: 'reviews_order_id_fkey', definition: 'FOREIGN KEY (order_id) REFERENCES orders(id)', onPublished: false }
+      ],
+      triggers: [{ definition: 'CREATE TRIGGER audit AFTER INSERT ON public.orders FOR EACH ROW EXECUTE FUNCTION audit()' }],
+      grants: [
+        { tableName: 'users', privilege: 'SELECT', grantee: 'PUBLIC', grantable: false },
+        { tableName: 'orders', privilege: 'UPDATE', grantee: 'analyst', grantable: true }
+      ],
+      sequences: [{ sequence: 'public.users_id_seq', tableName: 'users', columnName: 'id' }]
+    };
+
+    beforeEach(() => {
+      mockConnection.query.mockImplementation(async sql => {
+        if (sql.includes('pg_constraint')) {
+          return { rows: described.foreignKeys };
+        }
+        if (sql.includes('pg_trigger')) {
+          return { rows: described.triggers };
+        }
+        if (sql.includes('aclexplode')) {
+          return { rows: described.grants };
+        }
+        if (sql.includes('pg_depend')) {
+          return { rows: described.sequences };
+        }
+        return { rows: [] };
+      });
+    });
+
+    test('should swap the staged tables in and carry over what they lack in one transaction', async () => {
+      const result = await service.publish(mockConnection, ['users', 'orders']);
+
+      expect(result.publishedTables).toBe(2);
+      expect(mockConnection.query).toHaveBeenCalledWith(expect.stringContaining('pg_constraint'), [['users', 'orders']]);
+      expect(queries().filter(sql => !sql.startsWith('SELECT'))).toEqual([
+        'BEGIN',
+        'ALTER TABLE reviews DROP CONSTRAINT "reviews_order_id_fkey"',
+        'ALTER SEQUENCE public.users_id_seq OWNED BY NONE',
+        'CREATE SCHEMA "metaexodus_staging_retired"',
+        'ALTER TABLE "public"."users" SET SCHEMA "metaexodus_staging_retired"',
+        'ALTER TABLE "metaexodus_staging"."users" SET SCHEMA "public"',
+        'ALTER TABLE "public"."orders" SET SCHEMA "metaexodus_staging_retired"',
+        'ALTER TABLE "metaexodus_staging"."orders" SET SCHEMA "public"',
+        'ALTER SEQUENCE public.users_id_seq OWNED BY "public"."users"."id"',
+        'ALTER TABLE orders ADD CONSTRAINT "orders_user_id_fkey" FOREIGN KEY (user_id) REFERENCES users(id)',
+        'ALTER TABLE reviews ADD CONSTRAINT "reviews_order_id_fkey" FOREIGN KEY (order_id) REFERENCES orders(id)',
+        'CREATE TRIGGER audit AFTER INSERT ON public.orders FOR EACH ROW EXECUTE FUNCTION audit()',
+        'GRANT SELECT ON "public"."users" TO PUBLIC',
+        'GRANT UPDATE ON "public"."orders" TO analyst WITH GRANT OPTION',
+        'DROP TABLE "metaexodus_staging_retired"."users", "metaexodus_staging_retired"."orders"',
+        'DROP SCHEMA "metaexodus_staging_retired"',
+        'COMMIT'
+      ]);
+    });
+
+    test('should roll back when a row breaks a foreign key', async () => {
+      mockConnection.query.mockImplementation(async sql => {
+        if (sql.startsWith('ALTER TABLE reviews ADD')) {
+          throw new Error('insert or update on table "reviews" violates foreign key constraint');
+        }
+        return { rows: sql.includes('pg_constraint') ? described.foreignKeys : [] };
+      });
+
+      await expect(service.publish(mockConnection, ['users', 'orders'])).rejects.toThrow(
+        'Failed to swap staging schema metaexodus_staging into public: ' +
+          'insert or update on table "reviews" violates foreign key constraint'
+      );
+      expect(queries()).toContain('ROLLBACK');
+      expect(queries()).not.toContain('COMMIT');
+    });
+  });
+
+  describe('drop', () => {
+    test('should drop the schema and swallow errors', async () => {
+      mockConnection.query.mockRejectedValue(new Error('gone'));
+
+      await expect(service.drop(mockConnection)).resolves.toBeUndefined();
+      expect(queries()).toEqual(['DROP SCHEMA IF EXISTS "metaexodus_staging" CASCADE']);
+    });
+  });
+
+  test('should export a singleton instance', () => {
+    expect(stagingSchemaService).toBeInstanceOf(StagingSchemaService);
+  });
+});
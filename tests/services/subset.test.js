@@ -0,0 +1,148 @@
+import { jest } from '@jest/globals';
+
+const mockMetabaseService = {
+  extractAllTableData: jest.fn(),
+  fieldRef: jest.fn(field => ['field', field.id, null]),
+  findKeyFields: jest.fn(fields => fields.filter(field => field.name === 'id'))
+};
+
+const mockSchemaDiscoveryService = {
+  discoverForeignKeys: jest.fn()
+};
+
+jest.unstable_mockModule('../../src/services/metabase.js', () => ({
+  metabaseService: mockMetabaseService
+}));
+
+jest.unstable_mockModule('../../src/services/schemaDiscovery.js', () => ({
+  schemaDiscoveryService: mockSchemaDiscoveryService
+}));
+
+const { SubsetService, subsetService } = await import('../../src/services/subset.js');
+
+const tables = [
+  { id: 1, name: 'orders', fields: [{ id: 10, name: 'id' }, { id: 11, name: 'customer_id' }, { id: 12, name: 'status' }] },
+  { id: 2, name: 'customers', fields: [{ id: 20, name: 'id' }, { id: 21, name: 'manager_id' }] },
+  { id: 3, name: 'audit_log', fields: [{ id: 30, name: 'id' }] }
+];
+
+const remoteRows = {
+  orders: [{ id: 1, customer_id: 7, status: 'paid' }, { id: 2, customer_id: 7, status: 'paid' }],
+  customers: [{ id: 7, manager_id: 3 }, { id: 3, manager_id: null }]
+};
+
+const foreignKeys = {
+  orders: [{ constraint_name: 'orders_customer_fk', column_name: 'customer_id', foreign_table_name: 'customers', foreign_column_name: 'id' }],
+  customers: [{ constraint_name: 'customers_manager_fk', column_name: 'manager_id', foreign_table_name: 'customers', foreign_column_name: 'id' }]
+};
+
+// Serves rows matching an ['=', field, ...values] filter on the id column
+const extractFromRemote = async (tableId, tableName, onBatch, options) => {
+  let rows = remoteRows[tableName] || [];
+  if (options.filter && options.filter[0] === '=' && options.filter[1][1] === 20) {
+    rows = rows.filter(row => options.filter.slice(2).includes(row.id));
+  }
+  if (options.maxRows) {
+    rows = rows.slice(0, options.maxRows);
+  }
+  return { success: true, data: rows, extractedRows: rows.length };
+};
+
+describe('Subset Service', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new SubsetService();
+    mockMetabaseService.extractAllTableData.mockImplementation(extractFromRemote);
+    mockSchemaDiscoveryService.discoverForeignKeys.mockImplementation(async (connection, tableName) => foreignKeys[tableName] || []);
+  });
+
+  describe('collect', () => {
+    test('should follow foreign keys to every referenced parent row', async () => {
+      const result = await service.collect({}, tables, { orders: { limit: 2, where: null } });
+
+      expect(result.rows.get('orders')).toHaveLength(2);
+      expect(result.rows.get('customers')).toEqual([{ id: 7, manager_id: 3 }, { id: 3, manager_id: null }]);
+      expect(result.rows.has('audit_log')).toBe(false);
+      expect(result.missingTables).toEqual([]);
+      expect(result.missingRows).toEqual([]);
+      expect(mockMetabaseService.extractAllTableData.mock.calls[0][3]).toMatchObject({ maxRows: 2, filter: null });
+      expect(mockMetabaseService.extractAllTableData.mock.calls[1][3].filter).toEqual(['=', ['field', 20, null], 7]);
+    });
+
+    test('should report referenced rows that do not exist remotely', async () => {
+      remoteRows.orders.push({ id: 3, customer_id: 99, status: 'paid' });
+
+      const result = await service.collect({}, tables, { orders: { limit: null, where: null } });
+      remoteRows.orders.pop();
+
+      expect(result.missingRows).toEqual([{ table: 'orders', parent: 'customers', column: 'customer_id', count: 1 }]);
+    });
+
+    test('should report referenced tables that are not part of the sync', async () => {
+      const result = await service.collect({}, tables.filter(t => t.name !== 'customers'), {
+        orders: { limit: null, where: null }
+      });
+
+      expect(result.missingTables).toEqual(['customers']);
+    });
+
+    test('should reject unknown root tables', async () => {
+      await expect(service.collect({}, tables, { invoices: { limit: 5, where: null } }))
+        .rejects.toThrow('Subset root table invoices is not available in Metabase');
+    });
+
+    test('should fail when extraction fails', async () => {
+      mockMetabaseService.extractAllTableData.mockResolvedValue({ success: false, error: 'Network down' });
+
+      await expect(service.collect({}, tables, { orders: { limit: 1, where: null } }))
+        .rejects.toThrow('Failed to extract subset rows from orders: Network down');
+    });
+  });
+
+  describe('getForeignKeys', () => {
+    test('should skip composite foreign keys', async () => {
+      mockSchemaDiscoveryService.discoverForeignKeys.mockResolvedValue([
+        { constraint_name: 'lines_order_fk', column_name: 'order_id', foreign_table_name: 'orders', foreign_column_name: 'id' },
+        { constraint_name: 'lines_pair_fk', column_name: 'a', foreign_table_name: 'pairs', foreign_column_name: 'a' },
+        { constraint_name: 'lines_pair_fk', column_name: 'b', foreign_table_name: 'pairs', foreign_column_name: 'b' }
+      ]);
+
+      const result = await service.getForeignKeys({}, 'order_lines');
+
+      expect(result).toEqual([{ column: 'order_id', parentTable: 'orders', parentColumn: 'id' }]);
+    });
+  });
+
+  describe('buildWhereFilter', () => {
+    test('should build equality, list and null conditions', () => {
+      const table = { name: 'orders', fields: tables[0].fields };
+
+      expect(service.buildWhereFilter(table, { status: 'paid' })).toEqual(['=', ['field', 12, null], 'paid']);
+      expect(service.buildWhereFilter(table, { status: ['paid', 'sent'], customer_id: null })).toEqual([
+        'and',
+        ['=', ['field', 12, null], 'paid', 'sent'],
+        ['is-null', ['field', 11, null]]
+      ]);
+      expect(service.buildWhereFilter(table, null)).toBeNull();
+    });
+
+    test('should reject unknown columns', () => {
+      expect(() => service.buildWhereFilter(tables[0], { country: 'NL' }))
+        .toThrow('Column country not found in Metabase table orders');
+    });
+  });
+
+  test('should not add the same row twice', () => {
+    const rows = new Map();
+
+    expect(service.addRows(rows, tables[1], [{ id: 7 }, { id: 7 }])).toBe(1);
+    expect(service.addRows(rows, tables[1], [{ id: 7 }, { id: 8 }])).toBe(1);
+    expect(rows.get('customers')).toEqual([{ id: 7 }, { id: 8 }]);
+  });
+
+  test('should export a singleton instance', () => {
+    expect(subsetService).toBeInstanceOf(SubsetService);
+  });
+});
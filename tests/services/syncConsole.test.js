@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+
+import { SyncConsoleService, syncConsoleService } from '../../src/services/syncConsole.js';
+import { logger } from '../../src/utils/logger.js';
+
+describe('Sync Console Service', () => {
+  let service;
+  let orchestrator;
+  let detach;
+
+  const result = (overrides = {}) => ({
+    duration: 75,
+    totalTables: 2,
+    successfulTables: 2,
+    failedTables: [],
+    syncedRows: 1200,
+    incrementalTables: 0,
+    sequences: [{ value: '10' }, { value: null }],
+    successRate: 100,
+    partialSuccess: false,
+    verification: null,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    ['section', 'subsection', 'startSpinner', 'stopSpinner', 'createProgressBar', 'updateProgress', 'stopProgress',
+      'summary', 'table', 'success', 'info', 'warn', 'error'].forEach(method => {
+      jest.spyOn(logger, method).mockImplementation(() => {});
+    });
+    service = new SyncConsoleService();
+    orchestrator = new EventEmitter();
+    detach = service.attach(orchestrator);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should show a spinner for each phase', () => {
+    orchestrator.emit('sync:start', { startTime: 0 });
+    orchestrator.emit('phase:start', { phase: 'connect' });
+    orchestrator.emit('phase:complete', { phase: 'connect', duration: 120 });
+
+    expect(logger.section).toHaveBeenCalledWith('MetaExodus - Database Synchronization');
+    expect(logger.startSpinner).toHaveBeenCalledWith('Connecting to the local database and Metabase');
+    expect(logger.stopSpinner).toHaveBeenCalledWith(true, 'Connected to the local database and Metabase in 120ms');
+  });
+
+  test('should count each loaded table once on the progress bar', () => {
+    orchestrator.emit('phase:start', { phase: 'load', tables: 2 });
+    orchestrator.emit('table:complete', { table: 'users' });
+    orchestrator.emit('table:complete', { table: 'orders' });
+    orchestrator.emit('table:failed', { table: 'orders' });
+    orchestrator.emit('phase:complete', { phase: 'load', duration: 10 });
+
+    expect(logger.createProgressBar).toHaveBeenCalledWith(2, 'Syncing tables');
+    expect(logger.updateProgress.mock.calls).toEqual([[1, 'users'], [2, 'orders'], [2, 'orders']]);
+    expect(logger.stopProgress).toHaveBeenCalled();
+    expect(logger.startSpinner).not.toHaveBeenCalled();
+  });
+
+  test('should fail the spinner of the phase a sync failed in', () => {
+    orchestrator.emit('phase:start', { phase: 'clear' });
+    orchestrator.emit('sync:failed', { error: new Error('boom'), phase: 'clear' });
+
+    expect(logger.stopSpinner).toHaveBeenCalledWith(false, 'Clearing existing data failed');
+  });
+
+  test('should print the summary of a successful sync', () => {
+    orchestrator.emit('sync:complete', result());
+
+    expect(logger.summary).toHaveBeenCalledWith({
+      duration: '1m 15s',
+      tablesSynchronized: '2/2',
+      totalRowsSynchronized: 1200,
+      sequencesReset: 1,
+      successRate: '100%'
+    });
+    expect(logger.success).toHaveBeenCalledWith('Database synchronization completed successfully');
+  });
+
+  test('should list the failed checks of a failed verification', () => {
+    orchestrator.emit('sync:complete', result({
+      verification: {
+        passed: false,
+        results: [{ tableName: 'orders', checks: [{ check: 'count', remote: 10, local: 9, match: false }], passed: false }]
+      }
+    }));
+
+    expect(logger.table).toHaveBeenCalledWith([{ Table: 'orders', Check: 'count', Metabase: '10', Local: '9' }]);
+    expect(logger.error).toHaveBeenCalledWith('Local database does not match the remote database');
+    expect(logger.success).not.toHaveBeenCalled();
+  });
+
+  test('should report the failed tables of a partial sync', () => {
+    orchestrator.emit('sync:complete', result({
+      successfulTables: 1,
+      failedTables: [{ name: 'orders' }],
+      incrementalTables: 1,
+      partialSuccess: true
+    }));
+
+    expect(logger.summary).toHaveBeenCalledWith(expect.objectContaining({ incrementalTables: 1 }));
+    expect(logger.warn).toHaveBeenCalledWith('Database synchronization completed with 1 failed tables');
+  });
+
+  test('should stop drawing once detached', () => {
+    detach();
+
+    orchestrator.emit('sync:start', { startTime: 0 });
+
+    expect(logger.section).not.toHaveBeenCalled();
+    expect(orchestrator.eventNames()).toEqual([]);
+  });
+
+  test('should export a singleton instance', () => {
+    expect(syncConsoleService).toBeInstanceOf(SyncConsoleService);
+  });
+});
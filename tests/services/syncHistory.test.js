@@ -0,0 +1,126 @@
+import { jest } from '@jest/globals';
+import { readFileSync } from 'fs';
+
+import { SyncHistoryService, syncHistoryService } from '../../src/services/syncHistory.js';
+
+const { version } = JSON.parse(readFileSync('package.json', 'utf8'));
+
+describe('Sync History Service', () => {
+  let service;
+  let connection;
+
+  const stats = {
+    endTime: Date.parse('2024-01-10T09:01:30Z'),
+    totalTables: 2,
+    successfulTables: 1,
+    failedTables: [{ name: 'orders', error: 'boom' }],
+    syncedRows: 1200,
+    rolledBack: false,
+    tableResults: [
+      { name: 'users', status: 'synced', expectedRows: 1200, loadedRows: 1200, duration: 900, error: null },
+      { name: 'orders', status: 'failed', expectedRows: 10, loadedRows: 0, duration: 40, error: 'boom' }
+    ]
+  };
+
+  beforeEach(() => {
+    service = new SyncHistoryService();
+    connection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  describe('startRun', () => {
+    test('should create the history tables and insert a running run', async () => {
+      connection.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ id: '7' }] });
+
+      const runId = await service.startRun(connection, {
+        startedAt: Date.parse('2024-01-10T09:00:00Z'),
+        incremental: true,
+        staging: true,
+        metabaseDatabaseId: 3
+      });
+
+      expect(runId).toBe('7');
+      expect(connection.query.mock.calls[0][0]).toContain('CREATE TABLE IF NOT EXISTS metaexodus_sync_runs');
+      expect(connection.query.mock.calls[0][0]).toContain('CREATE TABLE IF NOT EXISTS metaexodus_sync_tables');
+      expect(connection.query.mock.calls[1][0]).toContain('INSERT INTO metaexodus_sync_runs');
+      expect(connection.query.mock.calls[1][1]).toEqual([
+        new Date('2024-01-10T09:00:00Z'), 'incremental', true, 3, version
+      ]);
+    });
+
+    test('should name subset runs and drop invalid database ids', async () => {
+      connection.query.mockResolvedValue({ rows: [{ id: '8' }] });
+
+      await service.startRun(connection, { startedAt: 0, incremental: true, subset: true, metabaseDatabaseId: NaN });
+
+      expect(connection.query.mock.calls[1][1]).toEqual([new Date(0), 'subset', false, null, version]);
+    });
+  });
+
+  describe('finishRun', () => {
+    test('should update the run and insert a row per table', async () => {
+      await service.finishRun(connection, '7', { status: 'partial', stats });
+
+      expect(connection.query.mock.calls[0][0]).toContain('UPDATE metaexodus_sync_runs');
+      expect(connection.query.mock.calls[0][1]).toEqual([
+        '7', new Date('2024-01-10T09:01:30Z'), 'partial', 2, 1, 1, 1200, false, null
+      ]);
+      expect(connection.query.mock.calls[1][0]).toContain('VALUES ($1, $2, $3, $4, $5, $6, $7), ($8, $9, $10, $11, $12, $13, $14)');
+      expect(connection.query.mock.calls[1][1]).toEqual([
+        '7', 'users', 'synced', 1200, 1200, 900, null,
+        '7', 'orders', 'failed', 10, 0, 40, 'boom'
+      ]);
+    });
+
+    test('should skip the table rows of runs that failed before loading', async () => {
+      await service.finishRun(connection, '7', {
+        status: 'failed',
+        stats: { ...stats, tableResults: [] },
+        error: 'Failed to retrieve tables: API error'
+      });
+
+      expect(connection.query).toHaveBeenCalledTimes(1);
+      expect(connection.query.mock.calls[0][1][8]).toBe('Failed to retrieve tables: API error');
+    });
+  });
+
+  describe('listRuns and getRun', () => {
+    test('should return nothing before the first recorded sync', async () => {
+      connection.query.mockResolvedValue({ rows: [{ found: false }] });
+
+      await expect(service.listRuns(connection)).resolves.toEqual([]);
+      await expect(service.getRun(connection, 7)).resolves.toBeNull();
+      expect(connection.query).toHaveBeenCalledTimes(2);
+    });
+
+    test('should list runs newest first', async () => {
+      connection.query
+        .mockResolvedValueOnce({ rows: [{ found: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: '8' }, { id: '7' }] });
+
+      await expect(service.listRuns(connection, 2)).resolves.toEqual([{ id: '8' }, { id: '7' }]);
+      expect(connection.query).toHaveBeenLastCalledWith(
+        'SELECT * FROM metaexodus_sync_runs ORDER BY id DESC LIMIT $1', [2]
+      );
+    });
+
+    test('should get a run with its tables', async () => {
+      connection.query
+        .mockResolvedValueOnce({ rows: [{ found: true }] })
+        .mockResolvedValueOnce({ rows: [{ id: '7' }] })
+        .mockResolvedValueOnce({ rows: [{ table_name: 'users' }] });
+
+      await expect(service.getRun(connection, 7)).resolves.toEqual({
+        run: { id: '7' },
+        tables: [{ table_name: 'users' }]
+      });
+    });
+  });
+
+  describe('syncHistoryService singleton', () => {
+    test('should be an instance of SyncHistoryService', () => {
+      expect(syncHistoryService).toBeInstanceOf(SyncHistoryService);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+
+import { SyncLockService, syncLockService } from '../../src/services/syncLock.js';
+import { logger } from '../../src/utils/logger.js';
+
+describe('Sync Lock Service', () => {
+  let service;
+  let connection;
+
+  const holder = {
+    pid: 4242,
+    usename: 'ada',
+    application_name: 'metaexodus ada@laptop pid 77',
+    client_addr: '10.0.0.5',
+    client_hostname: null,
+    backend_start: new Date('2024-01-10T09:00:00Z')
+  };
+
+  // Answers the lock queries in order: each entry is whether pg_try_advisory_lock succeeds
+  const lockAttempts = (...attempts) => {
+    connection.query.mockImplementation(async sql => {
+      if (sql.includes('pg_try_advisory_lock')) {
+        return { rows: [{ locked: attempts.shift() }] };
+      }
+      if (sql.includes('pg_locks')) {
+        return { rows: [holder] };
+      }
+      return { rows: [] };
+    });
+  };
+
+  beforeEach(() => {
+    service = new SyncLockService();
+    service.sleep = jest.fn().mockResolvedValue();
+    connection = { query: jest.fn() };
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('acquire', () => {
+    test('should name the session and take the lock keyed to the database', async () => {
+      lockAttempts(true);
+
+      await expect(service.acquire(connection)).resolves.toEqual({ acquired: true, holder: null });
+
+      expect(connection.query).toHaveBeenNthCalledWith(
+        1,
+        'SELECT set_config(\'application_name\', $1, false)',
+        [expect.stringMatching(/^metaexodus .+@.+ pid \d+$/)]
+      );
+      expect(connection.query).toHaveBeenNthCalledWith(
+        2,
+        'SELECT pg_try_advisory_lock($1, hashtext(current_database())) AS locked',
+        [service.lockId]
+      );
+    });
+
+    test('should report who holds the lock without waiting by default', async () => {
+      lockAttempts(false);
+
+      await expect(service.acquire(connection)).resolves.toEqual({ acquired: false, holder });
+      expect(service.sleep).not.toHaveBeenCalled();
+    });
+
+    test('should keep trying while waiting', async () => {
+      lockAttempts(false, false, true);
+
+      await expect(service.acquire(connection, { wait: true })).resolves.toEqual({ acquired: true, holder: null });
+
+      expect(service.sleep).toHaveBeenCalledTimes(2);
+      expect(logger.info).toHaveBeenCalledTimes(1);
+      expect(logger.info).toHaveBeenCalledWith(
+        'Waiting for the sync lock held by metaexodus ada@laptop pid 77, backend pid 4242, user ada, ' +
+          'from 10.0.0.5, connected since 2024-01-10T09:00:00.000Z'
+      );
+    });
+
+    test('should stop waiting after the timeout', async () => {
+      lockAttempts(false, false, false);
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      service.sleep.mockImplementation(async () => {
+        now.mockReturnValue(6000);
+      });
+
+      await expect(service.acquire(connection, { wait: true, timeout: 5 })).resolves.toEqual({ acquired: false, holder });
+      expect(service.sleep).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('release', () => {
+    test('should unlock only a lock it holds', async () => {
+      await service.release();
+      expect(connection.query).not.toHaveBeenCalled();
+
+      lockAttempts(true);
+      await service.acquire(connection);
+      await service.release();
+      await service.release();
+
+      expect(connection.query).toHaveBeenCalledWith(
+        'SELECT pg_advisory_unlock($1, hashtext(current_database()))',
+        [service.lockId]
+      );
+      expect(connection.query.mock.calls.filter(([sql]) => sql.includes('pg_advisory_unlock'))).toHaveLength(1);
+    });
+
+    test('should only warn when unlocking fails', async () => {
+      lockAttempts(true);
+      await service.acquire(connection);
+      connection.query.mockRejectedValue(new Error('Connection terminated'));
+
+      await expect(service.release()).resolves.toBeUndefined();
+      expect(logger.warn).toHaveBeenCalledWith('Could not release the sync lock: Connection terminated');
+    });
+  });
+
+  test('should describe sessions with missing details', () => {
+    expect(service.describeHolder({ pid: 1, application_name: '' })).toBe('an unnamed session, backend pid 1');
+  });
+
+  describe('syncLockService singleton', () => {
+    test('should be an instance of SyncLockService', () => {
+      expect(syncLockService).toBeInstanceOf(SyncLockService);
+    });
+  });
+});
@@ -6,12 +6,15 @@ const mockMetabaseService = {
 	getTables: jest.fn(),
 	getTableRowCount: jest.fn(),
 	extractAllTableData: jest.fn(),
+	fieldRef: jest.fn(field => ['field', field.id, null]),
+	findKeyFields: jest.fn(fields => fields.filter(field => field.name === 'id')),
 	logout: jest.fn(),
 };
 
 const mockConnectionService = {
 	initialize: jest.fn(),
 	connectLocal: jest.fn(),
+	createLocalPool: jest.fn(),
 	closeConnections: jest.fn(),
 };
 
@@ -20,6 +23,17 @@ const mockDataService = {
 	getTableDependencies: jest.fn(),
 	sortTablesByDependencies: jest.fn(),
 	insertTableData: jest.fn(),
+	copyTableData: jest.fn(),
+	getPrimaryKeyColumns: jest.fn(),
+	findDependencyCycles: jest.fn(),
+	groupTablesByCycle: jest.fn(),
+	combineStatements: jest.fn(statements => statements.join('; ')),
+	createKeyTable: jest.fn(),
+	appendToKeyTable: jest.fn(),
+	updateColumnsFrom: jest.fn(),
+	dropKeyTable: jest.fn(),
+	resetSequences: jest.fn(),
+	qualifyTableName: jest.fn((name, schema) => (schema ? `"${schema}"."${name}"` : `"${name}"`)),
 };
 
 const mockSchemaDiscoveryService = {
@@ -29,6 +43,7 @@ const mockSchemaDiscoveryService = {
 const mockDataTransformationService = {
 	transformTableData: jest.fn(),
 	getTransformationStats: jest.fn(),
+	resetStats: jest.fn(),
 };
 
 // Mock all the services
@@ -52,7 +67,153 @@ jest.unstable_mockModule('../../src/services/dataTransformation.js', () => ({
 	dataTransformationService: mockDataTransformationService,
 }));
 
+const mockSyncStateService = {
+	load: jest.fn(),
+	getWatermark: jest.fn(),
+	setWatermark: jest.fn(),
+	save: jest.fn(),
+};
+
+const mockCheckpointService = {
+	load: jest.fn(),
+	start: jest.fn(),
+	recordProgress: jest.fn(),
+	markTableCompleted: jest.fn(),
+	isRecording: jest.fn(),
+	clear: jest.fn(),
+	close: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/checkpoint.js', () => ({
+	checkpointService: mockCheckpointService,
+}));
+
+const mockCircularDependencyService = {
+	plan: jest.fn(),
+	holdBackColumns: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/circularDependencies.js', () => ({
+	circularDependencyService: mockCircularDependencyService,
+}));
+
+const mockStagingSchemaService = {
+	exists: jest.fn(),
+	prepare: jest.fn(),
+	verify: jest.fn(),
+	publish: jest.fn(),
+	drop: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/stagingSchema.js', () => ({
+	stagingSchemaService: mockStagingSchemaService,
+}));
+
+const mockSubsetService = {
+	collect: jest.fn(),
+	buildWhereFilter: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/subset.js', () => ({
+	subsetService: mockSubsetService,
+}));
+
+jest.unstable_mockModule('../../src/services/syncState.js', () => ({
+	syncStateService: mockSyncStateService,
+}));
+
+const mockSyncLockService = {
+	acquire: jest.fn(),
+	release: jest.fn(),
+	describeHolder: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/syncLock.js', () => ({
+	syncLockService: mockSyncLockService,
+}));
+
+const mockSyncHistoryService = {
+	startRun: jest.fn(),
+	finishRun: jest.fn(),
+	listRuns: jest.fn(),
+	getRun: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/syncHistory.js', () => ({
+	syncHistoryService: mockSyncHistoryService,
+}));
+
+const mockHookService = {
+	load: jest.fn(),
+	has: jest.fn(),
+	run: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/hooks.js', () => ({
+	hookService: mockHookService,
+}));
+
+const mockDependencyGraphService = {
+	build: jest.fn(),
+	render: jest.fn(),
+	write: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/dependencyGraph.js', () => ({
+	dependencyGraphService: mockDependencyGraphService,
+}));
+
+const mockDiffService = {
+	diffTables: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/diff.js', () => ({
+	diffService: mockDiffService,
+}));
+
+const mockPreviewService = {
+	previewTable: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/preview.js', () => ({
+	previewService: mockPreviewService,
+}));
+
+const mockReportService = {
+	write: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/report.js', () => ({
+	reportService: mockReportService,
+}));
+
+const mockVerificationService = {
+	verifyTables: jest.fn(),
+	describeFailures: jest.fn(),
+};
+
+jest.unstable_mockModule('../../src/services/verification.js', () => ({
+	verificationService: mockVerificationService,
+}));
+
 const {SyncOrchestratorService, syncOrchestratorService} = await import('../../src/services/syncOrchestrator.js');
+const {logger} = await import('../../src/utils/logger.js');
+
+// Simulates MetabaseService.extractAllTableData handing each batch to onBatch
+const extractWithBatches = batches => async (tableId, tableName, onBatch) => {
+	let extractedRows = 0;
+	try {
+		for (const batchData of batches) {
+			extractedRows += batchData.length;
+			if (onBatch) {
+				await onBatch({tableName, batchData});
+			}
+		}
+	} catch (error) {
+		return {success: false, error: error.message, data: [], extractedRows: 0};
+	}
+	return {success: true, data: [], extractedRows};
+};
 
 describe('SyncOrchestratorService', () => {
 	let service;
@@ -77,18 +238,28 @@ describe('SyncOrchestratorService', () => {
 		});
 		mockDataService.getTableDependencies.mockResolvedValue({});
 		mockDataService.sortTablesByDependencies.mockReturnValue(['users', 'orders']);
+		mockDataService.findDependencyCycles.mockReturnValue([]);
+		mockDataService.resetSequences.mockResolvedValue([]);
+		mockDataService.groupTablesByCycle.mockImplementation(order => order.map(name => [name]));
 		mockSchemaDiscoveryService.discoverEnumValues.mockResolvedValue({});
 		mockMetabaseService.getTableRowCount.mockResolvedValue({success: true, count: 10});
-		mockMetabaseService.extractAllTableData.mockResolvedValue({
-			success: true,
-			data: [{id: 1, name: 'test'}],
-		});
+		mockMetabaseService.extractAllTableData.mockImplementation(extractWithBatches([[{id: 1, name: 'test'}]]));
 		mockDataTransformationService.transformTableData.mockResolvedValue([{id: 1, name: 'test'}]);
-		mockDataService.insertTableData.mockResolvedValue({
+		mockDataService.copyTableData.mockResolvedValue({
 			success: true,
 			insertedRows: 1,
 		});
 		mockDataTransformationService.getTransformationStats.mockReturnValue({});
+		mockSyncStateService.getWatermark.mockReturnValue(null);
+		mockCheckpointService.load.mockReturnValue(null);
+		mockCheckpointService.isRecording.mockReturnValue(false);
+		mockHookService.has.mockReturnValue(false);
+		mockHookService.run.mockResolvedValue(1);
+		mockSyncLockService.acquire.mockResolvedValue({acquired: true, holder: null});
+		mockSyncHistoryService.startRun.mockResolvedValue(7);
+		mockSubsetService.buildWhereFilter.mockImplementation((table, where) =>
+			where ? ['=', ['field', Object.keys(where)[0], null], Object.values(where)[0]] : null,
+		);
 	});
 
 	describe('executeSync', () => {
@@ -128,89 +299,1723 @@ describe('SyncOrchestratorService', () => {
 
 			await expect(service.executeSync(credentials)).rejects.toThrow('Failed to retrieve tables: API error');
 		});
+
+		test('should start every run from empty statistics', async () => {
+			const credentials = {username: 'test', password: 'test'};
+
+			const first = await service.executeSync(credentials);
+			const second = await service.executeSync(credentials);
+
+			expect(second.totalTables).toBe(first.totalTables);
+			expect(second.successfulTables).toBe(first.successfulTables);
+			expect(second.syncedRows).toBe(first.syncedRows);
+			expect(second.tableResults).toHaveLength(first.tableResults.length);
+			expect(mockMetabaseService.authenticate).toHaveBeenCalledTimes(2);
+			expect(mockDataTransformationService.resetStats).toHaveBeenCalledTimes(2);
+		});
 	});
 
-	describe('syncSingleTable', () => {
-		test('should sync single table successfully', async () => {
-			const table = {id: 1, name: 'users'};
-			const enumMap = {status_enum: ['ACTIVE', 'INACTIVE']};
+	describe('table selection', () => {
+		const credentials = {username: 'test', password: 'test'};
 
-			await service.syncSingleTable(mockConnection, table, enumMap);
+		test('should only sync the selected tables', async () => {
+			service.configure({excludeTables: ['orders']});
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
 
-			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledWith(1, 'users');
-			expect(mockDataTransformationService.transformTableData).toHaveBeenCalled();
-			expect(mockDataService.insertTableData).toHaveBeenCalled();
+			const result = await service.executeSync(credentials);
+
+			expect(result.totalTables).toBe(1);
+			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledTimes(1);
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][1]).toBe('users');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "orders"');
 		});
 
-		test('should handle data extraction failure', async () => {
-			mockMetabaseService.extractAllTableData.mockResolvedValue({
-				success: false,
-				error: 'Extraction failed',
+		test('should warn when an excluded table is referenced by a selected one', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			service.configure({includeTables: ['ord*']});
+			mockDataService.getTableDependencies.mockResolvedValue({orders: ['users']});
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
+
+			await service.executeSync(credentials);
+
+			expect(warn).toHaveBeenCalledWith('orders references excluded table users - its foreign keys may fail to load');
+			warn.mockRestore();
+		});
+
+		test('should fail when no table is selected', async () => {
+			service.configure({includeTables: ['invoices']});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow('No tables selected for synchronization');
+		});
+	});
+
+	describe('subset sync', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should clear every table and load only the collected rows', async () => {
+			service.configure({subset: {orders: {limit: 2, where: null}}});
+			mockMetabaseService.getTables.mockResolvedValue({
+				success: true,
+				tables: [
+					{id: 1, name: 'users'},
+					{id: 2, name: 'orders'},
+					{id: 3, name: 'audit_log'},
+				],
 			});
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
+			mockSubsetService.collect.mockResolvedValue({
+				rows: new Map([
+					['orders', [{id: 1}, {id: 2}]],
+					['users', [{id: 7}]],
+				]),
+				missingTables: [],
+				missingRows: [],
+			});
+			mockDataTransformationService.transformTableData.mockImplementation(async (conn, name, rows) => rows);
+			mockDataService.copyTableData.mockImplementation(async (conn, name, rows) => ({
+				success: true,
+				insertedRows: rows.length,
+			}));
 
-			const table = {id: 1, name: 'users'};
+			const result = await service.executeSync(credentials);
 
-			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
-				'Data extraction failed: Extraction failed',
+			expect(result.success).toBe(true);
+			expect(result.successfulTables).toBe(3);
+			expect(result.syncedRows).toBe(3);
+			expect(mockMetabaseService.getTableRowCount).not.toHaveBeenCalled();
+			expect(mockMetabaseService.extractAllTableData).not.toHaveBeenCalled();
+			expect(mockSubsetService.collect).toHaveBeenCalledWith(mockConnection, expect.any(Array), {
+				orders: {limit: 2, where: null},
+			});
+			expect(mockConnection.query).toHaveBeenCalledWith('DELETE FROM "audit_log"');
+			expect(mockDataService.copyTableData.mock.calls.map(([, name]) => name)).toEqual(['orders', 'users']);
+		});
+
+		test('should roll back when a subset table fails to load', async () => {
+			service.configure({subset: {orders: {limit: null, where: null}}});
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
+			mockSubsetService.collect.mockResolvedValue({
+				rows: new Map([['orders', [{id: 1}]]]),
+				missingTables: [],
+				missingRows: [],
+			});
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'fk violation'}]});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
 			);
+			expect(mockConnection.query).toHaveBeenCalledWith('ROLLBACK');
 		});
+	});
 
-		test('should handle data insertion failure', async () => {
-			mockDataService.insertTableData.mockResolvedValue({
-				success: false,
-				errors: [{error: 'Constraint violation'}],
+	describe('circular dependencies', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const emptyPlan = {deferredConstraints: [], twoPassColumns: new Map(), unresolved: []};
+
+		beforeEach(() => {
+			mockDataService.getTableDependencies.mockResolvedValue({users: ['orders'], orders: ['users']});
+			mockDataService.findDependencyCycles.mockReturnValue([['users', 'orders']]);
+			mockDataService.groupTablesByCycle.mockReturnValue([['users', 'orders']]);
+		});
+
+		test('should report cycles and clear their tables in one statement', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockCircularDependencyService.plan.mockResolvedValue(emptyPlan);
+
+			await service.executeSync(credentials);
+
+			expect(warn).toHaveBeenCalledWith('Circular foreign keys between users, orders');
+			expect(mockConnection.query).toHaveBeenCalledWith('DELETE FROM "orders"; DELETE FROM "users"');
+			expect(mockCircularDependencyService.plan).toHaveBeenCalledWith(
+				mockConnection,
+				[['users', 'orders']],
+				['users', 'orders'],
+				{canDefer: true},
+			);
+			warn.mockRestore();
+		});
+
+		test('should defer deferrable constraints inside the sync transaction', async () => {
+			mockCircularDependencyService.plan.mockResolvedValue({...emptyPlan, deferredConstraints: ['users_order_fk']});
+
+			await service.executeSync(credentials);
+
+			const queries = mockConnection.query.mock.calls.map(([sql]) => sql);
+			expect(queries.slice(0, 2)).toEqual(['BEGIN', 'SET CONSTRAINTS "users_order_fk" DEFERRED']);
+		});
+
+		test('should load nullable circular columns in a second pass', async () => {
+			const twoPass = {keyColumns: ['id'], columns: ['last_order_id']};
+			mockCircularDependencyService.plan.mockResolvedValue({
+				...emptyPlan,
+				twoPassColumns: new Map([['users', twoPass]]),
 			});
+			mockCircularDependencyService.holdBackColumns.mockReturnValue({
+				rows: [{id: 1, last_order_id: null}],
+				updates: [{id: 1, last_order_id: 5}],
+			});
+			mockDataService.createKeyTable.mockResolvedValue('"metaexodus_keys_1"');
 
-			const table = {id: 1, name: 'users'};
+			const result = await service.executeSync(credentials);
 
-			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
-				'Data insertion failed: Constraint violation',
+			expect(result.success).toBe(true);
+			expect(mockDataService.createKeyTable).toHaveBeenCalledWith(mockConnection, 'users', ['id'], ['last_order_id']);
+			expect(mockCircularDependencyService.holdBackColumns).toHaveBeenCalledTimes(1);
+			expect(mockDataService.appendToKeyTable).toHaveBeenCalledWith(mockConnection, '"metaexodus_keys_1"', [
+				{id: 1, last_order_id: 5},
+			]);
+			expect(mockDataService.copyTableData).toHaveBeenCalledWith(
+				mockConnection,
+				'users',
+				[{id: 1, last_order_id: null}],
+				expect.any(Object),
 			);
+			expect(mockDataService.updateColumnsFrom).toHaveBeenCalledWith(mockConnection, 'users', '"metaexodus_keys_1"', {
+				...twoPass,
+				schema: null,
+			});
+			expect(mockDataService.dropKeyTable).toHaveBeenCalledWith(mockConnection, '"metaexodus_keys_1"');
+			expect(service.cycleHoldTables.size).toBe(0);
 		});
 
-		test('should handle row count mismatch', async () => {
-			mockMetabaseService.extractAllTableData.mockResolvedValue({
-				success: true,
-				data: [{id: 1}, {id: 2}],
+		test('should fail the table when its second pass fails', async () => {
+			mockCircularDependencyService.plan.mockResolvedValue({
+				...emptyPlan,
+				twoPassColumns: new Map([['users', {keyColumns: ['id'], columns: ['last_order_id']}]]),
 			});
+			mockCircularDependencyService.holdBackColumns.mockReturnValue({rows: [], updates: [{id: 1, last_order_id: 5}]});
+			mockDataService.updateColumnsFrom.mockRejectedValue(new Error('fk violation'));
 
-			mockDataService.insertTableData.mockResolvedValue({
-				success: true,
-				insertedRows: 1,
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
+			);
+			expect(service.getSyncStats().failedTables).toEqual([
+				{name: 'users', error: 'fk violation', details: 'Second pass failed'},
+			]);
+		});
+
+		test('should leave cycles to the staging swap', async () => {
+			service.configure({useStagingSchema: true});
+			mockStagingSchemaService.prepare.mockResolvedValue({});
+			mockStagingSchemaService.verify.mockResolvedValue({valid: true, mismatches: [], verifiedTables: 2});
+			mockStagingSchemaService.publish.mockResolvedValue({publishedTables: 2, duration: 1});
+
+			await service.executeSync(credentials);
+
+			expect(mockCircularDependencyService.plan).not.toHaveBeenCalled();
+			expect(mockStagingSchemaService.publish).toHaveBeenCalledWith(
+				mockConnection,
+				['users', 'orders'],
+				'metaexodus_staging',
+			);
+		});
+	});
+
+	describe('sequences', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should reset sequences after the commit', async () => {
+			mockDataService.resetSequences.mockImplementation(async () => {
+				expect(service.inTransaction).toBe(false);
+				return [
+					{tableName: 'users', columnName: 'id', sequenceName: 'users_id_seq', value: '10'},
+					{tableName: 'orders', columnName: 'id', sequenceName: 'orders_id_seq', value: null},
+				];
 			});
 
-			const table = {id: 1, name: 'users'};
+			const result = await service.executeSync(credentials);
 
-			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
-				'Row count mismatch: expected 2, inserted 1',
+			expect(mockDataService.resetSequences).toHaveBeenCalledWith(mockConnection, ['users', 'orders']);
+			expect(result.sequences).toHaveLength(2);
+		});
+
+		test('should leave the sequences of failed tables alone', async () => {
+			service.configure({enableRollback: false, continueOnError: true});
+			mockDataService.copyTableData
+				.mockResolvedValueOnce({success: true, insertedRows: 1})
+				.mockResolvedValueOnce({success: false, errors: [{error: 'fk violation'}]});
+
+			await service.executeSync(credentials);
+
+			const [failedTable] = service.getSyncStats().failedTables;
+			const [, tableNames] = mockDataService.resetSequences.mock.calls[0];
+			expect(tableNames).toHaveLength(1);
+			expect(tableNames).not.toContain(failedTable.name);
+		});
+
+		test('should only warn when sequences cannot be reset', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockDataService.resetSequences.mockRejectedValue(new Error('Failed to reset sequence users_id_seq: denied'));
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(warn).toHaveBeenCalledWith('Failed to reset sequence users_id_seq: denied');
+			warn.mockRestore();
+		});
+	});
+
+	describe('reports', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should record the outcome and timing of every table', async () => {
+			const result = await service.executeSync(credentials);
+
+			expect(result.tableResults).toHaveLength(2);
+			expect(result.tableResults).toEqual(
+				expect.arrayContaining([
+					{name: 'users', status: 'synced', expectedRows: 10, loadedRows: 1, duration: expect.any(Number), error: null},
+					{name: 'orders', status: 'synced', expectedRows: 10, loadedRows: 1, duration: expect.any(Number), error: null},
+				]),
+			);
+			expect(mockReportService.write).not.toHaveBeenCalled();
+		});
+
+		test('should write the report of a successful sync', async () => {
+			service.configure({reportPath: 'reports/sync.xml'});
+			mockReportService.write.mockReturnValue('junit');
+
+			const result = await service.executeSync(credentials);
+
+			expect(mockReportService.write).toHaveBeenCalledWith('reports/sync.xml', result);
+		});
+
+		test('should write the report of a failed sync', async () => {
+			service.configure({reportPath: 'sync.json'});
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'fk violation'}]});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow();
+
+			const [, report] = mockReportService.write.mock.calls[0];
+			expect(report.success).toBe(false);
+			expect(report.rolledBack).toBe(true);
+			expect(report.tableResults[0]).toEqual(
+				expect.objectContaining({status: 'failed', error: 'Data insertion failed: fk violation'}),
 			);
 		});
+
+		test('should not fail the sync when the report cannot be written', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			service.configure({reportPath: '/readonly/sync.json'});
+			mockReportService.write.mockImplementation(() => {
+				throw new Error('EACCES');
+			});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(warn).toHaveBeenCalledWith('Could not write sync report /readonly/sync.json: EACCES');
+			warn.mockRestore();
+		});
 	});
 
-	describe('handleSyncFailures', () => {
-		test('should perform rollback on sync failures', async () => {
-			service.syncStats.failedTables = [{name: 'users', error: 'Test error', details: 'Test details'}];
+	describe('events', () => {
+		const credentials = {username: 'test', password: 'test'};
 
-			const tables = [{name: 'users'}];
-			const dependencies = {};
+		const recordEvents = names => {
+			const events = [];
+			names.forEach(name => service.on(name, payload => events.push([name, payload])));
+			return events;
+		};
 
-			await expect(service.handleSyncFailures(tables, dependencies)).rejects.toThrow(
-				'Database synchronization FAILED - no changes applied',
+		test('should emit sync, phase and table events in order', async () => {
+			const events = recordEvents(['sync:start', 'phase:start', 'table:start', 'table:complete', 'sync:complete']);
+
+			const result = await service.executeSync(credentials);
+
+			expect(events.map(([name, payload]) => payload.phase || payload.table || name)).toEqual([
+				'sync:start',
+				'connect',
+				'discover',
+				'clear',
+				'load',
+				'users',
+				'users',
+				'orders',
+				'orders',
+				'commit',
+				'sequences',
+				'sync:complete',
+			]);
+			expect(events[4][1]).toEqual({phase: 'load', tables: 2});
+			expect(events[6][1]).toEqual({
+				table: 'users',
+				status: 'synced',
+				loadedRows: 1,
+				expectedRows: 10,
+				duration: expect.any(Number),
+			});
+			expect(events[11][1]).toBe(result);
+		});
+
+		test('should report phase durations and inserted batches', async () => {
+			const events = recordEvents(['phase:complete', 'batch:inserted']);
+
+			await service.executeSync(credentials);
+
+			expect(events.find(([name]) => name === 'phase:complete')[1]).toEqual({
+				phase: 'connect',
+				duration: expect.any(Number),
+			});
+			expect(events.filter(([name]) => name === 'batch:inserted').map(([, payload]) => payload)).toEqual([
+				{table: 'users', rows: 1},
+				{table: 'orders', rows: 1},
+			]);
+		});
+
+		test('should emit table:failed and sync:failed with the failing phase', async () => {
+			const events = recordEvents(['table:failed', 'sync:failed']);
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'fk violation'}]});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow();
+
+			expect(events[0]).toEqual([
+				'table:failed',
+				{table: 'users', error: 'Data insertion failed: fk violation', details: 'Unknown error', duration: expect.any(Number)},
+			]);
+			const [name, payload] = events[events.length - 1];
+			expect(name).toBe('sync:failed');
+			expect(payload.phase).toBe('load');
+			expect(payload.error.message).toBe('Database synchronization FAILED - no changes applied');
+			expect(payload.stats.rolledBack).toBe(true);
+		});
+
+		test('should not fail the sync when a listener throws', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			service.on('table:start', () => {
+				throw new Error('listener bug');
+			});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(warn).toHaveBeenCalledWith('Listener for table:start failed: listener bug');
+			warn.mockRestore();
+		});
+	});
+
+	describe('sync lock', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const holder = {pid: 4242, application_name: 'metaexodus ada@laptop pid 77'};
+
+		test('should lock the local database before talking to Metabase and unlock it afterwards', async () => {
+			await service.executeSync(credentials);
+
+			expect(mockSyncLockService.acquire).toHaveBeenCalledWith(mockConnection, {wait: false, timeout: null});
+			expect(mockSyncLockService.acquire.mock.invocationCallOrder[0]).toBeLessThan(
+				mockMetabaseService.authenticate.mock.invocationCallOrder[0],
 			);
+			expect(mockSyncLockService.release).toHaveBeenCalledTimes(1);
+		});
 
-			expect(mockConnection.query).toHaveBeenCalledWith('DELETE FROM "users"');
+		test('should fail fast and name the run holding the lock', async () => {
+			mockSyncLockService.acquire.mockResolvedValue({acquired: false, holder});
+			mockSyncLockService.describeHolder.mockReturnValue('metaexodus ada@laptop pid 77, backend pid 4242');
+
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Another MetaExodus run is using this database (held by metaexodus ada@laptop pid 77, backend pid 4242). ' +
+					'Use --wait-lock to wait for it to finish',
+			);
+
+			expect(mockSyncLockService.describeHolder).toHaveBeenCalledWith(holder);
+			expect(mockMetabaseService.authenticate).not.toHaveBeenCalled();
+			expect(mockConnection.query).not.toHaveBeenCalledWith('BEGIN');
+			expect(mockSyncLockService.release).toHaveBeenCalled();
 		});
 
-		test('should handle sync failures with continue on error mode', async () => {
-			const tables = [{name: 'users'}, {name: 'orders'}];
-			const dependencies = {};
+		test('should wait for the lock when configured to', async () => {
+			service.configure({waitForLock: true, lockTimeout: 60});
+			mockSyncLockService.acquire.mockResolvedValue({acquired: false, holder: null});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Gave up waiting for another MetaExodus run on this database after 60s',
+			);
+			expect(mockSyncLockService.acquire).toHaveBeenCalledWith(mockConnection, {wait: true, timeout: 60});
+		});
+
+		test('should not lock for commands that only read the local database', async () => {
+			mockSyncLockService.acquire.mockResolvedValue({acquired: false, holder: null});
+			const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+			await service.performVerification(credentials);
+			await service.performDryRun(credentials);
+			await service.performDiff(credentials);
+			await service.inspectDependencies(credentials);
+
+			expect(mockSyncLockService.acquire).not.toHaveBeenCalled();
+			expect(mockMetabaseService.authenticate).toHaveBeenCalledTimes(4);
+			write.mockRestore();
+		});
+	});
+
+	describe('interrupts', () => {
+		const credentials = {username: 'test', password: 'test'};
+		let warn;
+
+		beforeEach(() => {
+			warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockMetabaseService.extractAllTableData.mockImplementation(
+				extractWithBatches([[{id: 1, name: 'test'}], [{id: 2, name: 'test'}]]),
+			);
+		});
+
+		afterEach(() => {
+			warn.mockRestore();
+		});
+
+		test('should only stop a running sync', () => {
+			expect(service.requestAbort()).toBe(false);
+			expect(() => service.checkAborted()).not.toThrow();
+		});
+
+		test('should finish the current batch, then roll back and close connections', async () => {
+			mockDataService.copyTableData.mockImplementation(async () => {
+				service.requestAbort();
+				return {success: true, insertedRows: 1};
+			});
+
+			const error = await service.executeSync(credentials).catch(rejection => rejection);
+
+			expect(error.message).toBe('Synchronization interrupted');
+			expect(error.aborted).toBe(true);
+			expect(mockDataService.copyTableData).toHaveBeenCalledTimes(1);
+			expect(mockConnection.query).toHaveBeenCalledWith('ROLLBACK');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('COMMIT');
+			expect(mockConnectionService.closeConnections).toHaveBeenCalled();
+			expect(mockMetabaseService.logout).toHaveBeenCalled();
+			expect(mockSyncHistoryService.finishRun).toHaveBeenCalledWith(mockConnection, 7, {
+				status: 'interrupted',
+				stats: expect.any(Object),
+				error: 'Synchronization interrupted',
+			});
+			expect(service.requestAbort()).toBe(false);
+		});
+
+		test('should not record an interrupted table as failed when continuing on errors', async () => {
+			service.configure({continueOnError: true, enableRollback: false});
+			mockDataService.copyTableData.mockImplementation(async () => {
+				service.requestAbort();
+				return {success: true, insertedRows: 1};
+			});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow('Synchronization interrupted');
+
+			expect(service.syncStats.failedTables).toEqual([]);
+			expect(mockCheckpointService.close).not.toHaveBeenCalled();
+			expect(mockDataService.copyTableData).toHaveBeenCalledTimes(1);
+		});
+
+		test('should keep the checkpoint of a resumable sync', async () => {
+			service.configure({continueOnError: true, enableRollback: false});
+			mockCheckpointService.isRecording.mockReturnValue(true);
+			mockDataService.copyTableData.mockImplementation(async () => {
+				service.requestAbort();
+				return {success: true, insertedRows: 1};
+			});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow('Synchronization interrupted');
+
+			expect(mockCheckpointService.recordProgress).toHaveBeenCalledTimes(1);
+			expect(mockCheckpointService.close).toHaveBeenCalled();
+			expect(mockCheckpointService.clear).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('sync history', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should record the run and its tables after the sync is committed', async () => {
+			service.configure({incremental: true});
+
+			await service.executeSync(credentials);
+
+			expect(mockSyncHistoryService.startRun).toHaveBeenCalledWith(mockConnection, {
+				startedAt: expect.any(Number),
+				incremental: true,
+				subset: false,
+				staging: false,
+				metabaseDatabaseId: undefined,
+			});
+			expect(mockSyncHistoryService.finishRun).toHaveBeenCalledWith(mockConnection, 7, {
+				status: 'succeeded',
+				stats: expect.objectContaining({successfulTables: 2}),
+				error: null,
+			});
+			expect(mockSyncHistoryService.finishRun.mock.invocationCallOrder[0]).toBeGreaterThan(
+				mockConnection.query.mock.invocationCallOrder[mockConnection.query.mock.calls.findIndex(([sql]) => sql === 'COMMIT')],
+			);
+		});
+
+		test('should record failed runs after the rollback', async () => {
+			mockMetabaseService.getTables.mockResolvedValue({success: false, error: 'API error'});
 
+			await expect(service.executeSync(credentials)).rejects.toThrow('Failed to retrieve tables: API error');
+
+			expect(mockSyncHistoryService.finishRun).toHaveBeenCalledWith(mockConnection, 7, {
+				status: 'failed',
+				stats: expect.any(Object),
+				error: 'Failed to retrieve tables: API error',
+			});
+		});
+
+		test('should not let the history get in the way of a sync', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockSyncHistoryService.startRun.mockRejectedValue(new Error('permission denied for schema public'));
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(mockSyncHistoryService.finishRun).not.toHaveBeenCalled();
+			expect(warn).toHaveBeenCalledWith(
+				'Could not record the sync in the history table: permission denied for schema public',
+			);
+			warn.mockRestore();
+		});
+
+		test('should not record anything when disabled', async () => {
+			service.configure({recordHistory: false});
+
+			await service.executeSync(credentials);
+
+			expect(mockSyncHistoryService.startRun).not.toHaveBeenCalled();
+			expect(mockSyncHistoryService.finishRun).not.toHaveBeenCalled();
+		});
+
+		test('should list recent runs without Metabase', async () => {
+			const table = jest.spyOn(logger, 'table').mockImplementation(() => {});
+			mockSyncHistoryService.listRuns.mockResolvedValue([
+				{
+					id: '7',
+					started_at: new Date('2024-01-10T09:00:00Z'),
+					finished_at: new Date('2024-01-10T09:01:30Z'),
+					status: 'partial',
+					mode: 'full',
+					staging: true,
+					metabase_database_id: 3,
+					tool_version: '1.0.0',
+					total_tables: 2,
+					successful_tables: 1,
+					synced_rows: '1200',
+					rolled_back: false,
+					error: null,
+				},
+			]);
+
+			const result = await service.showHistory({limit: 5});
+
+			expect(result.success).toBe(true);
+			expect(mockSyncHistoryService.listRuns).toHaveBeenCalledWith(mockConnection, 5);
+			expect(mockMetabaseService.authenticate).not.toHaveBeenCalled();
+			expect(table).toHaveBeenCalledWith([
+				{
+					Run: '7',
+					Started: '2024-01-10T09:00:00.000Z',
+					Duration: '90s',
+					Status: 'partial',
+					Mode: 'full (staging)',
+					Tables: '1/2',
+					Rows: (1200).toLocaleString(),
+					Database: '3',
+					Version: '1.0.0',
+					Error: '',
+				},
+			]);
+			table.mockRestore();
+		});
+
+		test('should show the tables of one run', async () => {
+			const table = jest.spyOn(logger, 'table').mockImplementation(() => {});
+			mockSyncHistoryService.getRun.mockResolvedValueOnce({
+				run: {id: '7', started_at: new Date(), finished_at: null, status: 'running', mode: 'full', metabase_database_id: null},
+				tables: [
+					{table_name: 'users', status: 'failed', expected_rows: '3', loaded_rows: '0', duration_ms: 1500, error: 'boom'},
+				],
+			});
+
+			await expect(service.showHistory({runId: 7})).resolves.toEqual(expect.objectContaining({success: true}));
+			await expect(service.showHistory({runId: 8})).resolves.toEqual({success: false, error: 'No sync run 8'});
+
+			expect(table).toHaveBeenLastCalledWith([
+				{Table: 'users', Status: 'failed', Expected: '3', Loaded: '0', Duration: '1.5s', Error: 'boom'},
+			]);
+			table.mockRestore();
+		});
+	});
+
+	describe('hooks', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		beforeEach(() => {
+			mockHookService.has.mockReturnValue(true);
+		});
+
+		test('should run the sync and table hooks in order', async () => {
+			const hooks = {directory: 'hooks', afterSync: ['scrub.js']};
+			service.configure({hooks});
+
+			await service.executeSync(credentials);
+
+			expect(mockHookService.load).toHaveBeenCalledWith(hooks);
+			expect(mockHookService.run.mock.calls.map(([event, context]) => [event, context.table])).toEqual([
+				['beforeSync', null],
+				['beforeTable', 'users'],
+				['afterTable', 'users'],
+				['beforeTable', 'orders'],
+				['afterTable', 'orders'],
+				['afterSync', null],
+			]);
+			const [, afterTable] = mockHookService.run.mock.calls[2];
+			expect(afterTable).toEqual(
+				expect.objectContaining({connection: mockConnection, rows: 1, schema: null, logger}),
+			);
+			expect(afterTable.stats.totalTables).toBe(2);
+		});
+
+		test('should fail the table whose hook fails', async () => {
+			mockHookService.run.mockImplementation(async event => {
+				if (event === 'afterTable') {
+					throw new Error('afterTable hook scrub.sql failed: syntax error');
+				}
+				return 1;
+			});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
+			);
+			expect(service.getSyncStats().failedTables[0]).toEqual(
+				expect.objectContaining({name: 'users', error: 'afterTable hook scrub.sql failed: syntax error'}),
+			);
+			expect(mockConnection.query).toHaveBeenCalledWith('ROLLBACK');
+		});
+
+		test('should run onFailure hooks after the rollback without hiding the error', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'fk violation'}]});
+			mockHookService.run.mockImplementation(async event => {
+				if (event === 'onFailure') {
+					expect(mockConnection.query).toHaveBeenCalledWith('ROLLBACK');
+					throw new Error('onFailure hook notify.js failed: offline');
+				}
+				return 1;
+			});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
+			);
+
+			const [, context] = mockHookService.run.mock.calls.find(([event]) => event === 'onFailure');
+			expect(context.error.message).toBe('Database synchronization FAILED - no changes applied');
+			expect(warn).toHaveBeenCalledWith('onFailure hook notify.js failed: offline');
+			warn.mockRestore();
+		});
+
+		test('should not run hooks for events without hooks', async () => {
+			mockHookService.has.mockReturnValue(false);
+
+			await service.executeSync(credentials);
+
+			expect(mockHookService.run).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('verification', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const failedReport = {
+			passed: false,
+			verifiedTables: 2,
+			failedTables: 1,
+			results: [
+				{tableName: 'users', checks: [{check: 'count', remote: 10, local: 10, match: true}], passed: true, error: null},
+				{tableName: 'orders', checks: [{check: 'count', remote: 10, local: 9, match: false}], passed: false, error: null},
+			],
+		};
+
+		test('should not verify unless asked to', async () => {
+			await service.executeSync(credentials);
+
+			expect(mockVerificationService.verifyTables).not.toHaveBeenCalled();
+		});
+
+		test('should verify the loaded tables with the configured checksums', async () => {
+			service.configure({verifyAfterSync: true, checksums: {orders: ['total']}});
+			mockVerificationService.verifyTables.mockResolvedValue({passed: true, verifiedTables: 2, failedTables: 0, results: []});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(result.verification.passed).toBe(true);
+			expect(mockVerificationService.verifyTables).toHaveBeenCalledWith(
+				mockConnection,
+				[expect.objectContaining({name: 'users'}), expect.objectContaining({name: 'orders'})],
+				{checksums: {orders: ['total']}},
+			);
+		});
+
+		test('should report a failed verification as an unsuccessful sync', async () => {
+			service.configure({verifyAfterSync: true});
+			mockVerificationService.verifyTables.mockResolvedValue(failedReport);
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(false);
+			expect(result.verification).toBe(failedReport);
+		});
+
+		test('should skip verification in subset mode', async () => {
+			service.configure({verifyAfterSync: true, subset: {orders: {limit: 1, where: null}}});
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
+			mockSubsetService.collect.mockResolvedValue({rows: new Map(), missingTables: [], missingRows: []});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.verification).toBeNull();
+			expect(mockVerificationService.verifyTables).not.toHaveBeenCalled();
+		});
+
+		test('should verify without syncing', async () => {
+			const failures = [{Table: 'orders', Check: 'count', Metabase: '10', Local: '9'}];
+			mockVerificationService.verifyTables.mockResolvedValue(failedReport);
+			mockVerificationService.describeFailures.mockReturnValue(failures);
+			jest.spyOn(logger, 'table').mockImplementation(() => {});
+
+			const result = await service.performVerification(credentials);
+
+			expect(result.success).toBe(false);
+			expect(result.failedTables).toBe(1);
+			expect(mockVerificationService.describeFailures).toHaveBeenCalledWith(failedReport);
+			expect(logger.table).toHaveBeenCalledWith(failures);
+			expect(mockMetabaseService.extractAllTableData).not.toHaveBeenCalled();
+			expect(mockConnection.query).not.toHaveBeenCalledWith('BEGIN');
+			expect(mockConnectionService.closeConnections).toHaveBeenCalled();
+			logger.table.mockRestore();
+		});
+	});
+
+	describe('performDiff', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const tableDiff = (tableName, overrides = {}) => ({
+			tableName,
+			keyColumns: ['id'],
+			added: 0,
+			removed: 0,
+			changed: 0,
+			unchanged: 10,
+			error: null,
+			...overrides,
+		});
+
+		beforeEach(() => {
+			jest.spyOn(logger, 'table').mockImplementation(() => {});
+		});
+
+		afterEach(() => {
+			logger.table.mockRestore();
+		});
+
+		test('should diff every table without writing', async () => {
+			service.configure({diffDumpPath: 'diff.ndjson'});
+			const results = [tableDiff('users', {added: 2, changed: 1}), tableDiff('orders')];
+			mockDiffService.diffTables.mockResolvedValue({
+				results,
+				added: 2,
+				removed: 0,
+				changed: 1,
+				differentTables: 1,
+				failedTables: 0,
+			});
+
+			const result = await service.performDiff(credentials);
+
+			expect(result.success).toBe(true);
+			expect(result.differentTables).toBe(1);
+			expect(mockDiffService.diffTables).toHaveBeenCalledWith(mockConnection, expect.any(Array), {
+				enumMap: {},
+				dumpPath: 'diff.ndjson',
+				onTable: expect.any(Function),
+			});
+			expect(logger.table).toHaveBeenCalledWith([
+				{Table: 'users', Added: '2', Removed: '0', Changed: '1', Unchanged: '10'},
+				{Table: 'orders', Added: '0', Removed: '0', Changed: '0', Unchanged: '10'},
+			]);
+			expect(mockConnection.query).not.toHaveBeenCalled();
+			expect(mockDataService.copyTableData).not.toHaveBeenCalled();
+			expect(mockConnectionService.closeConnections).toHaveBeenCalled();
+		});
+
+		test('should fail when a table cannot be diffed', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockDiffService.diffTables.mockResolvedValue({
+				results: [tableDiff('users', {error: 'No primary key to match rows by'})],
+				added: 0,
+				removed: 0,
+				changed: 0,
+				differentTables: 0,
+				failedTables: 1,
+			});
+
+			const result = await service.performDiff(credentials);
+
+			expect(result.success).toBe(false);
+			expect(warn).toHaveBeenCalledWith('Could not diff users: No primary key to match rows by');
+			warn.mockRestore();
+		});
+	});
+
+	describe('inspectDependencies', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const graph = {
+			nodes: [
+				{name: 'users', status: 'selected', position: 1, cycle: null},
+				{name: 'orders', status: 'selected', position: 2, cycle: null},
+				{name: 'audit_log', status: 'missing', position: null, cycle: null},
+			],
+			edges: [
+				{from: 'orders', to: 'users', cyclic: false},
+				{from: 'orders', to: 'audit_log', cyclic: false},
+			],
+			insertionOrder: ['users', 'orders'],
+			cycles: [],
+		};
+
+		beforeEach(() => {
+			mockDependencyGraphService.build.mockReturnValue(graph);
+			mockDependencyGraphService.render.mockReturnValue('digraph dependencies {}\n');
+			mockDependencyGraphService.write.mockReturnValue('mermaid');
+		});
+
+		test('should build the graph of the selected tables and print it', async () => {
+			const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			mockMetabaseService.getTables.mockResolvedValue({
+				success: true,
+				tables: [
+					{id: 1, name: 'users'},
+					{id: 2, name: 'orders'},
+					{id: 3, name: 'regions'},
+				],
+			});
+			service.configure({excludeTables: ['regions']});
+			mockDataService.getTableDependencies.mockResolvedValue({orders: ['users', 'audit_log']});
+
+			const result = await service.inspectDependencies(credentials);
+
+			expect(result).toEqual({success: true, graph});
+			expect(mockDependencyGraphService.build).toHaveBeenCalledWith({
+				selected: ['users', 'orders'],
+				excluded: ['regions'],
+				dependencies: {orders: ['users', 'audit_log']},
+				cycles: [],
+			});
+			expect(mockDependencyGraphService.render).toHaveBeenCalledWith(graph, 'dot');
+			expect(write).toHaveBeenCalledWith('digraph dependencies {}\n');
+			expect(warn).toHaveBeenCalledWith('audit_log is referenced by a selected table but is not in Metabase');
+			expect(mockDataService.copyTableData).not.toHaveBeenCalled();
+			expect(mockConnectionService.closeConnections).toHaveBeenCalled();
+			write.mockRestore();
+			warn.mockRestore();
+		});
+
+		test('should print nothing but the graph to stdout', async () => {
+			const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+			const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+			const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+			const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+			mockMetabaseService.getTables.mockResolvedValue({success: true, tables: [{id: 1, name: 'users'}]});
+			mockDataService.getTableDependencies.mockResolvedValue({});
+
+			const result = await service.inspectDependencies(credentials);
+
+			expect(result.success).toBe(true);
+			expect(stdout.mock.calls).toEqual([['digraph dependencies {}\n']]);
+			expect(consoleLog).not.toHaveBeenCalled();
+			expect(consoleError).toHaveBeenCalled();
+			expect(logger.stderr).toBe(false);
+			stdout.mockRestore();
+			stderr.mockRestore();
+			consoleLog.mockRestore();
+			consoleError.mockRestore();
+		});
+
+		test('should write the graph to a file', async () => {
+			const result = await service.inspectDependencies(credentials, {outputPath: 'deps.mmd'});
+
+			expect(result.success).toBe(true);
+			expect(mockDependencyGraphService.write).toHaveBeenCalledWith('deps.mmd', graph, undefined);
+			expect(mockDependencyGraphService.render).not.toHaveBeenCalled();
+		});
+
+		test('should report failures', async () => {
+			mockMetabaseService.getTables.mockResolvedValue({success: false, error: 'API error'});
+
+			const result = await service.inspectDependencies(credentials, {format: 'json'});
+
+			expect(result).toEqual({success: false, error: 'Failed to retrieve tables: API error'});
+			expect(mockConnectionService.closeConnections).toHaveBeenCalled();
+		});
+	});
+
+	describe('performDryRun', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const preview = (tableName, overrides = {}) => ({
+			tableName,
+			deleteRows: 5,
+			insertRows: 10,
+			sampledRows: 10,
+			columns: {missingLocally: [], localOnly: [], typeMismatches: []},
+			transformations: [],
+			issues: [],
+			...overrides,
+		});
+
+		test('should preview every table without writing', async () => {
+			jest.spyOn(logger, 'table').mockImplementation(() => {});
+			mockPreviewService.previewTable.mockImplementation(async (connection, table) =>
+				table.name === 'users'
+					? preview('users', {
+							transformations: [{column: 'role', from: 'admin', to: 'ADMIN', rows: 2}],
+							issues: ["Column 'email': 1 of 10 sampled rows are null, but the column is required"],
+						})
+					: preview('orders', {columns: {missingLocally: ['coupon'], localOnly: [], typeMismatches: []}}),
+			);
+
+			const result = await service.performDryRun(credentials);
+
+			expect(result.success).toBe(true);
+			expect(result.analysis).toEqual(
+				expect.objectContaining({
+					tablesWithData: 2,
+					totalRowsToSync: 20,
+					totalRowsToDelete: 10,
+					schemaChanges: 1,
+					dataTransformations: 1,
+					potentialIssues: [{table: 'users', issue: "Column 'email': 1 of 10 sampled rows are null, but the column is required"}],
+				}),
+			);
+			expect(mockPreviewService.previewTable).toHaveBeenCalledWith(mockConnection, {id: 1, name: 'users'}, {
+				expectedRows: 10,
+				enumMap: {},
+				filter: null,
+				keepLocalRows: false,
+			});
+			expect(logger.table).toHaveBeenCalledWith([
+				{Table: 'users', Delete: '5', Insert: '10', Sampled: '10', Transformed: '2', Issues: '1'},
+				{Table: 'orders', Delete: '5', Insert: '10', Sampled: '10', Transformed: '0', Issues: '0'},
+			]);
+			expect(mockDataService.copyTableData).not.toHaveBeenCalled();
+			expect(mockConnection.query).not.toHaveBeenCalled();
+			logger.table.mockRestore();
+		});
+
+		test('should count only new rows of incremental tables', async () => {
+			service.configure({incremental: true, watermarks: {orders: 'updated_at'}});
+			mockMetabaseService.getTables.mockResolvedValue({
+				success: true,
+				tables: [{id: 2, name: 'orders', fields: [{id: 21, name: 'updated_at'}]}],
+			});
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: '2024-01-01'});
+			mockMetabaseService.getTableRowCount.mockImplementation(async (tableId, filter) => ({
+				success: true,
+				count: filter ? 3 : 10,
+			}));
+			mockPreviewService.previewTable.mockResolvedValue(preview('orders', {deleteRows: 0, insertRows: 3}));
+
+			const result = await service.performDryRun(credentials);
+
+			expect(mockPreviewService.previewTable).toHaveBeenCalledWith(
+				mockConnection,
+				expect.objectContaining({name: 'orders'}),
+				{expectedRows: 3, enumMap: {}, filter: ['>', ['field', 21, null], '2024-01-01'], keepLocalRows: true},
+			);
+			expect(result.analysis.totalRowsToSync).toBe(3);
+		});
+
+		test('should report tables that cannot be analyzed', async () => {
+			mockPreviewService.previewTable.mockImplementation(async (connection, table) => {
+				if (table.name === 'orders') {
+					throw new Error('Failed to get row count for table orders: permission denied');
+				}
+				return preview('users');
+			});
+
+			const result = await service.performDryRun(credentials);
+
+			expect(result.success).toBe(true);
+			expect(result.analysis.potentialIssues).toEqual([
+				{table: 'orders', issue: 'Analysis error: Failed to get row count for table orders: permission denied'},
+			]);
+		});
+	});
+
+	describe('transactions', () => {
+		test('should wrap the clear and load phases in a transaction', async () => {
+			await service.executeSync({username: 'test', password: 'test'});
+
+			const queries = mockConnection.query.mock.calls.map(([sql]) => sql);
+			expect(queries[0]).toBe('BEGIN');
+			expect(queries[queries.length - 1]).toBe('COMMIT');
+			expect(queries).toContain('SAVEPOINT metaexodus_step');
+			expect(queries).not.toContain('ROLLBACK');
+		});
+
+		test('should roll back instead of deleting when a table fails', async () => {
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'boom'}]});
+
+			await expect(service.executeSync({username: 'test', password: 'test'})).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
+			);
+
+			const queries = mockConnection.query.mock.calls.map(([sql]) => sql);
+			expect(queries).toContain('ROLLBACK TO SAVEPOINT metaexodus_step');
+			expect(queries).toContain('ROLLBACK');
+			expect(queries).not.toContain('COMMIT');
+		});
+
+		test('should not open a transaction when rollback is disabled', async () => {
+			service.configure({enableRollback: false, continueOnError: true});
+
+			await service.executeSync({username: 'test', password: 'test'});
+
+			const queries = mockConnection.query.mock.calls.map(([sql]) => sql);
+			expect(queries).not.toContain('BEGIN');
+			expect(queries).not.toContain('SAVEPOINT metaexodus_step');
+		});
+
+		test('should reuse a single local connection', async () => {
+			await service.executeSync({username: 'test', password: 'test'});
+
+			expect(mockConnectionService.connectLocal).toHaveBeenCalledTimes(1);
+		});
+	});
+
+	describe('staging schema', () => {
+		beforeEach(() => {
+			service.configure({useStagingSchema: true});
+			mockStagingSchemaService.verify.mockResolvedValue({valid: true, mismatches: [], verifiedTables: 2});
+			mockStagingSchemaService.publish.mockResolvedValue({publishedTables: 2, duration: 5});
+		});
+
+		test('should load into the staging schema, verify and publish', async () => {
+			const result = await service.executeSync({username: 'test', password: 'test'});
+
+			expect(result.success).toBe(true);
+			expect(mockStagingSchemaService.prepare).toHaveBeenCalledWith(mockConnection, ['users', 'orders'], {
+				schema: 'metaexodus_staging',
+				copyExisting: [],
+			});
+			expect(mockDataService.copyTableData.mock.calls[0][3].schema).toBe('metaexodus_staging');
+			expect(mockStagingSchemaService.verify).toHaveBeenCalledWith(
+				mockConnection,
+				{users: 1, orders: 1},
+				'metaexodus_staging',
+			);
+			expect(mockStagingSchemaService.publish).toHaveBeenCalledWith(
+				mockConnection,
+				['users', 'orders'],
+				'metaexodus_staging',
+			);
+			expect(mockStagingSchemaService.drop).toHaveBeenCalled();
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "users"');
+		});
+
+		test('should drop the staging schema without publishing when verification fails', async () => {
+			mockStagingSchemaService.verify.mockResolvedValue({
+				valid: false,
+				mismatches: [{tableName: 'users', expected: 1, actual: 0}],
+			});
+
+			await expect(service.executeSync({username: 'test', password: 'test'})).rejects.toThrow(
+				'Staging verification failed: users (expected 1, staged 0)',
+			);
+			expect(mockStagingSchemaService.publish).not.toHaveBeenCalled();
+			expect(mockStagingSchemaService.drop).toHaveBeenCalledWith(mockConnection, 'metaexodus_staging');
+		});
+
+		test('should leave failed tables out of the swap into public when continuing on error', async () => {
+			service.configure({enableRollback: false, continueOnError: true});
+			mockDataService.copyTableData
+				.mockResolvedValueOnce({success: true, insertedRows: 1})
+				.mockResolvedValueOnce({success: false, errors: [{error: 'boom'}]});
+
+			await service.executeSync({username: 'test', password: 'test'});
+
+			expect(mockStagingSchemaService.publish).toHaveBeenCalledWith(mockConnection, ['users'], 'metaexodus_staging');
+		});
+	});
+
+	describe('checkpoint and resume', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should not checkpoint a transactional sync', async () => {
+			await service.executeSync(credentials);
+
+			expect(mockCheckpointService.start).not.toHaveBeenCalled();
+			expect(mockCheckpointService.clear).toHaveBeenCalled();
+		});
+
+		test('should checkpoint progress when loading without a transaction', async () => {
+			service.configure({enableRollback: false, continueOnError: true});
+
+			await service.executeSync(credentials);
+
+			expect(mockCheckpointService.start).toHaveBeenCalledWith({mode: 'direct', schema: null, resumeFrom: null});
+			expect(mockCheckpointService.recordProgress).toHaveBeenCalledWith('users', expect.any(Object));
+			expect(mockCheckpointService.markTableCompleted).toHaveBeenCalledWith('users', 1);
+			expect(mockCheckpointService.clear).toHaveBeenCalled();
+		});
+
+		test('should skip completed tables and continue tables in progress from their last key', async () => {
+			service.configure({enableRollback: false, continueOnError: true, resume: true});
+			mockMetabaseService.getTables.mockResolvedValue({
+				success: true,
+				tables: [
+					{id: 1, name: 'users', fields: [{id: 10, name: 'id'}]},
+					{id: 2, name: 'orders', fields: [{id: 20, name: 'id'}]},
+				],
+			});
+			mockCheckpointService.load.mockReturnValue({
+				mode: 'direct',
+				schema: null,
+				completedTables: {users: 10},
+				tablesInProgress: {orders: {after: [42], extractedRows: 5, insertedRows: 5}},
+			});
+			mockDataService.copyTableData.mockResolvedValue({success: true, insertedRows: 1});
+			mockMetabaseService.extractAllTableData.mockImplementation(async (id, name, onBatch) => {
+				await onBatch({tableName: name, batchData: [{id: 43}], lastKey: [43], totalExtracted: 6});
+				return {success: true, data: [], extractedRows: 6};
+			});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.successfulTables).toBe(2);
+			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledTimes(1);
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][3].resumeFrom).toMatchObject({after: [42]});
+			expect(mockConnection.query).toHaveBeenCalledWith('DELETE FROM "orders" WHERE ("id") > ($1)', [42]);
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "users"');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "orders"');
+		});
+
+		test('should reuse the staged data when resuming a staging sync', async () => {
+			service.configure({useStagingSchema: true, resume: true});
+			mockCheckpointService.load.mockReturnValue({
+				mode: 'staging',
+				schema: 'metaexodus_staging',
+				completedTables: {users: 1},
+				tablesInProgress: {},
+			});
+			mockStagingSchemaService.exists.mockResolvedValue(true);
+			mockStagingSchemaService.verify.mockResolvedValue({valid: true, mismatches: [], verifiedTables: 2});
+			mockStagingSchemaService.publish.mockResolvedValue({publishedTables: 2, duration: 1});
+
+			await service.executeSync(credentials);
+
+			expect(mockStagingSchemaService.prepare).not.toHaveBeenCalled();
+			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledTimes(1);
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][1]).toBe('orders');
+		});
+
+		test('should keep the checkpoint when a sync fails', async () => {
+			service.configure({useStagingSchema: true});
+			mockCheckpointService.isRecording.mockReturnValue(true);
+			mockDataService.copyTableData.mockResolvedValue({success: false, errors: [{error: 'boom'}]});
+
+			await expect(service.executeSync(credentials)).rejects.toThrow('no changes applied');
+
+			expect(mockCheckpointService.close).toHaveBeenCalled();
+			expect(mockCheckpointService.clear).not.toHaveBeenCalled();
+			expect(mockStagingSchemaService.drop).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('parallel sync', () => {
+		const credentials = {username: 'test', password: 'test'};
+
+		test('should start a table only after the tables it references', async () => {
+			const events = [];
+			const tables = [{name: 'users'}, {name: 'audit'}, {name: 'orders'}];
+
+			await service.runInDependencyOrder(tables, {orders: ['users']}, 2, async table => {
+				events.push(`start:${table.name}`);
+				await new Promise(resolve => setImmediate(resolve));
+				events.push(`end:${table.name}`);
+			});
+
+			expect(events.slice(0, 2)).toEqual(['start:users', 'start:audit']);
+			expect(events.indexOf('start:orders')).toBeGreaterThan(events.indexOf('end:users'));
+			expect(events.filter(event => event.startsWith('end:'))).toHaveLength(3);
+		});
+
+		test('should fall back to insertion order for circular dependencies', async () => {
+			const started = [];
+
+			await service.runInDependencyOrder(
+				[{name: 'orders'}, {name: 'invoices'}],
+				{orders: ['invoices'], invoices: ['orders']},
+				4,
+				async table => {
+					started.push(table.name);
+				},
+			);
+
+			expect(started).toEqual(['orders', 'invoices']);
+		});
+
+		test('should let running tables settle before rethrowing an abort', async () => {
+			const events = [];
+			const aborted = Object.assign(new Error('Synchronization interrupted'), {aborted: true});
+
+			await expect(
+				service.runInDependencyOrder([{name: 'users'}, {name: 'audit'}, {name: 'orders'}], {}, 2, async table => {
+					events.push(`start:${table.name}`);
+					if (table.name === 'users') {
+						throw aborted;
+					}
+					await new Promise(resolve => setImmediate(resolve));
+					events.push(`end:${table.name}`);
+				}),
+			).rejects.toBe(aborted);
+
+			expect(events).toEqual(['start:users', 'start:audit', 'end:audit']);
+		});
+
+		test('should load tables on pooled connections outside a transaction', async () => {
+			const pooledConnection = {query: jest.fn(), release: jest.fn()};
+			const pool = {connect: jest.fn().mockResolvedValue(pooledConnection)};
+			mockConnectionService.createLocalPool.mockResolvedValue(pool);
+			service.configure({enableRollback: false, continueOnError: true, concurrency: 2});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.successfulTables).toBe(2);
+			expect(mockConnectionService.createLocalPool).toHaveBeenCalledWith({max: 2});
+			expect(pool.connect).toHaveBeenCalledTimes(2);
+			expect(pooledConnection.release).toHaveBeenCalledTimes(2);
+			expect(mockDataService.copyTableData).toHaveBeenCalledWith(
+				pooledConnection,
+				'users',
+				expect.any(Array),
+				expect.any(Object),
+			);
+		});
+
+		test('should record a table as failed when no pooled connection is available', async () => {
+			const pool = {connect: jest.fn().mockRejectedValue(new Error('too many clients'))};
+			mockConnectionService.createLocalPool.mockResolvedValue(pool);
+			service.configure({enableRollback: false, continueOnError: true, concurrency: 2});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.partialSuccess).toBe(true);
+			expect(result.failedTables.map(({error}) => error)).toEqual(['too many clients', 'too many clients']);
+		});
+
+		test('should load one table at a time inside the sync transaction', async () => {
+			const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+			service.configure({concurrency: 4});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.successfulTables).toBe(2);
+			expect(mockConnectionService.createLocalPool).not.toHaveBeenCalled();
+			expect(mockConnection.query).toHaveBeenCalledWith('SAVEPOINT metaexodus_step');
+			expect(warn).toHaveBeenCalledWith(
+				'Parallel sync needs --staging or --ignore-errors - synchronizing one table at a time',
+			);
+			warn.mockRestore();
+		});
+
+		test('should load staged tables on pooled connections', async () => {
+			const pooledConnection = {query: jest.fn(), release: jest.fn()};
+			mockConnectionService.createLocalPool.mockResolvedValue({connect: jest.fn().mockResolvedValue(pooledConnection)});
+			mockStagingSchemaService.prepare.mockResolvedValue({});
+			mockStagingSchemaService.verify.mockResolvedValue({valid: true, mismatches: [], verifiedTables: 2});
+			mockStagingSchemaService.publish.mockResolvedValue({publishedTables: 2, duration: 1});
+			service.configure({useStagingSchema: true, concurrency: 2});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.successfulTables).toBe(2);
+			expect(mockConnectionService.createLocalPool).toHaveBeenCalledWith({max: 2});
+			expect(pooledConnection.query).not.toHaveBeenCalledWith('BEGIN');
+			expect(mockDataService.copyTableData).toHaveBeenCalledWith(
+				pooledConnection,
+				'users',
+				expect.any(Array),
+				expect.objectContaining({schema: 'metaexodus_staging'}),
+			);
+		});
+	});
+
+	describe('syncSingleTable', () => {
+		test('should sync single table successfully', async () => {
+			const table = {id: 1, name: 'users'};
+			const enumMap = {status_enum: ['ACTIVE', 'INACTIVE']};
+
+			await service.syncSingleTable(mockConnection, table, enumMap);
+
+			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledWith(1, 'users', expect.any(Function), {
+				fields: undefined,
+				retainData: false,
+				filter: null,
+				resumeFrom: null,
+				batchSize: null,
+			});
+			expect(mockDataTransformationService.transformTableData).toHaveBeenCalled();
+			expect(mockDataService.copyTableData).toHaveBeenCalled();
+		});
+
+		test('should transform and insert each batch as it is extracted', async () => {
+			mockMetabaseService.extractAllTableData.mockImplementation(
+				extractWithBatches([[{id: 1}, {id: 2}], [{id: 3}]]),
+			);
+			mockDataTransformationService.transformTableData.mockImplementation(async (conn, name, data) => data);
+			mockDataService.copyTableData.mockImplementation(async (conn, name, data) => ({
+				success: true,
+				insertedRows: data.length,
+			}));
+
+			await service.syncSingleTable(mockConnection, {id: 1, name: 'users'}, {});
+
+			expect(mockDataService.copyTableData).toHaveBeenCalledTimes(2);
+			expect(mockDataService.copyTableData.mock.calls[1][2]).toEqual([{id: 3}]);
+			expect(service.syncStats.syncedRows).toBe(3);
+		});
+
+		test('should handle data extraction failure', async () => {
+			mockMetabaseService.extractAllTableData.mockResolvedValue({
+				success: false,
+				error: 'Extraction failed',
+			});
+
+			const table = {id: 1, name: 'users'};
+
+			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
+				'Data extraction failed: Extraction failed',
+			);
+		});
+
+		test('should handle data insertion failure', async () => {
+			mockDataService.copyTableData.mockResolvedValue({
+				success: false,
+				errors: [{error: 'Constraint violation'}],
+			});
+
+			const table = {id: 1, name: 'users'};
+
+			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
+				'Data insertion failed: Constraint violation',
+			);
+		});
+
+		test('should handle row count mismatch', async () => {
+			mockMetabaseService.extractAllTableData.mockImplementation(extractWithBatches([[{id: 1}, {id: 2}]]));
+
+			mockDataService.copyTableData.mockResolvedValue({
+				success: true,
+				insertedRows: 1,
+			});
+
+			const table = {id: 1, name: 'users'};
+
+			await expect(service.syncSingleTable(mockConnection, table, {})).rejects.toThrow(
+				'Row count mismatch: expected 2, inserted 1',
+			);
+		});
+
+		test('should load with multi-row INSERT statements when the insert loader is configured', async () => {
+			service.configure({loader: 'insert'});
+			mockDataService.insertTableData.mockResolvedValue({success: true, insertedRows: 1});
+
+			await service.syncSingleTable(mockConnection, {id: 1, name: 'users'}, {});
+
+			expect(mockDataService.insertTableData).toHaveBeenCalledWith(
+				mockConnection,
+				'users',
+				[{id: 1, name: 'test'}],
+				expect.any(Object),
+			);
+			expect(mockDataService.copyTableData).not.toHaveBeenCalled();
+		});
+	});
+
+	describe('incremental sync', () => {
+		const table = {id: 1, name: 'orders', fields: [{id: 11, name: 'updated_at'}]};
+
+		beforeEach(() => {
+			service.configure({incremental: true, watermarks: {orders: 'updated_at'}});
+			mockDataService.getPrimaryKeyColumns.mockResolvedValue(['id']);
+		});
+
+		test('should fetch rows past the stored watermark and upsert them', async () => {
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: '2024-01-01T00:00:00Z'});
+			mockMetabaseService.extractAllTableData.mockImplementation(
+				extractWithBatches([[{id: 1, updated_at: '2024-01-03T00:00:00Z'}, {id: 2, updated_at: '2024-01-02T00:00:00Z'}]]),
+			);
+			mockDataService.copyTableData.mockResolvedValue({success: true, insertedRows: 2});
+
+			await service.syncSingleTable(mockConnection, table, {});
+
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][3].filter).toEqual([
+				'>',
+				['field', 11, null],
+				'2024-01-01T00:00:00Z',
+			]);
+			expect(mockDataService.copyTableData.mock.calls[0][3]).toMatchObject({
+				onConflict: 'update',
+				conflictColumns: ['id'],
+			});
+
+			await service.saveWatermarks();
+			expect(mockSyncStateService.setWatermark).toHaveBeenCalledWith('orders', 'updated_at', '2024-01-03T00:00:00Z');
+			expect(mockSyncStateService.save).toHaveBeenCalledWith(mockConnection);
+		});
+
+		test('should accept an incremental run with no new rows', async () => {
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: '2024-01-01T00:00:00Z'});
+			mockMetabaseService.extractAllTableData.mockImplementation(extractWithBatches([]));
+
+			await expect(service.syncSingleTable(mockConnection, table, {})).resolves.toBeUndefined();
+		});
+
+		test('should do a full load when no watermark is stored yet', async () => {
+			await service.syncSingleTable(mockConnection, table, {});
+
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][3].filter).toBeNull();
+			expect(mockDataService.copyTableData.mock.calls[0][3].onConflict).toBe('error');
+		});
+
+		describe('SYNC_WATERMARKS', () => {
+			const original = process.env.SYNC_WATERMARKS;
+
+			afterEach(() => {
+				if (original === undefined) {
+					delete process.env.SYNC_WATERMARKS;
+				} else {
+					process.env.SYNC_WATERMARKS = original;
+				}
+			});
+
+			test('should be read with the stored watermarks when connecting', async () => {
+				process.env.SYNC_WATERMARKS = 'orders:updated_at,events:id';
+				const fresh = new SyncOrchestratorService();
+
+				await fresh.authenticateAndConnect({username: 'test', password: 'test'});
+
+				expect(fresh.syncConfig.watermarks).toEqual({orders: 'updated_at', events: 'id'});
+				expect(mockSyncStateService.load).toHaveBeenCalledWith(mockConnection);
+			});
+
+			test('should be rejected before connecting when malformed', async () => {
+				process.env.SYNC_WATERMARKS = 'orders';
+				const fresh = new SyncOrchestratorService();
+
+				await expect(fresh.authenticateAndConnect({username: 'test', password: 'test'})).rejects.toThrow(
+					'SYNC_WATERMARKS must be a comma-separated list of table:column pairs',
+				);
+				expect(mockConnectionService.initialize).not.toHaveBeenCalled();
+			});
+		});
+
+		test('should keep incremental tables when clearing data', async () => {
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: 5});
+			mockDataService.sortTablesByDependencies.mockReturnValue(['users', 'orders']);
+
+			await service.clearExistingData([{id: 2, name: 'users'}, table], {});
+
+			expect(mockConnection.query).toHaveBeenCalledWith('DELETE FROM "users"');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "orders"');
+		});
+	});
+
+	describe('table strategies', () => {
+		const credentials = {username: 'test', password: 'test'};
+		const orders = {id: 2, name: 'orders', fields: [{id: 21, name: 'id'}, {id: 22, name: 'updated_at'}]};
+		const strategy = (name, options = {}) => ({
+			strategy: name,
+			key: null,
+			watermark: null,
+			batchSize: null,
+			where: null,
+			...options,
+		});
+
+		beforeEach(() => {
+			mockDataService.sortTablesByDependencies.mockImplementation(names => names);
+		});
+
+		test('should pick the strategy by table name before glob patterns', () => {
+			service.configure({
+				tableStrategies: {'order*': strategy('append'), orders: strategy('skip')},
+			});
+
+			expect(service.getTableStrategy(orders).strategy).toBe('skip');
+			expect(service.getTableStrategy({name: 'order_items'}).strategy).toBe('append');
+			expect(service.getTableStrategy({name: 'users'})).toEqual(strategy('replace'));
+		});
+
+		test('should upsert on the configured key with the table batch size and filter', async () => {
+			service.configure({
+				tableStrategies: {orders: strategy('upsert', {key: ['id'], batchSize: 250, where: {status: 'paid'}})},
+			});
+
+			await service.syncSingleTable(mockConnection, orders, {});
+
+			expect(mockDataService.getPrimaryKeyColumns).not.toHaveBeenCalled();
+			expect(mockDataService.copyTableData.mock.calls[0][3]).toEqual({
+				onConflict: 'update',
+				conflictColumns: ['id'],
+				batchSize: 250,
+				schema: null,
+			});
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][3]).toMatchObject({
+				filter: ['=', ['field', 'status', null], 'paid'],
+				batchSize: 250,
+			});
+		});
+
+		test('should need a key to upsert', async () => {
+			service.configure({tableStrategies: {orders: strategy('upsert')}});
+			mockDataService.getPrimaryKeyColumns.mockResolvedValue([]);
+
+			await expect(service.syncSingleTable(mockConnection, orders, {})).rejects.toThrow(
+				'Upserting orders requires a key in its strategy or a primary key on the local table',
+			);
+		});
+
+		test('should append rows, skipping those already present', async () => {
+			service.configure({tableStrategies: {orders: strategy('append')}});
+			mockMetabaseService.extractAllTableData.mockImplementation(extractWithBatches([[{id: 1}, {id: 2}, {id: 3}]]));
+			mockDataService.copyTableData.mockResolvedValue({success: true, insertedRows: 1});
+
+			await service.syncSingleTable(mockConnection, orders, {});
+
+			expect(mockDataService.copyTableData.mock.calls[0][3].onConflict).toBe('skip');
+			expect(service.loadedRowCounts.get('orders')).toBe(1);
+		});
+
+		test('should sync incremental tables from their watermark without --incremental', async () => {
+			service.configure({
+				tableStrategies: {orders: strategy('incremental', {watermark: 'updated_at', where: {status: 'paid'}})},
+			});
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: '2024-01-01'});
+			mockDataService.getPrimaryKeyColumns.mockResolvedValue(['id']);
+
+			await service.syncSingleTable(mockConnection, orders, {});
+
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][3].filter).toEqual([
+				'and',
+				['=', ['field', 'status', null], 'paid'],
+				['>', ['field', 22, null], '2024-01-01'],
+			]);
+			expect(mockDataService.copyTableData.mock.calls[0][3]).toMatchObject({
+				onConflict: 'update',
+				conflictColumns: ['id'],
+			});
+		});
+
+		test('should keep appended, upserted and skipped tables and not load skipped ones', async () => {
+			service.configure({tableStrategies: {users: strategy('skip'), orders: strategy('append')}});
+			mockMetabaseService.getTables.mockResolvedValue({success: true, tables: [{id: 1, name: 'users'}, orders]});
+
+			const result = await service.executeSync(credentials);
+
+			expect(result.success).toBe(true);
+			expect(result.successfulTables).toBe(2);
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "users"');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "orders"');
+			expect(mockMetabaseService.getTableRowCount).toHaveBeenCalledTimes(1);
+			expect(mockMetabaseService.extractAllTableData).toHaveBeenCalledTimes(1);
+			expect(mockMetabaseService.extractAllTableData.mock.calls[0][1]).toBe('orders');
+			expect(result.tableResults.find(table => table.name === 'users').status).toBe('skipped');
+		});
+
+		test('should stage kept tables with their local rows and leave skipped ones out', async () => {
+			service.configure({
+				useStagingSchema: true,
+				tableStrategies: {users: strategy('upsert'), invoices: strategy('skip')},
+			});
+			mockMetabaseService.getTables.mockResolvedValue({
+				success: true,
+				tables: [{id: 1, name: 'users'}, orders, {id: 3, name: 'invoices'}],
+			});
+			mockDataService.getPrimaryKeyColumns.mockResolvedValue(['id']);
+			mockStagingSchemaService.verify.mockResolvedValue({valid: true, mismatches: [], verifiedTables: 1});
+			mockStagingSchemaService.publish.mockResolvedValue({publishedTables: 2, duration: 5});
+
+			await service.executeSync(credentials);
+
+			expect(mockStagingSchemaService.prepare).toHaveBeenCalledWith(mockConnection, ['users', 'orders'], {
+				schema: 'metaexodus_staging',
+				copyExisting: ['users'],
+			});
+			expect(mockStagingSchemaService.verify).toHaveBeenCalledWith(
+				mockConnection,
+				{orders: 1},
+				'metaexodus_staging',
+			);
+			expect(mockStagingSchemaService.publish).toHaveBeenCalledWith(
+				mockConnection,
+				['users', 'orders'],
+				'metaexodus_staging',
+			);
+		});
+
+		test('should only verify tables copied in full', async () => {
+			service.configure({tableStrategies: {orders: strategy('replace', {where: {status: 'paid'}})}});
+			mockVerificationService.verifyTables.mockResolvedValue({passed: true, verifiedTables: 1, results: []});
+
+			await service.verifyLocalData([{id: 1, name: 'users'}, orders]);
+
+			expect(mockVerificationService.verifyTables).toHaveBeenCalledWith(mockConnection, [{id: 1, name: 'users'}], {
+				checksums: {},
+			});
+		});
+
+		test('should not verify tables synced incrementally', async () => {
+			service.configure({tableStrategies: {orders: strategy('incremental', {watermark: 'updated_at'})}});
+			mockVerificationService.verifyTables.mockResolvedValue({passed: true, verifiedTables: 1, results: []});
+
+			await service.verifyLocalData([orders]);
+			mockSyncStateService.getWatermark.mockReturnValue({column: 'updated_at', value: '2024-01-01'});
+			await service.verifyLocalData([{id: 1, name: 'users'}, orders]);
+
+			expect(mockVerificationService.verifyTables.mock.calls.map(([, tables]) => tables)).toEqual([
+				[orders],
+				[{id: 1, name: 'users'}],
+			]);
+		});
+
+		test('should ignore strategies in subset mode', () => {
+			service.configure({
+				subset: {orders: {limit: 10, where: null}},
+				tableStrategies: {orders: strategy('skip')},
+			});
+
+			expect(service.getTableStrategy(orders).strategy).toBe('replace');
+			expect(service.keepsLocalRows(orders)).toBe(false);
+		});
+	});
+
+	describe('handleSyncFailures', () => {
+		test('should perform rollback on sync failures', async () => {
+			service.syncStats.failedTables = [{name: 'users', error: 'Test error', details: 'Test details'}];
+			await service.beginTransaction();
+
+			await expect(service.handleSyncFailures()).rejects.toThrow(
+				'Database synchronization FAILED - no changes applied',
+			);
+
+			expect(mockConnection.query).toHaveBeenCalledWith('ROLLBACK');
+			expect(mockConnection.query).not.toHaveBeenCalledWith('DELETE FROM "users"');
+			expect(service.syncStats.rolledBack).toBe(true);
+		});
+
+		test('should handle sync failures with continue on error mode', async () => {
 			service.syncStats.failedTables = [{name: 'users', error: 'Insertion failed', details: 'constraint violation'}];
 			service.syncStats.successfulTables = 1;
 			service.syncStats.totalTables = 2;
 
 			// Don't expect any error to be thrown
-			await expect(service.handleSyncFailuresWithContinue(tables, dependencies)).resolves.not.toThrow();
+			await expect(service.handleSyncFailuresWithContinue()).resolves.not.toThrow();
 
 			// Should not attempt rollback
 			expect(mockConnection.query).not.toHaveBeenCalled();
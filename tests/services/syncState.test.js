@@ -0,0 +1,92 @@
+import { jest } from '@jest/globals';
+
+import { SyncStateService, syncStateService } from '../../src/services/syncState.js';
+
+describe('Sync State Service', () => {
+  let service;
+  let connection;
+
+  const queries = () => connection.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+
+  beforeEach(() => {
+    service = new SyncStateService();
+    connection = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+  });
+
+  describe('load', () => {
+    test('should start with no watermarks when the table does not exist', async () => {
+      connection.query.mockResolvedValueOnce({ rows: [{ exists: false }] });
+
+      await expect(service.load(connection)).resolves.toEqual({});
+      expect(service.getWatermark('orders')).toBeNull();
+      expect(queries()).toEqual(['SELECT to_regclass($1) IS NOT NULL AS exists']);
+    });
+
+    test('should read the watermarks stored in the local database', async () => {
+      connection.query
+        .mockResolvedValueOnce({ rows: [{ exists: true }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { table_name: 'orders', column_name: 'updated_at', value: '2024-01-01T00:00:00Z', updated_at: new Date('2024-01-02T00:00:00Z') },
+            { table_name: 'events', column_name: 'id', value: 42, updated_at: new Date('2024-01-02T00:00:00Z') }
+          ]
+        });
+
+      await service.load(connection);
+
+      expect(service.getWatermark('orders')).toEqual({
+        column: 'updated_at',
+        value: '2024-01-01T00:00:00Z',
+        updatedAt: '2024-01-02T00:00:00.000Z'
+      });
+      expect(service.getWatermark('events').value).toBe(42);
+    });
+
+    test('should forget the watermarks of the previously loaded database', async () => {
+      service.setWatermark('orders', 'id', 10);
+      connection.query.mockResolvedValueOnce({ rows: [{ exists: false }] });
+
+      await service.load(connection);
+
+      expect(service.getWatermark('orders')).toBeNull();
+      await service.save(connection);
+      expect(connection.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('save', () => {
+    test('should create the table and upsert the recorded watermarks', async () => {
+      service.setWatermark('orders', 'updated_at', '2024-01-01T00:00:00Z');
+      service.setWatermark('events', 'id', 42);
+
+      await service.save(connection);
+
+      const sql = queries();
+      expect(sql[0]).toMatch(/^CREATE TABLE IF NOT EXISTS metaexodus_watermarks \( table_name text PRIMARY KEY,/);
+      expect(sql[1]).toMatch(/^INSERT INTO metaexodus_watermarks .* ON CONFLICT \(table_name\) DO UPDATE/);
+      expect(connection.query.mock.calls[1][1]).toEqual(['orders', 'updated_at', '"2024-01-01T00:00:00Z"', expect.any(String)]);
+      expect(connection.query.mock.calls[2][1]).toEqual(['events', 'id', '42', expect.any(String)]);
+      expect(service.getWatermark('events')).toMatchObject({ column: 'id', value: 42 });
+    });
+
+    test('should write nothing when no watermark was recorded', async () => {
+      await service.save(connection);
+
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+
+    test('should only write each watermark once', async () => {
+      service.setWatermark('orders', 'id', 10);
+      await service.save(connection);
+      connection.query.mockClear();
+
+      await service.save(connection);
+
+      expect(connection.query).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should export a singleton instance', () => {
+    expect(syncStateService).toBeInstanceOf(SyncStateService);
+  });
+});
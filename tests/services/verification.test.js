@@ -0,0 +1,194 @@
+import { jest } from '@jest/globals';
+
+const mockMetabaseService = {
+  getTableRowCount: jest.fn(),
+  getTableAggregates: jest.fn(),
+  fieldRef: jest.fn(field => ['field', field.id, null])
+};
+
+jest.unstable_mockModule('../../src/services/metabase.js', () => ({
+  metabaseService: mockMetabaseService
+}));
+
+const { VerificationService, verificationService } = await import('../../src/services/verification.js');
+
+const orders = {
+  id: 1,
+  name: 'orders',
+  fields: [
+    { id: 10, name: 'total', base_type: 'type/Decimal' },
+    { id: 11, name: 'created_at', base_type: 'type/DateTime' }
+  ]
+};
+const users = { id: 2, name: 'users', fields: [{ id: 20, name: 'id', base_type: 'type/Integer' }] };
+
+describe('Verification Service', () => {
+  let service;
+  let connection;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    service = new VerificationService();
+    connection = { query: jest.fn() };
+  });
+
+  describe('verifyTables', () => {
+    test('should pass when Metabase and local counts match', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: true, count: 3 });
+      connection.query.mockResolvedValue({ rows: [{ count: '3' }] });
+
+      const report = await service.verifyTables(connection, [users]);
+
+      expect(report).toEqual({
+        passed: true,
+        verifiedTables: 1,
+        failedTables: 0,
+        results: [{
+          tableName: 'users',
+          remoteCount: 3,
+          localCount: 3,
+          checks: [{ check: 'count', remote: 3, local: 3, match: true }],
+          passed: true,
+          error: null
+        }]
+      });
+      expect(connection.query).toHaveBeenCalledWith('SELECT COUNT(*) AS count FROM "users"');
+    });
+
+    test('should fail tables whose counts differ', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: true, count: 3 });
+      connection.query.mockResolvedValue({ rows: [{ count: '2' }] });
+
+      const report = await service.verifyTables(connection, [users]);
+
+      expect(report.passed).toBe(false);
+      expect(report.failedTables).toBe(1);
+      expect(report.results[0].checks[0]).toEqual({ check: 'count', remote: 3, local: 2, match: false });
+    });
+
+    test('should record errors instead of throwing', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: false, error: 'Forbidden' });
+
+      const report = await service.verifyTables(connection, [users]);
+
+      expect(report.passed).toBe(false);
+      expect(report.results[0].error).toBe('Could not count Metabase rows: Forbidden');
+    });
+
+    test('should compare aggregates of opted-in tables only', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: true, count: 2 });
+      mockMetabaseService.getTableAggregates.mockResolvedValue({
+        success: true,
+        values: [30.5, 10, 20.5, '2024-01-01T00:00:00Z', '2024-02-01T00:00:00Z']
+      });
+      connection.query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{
+          a0: '30.50',
+          a1: '10.00',
+          a2: '20.50',
+          a3: new Date('2024-01-01T00:00:00Z'),
+          a4: new Date('2024-02-01T00:00:00Z')
+        }] })
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] });
+
+      const report = await service.verifyTables(connection, [orders, users], {
+        checksums: { orders: ['total', 'created_at'] }
+      });
+
+      expect(report.passed).toBe(true);
+      expect(report.results[0].checks.map(check => check.check)).toEqual([
+        'count', 'sum(total)', 'min(total)', 'max(total)', 'min(created_at)', 'max(created_at)'
+      ]);
+      expect(report.results[1].checks).toHaveLength(1);
+      expect(mockMetabaseService.getTableAggregates).toHaveBeenCalledTimes(1);
+      expect(mockMetabaseService.getTableAggregates).toHaveBeenCalledWith(1, [
+        ['sum', ['field', 10, null]],
+        ['min', ['field', 10, null]],
+        ['max', ['field', 10, null]],
+        ['min', ['field', 11, null]],
+        ['max', ['field', 11, null]]
+      ]);
+      expect(connection.query).toHaveBeenCalledWith(
+        'SELECT SUM("total") AS a0, MIN("total") AS a1, MAX("total") AS a2, MIN("created_at") AS a3, MAX("created_at") AS a4 FROM "orders"'
+      );
+    });
+
+    test('should fail when an aggregate differs', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: true, count: 2 });
+      mockMetabaseService.getTableAggregates.mockResolvedValue({ success: true, values: [30.5, 10, 20.5] });
+      connection.query
+        .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+        .mockResolvedValueOnce({ rows: [{ a0: '31.00', a1: '10.00', a2: '20.50' }] });
+
+      const report = await service.verifyTables(connection, [orders], { checksums: { orders: ['total'] } });
+
+      expect(report.passed).toBe(false);
+      expect(report.results[0].checks.filter(check => !check.match)).toEqual([
+        { check: 'sum(total)', remote: 30.5, local: '31.00', match: false }
+      ]);
+    });
+
+    test('should report unknown checksum columns', async () => {
+      mockMetabaseService.getTableRowCount.mockResolvedValue({ success: true, count: 2 });
+      connection.query.mockResolvedValue({ rows: [{ count: '2' }] });
+
+      const report = await service.verifyTables(connection, [orders], { checksums: { orders: ['missing'] } });
+
+      expect(report.results[0].error).toBe('Checksum column missing not found in Metabase table orders');
+    });
+  });
+
+  describe('describeFailures', () => {
+    test('should list each failed check and each table error', () => {
+      const rows = service.describeFailures({
+        results: [
+          { tableName: 'users', checks: [{ check: 'count', remote: 3, local: 3, match: true }], passed: true, error: null },
+          {
+            tableName: 'orders',
+            checks: [
+              { check: 'count', remote: 10, local: 9, match: false },
+              { check: 'max(total)', remote: '5.00', local: '5.00', match: true }
+            ],
+            passed: false,
+            error: null
+          },
+          { tableName: 'events', checks: [], passed: false, error: 'Could not count Metabase rows: timeout' }
+        ]
+      });
+
+      expect(rows).toEqual([
+        { Table: 'orders', Check: 'count', Metabase: '10', Local: '9' },
+        { Table: 'events', Check: 'error', Metabase: '-', Local: 'Could not count Metabase rows: timeout' }
+      ]);
+    });
+  });
+
+  describe('valuesMatch', () => {
+    test('should compare numbers by value', () => {
+      expect(service.valuesMatch(12, '12.000')).toBe(true);
+      expect(service.valuesMatch(0.1 + 0.2, '0.3')).toBe(true);
+      expect(service.valuesMatch(12, '13')).toBe(false);
+    });
+
+    test('should compare dates by instant', () => {
+      expect(service.valuesMatch('2024-01-01T01:00:00+01:00', new Date('2024-01-01T00:00:00Z'))).toBe(true);
+    });
+
+    test('should only match null with null', () => {
+      expect(service.valuesMatch(null, null)).toBe(true);
+      expect(service.valuesMatch(null, '0')).toBe(false);
+    });
+
+    test('should compare other values as strings', () => {
+      expect(service.valuesMatch('apple', 'apple')).toBe(true);
+      expect(service.valuesMatch('apple', 'banana')).toBe(false);
+    });
+  });
+
+  describe('verificationService singleton', () => {
+    test('should be an instance of VerificationService', () => {
+      expect(verificationService).toBeInstanceOf(VerificationService);
+    });
+  });
+});
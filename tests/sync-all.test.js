@@ -15,23 +15,61 @@ console.log = jest.fn((...args) => {
 // Mock the syncOrchestratorService
 const mockSyncOrchestratorService = {
 	performDryRun: jest.fn(),
+	performVerification: jest.fn(),
+	performDiff: jest.fn(),
+	showHistory: jest.fn(),
+	inspectDependencies: jest.fn(),
 	executeSync: jest.fn(),
+	requestAbort: jest.fn(),
 	configure: jest.fn(),
+	on: jest.fn(),
+	off: jest.fn(),
 };
 
 jest.unstable_mockModule('../src/services/syncOrchestrator.js', () => ({
 	syncOrchestratorService: mockSyncOrchestratorService,
 }));
 
+const mockSchedulerService = {
+	start: jest.fn(),
+	stop: jest.fn(),
+};
+
+jest.unstable_mockModule('../src/services/scheduler.js', () => ({
+	schedulerService: mockSchedulerService,
+}));
+
 describe('sync-all.js', () => {
+	// Importing the CLI runs it to completion, so no run outlives its test
+	const runCli = async () => {
+		try {
+			await import('../sync-all.js?' + Date.now());
+		} catch (error) {
+			expect(error.message).toBe('process.exit() called');
+		}
+	};
+
+	let signalListeners;
+
 	beforeEach(() => {
 		jest.clearAllMocks();
+		signalListeners = {SIGINT: process.listeners('SIGINT'), SIGTERM: process.listeners('SIGTERM')};
 		consoleOutput = [];
 		process.argv = ['node', 'sync-all.js'];
 		delete process.env.DB_REMOTE_USERNAME;
 		delete process.env.DB_REMOTE_PASSWORD;
 	});
 
+	// Drop the signal handlers each run of the CLI installs
+	afterEach(() => {
+		Object.entries(signalListeners).forEach(([signal, listeners]) => {
+			process
+				.listeners(signal)
+				.filter(listener => !listeners.includes(listener))
+				.forEach(listener => process.removeListener(signal, listener));
+		});
+	});
+
 	afterAll(() => {
 		console.log = originalConsoleLog;
 		mockExit.mockRestore();
@@ -40,11 +78,7 @@ describe('sync-all.js', () => {
 	test('should show help when --help flag is used', async () => {
 		process.argv = ['node', 'sync-all.js', '--help'];
 
-		try {
-			await import('../sync-all.js');
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockExit).toHaveBeenCalledWith(0);
 		expect(consoleOutput.join('\n')).toContain('MetaExodus - Database Synchronization Tool');
@@ -54,11 +88,7 @@ describe('sync-all.js', () => {
 	test('should show help when -h flag is used', async () => {
 		process.argv = ['node', 'sync-all.js', '-h'];
 
-		try {
-			await import('../sync-all.js?' + Date.now()); // Add timestamp to avoid cache
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockExit).toHaveBeenCalledWith(0);
 		expect(consoleOutput.join('\n')).toContain('MetaExodus - Database Synchronization Tool');
@@ -71,11 +101,7 @@ describe('sync-all.js', () => {
 
 		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({
 			enableRollback: false,
@@ -92,11 +118,7 @@ describe('sync-all.js', () => {
 
 		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({
 			enableRollback: false,
@@ -106,6 +128,248 @@ describe('sync-all.js', () => {
 		expect(mockExit).toHaveBeenCalledWith(0);
 	});
 
+	test('should configure incremental mode when --incremental is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--incremental'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({incremental: true});
+		expect(mockSyncOrchestratorService.executeSync).toHaveBeenCalled();
+	});
+
+	test('should configure the staging schema when --staging is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--staging'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({useStagingSchema: true});
+		expect(mockSyncOrchestratorService.executeSync).toHaveBeenCalled();
+	});
+
+	test('should configure resume mode when --resume is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--staging', '--resume'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({useStagingSchema: true});
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({resume: true});
+	});
+
+	test('should configure concurrency when --concurrency is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--ignore-errors', '--concurrency', '4'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({concurrency: 4});
+	});
+
+	test('should configure the loader when --loader is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--loader', 'insert'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({loader: 'insert'});
+	});
+
+	test('should configure table selection when --tables and --exclude are used', async () => {
+		process.argv = ['node', 'sync-all.js', '--tables', 'users,order*', '--exclude', 'order_archive'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({
+			includeTables: ['users', 'order*'],
+			excludeTables: ['order_archive'],
+			checksums: {},
+			hooks: null,
+			tableStrategies: {},
+		});
+	});
+
+	test('should configure subset mode when --subset is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--subset', 'orders:100'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({
+			subset: {orders: {limit: 100, where: null}},
+		});
+	});
+
+	test('should verify after the sync when --verify is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--verify'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: false});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({verifyAfterSync: true});
+		expect(mockExit).toHaveBeenCalledWith(1);
+	});
+
+	test('should only verify when the verify command is used', async () => {
+		process.argv = ['node', 'sync-all.js', 'verify'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.performVerification.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.performVerification).toHaveBeenCalled();
+		expect(mockSyncOrchestratorService.executeSync).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+	});
+
+	test('should only diff when the diff command is used', async () => {
+		process.argv = ['node', 'sync-all.js', 'diff', '--dump', 'diff.ndjson'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.performDiff.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({diffDumpPath: 'diff.ndjson'});
+		expect(mockSyncOrchestratorService.performDiff).toHaveBeenCalled();
+		expect(mockSyncOrchestratorService.executeSync).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+	});
+
+	test('should show the history without Metabase credentials', async () => {
+		process.argv = ['node', 'sync-all.js', 'history', '42', '--limit', '5'];
+
+		mockSyncOrchestratorService.showHistory.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.showHistory).toHaveBeenCalledWith({runId: 42, limit: 5});
+		expect(mockSyncOrchestratorService.executeSync).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+	});
+
+	test('should export the dependency graph when inspect deps is used', async () => {
+		process.argv = ['node', 'sync-all.js', 'inspect', 'deps', '--format', 'mermaid', '--output', 'deps.mmd'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.inspectDependencies.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.inspectDependencies).toHaveBeenCalledWith(
+			{username: 'test@example.com', password: 'password123'},
+			{format: 'mermaid', outputPath: 'deps.mmd'},
+		);
+		expect(mockSyncOrchestratorService.executeSync).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+	});
+
+	test('should reject unknown graph formats', async () => {
+		process.argv = ['node', 'sync-all.js', 'inspect', 'deps', '--format', 'svg'];
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.inspectDependencies).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+		expect(consoleOutput.join('\n')).toContain('inspect deps');
+	});
+
+	test('should configure no history when --no-history is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--no-history'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({recordHistory: false});
+	});
+
+	test('should wait for the sync lock when --wait-lock is used', async () => {
+		process.argv = ['node', 'sync-all.js', 'verify', '--wait-lock', '120'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.performVerification.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({waitForLock: true, lockTimeout: 120});
+		expect(mockSyncOrchestratorService.performVerification).toHaveBeenCalled();
+	});
+
+	test('should keep syncing on a schedule when --watch is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--watch', '15m'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSchedulerService.start).toHaveBeenCalledWith(expect.any(Function), {interval: 15 * 60 * 1000, cron: null});
+		expect(mockExit).not.toHaveBeenCalled();
+
+		await mockSchedulerService.start.mock.calls[0][0]();
+		expect(mockSyncOrchestratorService.executeSync).toHaveBeenCalledWith({
+			username: 'test@example.com',
+			password: 'password123',
+		});
+	});
+
+	test('should reject invalid cron expressions', async () => {
+		process.argv = ['node', 'sync-all.js', '--schedule', '0 25 * * *'];
+
+		await runCli();
+
+		expect(mockSchedulerService.start).not.toHaveBeenCalled();
+		expect(mockExit).toHaveBeenCalledWith(0);
+		expect(consoleOutput.join('\n')).toContain('--schedule "<cron>"');
+	});
+
+	test('should configure the report path when --report is used', async () => {
+		process.argv = ['node', 'sync-all.js', '--report', 'reports/sync.html'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
+
+		await runCli();
+
+		expect(mockSyncOrchestratorService.configure).toHaveBeenCalledWith({reportPath: 'reports/sync.html'});
+	});
+
 	test('should perform dry run when --dry-run is used', async () => {
 		process.argv = ['node', 'sync-all.js', '--dry-run'];
 		process.env.DB_REMOTE_USERNAME = 'test@example.com';
@@ -113,11 +377,7 @@ describe('sync-all.js', () => {
 
 		mockSyncOrchestratorService.performDryRun.mockResolvedValue({success: true});
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockSyncOrchestratorService.performDryRun).toHaveBeenCalled();
 		expect(mockSyncOrchestratorService.configure).not.toHaveBeenCalled();
@@ -131,25 +391,32 @@ describe('sync-all.js', () => {
 
 		mockSyncOrchestratorService.executeSync.mockResolvedValue({success: true});
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockSyncOrchestratorService.configure).not.toHaveBeenCalled();
+		expect(mockSyncOrchestratorService.on).toHaveBeenCalledWith('sync:start', expect.any(Function));
 		expect(mockSyncOrchestratorService.executeSync).toHaveBeenCalled();
 		expect(mockExit).toHaveBeenCalledWith(0);
 	});
 
+	test('should exit with code 130 when the sync was interrupted', async () => {
+		process.argv = ['node', 'sync-all.js'];
+		process.env.DB_REMOTE_USERNAME = 'test@example.com';
+		process.env.DB_REMOTE_PASSWORD = 'password123';
+
+		const interrupted = new Error('Synchronization interrupted');
+		interrupted.aborted = true;
+		mockSyncOrchestratorService.executeSync.mockRejectedValue(interrupted);
+
+		await runCli();
+
+		expect(mockExit).toHaveBeenCalledWith(130);
+	});
+
 	test('should exit with error code 1 when credentials are missing', async () => {
 		process.argv = ['node', 'sync-all.js'];
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockExit).toHaveBeenCalledWith(1);
 	});
@@ -157,11 +424,7 @@ describe('sync-all.js', () => {
 	test('should handle unknown arguments by showing help', async () => {
 		process.argv = ['node', 'sync-all.js', '--unknown-flag'];
 
-		try {
-			await import('../sync-all.js?' + Date.now());
-		} catch (error) {
-			expect(error.message).toBe('process.exit() called');
-		}
+		await runCli();
 
 		expect(mockExit).toHaveBeenCalledWith(0);
 		expect(consoleOutput.join('\n')).toContain('MetaExodus - Database Synchronization Tool');
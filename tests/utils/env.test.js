@@ -1,4 +1,4 @@
-import { validateRequiredEnvVars, validateEnvVarFormats, validateEnvironment, setDefaultEnvVars, createEnvTemplate, REQUIRED_ENV_VARS, OPTIONAL_ENV_VARS } from '../../src/utils/env.js';
+import { validateRequiredEnvVars, validateEnvVarFormats, validateEnvironment, setDefaultEnvVars, createEnvTemplate, parseWatermarkColumns, getWatermarkColumns, REQUIRED_ENV_VARS, OPTIONAL_ENV_VARS } from '../../src/utils/env.js';
 
 describe('Environment Validation Utility', () => {
   let originalEnv;
@@ -111,6 +111,15 @@ describe('Environment Validation Utility', () => {
       expect(result.errors).toContain('DB_BATCH_SIZE must be a positive number');
     });
 
+    test('should reject invalid concurrency', () => {
+      process.env.SYNC_CONCURRENCY = '0';
+
+      const result = validateEnvVarFormats();
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('SYNC_CONCURRENCY must be a positive number');
+    });
+
     test('should validate log level correctly', () => {
       process.env.SYNC_LOG_LEVEL = 'info';
 
@@ -129,6 +138,43 @@ describe('Environment Validation Utility', () => {
     });
   });
 
+  describe('parseWatermarkColumns', () => {
+    test('should parse table:column pairs', () => {
+      expect(parseWatermarkColumns('orders:updated_at, events:id')).toEqual({
+        orders: 'updated_at',
+        events: 'id'
+      });
+    });
+
+    test('should return an empty map for empty input', () => {
+      expect(parseWatermarkColumns('')).toEqual({});
+      expect(parseWatermarkColumns(undefined)).toEqual({});
+    });
+
+    test('should return null for malformed input', () => {
+      expect(parseWatermarkColumns('orders')).toBeNull();
+      expect(parseWatermarkColumns('orders:a:b')).toBeNull();
+    });
+
+    test('should throw a config error for malformed SYNC_WATERMARKS', () => {
+      process.env.SYNC_WATERMARKS = 'orders:updated_at,events';
+
+      expect(() => getWatermarkColumns()).toThrow('SYNC_WATERMARKS must be a comma-separated list of table:column pairs');
+
+      process.env.SYNC_WATERMARKS = 'orders:updated_at';
+      expect(getWatermarkColumns()).toEqual({ orders: 'updated_at' });
+    });
+
+    test('should reject malformed SYNC_WATERMARKS during format validation', () => {
+      process.env.SYNC_WATERMARKS = 'orders';
+
+      const result = validateEnvVarFormats();
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('SYNC_WATERMARKS must be a comma-separated list of table:column pairs');
+    });
+  });
+
   describe('setDefaultEnvVars', () => {
     test('should set default values for missing optional variables', () => {
       setDefaultEnvVars();
@@ -169,6 +169,33 @@ describe('Logger', () => {
     });
   });
 
+  describe('useStderr', () => {
+    test('should send all output to stderr and back', () => {
+      const stdout = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+      const stderr = jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+      const consoleError = jest.spyOn(console, 'error').mockImplementation();
+
+      logger.useStderr();
+      logger.info('Info message');
+      logger.section('Test Section');
+      logger.success('Test success message');
+
+      expect(stdout).not.toHaveBeenCalled();
+      expect(stderr).toHaveBeenCalledWith(expect.stringContaining('Info message'));
+      expect(consoleError).toHaveBeenCalledWith(expect.stringContaining('Test success message'));
+      expect(consoleSpy).not.toHaveBeenCalled();
+
+      logger.useStderr(false);
+      logger.success('Back on stdout');
+
+      expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Back on stdout'));
+      expect(logger.winston.transports).toEqual([logger.consoleTransport]);
+      stdout.mockRestore();
+      stderr.mockRestore();
+      consoleError.mockRestore();
+    });
+  });
+
   describe('cleanup functionality', () => {
     test('should cleanup all spinners and progress bars', () => {
       logger.startSpinner('Test spinner');
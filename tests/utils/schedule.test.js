@@ -0,0 +1,78 @@
+import { parseInterval, parseCron, parseCronField, nextCronRun } from '../../src/utils/schedule.js';
+
+describe('Schedule Utility', () => {
+  describe('parseInterval', () => {
+    test('should parse seconds, minutes, hours and days', () => {
+      expect(parseInterval('30s')).toBe(30 * 1000);
+      expect(parseInterval('15m')).toBe(15 * 60 * 1000);
+      expect(parseInterval('2h')).toBe(2 * 60 * 60 * 1000);
+      expect(parseInterval('1d')).toBe(24 * 60 * 60 * 1000);
+    });
+
+    test('should read bare numbers as minutes', () => {
+      expect(parseInterval('10')).toBe(10 * 60 * 1000);
+    });
+
+    test('should reject anything else', () => {
+      expect(parseInterval('0m')).toBeNull();
+      expect(parseInterval('soon')).toBeNull();
+      expect(parseInterval('5w')).toBeNull();
+      expect(parseInterval(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseCronField', () => {
+    const minute = { name: 'minute', min: 0, max: 59 };
+
+    test('should expand wildcards, lists, ranges and steps', () => {
+      expect([...parseCronField('*/15', minute)]).toEqual([0, 15, 30, 45]);
+      expect([...parseCronField('1,5-7', minute)]).toEqual([1, 5, 6, 7]);
+      expect([...parseCronField('10-30/10', minute)]).toEqual([10, 20, 30]);
+      expect([...parseCronField('50/5', minute)]).toEqual([50, 55]);
+    });
+
+    test('should reject values out of range', () => {
+      expect(() => parseCronField('60', minute)).toThrow('Invalid cron minute: 60 (allowed 0-59)');
+      expect(() => parseCronField('a', minute)).toThrow('Invalid cron minute: a');
+    });
+  });
+
+  describe('parseCron', () => {
+    test('should need five fields', () => {
+      expect(() => parseCron('* * *')).toThrow(
+        'Cron expression must have 5 fields (minute hour day month weekday): * * *'
+      );
+    });
+
+    test('should expand aliases and treat 7 as Sunday', () => {
+      expect(parseCron('@daily').expression).toBe('0 0 * * *');
+      expect([...parseCron('0 0 * * 7').weekdays]).toEqual([0]);
+    });
+  });
+
+  describe('nextCronRun', () => {
+    const at = (...parts) => new Date(2024, ...parts);
+
+    test('should find the next matching minute', () => {
+      expect(nextCronRun(parseCron('*/15 * * * *'), at(0, 10, 9, 7, 30))).toEqual(at(0, 10, 9, 15));
+      expect(nextCronRun(parseCron('*/15 * * * *'), at(0, 10, 9, 45))).toEqual(at(0, 10, 10, 0));
+    });
+
+    test('should roll over days, months and years', () => {
+      expect(nextCronRun(parseCron('30 2 * * *'), at(0, 10, 3, 0))).toEqual(at(0, 11, 2, 30));
+      expect(nextCronRun(parseCron('0 0 1 * *'), at(0, 31, 12, 0))).toEqual(at(1, 1, 0, 0));
+      expect(nextCronRun(parseCron('0 6 1 1 *'), at(5, 1, 0, 0))).toEqual(new Date(2025, 0, 1, 6, 0));
+    });
+
+    test('should match either a restricted day of month or day of week', () => {
+      // 2024-01-10 is a Wednesday
+      expect(nextCronRun(parseCron('0 0 20 * 1'), at(0, 10, 12, 0))).toEqual(at(0, 15, 0, 0));
+      expect(nextCronRun(parseCron('0 0 * * 1'), at(0, 10, 12, 0))).toEqual(at(0, 15, 0, 0));
+      expect(nextCronRun(parseCron('0 0 11 * 5'), at(0, 10, 12, 0))).toEqual(at(0, 11, 0, 0));
+    });
+
+    test('should give up on expressions that never match', () => {
+      expect(nextCronRun(parseCron('0 0 30 2 *'), at(0, 1))).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import {
+  globToRegExp,
+  matchesAny,
+  parseTableList,
+  selectTables,
+  findExcludedParents
+} from '../../src/utils/tableSelection.js';
+
+describe('Table Selection Utility', () => {
+  const tables = [
+    { id: 1, name: 'users' },
+    { id: 2, name: 'orders' },
+    { id: 3, name: 'order_items' },
+    { id: 4, name: 'audit_log' },
+    { id: 5, name: 'audit_events' }
+  ];
+
+  describe('globToRegExp', () => {
+    test('should support * and ? wildcards', () => {
+      expect(globToRegExp('audit_*').test('audit_log')).toBe(true);
+      expect(globToRegExp('user?').test('users')).toBe(true);
+      expect(globToRegExp('user?').test('user')).toBe(false);
+    });
+
+    test('should match other characters literally', () => {
+      expect(globToRegExp('a.b').test('axb')).toBe(false);
+      expect(globToRegExp('a.b').test('a.b')).toBe(true);
+    });
+  });
+
+  test('should match a name against any pattern', () => {
+    expect(matchesAny('orders', ['users', 'order*'])).toBe(true);
+    expect(matchesAny('orders', [])).toBe(false);
+  });
+
+  test('should parse comma-separated lists', () => {
+    expect(parseTableList(' users, audit_* ,,')).toEqual(['users', 'audit_*']);
+    expect(parseTableList(undefined)).toEqual([]);
+  });
+
+  describe('selectTables', () => {
+    test('should select every table by default', () => {
+      const result = selectTables(tables);
+
+      expect(result.selected).toEqual(tables);
+      expect(result.excluded).toEqual([]);
+    });
+
+    test('should apply include and exclude patterns', () => {
+      const result = selectTables(tables, { include: ['order*', 'audit_*'], exclude: ['audit_events'] });
+
+      expect(result.selected.map(t => t.name)).toEqual(['orders', 'order_items', 'audit_log']);
+      expect(result.excluded.map(t => t.name)).toEqual(['users', 'audit_events']);
+    });
+
+    test('should report patterns that match nothing', () => {
+      const result = selectTables(tables, { include: ['users', 'invoices'], exclude: ['tmp_*'] });
+
+      expect(result.unmatched).toEqual(['invoices', 'tmp_*']);
+    });
+  });
+
+  test('should find excluded parents of selected tables', () => {
+    const dependencies = { order_items: ['orders', 'products'], orders: ['users'] };
+
+    expect(findExcludedParents(['order_items', 'orders'], ['users', 'audit_log'], dependencies)).toEqual([
+      { table: 'orders', parent: 'users' }
+    ]);
+  });
+});